@@ -7,6 +7,9 @@ import 'react-toastify/dist/ReactToastify.css';
 // Pages
 import Login from './pages/Login';
 import ResetPassword from './pages/ResetPassword';
+import UnlockAccount from './pages/UnlockAccount';
+import VerifyEmail from './pages/VerifyEmail';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import Cases from './pages/Cases';
 import CreateCase from './pages/CreateCase';
@@ -22,14 +25,24 @@ import AppointmentsList from './pages/Appointmentlist';
 import AppointmentDetails from './pages/appointmentdetails';
 import AppointmentForm from './pages/AppointmentForm';
 import AIChat from './pages/AIChat';
+import Profile from './pages/Profile';
+import ClientPortal from './pages/ClientPortal';
 
 import Clients from './pages/Clients';
 import AddClient from './pages/AddClient';
 import ClientDetails from './pages/ClientDetails';
 import EditClient from './pages/EditClient';
+import Trash from './pages/Trash';
 
 // Components
 import GavelLoading from './components/GavelLoading';
+import api, {
+  COOKIE_AUTH,
+  applyAuthHeaders,
+  refreshAccessToken,
+  clearStoredTokens,
+  restoreCookieSession
+} from './utils/api';
 
 // Set default axios config
 axios.defaults.withCredentials = true;
@@ -62,6 +75,23 @@ export const AuthProvider = ({ children }) => {
   // Check for existing token and validate it on component mount
   useEffect(() => {
     const validateToken = async () => {
+      // Cookie mode: the session lives in httpOnly cookies, so ask the server who is signed in
+      if (COOKIE_AUTH) {
+        try {
+          const sessionUser = await restoreCookieSession();
+          setUser(sessionUser);
+          setIsAuthenticated(true);
+        } catch (error) {
+          console.log('No active session');
+          clearStoredTokens();
+          setUser(null);
+          setIsAuthenticated(false);
+        } finally {
+          setIsLoading(false);
+        }
+        return;
+      }
+
       const token = localStorage.getItem('token');
       
       if (!token) {
@@ -92,27 +122,29 @@ export const AuthProvider = ({ children }) => {
           }
         } catch (verifyError) {
           console.error('Error during token validation:', verifyError);
-          // If verify-token fails, try to get user data directly
+          // The access token has probably expired: try to refresh it and validate again
           try {
-            const userResponse = await axios.get(`${process.env.REACT_APP_API_URL}/api/auth/me`);
-            if (userResponse.data && userResponse.data.user) {
-              console.log('Fetched user data directly:', userResponse.data.user);
-              setUser(userResponse.data.user);
+            const refreshedToken = await refreshAccessToken();
+            axios.defaults.headers.common['Authorization'] = `Bearer ${refreshedToken}`;
+            const retryResponse = await axios.post(`${process.env.REACT_APP_API_URL}/api/auth/verify-token`, { token: refreshedToken });
+            if (retryResponse.data && retryResponse.data.success && retryResponse.data.user) {
+              console.log('Token refreshed, user data:', retryResponse.data.user);
+              setUser(retryResponse.data.user);
               setIsAuthenticated(true);
               setIsLoading(false);
               return;
             }
-          } catch (meError) {
-            console.error('Error fetching user data:', meError);
+          } catch (refreshError) {
+            console.error('Error refreshing token:', refreshError);
           }
           
           // If we get here, both methods failed
-          throw new Error('Could not validate token or fetch user data');
+          throw new Error('Could not validate or refresh token');
         }
       } catch (error) {
         console.error('Authentication error:', error);
-        // Clear invalid token
-        localStorage.removeItem('token');
+        // Clear invalid tokens
+        clearStoredTokens();
         delete axios.defaults.headers.common['Authorization'];
         setUser(null);
         setIsAuthenticated(false);
@@ -129,11 +161,8 @@ export const AuthProvider = ({ children }) => {
     const requestInterceptor = axios.interceptors.request.use(
       config => {
         setIsLoading(true);
-        // Add auth token to requests if it exists
-        const token = localStorage.getItem('token');
-        if (token) {
-          config.headers.Authorization = `Bearer ${token}`;
-        }
+        // Add the credentials for the current auth mode
+        applyAuthHeaders(config.headers, config.method);
         return config;
       },
       error => {
@@ -147,16 +176,38 @@ export const AuthProvider = ({ children }) => {
         setIsLoading(false);
         return response;
       },
-      error => {
+      async error => {
         setIsLoading(false);
         
         // Handle 401 Unauthorized errors
         if (error.response && error.response.status === 401) {
-          // If token is invalid, log the user out
-          localStorage.removeItem('token');
-          delete axios.defaults.headers.common['Authorization'];
-          setIsAuthenticated(false);
-          setUser(null);
+          const originalRequest = error.config;
+          const isAuthRequest = ['/auth/login', '/auth/refresh', '/auth/verify-token'].some(
+            endpoint => originalRequest?.url?.includes(endpoint)
+          );
+
+          // Try to refresh the access token once and replay the request
+          if (originalRequest && !originalRequest._retry && !isAuthRequest) {
+            originalRequest._retry = true;
+            try {
+              const token = await refreshAccessToken();
+              if (token) {
+                axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+              }
+              applyAuthHeaders(originalRequest.headers, originalRequest.method);
+              return axios(originalRequest);
+            } catch (refreshError) {
+              console.error('Token refresh failed:', refreshError);
+            }
+          }
+
+          // If the session can't be refreshed, log the user out
+          if (!isAuthRequest || originalRequest?.url?.includes('/auth/refresh')) {
+            clearStoredTokens();
+            delete axios.defaults.headers.common['Authorization'];
+            setIsAuthenticated(false);
+            setUser(null);
+          }
         }
         
         return Promise.reject(error);
@@ -169,16 +220,22 @@ export const AuthProvider = ({ children }) => {
     };
   }, []);
 
-  const login = useCallback((userData, token) => {
-    if (!token) {
+  const login = useCallback((userData, token, refreshToken) => {
+    // In cookie mode the server has already set the session cookies
+    if (!token && !COOKIE_AUTH) {
       console.error('No token provided for login');
       throw new Error('No authentication token provided');
     }
     
     try {
-      // Store token and set auth header
-      localStorage.setItem('token', token);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      // Store tokens and set auth header
+      if (token) {
+        localStorage.setItem('token', token);
+        if (refreshToken) {
+          localStorage.setItem('refreshToken', refreshToken);
+        }
+        axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      }
       
       // Format user data consistently
       const user = {
@@ -202,7 +259,7 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Login error:', error);
       // Clear any partial state on error
-      localStorage.removeItem('token');
+      clearStoredTokens();
       delete axios.defaults.headers.common['Authorization'];
       setUser(null);
       setIsAuthenticated(false);
@@ -214,8 +271,13 @@ export const AuthProvider = ({ children }) => {
     try {
       console.log('Logging out user...');
       
-      // Clear token from storage and headers
-      localStorage.removeItem('token');
+      // Revoke the session on the server so the refresh token can't be reused
+      if (COOKIE_AUTH || localStorage.getItem('token')) {
+        await api.post('/auth/logout').catch(err => console.error('Error revoking session:', err));
+      }
+      
+      // Clear tokens from storage and headers
+      clearStoredTokens();
       delete axios.defaults.headers.common['Authorization'];
       
       // Reset auth state
@@ -274,8 +336,9 @@ export const AuthProvider = ({ children }) => {
 };
 
 // Protected Route Component
-const ProtectedRoute = () => {
-  const { isAuthenticated, isLoading } = React.useContext(AuthContext);
+// Client users only have access to the client portal; staff never see it.
+const ProtectedRoute = ({ portal = false }) => {
+  const { isAuthenticated, isLoading, user } = React.useContext(AuthContext);
   
   if (isLoading) {
     return (
@@ -289,7 +352,16 @@ const ProtectedRoute = () => {
     );
   }
 
-  return isAuthenticated ? <Outlet /> : <Navigate to="/login" replace />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace />;
+  }
+
+  const isClientUser = user?.role === 'client';
+  if (portal !== isClientUser) {
+    return <Navigate to={isClientUser ? '/portal' : '/dashboard'} replace />;
+  }
+
+  return <Outlet />;
 };
 
 // Public Route Component
@@ -324,6 +396,9 @@ function App() {
             <Route element={<PublicRoute />}>
               <Route path="/login" element={<Login />} />
               <Route path="/reset-password/:token" element={<ResetPassword />} />
+              <Route path="/unlock-account/:token" element={<UnlockAccount />} />
+              <Route path="/verify-email/:token" element={<VerifyEmail />} />
+              <Route path="/accept-invite/:token" element={<AcceptInvite />} />
             </Route>
 
             {/* Protected Routes */}
@@ -351,9 +426,17 @@ function App() {
               
               {/* AI Assistant Route */}
               <Route path="/ai-assistant" element={<AIChat />} />
+
+              <Route path="/profile" element={<Profile />} />
+              <Route path="/trash" element={<Trash />} />
              
             </Route>
 
+            {/* Client Portal */}
+            <Route element={<ProtectedRoute portal />}>
+              <Route path="/portal" element={<ClientPortal />} />
+            </Route>
+
             {/* Default Redirect */}
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             
@@ -0,0 +1,218 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { KeyRound } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+const EMPTY_API_KEY = { name: '', scopes: [], expiresInDays: '' };
+
+/**
+ * The signed-in user's personal API keys: creating a key with scopes and an expiry (its secret is
+ * shown once), and revoking keys.
+ */
+const ApiKeysSettings = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [form, setForm] = useState(EMPTY_API_KEY);
+  const [showForm, setShowForm] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const fetchApiKeys = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/api-keys');
+      setApiKeys(response.data.data || []);
+      setScopes(response.data.availableScopes || []);
+    } catch (err) {
+      console.error('Error fetching API keys:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, [fetchApiKeys]);
+
+  const toggleScope = (scope) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope)
+        ? prev.scopes.filter(s => s !== scope)
+        : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const response = await api.post('/auth/api-keys', form);
+      setCreatedKey(response.data.data);
+      setForm(EMPTY_API_KEY);
+      setShowForm(false);
+      fetchApiKeys();
+    } catch (err) {
+      console.error('Error creating API key:', err);
+      toast.error(err.response?.data?.message || 'Failed to create API key');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (apiKeyId) => {
+    try {
+      setBusy(true);
+      await api.delete(`/auth/api-keys/${apiKeyId}`);
+      toast.success('API key revoked');
+      setApiKeys(prev => prev.filter(apiKey => apiKey._id !== apiKeyId));
+    } catch (err) {
+      console.error('Error revoking API key:', err);
+      toast.error(err.response?.data?.message || 'Failed to revoke API key');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey.key);
+      toast.success('API key copied to clipboard');
+    } catch (err) {
+      toast.error('Could not copy the key, please copy it manually');
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center gap-2">
+          <KeyRound size={20} />
+          <h2 className="font-semibold text-lg">API Keys</h2>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            New API key
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4 text-sm text-gray-700">
+        <p>API keys let scripts and integrations call the API on your behalf. A key can only do what its scopes and your role allow.</p>
+
+        {createdKey && (
+          <div className="space-y-2 bg-green-50 border border-green-200 rounded-md p-3">
+            <p className="font-medium text-gray-900">
+              Copy your new key for "{createdKey.name}" now. It will not be shown again.
+            </p>
+            <div className="font-mono text-xs break-all bg-white border rounded p-2">{createdKey.key}</div>
+            <div className="flex gap-3">
+              <button onClick={handleCopy} className="text-blue-600 hover:text-blue-800">Copy</button>
+              <button onClick={() => setCreatedKey(null)} className="text-gray-600 hover:text-gray-800">Done</button>
+            </div>
+          </div>
+        )}
+
+        {showForm && (
+          <form onSubmit={handleCreate} className="space-y-3 max-w-lg border rounded-md p-4">
+            <div>
+              <label htmlFor="apiKeyName" className="block font-medium text-gray-700 mb-1">Name</label>
+              <input
+                id="apiKeyName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full border rounded-md px-3 py-2"
+                placeholder="e.g. Intake website"
+                required
+              />
+            </div>
+            <div>
+              <span className="block font-medium text-gray-700 mb-1">Scopes</span>
+              <div className="grid grid-cols-2 gap-1">
+                {scopes.map(scope => (
+                  <label key={scope} className="flex items-center gap-2 font-mono text-xs">
+                    <input
+                      type="checkbox"
+                      checked={form.scopes.includes(scope)}
+                      onChange={() => toggleScope(scope)}
+                    />
+                    {scope}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div>
+              <label htmlFor="apiKeyExpiry" className="block font-medium text-gray-700 mb-1">Expires</label>
+              <select
+                id="apiKeyExpiry"
+                value={form.expiresInDays}
+                onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: e.target.value }))}
+                className="border rounded-md px-3 py-2"
+              >
+                <option value="">Never</option>
+                <option value="30">In 30 days</option>
+                <option value="90">In 90 days</option>
+                <option value="365">In 1 year</option>
+              </select>
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy || form.scopes.length === 0}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+              >
+                {busy ? 'Creating...' : 'Create key'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowForm(false)}
+                className="px-3 py-1.5 border rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {apiKeys.length === 0 ? (
+          <p className="text-gray-500">You have no API keys.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {apiKeys.map(apiKey => (
+              <li key={apiKey._id} className="py-3 flex justify-between items-center gap-4">
+                <div>
+                  <div className="font-medium text-gray-900">
+                    {apiKey.name} <span className="font-mono text-xs text-gray-500">{apiKey.prefix}…</span>
+                  </div>
+                  <div className="flex flex-wrap gap-1 my-1">
+                    {apiKey.scopes.map(scope => (
+                      <span key={scope} className="text-xs font-mono bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">{scope}</span>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {apiKey.lastUsedAt
+                      ? `Last used ${formatDateTime(apiKey.lastUsedAt)}${apiKey.lastUsedIp ? ` from ${apiKey.lastUsedIp}` : ''}`
+                      : 'Never used'}
+                    {' · '}
+                    {apiKey.expiresAt ? `Expires ${formatDateTime(apiKey.expiresAt)}` : 'Never expires'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey._id)}
+                  disabled={busy}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeysSettings;
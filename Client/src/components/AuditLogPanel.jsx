@@ -0,0 +1,138 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import { ScrollText, Download } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+/**
+ * The firm's audit log, filtered by action, record type and date, with a CSV export of the same
+ * filters. The filter choices come from the server with the log. Shown to firm admins.
+ */
+const AuditLogPanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [filterOptions, setFilterOptions] = useState({ actions: [], entityTypes: [] });
+  const [filters, setFilters] = useState({ action: '', entityType: '', from: '', to: '' });
+  const [exporting, setExporting] = useState(false);
+
+  // Only the filters that are set are sent, with the end date covering the whole day
+  const getParams = useCallback(() => {
+    const params = {};
+    if (filters.action) params.action = filters.action;
+    if (filters.entityType) params.entityType = filters.entityType;
+    if (filters.from) params.from = new Date(`${filters.from}T00:00:00`).toISOString();
+    if (filters.to) params.to = new Date(`${filters.to}T23:59:59.999`).toISOString();
+    return params;
+  }, [filters]);
+
+  useEffect(() => {
+    api.get('/firm/audit-log', { params: { ...getParams(), limit: 25 } })
+      .then(response => {
+        setEntries(response.data.data || []);
+        if (response.data.filterOptions) setFilterOptions(response.data.filterOptions);
+      })
+      .catch(err => console.error('Error fetching audit log:', err));
+  }, [getParams]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await api.get('/firm/audit-log/export', {
+        params: getParams(),
+        responseType: 'blob',
+        timeout: 120000
+      });
+      const url = URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-log-${format(new Date(), 'yyyy-MM-dd')}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error exporting audit log:', err);
+      // Error responses arrive as a blob as well
+      let message = null;
+      if (err.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await err.response.data.text()).message;
+        } catch {
+          // Not a JSON error body
+        }
+      }
+      toast.error(message || 'Failed to export audit log');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center gap-2">
+          <ScrollText size={20} />
+          <h2 className="font-semibold text-lg">Audit Log</h2>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={exporting}
+          className="flex items-center gap-2 text-sm border px-3 py-1.5 rounded hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Download size={14} /> {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        <select
+          value={filters.action}
+          onChange={(e) => setFilters(prev => ({ ...prev, action: e.target.value }))}
+          className="border rounded px-2 py-1.5 text-sm bg-white"
+        >
+          <option value="">All actions</option>
+          {filterOptions.actions.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select
+          value={filters.entityType}
+          onChange={(e) => setFilters(prev => ({ ...prev, entityType: e.target.value }))}
+          className="border rounded px-2 py-1.5 text-sm bg-white"
+        >
+          <option value="">All records</option>
+          {filterOptions.entityTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+          className="border rounded px-2 py-1.5 text-sm"
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+          className="border rounded px-2 py-1.5 text-sm"
+          aria-label="To date"
+        />
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">No matching activity.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => (
+            <li key={entry._id} className="py-3 text-sm">
+              <div className="font-medium text-gray-900">
+                <span className="capitalize">{entry.action}</span> {entry.entityType}
+                {entry.entityName && <span className="font-normal text-gray-700"> · {entry.entityName}</span>}
+              </div>
+              <div className="text-gray-500">
+                {entry.actorEmail || 'Unknown user'} · {entry.ipAddress || 'Unknown IP'} · {formatDateTime(entry.createdAt)}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogPanel;
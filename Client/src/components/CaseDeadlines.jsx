@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Gavel, Loader2, Trash2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+
+const formatDay = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Court deadlines of a case: trigger events (e.g. service of the complaint) and the deadline tasks computed from them
+ * @param {string} caseId - The case to show the deadlines of
+ * @param {boolean} canEdit - Whether the user may add, move or remove trigger events
+ */
+const CaseDeadlines = ({ caseId, canEdit }) => {
+  const [ruleSets, setRuleSets] = useState([]);
+  const [triggers, setTriggers] = useState([]);
+  const [form, setForm] = useState({ ruleSet: '', trigger: '', date: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const fetchDeadlines = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [rulesResponse, deadlinesResponse] = await Promise.all([
+        api.get('/cases/deadline-rules'),
+        api.get(`/cases/${caseId}/deadlines`)
+      ]);
+      setRuleSets(rulesResponse.data.data);
+      setTriggers(deadlinesResponse.data.data);
+      // Preselect the rule set of the case's jurisdiction
+      setForm(prev => ({ ...prev, ruleSet: prev.ruleSet || deadlinesResponse.data.ruleSet || '' }));
+    } catch (err) {
+      console.error('Error fetching case deadlines:', err);
+      toast.error(err.response?.data?.message || 'Failed to load deadlines');
+    } finally {
+      setLoading(false);
+    }
+  }, [caseId]);
+
+  useEffect(() => {
+    fetchDeadlines();
+  }, [fetchDeadlines]);
+
+  const ruleSet = ruleSets.find(item => item.key === form.ruleSet);
+  const triggerLabel = (event) => {
+    const set = ruleSets.find(item => item.key === event.ruleSet);
+    const trigger = set?.triggers.find(item => item.key === event.trigger);
+    return trigger ? trigger.label : event.trigger;
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const response = await api.post(`/cases/${caseId}/deadlines`, form);
+      toast.success(response.data.message);
+      setForm(prev => ({ ...prev, trigger: '', date: '' }));
+      fetchDeadlines();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add the trigger event');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDateChange = async (event, date) => {
+    if (!date) return;
+    try {
+      await api.put(`/cases/${caseId}/deadlines/${event._id}`, { date });
+      toast.success('Deadlines recalculated');
+      fetchDeadlines();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to recalculate the deadlines');
+    }
+  };
+
+  const handleRemove = async (event) => {
+    if (!window.confirm(`Remove "${triggerLabel(event)}" and its open deadline tasks?`)) return;
+    try {
+      const response = await api.delete(`/cases/${caseId}/deadlines/${event._id}`);
+      toast.success(response.data.message);
+      fetchDeadlines();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove the trigger event');
+    }
+  };
+
+  if (loading && triggers.length === 0) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-gray-500">
+        <Loader2 size={16} className="animate-spin" /> Loading...
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {canEdit && (
+        <form onSubmit={handleAdd} className="border rounded-lg p-6">
+          <div className="flex items-center gap-2 mb-4">
+            <Gavel size={20} />
+            <h2 className="font-semibold text-lg">Add Trigger Event</h2>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <select
+              value={form.ruleSet}
+              onChange={(e) => setForm({ ...form, ruleSet: e.target.value, trigger: '' })}
+              className="border rounded px-3 py-2 text-sm"
+              required
+            >
+              <option value="">Rule set</option>
+              {ruleSets.map(item => <option key={item.key} value={item.key}>{item.name}</option>)}
+            </select>
+            <select
+              value={form.trigger}
+              onChange={(e) => setForm({ ...form, trigger: e.target.value })}
+              className="border rounded px-3 py-2 text-sm"
+              required
+              disabled={!ruleSet}
+            >
+              <option value="">Trigger event</option>
+              {ruleSet?.triggers.map(item => <option key={item.key} value={item.key}>{item.label}</option>)}
+            </select>
+            <input
+              type="date"
+              value={form.date}
+              onChange={(e) => setForm({ ...form, date: e.target.value })}
+              className="border rounded px-3 py-2 text-sm"
+              required
+            />
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Deadline tasks are created from the rule set. Verify them against the court's current and local rules.
+          </p>
+          <button
+            type="submit"
+            disabled={saving}
+            className="mt-4 bg-black text-white px-4 py-2 rounded text-sm hover:bg-gray-800 disabled:opacity-50"
+          >
+            {saving ? 'Calculating...' : 'Calculate Deadlines'}
+          </button>
+        </form>
+      )}
+
+      {triggers.length === 0 && <div className="text-sm text-gray-500">No court deadlines on this case.</div>}
+
+      {triggers.map(event => (
+        <div key={event._id} className="border rounded-lg p-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <div className="font-semibold">{triggerLabel(event)}</div>
+              <div className="text-xs text-gray-500">{ruleSets.find(item => item.key === event.ruleSet)?.name || event.ruleSet}</div>
+            </div>
+            <div className="flex items-center gap-3">
+              <input
+                type="date"
+                defaultValue={formatDay(event.date)}
+                onBlur={(e) => e.target.value !== formatDay(event.date) && handleDateChange(event, e.target.value)}
+                disabled={!canEdit}
+                className="border rounded px-3 py-1 text-sm"
+                title="Changing the date recalculates the open deadlines"
+              />
+              {canEdit && (
+                <button type="button" onClick={() => handleRemove(event)} className="text-red-600 hover:text-red-800" title="Remove">
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+          </div>
+          <ul className="divide-y text-sm">
+            {event.tasks.map(task => (
+              <li key={task._id} className="py-2">
+                <div className="flex justify-between gap-4">
+                  <span className={task.status === 'completed' ? 'line-through text-gray-400' : 'font-medium'}>{task.title}</span>
+                  <span className="whitespace-nowrap">{formatDay(task.dueDate)}</span>
+                </div>
+                <div className="text-xs text-gray-500">{task.description}</div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CaseDeadlines;
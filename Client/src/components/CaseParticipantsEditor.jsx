@@ -0,0 +1,191 @@
+import React from 'react';
+import { Plus, Trash2, Users } from 'lucide-react';
+
+// Participant roles accepted by the server (Case.PARTICIPANT_ROLES)
+export const PARTICIPANT_ROLES = [
+  { value: 'opposing_party', label: 'Opposing Party' },
+  { value: 'opposing_counsel', label: 'Opposing Counsel' },
+  { value: 'co_party', label: 'Co-Party' },
+  { value: 'co_counsel', label: 'Co-Counsel' },
+  { value: 'judge', label: 'Judge' },
+  { value: 'expert', label: 'Expert' },
+  { value: 'witness', label: 'Witness' },
+  { value: 'other', label: 'Other' }
+];
+
+// Roles that act for another participant
+const COUNSEL_ROLES = ['opposing_counsel', 'co_counsel'];
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black';
+
+// Saved participants are identified by their _id; new ones by a temporary key until the case is saved
+const participantRef = (participant) => participant._id || participant.key;
+
+let nextKey = 1;
+
+/**
+ * Editable list of the other people involved in a case (opposing parties and counsel, judges, experts, witnesses)
+ * @param {Array} participants - The current participants
+ * @param {Function} onChange - Called with the new participants list
+ */
+const CaseParticipantsEditor = ({ participants = [], onChange }) => {
+  const addParticipant = () => {
+    onChange([...participants, { key: `new-${nextKey++}`, role: 'opposing_party', name: '' }]);
+  };
+
+  const updateParticipant = (index, field, value) => {
+    onChange(participants.map((participant, i) => (i === index ? { ...participant, [field]: value } : participant)));
+  };
+
+  // Removing someone also drops any representation links pointing at them
+  const removeParticipant = (index) => {
+    const removedRef = participantRef(participants[index]);
+    onChange(participants
+      .filter((_, i) => i !== index)
+      .map(participant => (participant.represents === removedRef ? { ...participant, represents: '' } : participant)));
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border p-6">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <Users size={20} />
+          <h2 className="font-semibold text-lg">Participants</h2>
+        </div>
+        <button
+          type="button"
+          onClick={addParticipant}
+          className="inline-flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm hover:bg-gray-50"
+        >
+          <Plus size={16} /> Add Participant
+        </button>
+      </div>
+
+      {participants.length === 0 && (
+        <p className="text-sm text-gray-500">
+          No participants yet. Add opposing parties, opposing counsel, judges, experts or witnesses.
+        </p>
+      )}
+
+      <div className="space-y-4">
+        {participants.map((participant, index) => (
+          <div key={participantRef(participant)} className="border rounded-md p-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Role <span className="text-red-500">*</span>
+                </label>
+                <select
+                  value={participant.role}
+                  onChange={(e) => updateParticipant(index, 'role', e.target.value)}
+                  className={inputClass}
+                  required
+                >
+                  {PARTICIPANT_ROLES.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Name <span className="text-red-500">*</span>
+                </label>
+                <input
+                  type="text"
+                  value={participant.name || ''}
+                  onChange={(e) => updateParticipant(index, 'name', e.target.value)}
+                  className={inputClass}
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Organization</label>
+                <input
+                  type="text"
+                  value={participant.organization || ''}
+                  onChange={(e) => updateParticipant(index, 'organization', e.target.value)}
+                  className={inputClass}
+                  placeholder="Law firm, court or company"
+                />
+              </div>
+
+              {COUNSEL_ROLES.includes(participant.role) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Represents</label>
+                  <select
+                    value={participant.represents || ''}
+                    onChange={(e) => updateParticipant(index, 'represents', e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">Nobody selected</option>
+                    {participants
+                      .filter((other, i) => i !== index && !COUNSEL_ROLES.includes(other.role))
+                      .map(other => (
+                        <option key={participantRef(other)} value={participantRef(other)}>
+                          {other.name || 'Unnamed participant'}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                <input
+                  type="email"
+                  value={participant.email || ''}
+                  onChange={(e) => updateParticipant(index, 'email', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                <input
+                  type="tel"
+                  value={participant.phone || ''}
+                  onChange={(e) => updateParticipant(index, 'phone', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <input
+                  type="text"
+                  value={participant.address || ''}
+                  onChange={(e) => updateParticipant(index, 'address', e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  value={participant.notes || ''}
+                  onChange={(e) => updateParticipant(index, 'notes', e.target.value)}
+                  rows={2}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end mt-3">
+              <button
+                type="button"
+                onClick={() => removeParticipant(index)}
+                className="inline-flex items-center gap-1 text-sm text-red-600 hover:text-red-800"
+              >
+                <Trash2 size={14} /> Remove
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CaseParticipantsEditor;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import api from '../utils/api';
+
+export const STATUS_LABELS = {
+  open: 'Open',
+  pending: 'Pending',
+  on_hold: 'On Hold',
+  closed: 'Closed',
+  archived: 'Archived'
+};
+
+// How a closed case ended (server: CASE_OUTCOMES in config/caseWorkflow.js)
+export const CASE_OUTCOMES = [
+  { value: 'won', label: 'Won' },
+  { value: 'lost', label: 'Lost' },
+  { value: 'settled', label: 'Settled' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'withdrawn', label: 'Withdrawn' },
+  { value: 'resolved', label: 'Resolved' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Dialog for moving a case to another status through PATCH /api/cases/:id
+ * @param {Object} caseData - The case, with its statusTransitions from GET /api/cases/:id
+ * @param {Function} onClose - Called when the dialog is dismissed
+ * @param {Function} onChanged - Called with the server response after a successful change
+ */
+const CaseStatusDialog = ({ caseData, onClose, onChanged }) => {
+  const transitions = caseData.statusTransitions || {};
+  const [status, setStatus] = useState(Object.keys(transitions)[0] || '');
+  const [reason, setReason] = useState('');
+  const [outcome, setOutcome] = useState('');
+  const [endDate, setEndDate] = useState(new Date().toISOString().slice(0, 10));
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const requirements = transitions[status] || {};
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await api.patch(`/cases/${caseData._id}`, {
+        status,
+        reason: reason.trim() || undefined,
+        outcome: requirements.outcome ? outcome : undefined,
+        endDate: requirements.endDate ? endDate : undefined
+      });
+      onChanged(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update case status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-lg w-full max-w-md p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-semibold">Change Case Status</h2>
+          <button type="button" onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            <X size={18} />
+          </button>
+        </div>
+
+        {Object.keys(transitions).length === 0 ? (
+          <p className="text-sm text-gray-600">This case cannot be moved to another status.</p>
+        ) : (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Move from {STATUS_LABELS[caseData.status] || caseData.status} to
+              </label>
+              <select value={status} onChange={(e) => setStatus(e.target.value)} className="w-full border rounded px-3 py-2 text-sm">
+                {Object.keys(transitions).map(value => (
+                  <option key={value} value={value}>{STATUS_LABELS[value] || value}</option>
+                ))}
+              </select>
+            </div>
+
+            {requirements.outcome && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Outcome <span className="text-red-500">*</span>
+                </label>
+                <select value={outcome} onChange={(e) => setOutcome(e.target.value)} className="w-full border rounded px-3 py-2 text-sm" required>
+                  <option value="">Select outcome</option>
+                  {CASE_OUTCOMES.map(item => <option key={item.value} value={item.value}>{item.label}</option>)}
+                </select>
+              </div>
+            )}
+
+            {requirements.endDate && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  End Date <span className="text-red-500">*</span>
+                </label>
+                <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-full border rounded px-3 py-2 text-sm" required />
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Reason {requirements.reason && <span className="text-red-500">*</span>}
+              </label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={3}
+                className="w-full border rounded px-3 py-2 text-sm"
+                required={Boolean(requirements.reason)}
+              />
+            </div>
+          </div>
+        )}
+
+        {error && <div className="text-sm text-red-600 mt-4">{error}</div>}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button type="button" onClick={onClose} className="px-4 py-2 border rounded text-sm hover:bg-gray-50">
+            Cancel
+          </button>
+          {Object.keys(transitions).length > 0 && (
+            <button type="submit" disabled={saving} className="px-4 py-2 bg-black text-white rounded text-sm hover:bg-gray-800 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Change Status'}
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default CaseStatusDialog;
@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, RefreshCw, StickyNote, CheckSquare, ListPlus, Calendar, Sparkles, FolderOpen, Loader2 } from 'lucide-react';
+import api from '../utils/api';
+
+// Event types returned by GET /api/cases/:id/timeline, with how they are shown
+const EVENT_TYPES = [
+  { value: 'case_created', label: 'Case opened', icon: FolderOpen, color: 'bg-gray-100 text-gray-700' },
+  { value: 'status_changed', label: 'Status changes', icon: RefreshCw, color: 'bg-blue-100 text-blue-700' },
+  { value: 'note_added', label: 'Notes', icon: StickyNote, color: 'bg-yellow-100 text-yellow-700' },
+  { value: 'document_uploaded', label: 'Documents', icon: FileText, color: 'bg-purple-100 text-purple-700' },
+  { value: 'task_created', label: 'Tasks created', icon: ListPlus, color: 'bg-orange-100 text-orange-700' },
+  { value: 'task_completed', label: 'Tasks completed', icon: CheckSquare, color: 'bg-green-100 text-green-700' },
+  { value: 'appointment_held', label: 'Appointments', icon: Calendar, color: 'bg-teal-100 text-teal-700' },
+  { value: 'ai_draft', label: 'AI drafts', icon: Sparkles, color: 'bg-pink-100 text-pink-700' }
+];
+
+const PAGE_SIZE = 25;
+
+const actorName = (actor) => {
+  if (!actor) return 'Unknown';
+  return `${actor.firstName || ''} ${actor.lastName || ''}`.trim() || actor.email;
+};
+
+/**
+ * Chronological activity feed of a case, filterable by event type
+ * @param {string} caseId - The case to show the timeline of
+ */
+const CaseTimeline = ({ caseId }) => {
+  const [events, setEvents] = useState([]);
+  const [selectedTypes, setSelectedTypes] = useState(EVENT_TYPES.map(type => type.value));
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchTimeline = useCallback(async (pageToLoad) => {
+    if (selectedTypes.length === 0) {
+      setEvents([]);
+      setPages(1);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get(`/cases/${caseId}/timeline`, {
+        params: { types: selectedTypes.join(','), page: pageToLoad, limit: PAGE_SIZE }
+      });
+      const { data, pages: totalPages } = response.data;
+      setEvents(prev => (pageToLoad === 1 ? data : [...prev, ...data]));
+      setPage(pageToLoad);
+      setPages(totalPages || 1);
+    } catch (err) {
+      console.error('Error fetching case timeline:', err);
+      setError(err.response?.data?.message || 'Failed to load the timeline');
+    } finally {
+      setLoading(false);
+    }
+  }, [caseId, selectedTypes]);
+
+  // Start from the first page whenever the filters change
+  useEffect(() => {
+    fetchTimeline(1);
+  }, [fetchTimeline]);
+
+  const toggleType = (value) => {
+    setSelectedTypes(prev => (prev.includes(value) ? prev.filter(type => type !== value) : [...prev, value]));
+  };
+
+  return (
+    <div className="border rounded-lg p-6">
+      <div className="flex flex-wrap gap-2 mb-6">
+        {EVENT_TYPES.map(type => (
+          <button
+            key={type.value}
+            type="button"
+            onClick={() => toggleType(type.value)}
+            className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors ${
+              selectedTypes.includes(type.value)
+                ? 'bg-black text-white border-black'
+                : 'bg-white text-gray-600 border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+
+      {error && <div className="text-sm text-red-600 mb-4">{error}</div>}
+
+      {!loading && events.length === 0 && !error && (
+        <div className="text-sm text-gray-500">No activity to show.</div>
+      )}
+
+      <ol className="relative border-l border-gray-200 ml-3">
+        {events.map((event, index) => {
+          const type = EVENT_TYPES.find(item => item.value === event.type) || EVENT_TYPES[0];
+          const Icon = type.icon;
+          return (
+            <li key={`${event.type}-${event.entity?.id}-${event.timestamp}-${index}`} className="mb-6 ml-6">
+              <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ${type.color}`}>
+                <Icon size={14} />
+              </span>
+              <div className="text-sm font-medium text-gray-900">{event.title}</div>
+              <div className="text-xs text-gray-500">
+                {new Date(event.timestamp).toLocaleString()} · {actorName(event.actor)}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      {loading && (
+        <div className="flex items-center gap-2 text-sm text-gray-500">
+          <Loader2 size={16} className="animate-spin" /> Loading...
+        </div>
+      )}
+
+      {!loading && page < pages && (
+        <button
+          type="button"
+          onClick={() => fetchTimeline(page + 1)}
+          className="px-4 py-2 border rounded-lg text-sm hover:bg-gray-50"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default CaseTimeline;
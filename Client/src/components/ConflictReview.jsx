@@ -0,0 +1,45 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * Potential conflicts of interest found on intake, with the justification needed to proceed anyway
+ * @param {Array} conflicts - Conflicts returned by the server (409 response of POST /api/clients or /api/cases)
+ * @param {string} justification - Current justification text
+ * @param {Function} onJustificationChange - Called with the new justification text
+ */
+const ConflictReview = ({ conflicts, justification, onJustificationChange }) => (
+  <div className="border border-yellow-300 bg-yellow-50 rounded-lg p-6">
+    <div className="flex items-center gap-2 mb-4 text-yellow-800">
+      <AlertTriangle size={20} />
+      <h2 className="font-semibold text-lg">Potential Conflicts of Interest</h2>
+    </div>
+    <p className="text-sm text-yellow-800 mb-4">
+      The following existing clients or case participants may be the same people or organizations.
+      Review them before proceeding. Proceeding anyway requires a justification, which is kept on record.
+    </p>
+
+    <ul className="space-y-3 mb-4">
+      {conflicts.map((conflict, index) => (
+        <li key={`${conflict.subject}-${conflict.participant || conflict.client}-${index}`} className="bg-white border rounded-md p-3 text-sm">
+          <div className="font-medium text-gray-900">{conflict.subject}</div>
+          <ul className="list-disc ml-5 text-gray-600">
+            {conflict.reasons.map(reason => <li key={reason}>{reason}</li>)}
+          </ul>
+        </li>
+      ))}
+    </ul>
+
+    <label className="block text-sm font-medium text-gray-700 mb-1">
+      Justification for proceeding <span className="text-red-500">*</span>
+    </label>
+    <textarea
+      value={justification}
+      onChange={(e) => onJustificationChange(e.target.value)}
+      rows={3}
+      className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
+      placeholder="e.g. Different person with a similar name; confirmed by date of birth"
+    />
+  </div>
+);
+
+export default ConflictReview;
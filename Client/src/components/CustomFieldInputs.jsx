@@ -0,0 +1,72 @@
+import React from 'react';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Value of a custom field for display (dates come from the server as ISO strings)
+export const formatCustomFieldValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field.type === 'date') return new Date(value).toLocaleDateString();
+  if (field.type === 'checkbox') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Value of a custom field for its input
+const inputValue = (field, value) => {
+  if (value === undefined || value === null) return '';
+  if (field.type === 'date') return String(value).slice(0, 10);
+  return value;
+};
+
+/**
+ * Inputs for the custom fields a case gets from its matter template
+ * @param {Array} fields - Field definitions: { key, label, type, options, required }
+ * @param {Object} values - Current values by key
+ * @param {Function} onChange - Called with the new values object
+ */
+const CustomFieldInputs = ({ fields, values = {}, onChange }) => {
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+      {fields.map(field => (
+        <div key={field.key} className="space-y-2">
+          {field.type === 'checkbox' ? (
+            <label className="flex items-center gap-2 text-sm font-medium text-gray-700 pt-7">
+              <input
+                type="checkbox"
+                checked={Boolean(values[field.key])}
+                onChange={(e) => setValue(field.key, e.target.checked)}
+              />
+              {field.label}
+            </label>
+          ) : (
+            <>
+              <label className="block text-sm font-medium text-gray-700">
+                {field.label} {field.required && <span className="text-red-500">*</span>}
+              </label>
+              {field.type === 'select' ? (
+                <select
+                  className={inputClass}
+                  value={inputValue(field, values[field.key])}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                >
+                  <option value="">Select...</option>
+                  {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              ) : (
+                <input
+                  type={field.type === 'number' || field.type === 'date' ? field.type : 'text'}
+                  className={inputClass}
+                  value={inputValue(field, values[field.key])}
+                  onChange={(e) => setValue(field.key, e.target.value)}
+                />
+              )}
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CustomFieldInputs;
@@ -0,0 +1,158 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Building2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+
+/**
+ * The user's firm. Admins can rename it and change its security and retention settings; other
+ * members see its name and size.
+ * @param {Object} props
+ * @param {boolean} props.isAdmin Whether the user may edit the firm
+ * @param {Function} [props.onSaved] Called after the settings were saved
+ */
+const FirmSettings = ({ isAdmin, onSaved }) => {
+  const [firm, setFirm] = useState(null);
+  const [form, setForm] = useState({ name: '', requireTwoFactor: false, passwordExpiryDays: 0, retentionYears: 6, trashRetentionDays: 30 });
+  const [saving, setSaving] = useState(false);
+
+  const fetchFirm = useCallback(async () => {
+    try {
+      const response = await api.get('/firm');
+      const firmData = response.data.data;
+      setFirm(firmData);
+      setForm({
+        name: firmData.name || '',
+        requireTwoFactor: Boolean(firmData.settings?.requireTwoFactor),
+        passwordExpiryDays: firmData.settings?.passwordExpiryDays || 0,
+        retentionYears: firmData.settings?.retentionYears ?? 6,
+        trashRetentionDays: firmData.settings?.trashRetentionDays ?? 30
+      });
+    } catch (err) {
+      console.error('Error fetching firm:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFirm();
+  }, [fetchFirm]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await api.put('/firm', {
+        name: form.name,
+        settings: {
+          requireTwoFactor: form.requireTwoFactor,
+          passwordExpiryDays: Number(form.passwordExpiryDays) || 0,
+          retentionYears: Number(form.retentionYears) || 0,
+          trashRetentionDays: Number(form.trashRetentionDays) || 30
+        }
+      });
+      toast.success('Firm settings saved');
+      fetchFirm();
+      if (onSaved) onSaved();
+    } catch (err) {
+      console.error('Error saving firm settings:', err);
+      toast.error(err.response?.data?.message || 'Failed to save firm settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!firm) return null;
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center gap-2 mb-4">
+        <Building2 size={20} />
+        <h2 className="font-semibold text-lg">Firm</h2>
+      </div>
+      {isAdmin ? (
+        <form onSubmit={handleSave} className="space-y-3 max-w-md text-sm">
+          <div>
+            <label htmlFor="firmName" className="block font-medium text-gray-700 mb-1">Firm name</label>
+            <input
+              id="firmName"
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className="w-full border rounded-md px-3 py-2"
+              required
+            />
+          </div>
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.requireTwoFactor}
+              onChange={(e) => setForm(prev => ({ ...prev, requireTwoFactor: e.target.checked }))}
+            />
+            Require two-factor authentication for all members
+          </label>
+          <div>
+            <label htmlFor="passwordExpiryDays" className="block font-medium text-gray-700 mb-1">
+              Password expiry (days, 0 = never)
+            </label>
+            <input
+              id="passwordExpiryDays"
+              type="number"
+              min="0"
+              max="3650"
+              value={form.passwordExpiryDays}
+              onChange={(e) => setForm(prev => ({ ...prev, passwordExpiryDays: e.target.value }))}
+              className="w-32 border rounded-md px-3 py-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">Members must choose a new password at their next sign-in once it is older than this.</p>
+          </div>
+          <div>
+            <label htmlFor="retentionYears" className="block font-medium text-gray-700 mb-1">
+              Record retention (years, 0 = none)
+            </label>
+            <input
+              id="retentionYears"
+              type="number"
+              min="0"
+              max="100"
+              value={form.retentionYears}
+              onChange={(e) => setForm(prev => ({ ...prev, retentionYears: e.target.value }))}
+              className="w-32 border rounded-md px-3 py-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">A client's data cannot be erased until their closed cases are older than this.</p>
+          </div>
+          <div>
+            <label htmlFor="trashRetentionDays" className="block font-medium text-gray-700 mb-1">
+              Trash retention (days)
+            </label>
+            <input
+              id="trashRetentionDays"
+              type="number"
+              min="1"
+              max="3650"
+              value={form.trashRetentionDays}
+              onChange={(e) => setForm(prev => ({ ...prev, trashRetentionDays: e.target.value }))}
+              className="w-32 border rounded-md px-3 py-2"
+            />
+            <p className="text-xs text-gray-500 mt-1">Deleted records can be restored from the trash until they are permanently deleted after this many days.</p>
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-gray-500">{firm.memberCount} member{firm.memberCount === 1 ? '' : 's'}</span>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="text-sm text-gray-700 space-y-1">
+          <div className="font-medium text-gray-900">{firm.name}</div>
+          <div className="text-gray-500">{firm.memberCount} member{firm.memberCount === 1 ? '' : 's'}</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FirmSettings;
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserPlus } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+// Clients are invited to the client portal from their client record instead
+const FIRM_ROLES = ['admin', 'partner', 'associate', 'paralegal'];
+
+const EMPTY_INVITATION = { email: '', role: 'associate' };
+
+/**
+ * Inviting colleagues to the firm by email with a role, and the pending invitations.
+ * Shown to firm admins.
+ */
+const InvitationsSettings = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [form, setForm] = useState(EMPTY_INVITATION);
+  const [busy, setBusy] = useState(false);
+
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await api.get('/users/invitations');
+      setInvitations(response.data.data || []);
+    } catch (err) {
+      console.error('Error fetching invitations:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      const response = await api.post('/users/invitations', form);
+      toast.success(response.data.message || 'Invitation sent');
+      setForm(EMPTY_INVITATION);
+      fetchInvitations();
+    } catch (err) {
+      console.error('Error sending invitation:', err);
+      toast.error(err.response?.data?.message || 'Failed to send invitation');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRevoke = async (invitationId) => {
+    try {
+      setBusy(true);
+      await api.delete(`/users/invitations/${invitationId}`);
+      toast.success('Invitation revoked');
+      setInvitations(prev => prev.filter(invitation => invitation._id !== invitationId));
+    } catch (err) {
+      console.error('Error revoking invitation:', err);
+      toast.error(err.response?.data?.message || 'Failed to revoke invitation');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center gap-2 mb-4">
+        <UserPlus size={20} />
+        <h2 className="font-semibold text-lg">Invite Colleagues</h2>
+      </div>
+      <form onSubmit={handleInvite} className="flex flex-col md:flex-row gap-2 text-sm mb-4">
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+          className="flex-1 border rounded-md px-3 py-2"
+          placeholder="colleague@example.com"
+          required
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          className="border rounded-md px-3 py-2 capitalize"
+        >
+          {FIRM_ROLES.map(role => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-3 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {busy ? 'Sending...' : 'Send invitation'}
+        </button>
+      </form>
+      {invitations.length === 0 ? (
+        <p className="text-sm text-gray-500">No pending invitations.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {invitations.map(invitation => (
+            <li key={invitation._id} className="py-3 flex justify-between items-center text-sm">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {invitation.email}
+                  <span className="ml-2 text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full capitalize">{invitation.role}</span>
+                </div>
+                <div className={invitation.expired ? 'text-red-600' : 'text-gray-500'}>
+                  {invitation.expired ? 'Expired' : 'Expires'} {formatDateTime(invitation.expiresAt)}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRevoke(invitation._id)}
+                disabled={busy}
+                className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default InvitationsSettings;
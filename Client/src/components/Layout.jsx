@@ -17,16 +17,21 @@ import {
   ClipboardList, 
   MessageSquareText, 
   Bot, 
+  Trash2,
   FileEdit
 } from 'lucide-react';
 import axios from 'axios';
+import { applyAuthHeaders } from '../utils/api';
 
-// Axios instance with auth token (assuming token is stored in localStorage)
+// Axios instance for the layout's own requests; credentials are added to each request
+// for the current auth mode (Bearer token or session cookie)
 const api = axios.create({
   baseURL: '/api',
-  headers: {
-    Authorization: `Bearer ${localStorage.getItem('token')}`
-  }
+  withCredentials: true
+});
+api.interceptors.request.use((config) => {
+  applyAuthHeaders(config.headers, config.method);
+  return config;
 });
 
 // Sidebar Component
@@ -45,9 +50,8 @@ const Sidebar = ({ isOpen, onClose }) => {
       // Add delay before actual logout
       await new Promise(resolve => setTimeout(resolve, 500));
       
-      // Clear token and call the logout function from AuthContext
-      localStorage.removeItem('token');
-      logout();
+      // The logout function from AuthContext revokes the session and clears stored tokens
+      await logout();
       navigate('/login');
     } catch (error) {
       console.error('Logout error:', error);
@@ -197,6 +201,12 @@ const Sidebar = ({ isOpen, onClose }) => {
             active={isActive('/profile')} 
             href="/profile"
           />
+          <NavItem 
+            icon={<Trash2 size={18} />} 
+            text="Trash" 
+            active={isActive('/trash')} 
+            href="/trash"
+          />
 
         </nav>
         
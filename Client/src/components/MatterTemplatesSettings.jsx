@@ -0,0 +1,354 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { LayoutTemplate, Plus, Trash2, Edit, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+
+// Case types a template can be for (server: CASE_TYPES in models/Case.js)
+export const CASE_TYPES = [
+  { value: 'civil', label: 'Civil' },
+  { value: 'criminal', label: 'Criminal' },
+  { value: 'family', label: 'Family' },
+  { value: 'corporate', label: 'Corporate' },
+  { value: 'property', label: 'Property' },
+  { value: 'labor', label: 'Labor' },
+  { value: 'tax', label: 'Tax' },
+  { value: 'intellectual_property', label: 'Intellectual Property' },
+  { value: 'bankruptcy', label: 'Bankruptcy' },
+  { value: 'immigration', label: 'Immigration' },
+  { value: 'constitutional', label: 'Constitutional' },
+  { value: 'environmental', label: 'Environmental' },
+  { value: 'real_estate', label: 'Real Estate' },
+  { value: 'wills_trusts', label: 'Wills & Trusts' },
+  { value: 'personal_injury', label: 'Personal Injury' },
+  { value: 'medical_malpractice', label: 'Medical Malpractice' },
+  { value: 'employment', label: 'Employment' },
+  { value: 'consumer_protection', label: 'Consumer Protection' },
+  { value: 'cyber_law', label: 'Cyber Law' },
+  { value: 'other', label: 'Other' }
+];
+
+const TEAM_ROLES = [
+  { value: 'lead_counsel', label: 'Lead Counsel' },
+  { value: 'associate', label: 'Associate' },
+  { value: 'paralegal', label: 'Paralegal' },
+  { value: 'read_only', label: 'Read Only' }
+];
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const EMPTY_TEMPLATE = {
+  name: '',
+  caseType: '',
+  description: '',
+  active: true,
+  tasks: [],
+  folders: '',
+  customFields: [],
+  team: []
+};
+
+const inputClass = 'border rounded px-2 py-1 text-sm';
+
+// Template from the server as form state: folders as lines, select options comma separated
+const toForm = (template) => ({
+  name: template.name,
+  caseType: template.caseType,
+  description: template.description || '',
+  active: template.active,
+  tasks: template.tasks.map(({ _id, ...task }) => ({ ...task, assigneeRole: task.assigneeRole || '' })),
+  folders: template.folders.join('\n'),
+  customFields: template.customFields.map(({ _id, ...field }) => ({ ...field, options: field.options.join(', ') })),
+  team: template.team.map(member => ({ user: member.user?._id || member.user, role: member.role }))
+});
+
+const toPayload = (form) => ({
+  ...form,
+  tasks: form.tasks.map(task => ({ ...task, dueInDays: Number(task.dueInDays) || 0, assigneeRole: task.assigneeRole || undefined })),
+  folders: form.folders.split('\n').map(line => line.trim()).filter(Boolean),
+  customFields: form.customFields.map(field => ({
+    ...field,
+    options: field.type === 'select' ? field.options.split(',').map(option => option.trim()).filter(Boolean) : []
+  }))
+});
+
+/**
+ * Admin settings for the firm's matter templates: the tasks, document folders, custom fields and
+ * default team a new case of a type can be opened with
+ */
+const MatterTemplatesSettings = () => {
+  const [templates, setTemplates] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  // Template being edited: { id, form }; id is null for a new template
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/matter-templates', { params: { includeInactive: true } });
+      setTemplates(response.data.data);
+    } catch (err) {
+      console.error('Error fetching matter templates:', err);
+      toast.error(err.response?.data?.message || 'Failed to load matter templates');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTemplates();
+    api.get('/users/all')
+      .then(response => setUsers(response.data.data || []))
+      .catch(err => console.error('Error fetching firm users:', err));
+  }, [fetchTemplates]);
+
+  const form = editing?.form;
+  const setForm = (changes) => setEditing(prev => ({ ...prev, form: { ...prev.form, ...changes } }));
+  const updateRow = (list, index, changes) => setForm({ [list]: form[list].map((row, i) => (i === index ? { ...row, ...changes } : row)) });
+  const removeRow = (list, index) => setForm({ [list]: form[list].filter((row, i) => i !== index) });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      const payload = toPayload(form);
+      const response = editing.id
+        ? await api.put(`/matter-templates/${editing.id}`, payload)
+        : await api.post('/matter-templates', payload);
+      toast.success(response.data.message);
+      setEditing(null);
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save matter template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"? Cases opened from it are not affected.`)) return;
+    try {
+      await api.delete(`/matter-templates/${template._id}`);
+      toast.success('Matter template deleted');
+      fetchTemplates();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete matter template');
+    }
+  };
+
+  const caseTypeLabel = (value) => CASE_TYPES.find(type => type.value === value)?.label || value;
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <LayoutTemplate size={20} />
+          <h2 className="font-semibold text-lg">Matter Templates</h2>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => setEditing({ id: null, form: EMPTY_TEMPLATE })}
+            className="inline-flex items-center gap-1 px-3 py-1 bg-black text-white rounded text-sm hover:bg-gray-800"
+          >
+            <Plus size={14} /> New Template
+          </button>
+        )}
+      </div>
+
+      {!editing && (
+        loading && templates.length === 0 ? (
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <Loader2 size={16} className="animate-spin" /> Loading...
+          </div>
+        ) : (
+          <ul className="divide-y text-sm">
+            {templates.length === 0 && <li className="py-2 text-gray-500">No matter templates yet.</li>}
+            {templates.map(template => (
+              <li key={template._id} className="py-2 flex items-center justify-between gap-4">
+                <div>
+                  <span className="font-medium">{template.name}</span>
+                  <span className="text-gray-500"> · {caseTypeLabel(template.caseType)}</span>
+                  {!template.active && <span className="ml-2 text-xs text-gray-400">(inactive)</span>}
+                  <div className="text-xs text-gray-500">
+                    {template.tasks.length} task(s), {template.folders.length} folder(s), {template.customFields.length} custom field(s), {template.team.length} team member(s)
+                  </div>
+                </div>
+                <div className="flex items-center gap-3">
+                  <button type="button" onClick={() => setEditing({ id: template._id, form: toForm(template) })} className="text-gray-600 hover:text-black" title="Edit">
+                    <Edit size={16} />
+                  </button>
+                  <button type="button" onClick={() => handleDelete(template)} className="text-red-600 hover:text-red-800" title="Delete">
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )
+      )}
+
+      {editing && (
+        <form onSubmit={handleSave} className="space-y-6 text-sm">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              className={inputClass}
+              placeholder="Template name"
+              value={form.name}
+              onChange={(e) => setForm({ name: e.target.value })}
+              required
+            />
+            <select className={inputClass} value={form.caseType} onChange={(e) => setForm({ caseType: e.target.value })} required>
+              <option value="">Case type</option>
+              {CASE_TYPES.map(type => <option key={type.value} value={type.value}>{type.label}</option>)}
+            </select>
+            <input
+              className={`${inputClass} md:col-span-2`}
+              placeholder="Description"
+              value={form.description}
+              onChange={(e) => setForm({ description: e.target.value })}
+            />
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={form.active} onChange={(e) => setForm({ active: e.target.checked })} />
+              Offered for new cases
+            </label>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium">Tasks</h3>
+              <button
+                type="button"
+                onClick={() => setForm({ tasks: [...form.tasks, { title: '', description: '', dueInDays: 0, priority: 'medium', assigneeRole: '' }] })}
+                className="text-blue-600 hover:underline"
+              >
+                Add task
+              </button>
+            </div>
+            {form.tasks.map((task, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2 items-center">
+                <input className={`${inputClass} col-span-4`} placeholder="Title" value={task.title} onChange={(e) => updateRow('tasks', index, { title: e.target.value })} required />
+                <input
+                  type="number"
+                  min="0"
+                  className={`${inputClass} col-span-2`}
+                  title="Days after the case start date"
+                  value={task.dueInDays}
+                  onChange={(e) => updateRow('tasks', index, { dueInDays: e.target.value })}
+                />
+                <select className={`${inputClass} col-span-2`} value={task.priority} onChange={(e) => updateRow('tasks', index, { priority: e.target.value })}>
+                  {PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+                </select>
+                <select className={`${inputClass} col-span-3`} value={task.assigneeRole} onChange={(e) => updateRow('tasks', index, { assigneeRole: e.target.value })}>
+                  <option value="">Responsible attorney</option>
+                  {TEAM_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                </select>
+                <button type="button" onClick={() => removeRow('tasks', index)} className="col-span-1 text-red-600 hover:text-red-800" title="Remove">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+            {form.tasks.length > 0 && <p className="text-xs text-gray-500">Due dates are in days after the case start date.</p>}
+          </div>
+
+          <div>
+            <h3 className="font-medium mb-2">Document Folders</h3>
+            <textarea
+              className={`${inputClass} w-full`}
+              rows={4}
+              placeholder={'One folder per line, e.g.\nPleadings/Drafts\nMedical Records'}
+              value={form.folders}
+              onChange={(e) => setForm({ folders: e.target.value })}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium">Custom Fields</h3>
+              <button
+                type="button"
+                onClick={() => setForm({ customFields: [...form.customFields, { key: '', label: '', type: 'text', options: '', required: false }] })}
+                className="text-blue-600 hover:underline"
+              >
+                Add field
+              </button>
+            </div>
+            {form.customFields.map((field, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2 items-center">
+                <input className={`${inputClass} col-span-3`} placeholder="Label" value={field.label} onChange={(e) => updateRow('customFields', index, { label: e.target.value })} required />
+                <input
+                  className={`${inputClass} col-span-2`}
+                  placeholder="key"
+                  pattern="[a-z][a-z0-9_]*"
+                  title="Lowercase letters, digits and underscores"
+                  value={field.key}
+                  onChange={(e) => updateRow('customFields', index, { key: e.target.value })}
+                  required
+                />
+                <select className={`${inputClass} col-span-2`} value={field.type} onChange={(e) => updateRow('customFields', index, { type: e.target.value })}>
+                  {FIELD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <input
+                  className={`${inputClass} col-span-3`}
+                  placeholder="Options, comma separated"
+                  value={field.options}
+                  onChange={(e) => updateRow('customFields', index, { options: e.target.value })}
+                  disabled={field.type !== 'select'}
+                />
+                <label className="col-span-1 flex items-center gap-1 text-xs">
+                  <input type="checkbox" checked={field.required} onChange={(e) => updateRow('customFields', index, { required: e.target.checked })} />
+                  Req.
+                </label>
+                <button type="button" onClick={() => removeRow('customFields', index)} className="col-span-1 text-red-600 hover:text-red-800" title="Remove">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="font-medium">Default Team</h3>
+              <button
+                type="button"
+                onClick={() => setForm({ team: [...form.team, { user: '', role: 'associate' }] })}
+                className="text-blue-600 hover:underline"
+              >
+                Add member
+              </button>
+            </div>
+            {form.team.map((member, index) => (
+              <div key={index} className="grid grid-cols-12 gap-2 mb-2 items-center">
+                <select className={`${inputClass} col-span-6`} value={member.user} onChange={(e) => updateRow('team', index, { user: e.target.value })} required>
+                  <option value="">Select colleague</option>
+                  {users.map(user => (
+                    <option key={user._id} value={user._id}>{`${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email}</option>
+                  ))}
+                </select>
+                <select className={`${inputClass} col-span-5`} value={member.role} onChange={(e) => updateRow('team', index, { role: e.target.value })}>
+                  {TEAM_ROLES.map(role => <option key={role.value} value={role.value}>{role.label}</option>)}
+                </select>
+                <button type="button" onClick={() => removeRow('team', index)} className="col-span-1 text-red-600 hover:text-red-800" title="Remove">
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button type="button" onClick={() => setEditing(null)} className="px-4 py-2 border rounded hover:bg-gray-50">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="px-4 py-2 bg-black text-white rounded hover:bg-gray-800 disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default MatterTemplatesSettings;
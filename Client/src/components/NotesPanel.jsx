@@ -0,0 +1,384 @@
+import React, { useState, useEffect, useCallback, useContext } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import { FileText, Loader2, Pin, PinOff, Reply, Edit, Trash2, History, Bold, Italic, List, Link as LinkIcon, Lock, ShieldAlert, X } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { AuthContext } from '../App';
+
+// Roles allowed to write and read confidential notes (server: notes.viewConfidential in config/permissions.js)
+const CONFIDENTIAL_ROLES = ['admin', 'partner', 'associate'];
+
+// Markdown inserted around the selection by the toolbar buttons
+const FORMATS = [
+  { key: 'bold', icon: Bold, title: 'Bold', before: '**', after: '**' },
+  { key: 'italic', icon: Italic, title: 'Italic', before: '_', after: '_' },
+  { key: 'list', icon: List, title: 'List', before: '\n- ', after: '' },
+  { key: 'link', icon: LinkIcon, title: 'Link', before: '[', after: '](https://)' }
+];
+
+const authorName = (author) => (author ? `${author.firstName || ''} ${author.lastName || ''}`.trim() || author.email : 'Unknown');
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const Markdown = ({ children }) => (
+  <div className="prose prose-sm max-w-none text-gray-700 break-words">
+    <ReactMarkdown remarkPlugins={[remarkGfm]}>{children}</ReactMarkdown>
+  </div>
+);
+
+/**
+ * Markdown editor with a formatting toolbar, a preview and the privileged / confidential flags
+ */
+const NoteEditor = ({ initial = {}, canMarkConfidential, showFlags = true, submitLabel, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initial.content || '');
+  const [privileged, setPrivileged] = useState(Boolean(initial.privileged));
+  const [confidential, setConfidential] = useState(Boolean(initial.confidential));
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [textarea, setTextarea] = useState(null);
+
+  const applyFormat = (format) => {
+    const start = textarea ? textarea.selectionStart : content.length;
+    const end = textarea ? textarea.selectionEnd : content.length;
+    setContent(content.slice(0, start) + format.before + content.slice(start, end) + format.after + content.slice(end));
+    setPreview(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+    try {
+      setSaving(true);
+      await onSubmit(showFlags ? { content, privileged, confidential } : { content });
+      setContent('');
+      setPrivileged(false);
+      setConfidential(false);
+      setPreview(false);
+    } catch (err) {
+      // The panel reports the error; the text is kept so it can be sent again
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border rounded-lg">
+      <div className="flex items-center gap-1 border-b px-2 py-1">
+        {FORMATS.map(format => (
+          <button
+            key={format.key}
+            type="button"
+            onClick={() => applyFormat(format)}
+            className="p-1 rounded text-gray-600 hover:bg-gray-100"
+            title={format.title}
+          >
+            <format.icon size={14} />
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => setPreview(!preview)}
+          className="ml-auto text-xs px-2 py-1 rounded text-gray-600 hover:bg-gray-100"
+        >
+          {preview ? 'Write' : 'Preview'}
+        </button>
+      </div>
+      {preview ? (
+        <div className="px-3 py-2 min-h-[6rem]">
+          {content.trim() ? <Markdown>{content}</Markdown> : <span className="text-sm text-gray-400">Nothing to preview</span>}
+        </div>
+      ) : (
+        <textarea
+          ref={setTextarea}
+          value={content}
+          onChange={(e) => setContent(e.target.value)}
+          rows={4}
+          placeholder="Write a note (Markdown supported)"
+          className="w-full px-3 py-2 text-sm border-0 focus:ring-0 resize-y"
+        />
+      )}
+      <div className="flex flex-wrap items-center gap-4 border-t px-3 py-2">
+        {showFlags && (
+          <>
+            <label className="flex items-center gap-2 text-sm text-gray-700" title="Withheld from client data exports">
+              <input type="checkbox" checked={privileged} onChange={(e) => setPrivileged(e.target.checked)} />
+              Privileged
+            </label>
+            {canMarkConfidential && (
+              <label className="flex items-center gap-2 text-sm text-gray-700" title="Only visible to attorneys and admins">
+                <input type="checkbox" checked={confidential} onChange={(e) => setConfidential(e.target.checked)} />
+                Confidential
+              </label>
+            )}
+          </>
+        )}
+        <div className="ml-auto flex gap-2">
+          {onCancel && (
+            <button type="button" onClick={onCancel} className="px-3 py-1 border rounded text-sm hover:bg-gray-50">
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={saving || !content.trim()}
+            className="px-3 py-1 bg-black text-white rounded text-sm hover:bg-gray-800 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+const NoteBadges = ({ note }) => (
+  <>
+    {note.pinned && (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-yellow-100 text-yellow-800">
+        <Pin size={10} /> Pinned
+      </span>
+    )}
+    {note.privileged && (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-purple-100 text-purple-800">
+        <ShieldAlert size={10} /> Privileged
+      </span>
+    )}
+    {note.confidential && (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-800">
+        <Lock size={10} /> Confidential
+      </span>
+    )}
+  </>
+);
+
+/**
+ * Note entries of a case, client, task or appointment, as threads with replies
+ * @param {string} entityType - 'Case', 'Client', 'Task' or 'Appointment'
+ * @param {string} entityId - The record the notes are attached to
+ */
+const NotesPanel = ({ entityType, entityId }) => {
+  const { user } = useContext(AuthContext);
+  const [notes, setNotes] = useState([]);
+  const [legacyNotes, setLegacyNotes] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [history, setHistory] = useState(null);
+
+  const userId = user?._id || user?.id;
+  const canMarkConfidential = CONFIDENTIAL_ROLES.includes(user?.role);
+
+  const fetchNotes = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/notes', { params: { entityType, entityId } });
+      setNotes(response.data.data);
+      setLegacyNotes(response.data.legacyNotes || null);
+    } catch (err) {
+      console.error('Error fetching notes:', err);
+      toast.error(err.response?.data?.message || 'Failed to load notes');
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    fetchNotes();
+  }, [fetchNotes]);
+
+  const handleCreate = async (values, parent) => {
+    try {
+      await api.post('/notes', { entityType, entityId, parent, ...values });
+      toast.success(parent ? 'Reply added' : 'Note added');
+      setReplyingTo(null);
+      fetchNotes();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add note');
+      throw err;
+    }
+  };
+
+  const handleUpdate = async (note, values) => {
+    try {
+      await api.put(`/notes/${note._id}`, values);
+      toast.success('Note updated');
+      setEditing(null);
+      fetchNotes();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update note');
+      throw err;
+    }
+  };
+
+  const handlePin = async (note) => {
+    try {
+      const response = await api.put(`/notes/${note._id}/pin`, { pinned: !note.pinned });
+      toast.success(response.data.message);
+      fetchNotes();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to pin note');
+    }
+  };
+
+  const handleDelete = async (note) => {
+    const replies = (note.replies || []).length;
+    if (!window.confirm(replies ? `Delete this note and its ${replies} repl${replies === 1 ? 'y' : 'ies'}?` : 'Delete this note?')) return;
+    try {
+      await api.delete(`/notes/${note._id}`);
+      toast.success('Note moved to the trash');
+      fetchNotes();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete note');
+    }
+  };
+
+  const handleShowHistory = async (note) => {
+    try {
+      const response = await api.get(`/notes/${note._id}/history`);
+      setHistory({ note, versions: response.data.data });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to load note history');
+    }
+  };
+
+  const renderNote = (note, isReply) => {
+    const isAuthor = String(note.author?._id) === String(userId);
+
+    if (editing === note._id) {
+      return (
+        <NoteEditor
+          initial={note}
+          canMarkConfidential={canMarkConfidential}
+          showFlags={!isReply}
+          submitLabel="Save"
+          onSubmit={(values) => handleUpdate(note, values)}
+          onCancel={() => setEditing(null)}
+        />
+      );
+    }
+
+    return (
+      <div>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+          <span className="font-medium text-gray-900">{authorName(note.author)}</span>
+          <span>{formatTime(note.createdAt)}</span>
+          {note.editedAt && (
+            <button type="button" onClick={() => handleShowHistory(note)} className="underline hover:text-gray-700" title="Show edit history">
+              edited
+            </button>
+          )}
+          <NoteBadges note={note} />
+          <div className="ml-auto flex items-center gap-2">
+            {!isReply && (
+              <button type="button" onClick={() => handlePin(note)} className="text-gray-500 hover:text-gray-800" title={note.pinned ? 'Unpin' : 'Pin'}>
+                {note.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+              </button>
+            )}
+            {!isReply && (
+              <button type="button" onClick={() => setReplyingTo(note._id)} className="text-gray-500 hover:text-gray-800" title="Reply">
+                <Reply size={14} />
+              </button>
+            )}
+            {note.editedAt && (
+              <button type="button" onClick={() => handleShowHistory(note)} className="text-gray-500 hover:text-gray-800" title="Edit history">
+                <History size={14} />
+              </button>
+            )}
+            {isAuthor && (
+              <button type="button" onClick={() => setEditing(note._id)} className="text-gray-500 hover:text-gray-800" title="Edit">
+                <Edit size={14} />
+              </button>
+            )}
+            <button type="button" onClick={() => handleDelete(note)} className="text-red-600 hover:text-red-800" title="Delete">
+              <Trash2 size={14} />
+            </button>
+          </div>
+        </div>
+        <Markdown>{note.content}</Markdown>
+      </div>
+    );
+  };
+
+  return (
+    <div className="border rounded-lg p-6">
+      <div className="flex items-center gap-2 mb-4">
+        <FileText size={20} />
+        <h2 className="font-semibold text-lg">Notes</h2>
+      </div>
+
+      <NoteEditor canMarkConfidential={canMarkConfidential} submitLabel="Add Note" onSubmit={(values) => handleCreate(values)} />
+
+      {loading && notes.length === 0 ? (
+        <div className="flex items-center gap-2 text-sm text-gray-500 mt-4">
+          <Loader2 size={16} className="animate-spin" /> Loading...
+        </div>
+      ) : (
+        <ul className="mt-4 space-y-4">
+          {notes.length === 0 && !legacyNotes && <li className="text-sm text-gray-500">No notes yet.</li>}
+          {notes.map(note => (
+            <li key={note._id} className={`rounded-lg p-4 ${note.pinned ? 'bg-yellow-50 border border-yellow-200' : 'bg-gray-50'}`}>
+              {renderNote(note, false)}
+              {(note.replies.length > 0 || replyingTo === note._id) && (
+                <ul className="mt-3 ml-4 pl-4 border-l space-y-3">
+                  {note.replies.map(reply => <li key={reply._id}>{renderNote(reply, true)}</li>)}
+                  {replyingTo === note._id && (
+                    <li>
+                      <NoteEditor
+                        showFlags={false}
+                        submitLabel="Reply"
+                        onSubmit={(values) => handleCreate(values, note._id)}
+                        onCancel={() => setReplyingTo(null)}
+                      />
+                    </li>
+                  )}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {legacyNotes && (
+        <div className="mt-6 pt-4 border-t">
+          <h3 className="text-sm font-medium text-gray-700 mb-2">Earlier notes</h3>
+          <div className="text-sm text-gray-700 whitespace-pre-line">{legacyNotes}</div>
+        </div>
+      )}
+
+      {history && (
+        <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-[80vh] overflow-y-auto p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-semibold">Edit History</h2>
+              <button type="button" onClick={() => setHistory(null)} className="text-gray-500 hover:text-gray-700">
+                <X size={18} />
+              </button>
+            </div>
+            <ul className="space-y-4">
+              {history.versions.map((version, index) => (
+                <li key={version._id || index} className="border rounded p-3">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                    <span>{index === 0 ? 'Original' : `Version ${index + 1}`}</span>
+                    <span>replaced {formatTime(version.editedAt)} by {authorName(version.editedBy)}</span>
+                    <NoteBadges note={version} />
+                  </div>
+                  <Markdown>{version.content}</Markdown>
+                </li>
+              ))}
+              <li className="border rounded p-3 border-black">
+                <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                  <span>Current</span>
+                  <NoteBadges note={history.note} />
+                </div>
+                <Markdown>{history.note.content}</Markdown>
+              </li>
+            </ul>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotesPanel;
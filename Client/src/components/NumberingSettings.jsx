@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Hash, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { CASE_TYPES } from './MatterTemplatesSettings';
+
+const SEQUENCES = [
+  { kind: 'matter', label: 'Matter numbers', example: 'civil' },
+  { kind: 'client', label: 'Client numbers' },
+];
+
+// Example of a number built from a pattern, as the server builds it (utils/numbering.js)
+const previewNumber = ({ pattern, prefix, padding }, typeCode) => {
+  const year = String(new Date().getFullYear());
+  return (pattern || '')
+    .replaceAll('{PREFIX}', prefix || '')
+    .replaceAll('{YYYY}', year)
+    .replaceAll('{YY}', year.slice(-2))
+    .replaceAll('{TYPE}', typeCode || '')
+    .replace('{SEQ}', '1'.padStart(Number(padding) || 1, '0'));
+};
+
+/**
+ * Firm settings for automatic matter (case) and client numbers: a pattern, prefix and sequence
+ * padding for each, and the case type codes used by {TYPE}. Shown to firm admins.
+ */
+const NumberingSettings = () => {
+  const [form, setForm] = useState(null);
+  const [options, setOptions] = useState({ tokens: {}, defaultCaseTypeCodes: {} });
+  const [showCodes, setShowCodes] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    api.get('/firm')
+      .then(response => {
+        const firm = response.data.data;
+        setForm({
+          matter: { ...firm.settings.numbering.matter },
+          client: { ...firm.settings.numbering.client },
+          caseTypeCodes: { ...(firm.settings.numbering.caseTypeCodes || {}) }
+        });
+        setOptions(firm.numberingOptions || { tokens: {}, defaultCaseTypeCodes: {} });
+      })
+      .catch(err => console.error('Error fetching numbering settings:', err));
+  }, []);
+
+  if (!form) return null;
+
+  const setSequence = (kind, field, value) => {
+    setForm(prev => ({ ...prev, [kind]: { ...prev[kind], [field]: value } }));
+  };
+
+  const typeCode = (caseType) => (
+    form.caseTypeCodes[caseType] || options.defaultCaseTypeCodes[caseType] || ''
+  ).toUpperCase();
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await api.put('/firm', {
+        settings: {
+          numbering: {
+            matter: { ...form.matter, padding: Number(form.matter.padding) },
+            client: { ...form.client, padding: Number(form.client.padding) },
+            caseTypeCodes: form.caseTypeCodes
+          }
+        }
+      });
+      toast.success('Numbering settings saved');
+    } catch (err) {
+      console.error('Error saving numbering settings:', err);
+      toast.error(err.response?.data?.message || 'Failed to save numbering settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center gap-2 mb-4">
+        <Hash size={20} />
+        <h2 className="font-semibold text-lg">Numbering</h2>
+      </div>
+      <form onSubmit={handleSave} className="space-y-4 text-sm">
+        <p className="text-xs text-gray-500">
+          New cases without a case number and all new clients get the next number of their sequence.
+          Tokens: {Object.entries(options.tokens).map(([token, description]) => `${token} (${description.toLowerCase()})`).join(', ')}.
+          Sequences restart every year when the pattern has a year, and count each case type separately when it has {'{TYPE}'}.
+        </p>
+
+        {SEQUENCES.map(({ kind, label, example }) => (
+          <div key={kind} className="space-y-2">
+            <h3 className="font-medium text-gray-700">{label}</h3>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <label className="block">
+                <span className="block text-gray-600 mb-1">Pattern</span>
+                <input
+                  type="text"
+                  value={form[kind].pattern}
+                  onChange={(e) => setSequence(kind, 'pattern', e.target.value)}
+                  className="w-full border rounded-md px-3 py-2 font-mono"
+                  required
+                />
+              </label>
+              <label className="block">
+                <span className="block text-gray-600 mb-1">Prefix</span>
+                <input
+                  type="text"
+                  value={form[kind].prefix}
+                  onChange={(e) => setSequence(kind, 'prefix', e.target.value)}
+                  className="w-full border rounded-md px-3 py-2 font-mono"
+                  maxLength={20}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-gray-600 mb-1">Sequence digits</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="10"
+                  value={form[kind].padding}
+                  onChange={(e) => setSequence(kind, 'padding', e.target.value)}
+                  className="w-24 border rounded-md px-3 py-2"
+                />
+              </label>
+            </div>
+            <p className="text-xs text-gray-500">
+              Example: <span className="font-mono">{previewNumber(form[kind], example && typeCode(example))}</span>
+            </p>
+          </div>
+        ))}
+
+        <div>
+          <button
+            type="button"
+            onClick={() => setShowCodes(prev => !prev)}
+            className="text-blue-600 hover:underline"
+          >
+            {showCodes ? 'Hide case type codes' : 'Edit case type codes'}
+          </button>
+          {showCodes && (
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3">
+              {CASE_TYPES.map(type => (
+                <label key={type.value} className="block">
+                  <span className="block text-gray-600 mb-1">{type.label}</span>
+                  <input
+                    type="text"
+                    value={form.caseTypeCodes[type.value] || ''}
+                    placeholder={options.defaultCaseTypeCodes[type.value]}
+                    onChange={(e) => setForm(prev => ({
+                      ...prev,
+                      caseTypeCodes: { ...prev.caseTypeCodes, [type.value]: e.target.value.toUpperCase() }
+                    }))}
+                    className="w-full border rounded-md px-3 py-2 font-mono"
+                    maxLength={10}
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default NumberingSettings;
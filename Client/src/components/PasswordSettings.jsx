@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { usePasswordPolicy } from '../utils/passwordPolicy';
+import { formatDateTime } from '../utils/formatDate';
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+/**
+ * Changing the signed-in user's password, with the firm's password policy shown.
+ * @param {Object} props
+ * @param {string} [props.passwordChangedAt] When the password was last changed
+ * @param {Function} props.onChanged Called after a change; the other sessions have been signed out
+ */
+const PasswordSettings = ({ passwordChangedAt, onChanged }) => {
+  const [form, setForm] = useState(EMPTY_PASSWORD_FORM);
+  const [busy, setBusy] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.newPassword !== form.confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+    try {
+      setBusy(true);
+      await api.post('/auth/change-password', {
+        currentPassword: form.currentPassword,
+        newPassword: form.newPassword
+      });
+      toast.success('Password changed. Your other devices have been signed out.');
+      setForm(EMPTY_PASSWORD_FORM);
+      onChanged();
+    } catch (err) {
+      console.error('Error changing password:', err);
+      toast.error(err.response?.data?.message || 'Failed to change password');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center gap-2 mb-4">
+        <Lock size={20} />
+        <h2 className="font-semibold text-lg">Password</h2>
+      </div>
+      <form onSubmit={handleSubmit} className="space-y-3 max-w-sm text-sm">
+        {passwordChangedAt && (
+          <p className="text-gray-500">Last changed {formatDateTime(passwordChangedAt)}</p>
+        )}
+        <input
+          type="password"
+          autoComplete="current-password"
+          value={form.currentPassword}
+          onChange={(e) => setForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+          placeholder="Current password"
+          className="w-full border rounded-md px-3 py-2"
+          required
+        />
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={form.newPassword}
+          onChange={(e) => setForm(prev => ({ ...prev, newPassword: e.target.value }))}
+          placeholder="New password"
+          className="w-full border rounded-md px-3 py-2"
+          required
+        />
+        <input
+          type="password"
+          autoComplete="new-password"
+          value={form.confirmPassword}
+          onChange={(e) => setForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+          placeholder="Confirm new password"
+          className="w-full border rounded-md px-3 py-2"
+          required
+        />
+        {passwordPolicy && <p className="text-xs text-gray-500">{passwordPolicy}</p>}
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+        >
+          {busy ? 'Saving...' : 'Change password'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default PasswordSettings;
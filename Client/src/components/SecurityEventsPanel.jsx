@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+const SECURITY_EVENT_LABELS = {
+  account_locked: 'Account locked',
+  account_unlocked: 'Account unlocked',
+  ip_throttled: 'Sign-ins blocked for IP address',
+  password_reset_throttled: 'Password reset requests blocked'
+};
+
+/**
+ * The firm's recent account lockouts and throttled sign-ins. Shown to firm admins.
+ */
+const SecurityEventsPanel = () => {
+  const [events, setEvents] = useState([]);
+
+  useEffect(() => {
+    api.get('/firm/security-events', { params: { limit: 20 } })
+      .then(response => setEvents(response.data.data || []))
+      .catch(err => console.error('Error fetching security events:', err));
+  }, []);
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex items-center gap-2 mb-4">
+        <ShieldAlert size={20} />
+        <h2 className="font-semibold text-lg">Security Events</h2>
+      </div>
+      {events.length === 0 ? (
+        <p className="text-sm text-gray-500">No lockouts or suspicious sign-in activity.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {events.map(event => (
+            <li key={event._id} className="py-3 text-sm">
+              <div className="font-medium text-gray-900">
+                {SECURITY_EVENT_LABELS[event.type] || event.type}
+                <span className="ml-2 font-normal text-gray-500">
+                  {event.user
+                    ? [event.user.firstName, event.user.lastName].filter(Boolean).join(' ') || event.user.email
+                    : event.email}
+                </span>
+              </div>
+              <div className="text-gray-500">
+                {event.ipAddress || 'Unknown IP'} · {formatDateTime(event.createdAt)}
+                {event.details?.attempts && ` · ${event.details.attempts} attempts`}
+                {event.details?.failedAttempts && ` · ${event.details.failedAttempts} failed attempts`}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SecurityEventsPanel;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Monitor, LogOut } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+/**
+ * The signed-in user's active sessions, one per device, with the option to revoke one or all others.
+ */
+const SessionsPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/auth/sessions');
+      setSessions(response.data.data || []);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      toast.error('Failed to load active sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevokeSession = async (sessionId) => {
+    try {
+      setRevokingId(sessionId);
+      await api.delete(`/auth/sessions/${sessionId}`);
+      toast.success('Session revoked');
+      setSessions(prev => prev.filter(session => session._id !== sessionId));
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      toast.error(err.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeOtherSessions = async () => {
+    try {
+      setRevokingId('all');
+      await api.delete('/auth/sessions?keepCurrent=true');
+      toast.success('Signed out of all other devices');
+      fetchSessions();
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      toast.error(err.response?.data?.message || 'Failed to revoke sessions');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center gap-2">
+          <Monitor size={20} />
+          <h2 className="font-semibold text-lg">Active Sessions</h2>
+        </div>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOtherSessions}
+            disabled={revokingId === 'all'}
+            className="flex items-center gap-2 px-3 py-1.5 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            <LogOut size={14} />
+            {revokingId === 'all' ? 'Signing out...' : 'Sign out all other devices'}
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+        </div>
+      ) : sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No active sessions.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {sessions.map(session => (
+            <li key={session._id} className="py-3 flex justify-between items-center">
+              <div className="text-sm">
+                <div className="font-medium text-gray-900">
+                  {session.deviceName || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">This device</span>
+                  )}
+                </div>
+                <div className="text-gray-500">
+                  {session.ipAddress || 'Unknown IP'} · Last active {formatDateTime(session.lastUsedAt)}
+                </div>
+                <div className="text-xs text-gray-400">Signed in {formatDateTime(session.createdAt)}</div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevokeSession(session._id)}
+                  disabled={revokingId === session._id}
+                  className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                >
+                  {revokingId === session._id ? 'Revoking...' : 'Revoke'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, ShieldCheck } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+
+/**
+ * Two-factor authentication for the signed-in user: setting it up with an authenticator app,
+ * regenerating recovery codes and turning it off (unless the firm requires it).
+ */
+const TwoFactorSettings = () => {
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      setTwoFactor(response.data.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const resetForm = () => {
+    setSetup(null);
+    setAction(null);
+    setForm({ code: '', password: '' });
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setBusy(true);
+      setRecoveryCodes([]);
+      const response = await api.post('/auth/2fa/setup');
+      setSetup(response.data.data);
+    } catch (err) {
+      console.error('Error starting two-factor setup:', err);
+      toast.error(err.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setBusy(true);
+      if (setup) {
+        const response = await api.post('/auth/2fa/enable', { code: form.code });
+        setRecoveryCodes(response.data.data.recoveryCodes || []);
+        toast.success('Two-factor authentication enabled');
+      } else if (action === 'regenerate') {
+        const response = await api.post('/auth/2fa/recovery-codes', { code: form.code });
+        setRecoveryCodes(response.data.data.recoveryCodes || []);
+        toast.success('New recovery codes generated');
+      } else if (action === 'disable') {
+        await api.post('/auth/2fa/disable', {
+          password: form.password,
+          code: form.code
+        });
+        setRecoveryCodes([]);
+        toast.success('Two-factor authentication disabled');
+      }
+      resetForm();
+      fetchStatus();
+    } catch (err) {
+      console.error('Error updating two-factor authentication:', err);
+      toast.error(err.response?.data?.message || 'Failed to update two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-lg p-6 bg-white">
+      <div className="flex justify-between items-center mb-4">
+        <div className="flex items-center gap-2">
+          <ShieldCheck size={20} />
+          <h2 className="font-semibold text-lg">Two-Factor Authentication</h2>
+        </div>
+        {twoFactor && (
+          <span className={`text-xs px-2 py-0.5 rounded-full ${twoFactor.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+            {twoFactor.enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        )}
+      </div>
+
+      {!twoFactor ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+        </div>
+      ) : (
+        <div className="space-y-4 text-sm text-gray-700">
+          {twoFactor.enabled ? (
+            <p>
+              Enabled {formatDateTime(twoFactor.enabledAt)} · {twoFactor.recoveryCodesRemaining} recovery codes remaining
+              {twoFactor.required && <span className="text-gray-500"> · Required by your firm</span>}
+            </p>
+          ) : (
+            <p>Protect your account by requiring a code from an authenticator app when you sign in.</p>
+          )}
+
+          {recoveryCodes.length > 0 && (
+            <div className="space-y-2">
+              <p className="font-medium text-gray-900">
+                Save these recovery codes somewhere safe. Each can be used once and they will not be shown again.
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-2 bg-gray-50 border rounded-md p-3 font-mono text-center">
+                {recoveryCodes.map(code => (
+                  <span key={code}>{code}</span>
+                ))}
+              </div>
+              <button onClick={() => setRecoveryCodes([])} className="text-sm text-blue-600 hover:text-blue-800">
+                I have saved these codes
+              </button>
+            </div>
+          )}
+
+          {setup || action ? (
+            <form onSubmit={handleSubmit} className="space-y-3 max-w-sm">
+              {setup && (
+                <div className="space-y-2">
+                  <p>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+                  <img src={setup.qrCode} alt="Two-factor QR code" className="h-40 w-40" />
+                  <p className="text-xs text-gray-500 break-all">Manual entry key: <span className="font-mono">{setup.secret}</span></p>
+                </div>
+              )}
+              {action === 'disable' && (
+                <input
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+                  placeholder="Current password"
+                  className="w-full border rounded-md px-3 py-2"
+                  required
+                />
+              )}
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                value={form.code}
+                onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.replace(/\D/g, '') }))}
+                placeholder="6-digit code"
+                maxLength={6}
+                className="w-full border rounded-md px-3 py-2 tracking-widest"
+                required
+              />
+              <div className="flex gap-2">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-3 py-1.5 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {busy ? 'Verifying...' : action === 'disable' ? 'Disable' : action === 'regenerate' ? 'Generate codes' : 'Enable'}
+                </button>
+                <button type="button" onClick={resetForm} className="px-3 py-1.5 border rounded-md hover:bg-gray-50">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : twoFactor.enabled ? (
+            <div className="flex gap-2">
+              <button
+                onClick={() => setAction('regenerate')}
+                className="px-3 py-1.5 text-sm border rounded-md hover:bg-gray-50"
+              >
+                Regenerate recovery codes
+              </button>
+              {!twoFactor.required && (
+                <button
+                  onClick={() => setAction('disable')}
+                  className="px-3 py-1.5 text-sm border border-red-300 text-red-600 rounded-md hover:bg-red-50"
+                >
+                  Disable
+                </button>
+              )}
+            </div>
+          ) : (
+            <button
+              onClick={handleStartSetup}
+              disabled={busy}
+              className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              {busy ? 'Preparing...' : 'Set up two-factor authentication'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
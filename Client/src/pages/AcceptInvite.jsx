@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaLock, FaUser, FaCheckCircle, FaSpinner } from 'react-icons/fa';
+import { usePasswordPolicy } from '../utils/passwordPolicy';
+
+const AcceptInvite = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const [invitation, setInvitation] = useState(null);
+  const [formData, setFormData] = useState({
+    username: '',
+    firstName: '',
+    lastName: '',
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loadError, setLoadError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
+
+  const { username, firstName, lastName, password, confirmPassword } = formData;
+
+  useEffect(() => {
+    const fetchInvitation = async () => {
+      try {
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users/invitations/accept/${token}`);
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'This invitation is no longer valid');
+        }
+
+        setInvitation(data.data);
+        setFormData(prev => ({
+          ...prev,
+          firstName: data.data.firstName || '',
+          lastName: data.data.lastName || ''
+        }));
+      } catch (err) {
+        console.error('Invitation lookup error:', err);
+        setLoadError(err.message || 'This invitation is no longer valid');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchInvitation();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (username.trim().length < 3) {
+      setError('Username must be at least 3 characters');
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/users/invitations/accept/${token}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username: username.trim(), firstName, lastName, password }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to accept invitation');
+      }
+
+      setSuccess(true);
+
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login');
+      }, 3000);
+
+    } catch (err) {
+      console.error('Accept invitation error:', err);
+      setError(err.message || 'An error occurred while accepting the invitation');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClassName = 'pl-10 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Accept Invitation
+        </h2>
+        {invitation && (
+          <p className="mt-2 text-center text-sm text-gray-600">
+            Join <span className="font-medium">{invitation.firm?.name || 'your firm'}</span> as{' '}
+            <span className="font-medium capitalize">{invitation.role}</span>
+          </p>
+        )}
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {isLoading ? (
+            <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+              <FaSpinner className="h-4 w-4 animate-spin" />
+              Loading invitation...
+            </div>
+          ) : loadError ? (
+            <div className="space-y-4">
+              <div className="rounded-md bg-red-50 p-4">
+                <p className="text-sm font-medium text-red-800">{loadError}</p>
+              </div>
+              <p className="text-sm text-gray-600">Ask your firm administrator to send you a new invitation.</p>
+            </div>
+          ) : success ? (
+            <div className="rounded-md bg-green-50 p-4">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <FaCheckCircle className="h-5 w-5 text-green-400" aria-hidden="true" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm font-medium text-green-800">
+                    Your account has been created! Redirecting to login...
+                  </p>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <form className="space-y-4" onSubmit={handleSubmit} autoComplete="on">
+              {error && (
+                <div className="rounded-md bg-red-50 p-4">
+                  <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700">Email</label>
+                <p className="mt-1 text-sm text-gray-900">{invitation.email}</p>
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+                <div>
+                  <label htmlFor="firstName" className="block text-sm font-medium text-gray-700">First name</label>
+                  <input
+                    id="firstName"
+                    name="firstName"
+                    type="text"
+                    value={firstName}
+                    onChange={handleChange}
+                    className="mt-1 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="lastName" className="block text-sm font-medium text-gray-700">Last name</label>
+                  <input
+                    id="lastName"
+                    name="lastName"
+                    type="text"
+                    value={lastName}
+                    onChange={handleChange}
+                    className="mt-1 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="username" className="block text-sm font-medium text-gray-700">Username</label>
+                <div className="mt-1 relative rounded-md shadow-sm">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaUser className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    id="username"
+                    name="username"
+                    type="text"
+                    autoComplete="username"
+                    required
+                    value={username}
+                    onChange={handleChange}
+                    className={inputClassName}
+                    placeholder="Choose a username"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700">Password</label>
+                <div className="mt-1 relative rounded-md shadow-sm">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    value={password}
+                    onChange={handleChange}
+                    className={inputClassName}
+                    placeholder="Choose a password"
+                  />
+                </div>
+                {passwordPolicy && (
+                  <p className="mt-1 text-xs text-gray-500">{passwordPolicy}</p>
+                )}
+              </div>
+
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700">Confirm Password</label>
+                <div className="mt-1 relative rounded-md shadow-sm">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    value={confirmPassword}
+                    onChange={handleChange}
+                    className={inputClassName}
+                    placeholder="Confirm your password"
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                  isSubmitting ? 'opacity-70 cursor-not-allowed' : ''
+                }`}
+              >
+                {isSubmitting ? 'Creating Account...' : 'Accept Invitation'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
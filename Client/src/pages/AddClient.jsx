@@ -3,6 +3,7 @@ import { ArrowLeft, User, MapPin, FileText, Loader2 } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-toastify';
 import Layout from '../components/Layout';
+import ConflictReview from '../components/ConflictReview';
 import api from '../utils/api';
 import countries from '../utils/countries';
 
@@ -28,6 +29,9 @@ const AddClient = () => {
   
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  // Potential conflicts of interest reported by the server, and why the user proceeds anyway
+  const [conflicts, setConflicts] = useState(null);
+  const [conflictJustification, setConflictJustification] = useState('');
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -86,6 +90,10 @@ const AddClient = () => {
     if (!validateForm()) {
       return;
     }
+    if (conflicts && !conflictJustification.trim()) {
+      toast.error('Please provide a justification for proceeding despite the potential conflicts.');
+      return;
+    }
     
     setIsSubmitting(true);
     
@@ -115,7 +123,8 @@ const AddClient = () => {
           zipCode: formData.address.zipCode.trim(),
           country: formData.address.country.trim()
         },
-        notes: formData.notes ? formData.notes.trim() : undefined
+        notes: formData.notes ? formData.notes.trim() : undefined,
+        conflictOverride: conflicts ? { justification: conflictJustification.trim() } : undefined
       };
       
       console.log('Sending client data:', JSON.stringify(clientData, null, 2));
@@ -148,6 +157,10 @@ const AddClient = () => {
           }
         });
         setErrors(serverErrors);
+      } else if (response.status === 409 && response.data?.conflicts) {
+        // Conflict check failed: show what was found and ask for a justification
+        setConflicts(response.data.conflicts);
+        toast.warn(response.data.message);
       } else {
         // Handle other API errors
         const errorMessage = response.data?.message || 'Failed to create client. Please check your input.';
@@ -408,6 +421,13 @@ const AddClient = () => {
               Include any relevant information such as referral source, case type, communication preferences, etc.
             </p>
           </div>
+          {conflicts && (
+            <ConflictReview
+              conflicts={conflicts}
+              justification={conflictJustification}
+              onJustificationChange={setConflictJustification}
+            />
+          )}
           <div className="flex justify-end gap-3">
             <button 
               type="button" 
@@ -426,7 +446,7 @@ const AddClient = () => {
                   Creating...
                 </>
               ) : (
-                'Create Client'
+                conflicts ? 'Create Client Anyway' : 'Create Client'
               )}
             </button>
           </div>
@@ -236,7 +236,7 @@ const AppointmentsList = () => {
                     </h3>
                     <div className="mt-2">
                       <p className="text-sm text-gray-800">
-                        Are you sure you want to delete the appointment "{appointmentToDelete.title}"? This action cannot be undone.
+                        Are you sure you want to delete the appointment "{appointmentToDelete.title}"? It will be moved to the trash with its notes, where it can be restored.
                       </p>
                     </div>
                   </div>
@@ -1,7 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, FileText, MapPin, Edit, Loader2, AlertCircle } from 'lucide-react';
+import { ArrowLeft, FileText, MapPin, Edit, Loader2, AlertCircle, Users, UserPlus, X } from 'lucide-react';
+import { toast } from 'react-toastify';
 import api from '../utils/api';
+import CaseTimeline from '../components/CaseTimeline';
+import CaseDeadlines from '../components/CaseDeadlines';
+import CaseStatusDialog, { STATUS_LABELS, CASE_OUTCOMES } from '../components/CaseStatusDialog';
+import { PARTICIPANT_ROLES } from '../components/CaseParticipantsEditor';
+import NotesPanel from '../components/NotesPanel';
+import { formatCustomFieldValue } from '../components/CustomFieldInputs';
+
+const TEAM_ROLES = [
+  { value: 'lead_counsel', label: 'Lead Counsel' },
+  { value: 'associate', label: 'Associate' },
+  { value: 'paralegal', label: 'Paralegal' },
+  { value: 'read_only', label: 'Read Only' }
+];
 
 const CaseDetails = () => {
   const { id } = useParams();
@@ -9,31 +23,100 @@ const CaseDetails = () => {
   const [caseData, setCaseData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [firmUsers, setFirmUsers] = useState([]);
+  const [newMember, setNewMember] = useState({ userId: '', role: 'associate' });
+  const [teamBusy, setTeamBusy] = useState(false);
+  const [activeTab, setActiveTab] = useState('overview');
+  const [showStatusDialog, setShowStatusDialog] = useState(false);
 
-  useEffect(() => {
-    const fetchCaseDetails = async () => {
-      try {
-        setLoading(true);
-        const response = await api.get(`/cases/${id}`);
-        if (response.data.success) {
-          setCaseData(response.data.data);
-        } else {
-          setError(response.data.message || 'Failed to load case details');
-        }
-      } catch (err) {
-        setError(err.response?.data?.message || 'Failed to load case details. Please try again later.');
-      } finally {
-        setLoading(false);
+  const fetchCaseDetails = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/cases/${id}`);
+      if (response.data.success) {
+        setCaseData(response.data.data);
+      } else {
+        setError(response.data.message || 'Failed to load case details');
       }
-    };
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load case details. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
 
+  useEffect(() => {
     if (id) {
       fetchCaseDetails();
     } else {
       setError('No case ID provided');
       setLoading(false);
     }
-  }, [id]);
+  }, [id, fetchCaseDetails]);
+
+  // Firm colleagues are only needed by people who can change the team
+  const canManageTeam = Boolean(caseData?.access?.canManageTeam);
+  useEffect(() => {
+    if (!canManageTeam) return;
+
+    const fetchFirmUsers = async () => {
+      try {
+        const response = await api.get('/users/all');
+        setFirmUsers(response.data.data || []);
+      } catch (err) {
+        console.error('Error fetching firm users:', err);
+      }
+    };
+
+    fetchFirmUsers();
+  }, [canManageTeam]);
+
+  const updateTeam = (team) => setCaseData(prev => ({ ...prev, team }));
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.userId) return;
+
+    try {
+      setTeamBusy(true);
+      const response = await api.post(`/cases/${id}/team`, newMember);
+      updateTeam(response.data.data);
+      setNewMember({ userId: '', role: 'associate' });
+      toast.success('Team member added');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add team member');
+    } finally {
+      setTeamBusy(false);
+    }
+  };
+
+  const handleChangeMemberRole = async (userId, role) => {
+    try {
+      setTeamBusy(true);
+      const response = await api.put(`/cases/${id}/team/${userId}`, { role });
+      updateTeam(response.data.data);
+      toast.success('Team member updated');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update team member');
+    } finally {
+      setTeamBusy(false);
+    }
+  };
+
+  const handleRemoveMember = async (userId) => {
+    try {
+      setTeamBusy(true);
+      const response = await api.delete(`/cases/${id}/team/${userId}`);
+      updateTeam(response.data.data);
+      toast.success('Team member removed');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to remove team member');
+    } finally {
+      setTeamBusy(false);
+    }
+  };
+
+  const formatRole = (role) => TEAM_ROLES.find(r => r.value === role)?.label || role;
 
   const formatDate = (dateString) => {
     if (!dateString) return 'N/A';
@@ -131,12 +214,14 @@ const CaseDetails = () => {
         >
           <ArrowLeft size={18} /> Back to Cases
         </button>
-        <button 
-          onClick={() => navigate(`/cases/${id}/edit`)}
-          className="bg-black text-white px-4 py-2 rounded flex items-center gap-2 hover:bg-gray-800"
-        >
-          <Edit size={16} /> Edit Case
-        </button>
+        {caseData.access?.canEdit !== false && (
+          <button 
+            onClick={() => navigate(`/cases/${id}/edit`)}
+            className="bg-black text-white px-4 py-2 rounded flex items-center gap-2 hover:bg-gray-800"
+          >
+            <Edit size={16} /> Edit Case
+          </button>
+        )}
       </div>
 
       <div className="flex items-center mb-2">
@@ -144,12 +229,57 @@ const CaseDetails = () => {
         <span className="ml-3 text-sm bg-green-100 text-green-700 px-3 py-1 rounded-full capitalize">
           {caseData.status?.replace('_', ' ')}
         </span>
+        {caseData.outcome && (
+          <span className="ml-2 text-sm bg-gray-100 text-gray-700 px-3 py-1 rounded-full">
+            {CASE_OUTCOMES.find(item => item.value === caseData.outcome)?.label || caseData.outcome}
+          </span>
+        )}
+        {caseData.access?.canEdit !== false && (
+          <button
+            type="button"
+            onClick={() => setShowStatusDialog(true)}
+            className="ml-3 text-sm text-gray-600 underline hover:text-gray-900"
+          >
+            Change status
+          </button>
+        )}
       </div>
       <p className="text-gray-500 mb-6">
         {caseData.caseNumber || 'No case number'}
         {caseData.caseType && ` · ${caseData.caseType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}`}
       </p>
 
+      <div className="flex gap-6 border-b mb-6">
+        {[{ value: 'overview', label: 'Overview' }, { value: 'deadlines', label: 'Deadlines' }, { value: 'timeline', label: 'Timeline' }].map(tab => (
+          <button
+            key={tab.value}
+            onClick={() => setActiveTab(tab.value)}
+            className={`pb-2 text-sm font-medium border-b-2 -mb-px ${
+              activeTab === tab.value ? 'border-black text-gray-900' : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {showStatusDialog && (
+        <CaseStatusDialog
+          caseData={caseData}
+          onClose={() => setShowStatusDialog(false)}
+          onChanged={(result) => {
+            setShowStatusDialog(false);
+            toast.success(result.message);
+            fetchCaseDetails();
+          }}
+        />
+      )}
+
+      {activeTab === 'timeline' && <CaseTimeline caseId={id} />}
+
+      {activeTab === 'deadlines' && <CaseDeadlines caseId={id} canEdit={caseData.access?.canEdit !== false} />}
+
+      {activeTab === 'overview' && (
       <div className="grid grid-cols-1 gap-6">
         <div className="space-y-6">
 
@@ -162,6 +292,7 @@ const CaseDetails = () => {
               <div className="space-y-2">
                 <div>Case Name: {caseData.caseName || 'N/A'}</div>
                 <div>Case Number: {caseData.caseNumber || 'N/A'}</div>
+                {caseData.docketNumber && <div>Court Docket Number: {caseData.docketNumber}</div>}
                 <div>Case Type: {caseData.caseType ? caseData.caseType.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) : 'N/A'}</div>
                 <div>Status: <span className="capitalize">{caseData.status?.replace('_', ' ') || 'N/A'}</span></div>
               </div>
@@ -170,8 +301,26 @@ const CaseDetails = () => {
                 <div>Duration: {calculateDuration(caseData.startDate, caseData.endDate)}</div>
                 <div>End Date: {caseData.endDate ? formatDate(caseData.endDate) : 'Ongoing'}</div>
                 {caseData.externalId && <div>External ID: {caseData.externalId}</div>}
+                {caseData.matterTemplate?.name && <div>Template: {caseData.matterTemplate.name}</div>}
               </div>
             </div>
+            {(caseData.customFieldDefinitions || []).length > 0 && (
+              <div className="mt-6 pt-6 border-t grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+                {caseData.customFieldDefinitions.map(field => (
+                  <div key={field.key}>{field.label}: {formatCustomFieldValue(field, caseData.customFields?.[field.key])}</div>
+                ))}
+              </div>
+            )}
+            {(caseData.documentFolders || []).length > 0 && (
+              <div className="mt-6 pt-6 border-t text-sm">
+                <h3 className="font-medium text-gray-700 mb-2">Document Folders</h3>
+                <ul className="text-gray-600">
+                  {caseData.documentFolders.map(folder => (
+                    <li key={folder} style={{ paddingLeft: `${folder.split('/').length - 1}rem` }}>{folder.split('/').pop()}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
             {caseData.description && (
               <div className="mt-6 pt-6 border-t">
                 <h3 className="font-medium text-gray-700 mb-2">Description</h3>
@@ -193,14 +342,78 @@ const CaseDetails = () => {
 
           <div className="border rounded-lg p-6">
             <div className="flex items-center gap-2 mb-4">
-              <FileText size={20} />
-              <h2 className="font-semibold text-lg">Case Notes</h2>
-            </div>
-            <div className="text-gray-700 whitespace-pre-line">
-              {caseData.notes || 'No case notes available'}
+              <Users size={20} />
+              <h2 className="font-semibold text-lg">Participants</h2>
             </div>
+            {(caseData.participants || []).length === 0 ? (
+              <div className="text-sm text-gray-500">No participants recorded</div>
+            ) : (
+              <ul className="space-y-3 text-sm text-gray-700">
+                {caseData.participants.map(participant => {
+                  const role = PARTICIPANT_ROLES.find(item => item.value === participant.role);
+                  const represented = participant.represents
+                    && caseData.participants.find(other => other._id === participant.represents);
+                  return (
+                    <li key={participant._id}>
+                      <div className="font-medium">
+                        {participant.name}
+                        <span className="ml-2 text-xs text-gray-500">{role ? role.label : participant.role}</span>
+                      </div>
+                      {participant.organization && <div className="text-gray-500">{participant.organization}</div>}
+                      {represented && <div className="text-gray-500">Represents {represented.name}</div>}
+                      {(participant.email || participant.phone) && (
+                        <div className="text-gray-500">{[participant.email, participant.phone].filter(Boolean).join(' · ')}</div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+            {caseData.conflictCheck?.checkedAt && (
+              <div className="mt-4 pt-4 border-t text-sm">
+                {caseData.conflictCheck.overridden ? (
+                  <>
+                    <div className="text-yellow-700 font-medium">
+                      Opened despite {caseData.conflictCheck.conflicts.length} potential conflict(s)
+                    </div>
+                    <div className="text-gray-600">Justification: {caseData.conflictCheck.justification}</div>
+                  </>
+                ) : (
+                  <div className="text-green-700">
+                    Conflict check cleared on {new Date(caseData.conflictCheck.checkedAt).toLocaleDateString()}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
+          <NotesPanel entityType="Case" entityId={caseData._id} />
+
+          {(caseData.statusHistory || []).length > 0 && (
+            <div className="border rounded-lg p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <FileText size={20} />
+                <h2 className="font-semibold text-lg">Status History</h2>
+              </div>
+              <ul className="space-y-3 text-sm">
+                {[...caseData.statusHistory].reverse().map(entry => (
+                  <li key={entry._id}>
+                    <div className="font-medium text-gray-900">
+                      {entry.from ? `${STATUS_LABELS[entry.from] || entry.from} → ` : 'Opened as '}
+                      {STATUS_LABELS[entry.to] || entry.to}
+                      {entry.outcome && ` (${CASE_OUTCOMES.find(item => item.value === entry.outcome)?.label || entry.outcome})`}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {new Date(entry.changedAt).toLocaleString()}
+                      {entry.changedBy && ` · ${[entry.changedBy.firstName, entry.changedBy.lastName].filter(Boolean).join(' ') || entry.changedBy.email}`}
+                    </div>
+                    {entry.reason && <div className="text-gray-600">{entry.reason}</div>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
         </div>
 
         <div className="space-y-6">
@@ -218,6 +431,91 @@ const CaseDetails = () => {
             </div>
           </div>
 
+          <div className="border rounded-lg p-6">
+            <div className="flex items-center gap-2 mb-4">
+              <Users size={20} />
+              <h2 className="font-semibold text-lg">Case Team</h2>
+            </div>
+            {(caseData.team || []).length === 0 ? (
+              <p className="text-sm text-gray-500">No team members assigned.</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {caseData.team.map(member => {
+                  const memberUser = member.user || {};
+                  const memberName = [memberUser.firstName, memberUser.lastName].filter(Boolean).join(' ') || memberUser.email || 'Unknown user';
+                  return (
+                    <li key={member._id} className="py-3 flex justify-between items-center gap-4">
+                      <div className="text-sm">
+                        <div className="font-medium text-gray-900">{memberName}</div>
+                        <div className="text-gray-500">{memberUser.email}</div>
+                      </div>
+                      {canManageTeam ? (
+                        <div className="flex items-center gap-2">
+                          <select
+                            value={member.role}
+                            onChange={(e) => handleChangeMemberRole(memberUser._id, e.target.value)}
+                            disabled={teamBusy}
+                            className="border rounded-md px-2 py-1 text-sm"
+                          >
+                            {TEAM_ROLES.map(role => (
+                              <option key={role.value} value={role.value}>{role.label}</option>
+                            ))}
+                          </select>
+                          <button
+                            onClick={() => handleRemoveMember(memberUser._id)}
+                            disabled={teamBusy}
+                            className="text-gray-400 hover:text-red-600 disabled:opacity-50"
+                            title="Remove from team"
+                          >
+                            <X size={16} />
+                          </button>
+                        </div>
+                      ) : (
+                        <span className="text-xs bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">{formatRole(member.role)}</span>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {canManageTeam && (
+              <form onSubmit={handleAddMember} className="mt-4 pt-4 border-t flex flex-col md:flex-row gap-2">
+                <select
+                  value={newMember.userId}
+                  onChange={(e) => setNewMember(prev => ({ ...prev, userId: e.target.value }))}
+                  className="flex-1 border rounded-md px-3 py-2 text-sm"
+                  required
+                >
+                  <option value="">Select a colleague...</option>
+                  {firmUsers
+                    .filter(u => !(caseData.team || []).some(member => member.user?._id === u._id))
+                    .map(u => (
+                      <option key={u._id} value={u._id}>
+                        {[u.firstName, u.lastName].filter(Boolean).join(' ') || u.email}
+                      </option>
+                    ))}
+                </select>
+                <select
+                  value={newMember.role}
+                  onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+                  className="border rounded-md px-3 py-2 text-sm"
+                >
+                  {TEAM_ROLES.map(role => (
+                    <option key={role.value} value={role.value}>{role.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="submit"
+                  disabled={teamBusy || !newMember.userId}
+                  className="bg-black text-white px-4 py-2 rounded flex items-center justify-center gap-2 hover:bg-gray-800 text-sm disabled:opacity-50"
+                >
+                  <UserPlus size={16} /> Add
+                </button>
+              </form>
+            )}
+          </div>
+
           <div className="border rounded-lg p-6">
             <h2 className="font-semibold text-lg mb-4">Record Information</h2>
             <div className="text-sm text-gray-500 space-y-2">
@@ -232,6 +530,7 @@ const CaseDetails = () => {
 
         </div>
       </div>
+      )}
     </div>
   );
 };
@@ -104,14 +104,15 @@ const CasesPage = () => {
     fetchCases();
   }, []);
 
-  // Handle case status update
-  const updateCaseStatus = async (caseId, newStatus) => {
+  // Handle case status update ({ status, reason, outcome, endDate } as the status workflow requires)
+  const updateCaseStatus = async (caseId, change) => {
     try {
       setLoading(true);
-      await api.patch(`/cases/${caseId}`, { status: newStatus });
+      const response = await api.patch(`/cases/${caseId}`, change);
+      const { status, outcome, endDate } = response.data.case;
       // Update the local state instead of refetching all cases
       setCases(cases.map(c => 
-        c._id === caseId ? { ...c, status: newStatus } : c
+        c._id === caseId ? { ...c, status, outcome, endDate } : c
       ));
       
       // Show success notification
@@ -176,6 +177,7 @@ const CasesPage = () => {
     const searchLower = searchQuery.trim().toLowerCase();
     const caseName = (caseItem.caseName || '').toLowerCase();
     const caseNumber = (caseItem.caseNumber || '').toLowerCase();
+    const docketNumber = (caseItem.docketNumber || '').toLowerCase();
     const clientNames = caseItem.clients && Array.isArray(caseItem.clients) 
       ? caseItem.clients.map(c => (c.name || '').toLowerCase()).join(' ') 
       : '';
@@ -187,6 +189,7 @@ const CasesPage = () => {
     const matchesSearch = searchQuery === '' || 
       caseName.includes(searchLower) ||
       caseNumber.includes(searchLower) ||
+      docketNumber.includes(searchLower) ||
       clientNames.includes(searchLower) ||
       caseType.includes(searchLower) ||
       court.includes(searchLower) ||
@@ -239,7 +242,7 @@ const CasesPage = () => {
       }));
       
       // Show success notification
-      showNotification('success', 'Case deleted successfully');
+      showNotification('success', 'Case moved to the trash');
       
     } catch (err) {
       console.error('Error deleting case:', err);
@@ -311,7 +314,7 @@ const CasesPage = () => {
               </h3>
               <div className="mt-2">
                 <p className="text-sm text-gray-800">
-                  Are you sure you want to delete this case? This action cannot be undone and all associated documents will be permanently removed.
+                  Are you sure you want to delete this case? It will be moved to the trash with its documents, tasks, appointments, drafts and notes, where it can be restored.
                 </p>
               </div>
             </div>
@@ -1,9 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useContext } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, User, MapPin, FileText, Phone, Calendar, Briefcase, Mail, Clock } from 'lucide-react';
+import { ArrowLeft, User, MapPin, FileText, Phone, Calendar, Briefcase, Mail, Clock, Send, Download, Lock, Trash2 } from 'lucide-react';
 import { toast } from 'react-toastify';
 import api from '../utils/api';
+import { AuthContext } from '../App';
 import countries from '../utils/countries';
+import NotesPanel from '../components/NotesPanel';
 
 const ClientDetails = () => {
   const { id } = useParams();
@@ -12,6 +14,17 @@ const ClientDetails = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showEmailDialog, setShowEmailDialog] = useState(false);
+  const [invitingToPortal, setInvitingToPortal] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const { user } = useContext(AuthContext);
+  // Data exports and erasure include every linked case, so only firm admins can run them
+  const canExportData = user?.role === 'admin';
+  const canEraseData = user?.role === 'admin';
+  const canManageLegalHold = ['admin', 'partner', 'associate'].includes(user?.role);
+  const [updatingHold, setUpdatingHold] = useState(false);
+  const [erasurePlan, setErasurePlan] = useState(null);
+  const [erasureReason, setErasureReason] = useState('');
+  const [erasing, setErasing] = useState(false);
 
   useEffect(() => {
     const fetchClient = async () => {
@@ -87,19 +100,102 @@ const ClientDetails = () => {
     setShowEmailDialog(false);
   };
 
-  const handleUpdateNotes = async (newNotes) => {
+  const handleInviteToPortal = async () => {
     try {
-      await api.put(`/clients/${id}`, { notes: newNotes });
-      // Update the local state to reflect the changes
-      setClient(prev => ({
-        ...prev,
-        notes: newNotes,
-        updatedAt: new Date().toISOString()
-      }));
-      toast.success('Notes updated successfully');
+      setInvitingToPortal(true);
+      const response = await api.post(`/clients/${id}/portal-invitation`);
+      toast.success(response.data.message || 'Portal invitation sent');
     } catch (error) {
-      console.error('Error updating notes:', error);
-      toast.error('Failed to update notes');
+      console.error('Error inviting client to portal:', error);
+      toast.error(error.response?.data?.message || 'Failed to send portal invitation');
+    } finally {
+      setInvitingToPortal(false);
+    }
+  };
+
+  const handleExportData = async () => {
+    try {
+      setExporting(true);
+      const response = await api.get(`/clients/${id}/export`, { responseType: 'blob' });
+      const match = /filename="([^"]+)"/.exec(response.headers['content-disposition'] || '');
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', match ? match[1] : `client-export-${id}.zip`);
+      document.body.appendChild(link);
+      link.click();
+
+      // Clean up
+      setTimeout(() => {
+        link.remove();
+        window.URL.revokeObjectURL(url);
+      }, 100);
+      toast.success('Client data export downloaded');
+    } catch (error) {
+      console.error('Error exporting client data:', error);
+      // Error bodies arrive as a blob because of the response type
+      let message = 'Failed to export client data';
+      if (error.response?.data instanceof Blob) {
+        try {
+          message = JSON.parse(await error.response.data.text()).message || message;
+        } catch (parseError) {
+          // Not JSON; keep the generic message
+        }
+      }
+      toast.error(message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleToggleLegalHold = async () => {
+    const placing = !client.legalHold?.active;
+    let reason;
+    if (placing) {
+      reason = window.prompt('Reason for the legal hold (e.g. litigation reference):');
+      if (!reason || !reason.trim()) return;
+    } else if (!window.confirm('Lift the legal hold on this client?')) {
+      return;
+    }
+
+    try {
+      setUpdatingHold(true);
+      const response = await api.put(`/clients/${id}/legal-hold`, { active: placing, reason });
+      setClient(prev => ({ ...prev, legalHold: response.data.legalHold }));
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error updating legal hold:', error);
+      toast.error(error.response?.data?.message || 'Failed to update legal hold');
+    } finally {
+      setUpdatingHold(false);
+    }
+  };
+
+  const openErasureDialog = async () => {
+    try {
+      const response = await api.get(`/clients/${id}/erasure`);
+      setErasureReason('');
+      setErasurePlan(response.data);
+    } catch (error) {
+      console.error('Error loading erasure plan:', error);
+      toast.error(error.response?.data?.message || 'Failed to prepare erasure');
+    }
+  };
+
+  const handleEraseClient = async () => {
+    try {
+      setErasing(true);
+      await api.post(`/clients/${id}/erasure`, { reason: erasureReason });
+      toast.success('Client data erased');
+      navigate('/clients');
+    } catch (error) {
+      console.error('Error erasing client:', error);
+      toast.error(error.response?.data?.message || 'Failed to erase client data');
+      if (error.response?.data?.blockers) {
+        setErasurePlan(prev => ({ ...prev, canErase: false, blockers: error.response.data.blockers }));
+      }
+    } finally {
+      setErasing(false);
     }
   };
 
@@ -167,6 +263,24 @@ const ClientDetails = () => {
                 <Mail size={16} /> Email
               </a>
             )}
+            {client.email && (
+              <button
+                onClick={handleInviteToPortal}
+                disabled={invitingToPortal}
+                className="px-4 py-2 border rounded-lg flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Send size={16} /> {invitingToPortal ? 'Inviting...' : 'Invite to Portal'}
+              </button>
+            )}
+            {canExportData && (
+              <button
+                onClick={handleExportData}
+                disabled={exporting}
+                className="px-4 py-2 border rounded-lg flex items-center gap-2 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Download size={16} /> {exporting ? 'Exporting...' : 'Export Data'}
+              </button>
+            )}
             <button 
               onClick={() => navigate(`/clients/${id}/edit`, { state: { from: 'clientDetails' } })}
               className="bg-black text-white px-4 py-2 rounded flex items-center gap-2 hover:bg-gray-800 transition-colors"
@@ -238,20 +352,10 @@ const ClientDetails = () => {
                 </div>
               </div>
               
-              {client.notes && (
-                <div className="mt-6 pt-6 border-t border-gray-100">
-                  <h3 className="text-sm font-medium text-gray-700 mb-3">Notes</h3>
-                  <div className="bg-gray-50 p-4 rounded-lg">
-                    {client.notes.split('\n').map((paragraph, index) => (
-                      <p key={index} className="text-gray-700 mb-2 last:mb-0">
-                        {paragraph || <br />}
-                      </p>
-                    ))}
-                  </div>
-                </div>
-              )}
             </div>
 
+            <NotesPanel entityType="Client" entityId={client._id} />
+
             <div className="border rounded-lg p-6">
               <div className="flex items-center gap-2 mb-6">
                 <MapPin size={20} />
@@ -310,6 +414,13 @@ const ClientDetails = () => {
             <div className="border rounded-lg p-6">
               <h2 className="font-semibold text-lg mb-6">Record Information</h2>
               <div className="space-y-4">
+                {client.clientNumber && (
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-500 mb-1">Client Number</h3>
+                    <p className="text-sm text-gray-900">{client.clientNumber}</p>
+                  </div>
+                )}
+
                 <div>
                   <h3 className="text-sm font-medium text-gray-500 mb-1">Created</h3>
                   <p className="text-sm text-gray-900">{formatDate(client.createdAt)}</p>
@@ -326,6 +437,18 @@ const ClientDetails = () => {
                     Active
                   </span>
                 </div>
+
+                {client.legalHold?.active && (
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-500 mb-1">Legal Hold</h3>
+                    <span className="inline-flex items-center gap-1 px-2.5 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">
+                      <Lock size={12} /> On hold
+                    </span>
+                    {client.legalHold.reason && (
+                      <p className="text-sm text-gray-600 mt-1">{client.legalHold.reason}</p>
+                    )}
+                  </div>
+                )}
               </div>
               
               <div className="mt-6 pt-6 border-t border-gray-100">
@@ -350,6 +473,27 @@ const ClientDetails = () => {
                       <Mail size={16} className="text-gray-400" />
                     </button>
                   )}
+
+                  {canManageLegalHold && !client.erasedAt && (
+                    <button
+                      onClick={handleToggleLegalHold}
+                      disabled={updatingHold}
+                      className="flex items-center justify-between w-full px-4 py-2 text-sm text-left text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      <span>{client.legalHold?.active ? 'Lift Legal Hold' : 'Place Legal Hold'}</span>
+                      <Lock size={16} className="text-gray-400" />
+                    </button>
+                  )}
+
+                  {canEraseData && !client.erasedAt && (
+                    <button
+                      onClick={openErasureDialog}
+                      className="flex items-center justify-between w-full px-4 py-2 text-sm text-left text-red-700 bg-white border border-red-200 rounded-lg hover:bg-red-50"
+                    >
+                      <span>Erase Client Data</span>
+                      <Trash2 size={16} className="text-red-400" />
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -427,6 +571,76 @@ const ClientDetails = () => {
           </div>
         </div>
       )}
+
+      {/* Erasure Dialog */}
+      {erasurePlan && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Erase Client Data</h3>
+
+            {erasurePlan.canErase ? (
+              <div className="space-y-3 text-sm text-gray-700">
+                <p>
+                  This permanently removes {fullName}'s personal details, their portal account,
+                  and the following records. It cannot be undone.
+                </p>
+                <ul className="list-disc pl-5 space-y-1">
+                  <li>{erasurePlan.remove.cases.length} case(s) belonging only to this client</li>
+                  <li>{erasurePlan.remove.documents} document(s) and their files</li>
+                  <li>{erasurePlan.remove.tasks} task(s) and {erasurePlan.remove.appointments} appointment(s)</li>
+                  <li>{erasurePlan.remove.drafts} AI draft(s)</li>
+                  <li>{erasurePlan.remove.notes} note(s)</li>
+                  <li>{erasurePlan.remove.portalAccounts} portal account(s)</li>
+                </ul>
+                {erasurePlan.retain.cases.length > 0 && (
+                  <p>
+                    {erasurePlan.retain.cases.length} case(s) shared with other clients will be kept;
+                    this client is only removed from them.
+                  </p>
+                )}
+                <div>
+                  <label htmlFor="erasureReason" className="block font-medium text-gray-700 mb-1">Reason</label>
+                  <textarea
+                    id="erasureReason"
+                    value={erasureReason}
+                    onChange={(e) => setErasureReason(e.target.value)}
+                    rows={3}
+                    placeholder="e.g. Erasure request received from the client on 1 March"
+                    className="w-full border rounded-md px-3 py-2"
+                  />
+                </div>
+              </div>
+            ) : (
+              <div className="space-y-3 text-sm text-gray-700">
+                <p>This client cannot be erased yet:</p>
+                <ul className="list-disc pl-5 space-y-1 text-red-700">
+                  {erasurePlan.blockers.map((blocker, index) => (
+                    <li key={index}>{blocker.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="mt-6 flex justify-end gap-2">
+              <button
+                onClick={() => setErasurePlan(null)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+              >
+                {erasurePlan.canErase ? 'Cancel' : 'Close'}
+              </button>
+              {erasurePlan.canErase && (
+                <button
+                  onClick={handleEraseClient}
+                  disabled={erasing || !erasureReason.trim()}
+                  className="px-4 py-2 text-sm font-medium text-white bg-red-600 rounded-lg hover:bg-red-700 disabled:opacity-50"
+                >
+                  {erasing ? 'Erasing...' : 'Erase Permanently'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
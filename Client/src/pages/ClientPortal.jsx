@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Briefcase, FileText, Calendar, ClipboardList, Download, Upload, LogOut, Loader2 } from 'lucide-react';
+import { toast } from 'react-toastify';
+import { AuthContext } from '../App';
+import api from '../utils/api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+const formatStatus = (status) => (status ? status.replace(/_/g, ' ') : '');
+
+const Section = ({ icon: Icon, title, count, children }) => (
+  <div className="bg-white rounded-lg shadow p-6">
+    <h2 className="text-lg font-semibold mb-4 flex items-center gap-2">
+      <Icon size={20} /> {title}
+      {count !== undefined && <span className="text-sm font-normal text-gray-500">({count})</span>}
+    </h2>
+    {children}
+  </div>
+);
+
+const ClientPortal = () => {
+  const { user, logout } = useContext(AuthContext);
+  const [portal, setPortal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [uploadForm, setUploadForm] = useState({ title: '', caseId: '', file: null });
+  const [uploading, setUploading] = useState(false);
+
+  const fetchPortal = useCallback(async () => {
+    try {
+      const response = await api.get('/portal');
+      setPortal(response.data);
+      setError('');
+    } catch (err) {
+      console.error('Error loading client portal:', err);
+      setError(err.response?.data?.message || 'Failed to load your portal');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchPortal();
+  }, [fetchPortal]);
+
+  const handleDownload = async (doc) => {
+    try {
+      const response = await api.get(`/portal/documents/${doc._id}/download`, { responseType: 'blob' });
+      const url = URL.createObjectURL(new Blob([response.data], { type: doc.fileType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = doc.originalName || doc.title;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Error downloading document:', err);
+      toast.error('Failed to download document');
+    }
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!uploadForm.file) {
+      toast.error('Please choose a file to upload');
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', uploadForm.file);
+    if (uploadForm.title) formData.append('title', uploadForm.title);
+    if (uploadForm.caseId) formData.append('caseId', uploadForm.caseId);
+
+    try {
+      setUploading(true);
+      await api.post('/portal/documents', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 60000,
+      });
+      toast.success('Document sent to your lawyer');
+      setUploadForm({ title: '', caseId: '', file: null });
+      e.target.reset();
+      fetchPortal();
+    } catch (err) {
+      console.error('Error uploading document:', err);
+      toast.error(err.response?.data?.message || 'Failed to upload document');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-screen">
+        <Loader2 className="h-8 w-8 animate-spin text-gray-500" />
+      </div>
+    );
+  }
+
+  const { cases = [], documents = [], appointments = [], requests = [] } = portal || {};
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-black text-white">
+        <div className="max-w-5xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div>
+            <h1 className="text-xl font-bold">{portal?.firm?.name || 'Client Portal'}</h1>
+            <p className="text-sm text-gray-300">Client portal</p>
+          </div>
+          <div className="flex items-center gap-4">
+            <span className="text-sm hidden sm:inline">
+              {[user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email}
+            </span>
+            <button
+              onClick={logout}
+              className="flex items-center gap-2 px-3 py-2 border border-gray-600 rounded hover:bg-gray-800"
+            >
+              <LogOut size={16} /> Sign out
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto px-4 py-8 space-y-6">
+        {error ? (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">{error}</div>
+        ) : (
+          <>
+            <Section icon={ClipboardList} title="Requests from your lawyer" count={requests.length}>
+              {requests.length === 0 ? (
+                <p className="text-gray-500 text-sm">Nothing is needed from you right now.</p>
+              ) : (
+                <ul className="divide-y">
+                  {requests.map(request => (
+                    <li key={request._id} className="py-3">
+                      <div className="flex justify-between gap-4">
+                        <span className="font-medium">{request.title}</span>
+                        <span className="text-sm text-gray-500 whitespace-nowrap">Due {formatDate(request.dueDate)}</span>
+                      </div>
+                      {request.description && <p className="text-sm text-gray-600 mt-1">{request.description}</p>}
+                      {request.case && <p className="text-xs text-gray-400 mt-1">{request.case.caseName}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section icon={Briefcase} title="Your cases" count={cases.length}>
+              {cases.length === 0 ? (
+                <p className="text-gray-500 text-sm">No cases yet.</p>
+              ) : (
+                <ul className="divide-y">
+                  {cases.map(c => (
+                    <li key={c._id} className="py-3 flex justify-between gap-4">
+                      <div>
+                        <p className="font-medium">{c.caseName}</p>
+                        <p className="text-sm text-gray-500">
+                          {[c.caseNumber, c.docketNumber && `Docket ${c.docketNumber}`, c.caseType, c.court].filter(Boolean).join(' · ')}
+                        </p>
+                        {c.responsibleAttorney && (
+                          <p className="text-xs text-gray-400 mt-1">
+                            Lawyer: {c.responsibleAttorney.firstName} {c.responsibleAttorney.lastName}
+                            {c.responsibleAttorney.email && ` (${c.responsibleAttorney.email})`}
+                          </p>
+                        )}
+                      </div>
+                      <span className="text-sm capitalize text-gray-600 whitespace-nowrap">{formatStatus(c.status)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section icon={Calendar} title="Upcoming appointments" count={appointments.length}>
+              {appointments.length === 0 ? (
+                <p className="text-gray-500 text-sm">No upcoming appointments.</p>
+              ) : (
+                <ul className="divide-y">
+                  {appointments.map(appointment => (
+                    <li key={appointment._id} className="py-3 flex justify-between gap-4">
+                      <div>
+                        <p className="font-medium">{appointment.title}</p>
+                        {appointment.location && <p className="text-sm text-gray-500">{appointment.location}</p>}
+                      </div>
+                      <span className="text-sm text-gray-600 whitespace-nowrap">{formatDateTime(appointment.startTime)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </Section>
+
+            <Section icon={FileText} title="Documents" count={documents.length}>
+              {documents.length === 0 ? (
+                <p className="text-gray-500 text-sm">No documents have been shared with you yet.</p>
+              ) : (
+                <ul className="divide-y mb-6">
+                  {documents.map(doc => (
+                    <li key={doc._id} className="py-3 flex justify-between items-center gap-4">
+                      <div>
+                        <p className="font-medium">{doc.title}</p>
+                        <p className="text-xs text-gray-400">
+                          {formatDate(doc.uploadDate)}
+                          {doc.case && ` · ${doc.case.caseName}`}
+                          {doc.uploadedBy?._id === (user?._id || user?.id) && ' · Uploaded by you'}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => handleDownload(doc)}
+                        className="flex items-center gap-1 text-sm px-3 py-1 border rounded hover:bg-gray-50"
+                      >
+                        <Download size={14} /> Download
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <form onSubmit={handleUpload} className="border-t pt-4 space-y-3">
+                <h3 className="font-medium flex items-center gap-2"><Upload size={16} /> Send a document to your lawyer</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                  <input
+                    type="text"
+                    placeholder="Title (optional)"
+                    value={uploadForm.title}
+                    onChange={(e) => setUploadForm(prev => ({ ...prev, title: e.target.value }))}
+                    className="border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  />
+                  {cases.length > 0 && (
+                    <select
+                      value={uploadForm.caseId}
+                      onChange={(e) => setUploadForm(prev => ({ ...prev, caseId: e.target.value }))}
+                      className="border border-gray-300 rounded-md py-2 px-3 text-sm bg-white"
+                    >
+                      <option value="">Not related to a specific case</option>
+                      {cases.map(c => <option key={c._id} value={c._id}>{c.caseName}</option>)}
+                    </select>
+                  )}
+                </div>
+                <input
+                  type="file"
+                  accept=".pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.jpg,.jpeg,.png"
+                  onChange={(e) => setUploadForm(prev => ({ ...prev, file: e.target.files[0] || null }))}
+                  className="block text-sm"
+                />
+                <button
+                  type="submit"
+                  disabled={uploading}
+                  className="bg-black text-white px-4 py-2 rounded text-sm hover:bg-gray-800 disabled:opacity-50"
+                >
+                  {uploading ? 'Uploading...' : 'Upload'}
+                </button>
+              </form>
+            </Section>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ClientPortal;
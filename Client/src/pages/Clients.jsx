@@ -49,7 +49,7 @@ const ClientCard = memo(({ client, onView, onDelete }) => {
     }
   };
   
-  const { _id, firstName, lastName, email, phone, address, notes, createdAt, occupation } = client;
+  const { _id, clientNumber, firstName, lastName, email, phone, address, notes, createdAt, occupation } = client;
   
   // Format location from address object
   const location = address ? [
@@ -79,6 +79,7 @@ const ClientCard = memo(({ client, onView, onDelete }) => {
           <div className="flex justify-between items-start">
             <h2 className="text-base sm:text-lg font-semibold text-gray-900">
               {[firstName, lastName].filter(Boolean).join(' ') || 'Unnamed Client'}
+              {clientNumber && <span className="ml-2 text-xs font-normal text-gray-500">{clientNumber}</span>}
             </h2>
             <div className="flex items-center space-x-1">
               <button
@@ -192,6 +193,7 @@ const Clients = () => {
       (client.firstName && client.firstName.toLowerCase().includes(term)) ||
       (client.lastName && client.lastName.toLowerCase().includes(term)) ||
       (client.email && client.email.toLowerCase().includes(term)) ||
+      (client.clientNumber && client.clientNumber.toLowerCase().includes(term)) ||
       (client.phone && client.phone.includes(term)) ||
       (client.occupation && client.occupation.toLowerCase().includes(term))
     );
@@ -224,17 +226,14 @@ const Clients = () => {
     try {
       setIsDeleting(true);
       
-      // In a real app, you would make an API call here
-      // await api.delete(`/clients/${clientToDelete}`);
-      
-      // For demo purposes, we'll just remove it from the local state
+      await api.delete(`/clients/${clientToDelete}`);
       setClients(prevClients => prevClients.filter(client => client._id !== clientToDelete));
       
-      showNotification('success', 'Client deleted successfully');
+      showNotification('success', 'Client moved to the trash');
       setClientToDelete(null);
     } catch (err) {
       console.error('Error deleting client:', err);
-      showNotification('error', 'Failed to delete client. Please try again.');
+      showNotification('error', err.response?.data?.message || 'Failed to delete client. Please try again.');
     } finally {
       setIsDeleting(false);
     }
@@ -286,7 +285,7 @@ const Clients = () => {
                   </h3>
                   <div className="mt-2">
                     <p className="text-sm text-gray-500">
-                      Are you sure you want to delete this client? This action cannot be undone and will permanently remove all associated data.
+                      Are you sure you want to delete this client? They will be moved to the trash with their documents, tasks, appointments and drafts that are not on a case, where they can be restored.
                     </p>
                   </div>
                 </div>
@@ -1,5 +1,9 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import api, { applyAuthHeaders } from '../utils/api';
+import CaseParticipantsEditor from '../components/CaseParticipantsEditor';
+import ConflictReview from '../components/ConflictReview';
+import CustomFieldInputs from '../components/CustomFieldInputs';
 
 const CreateCase = () => {
   const navigate = useNavigate();
@@ -7,6 +11,7 @@ const CreateCase = () => {
     caseName: '',
     caseType: '',
     caseNumber: '',
+    docketNumber: '',
     startDate: '',
     endDate: '',
     status: 'open',
@@ -14,10 +19,31 @@ const CreateCase = () => {
     court: '',
     jurisdiction: '',
     notes: '',
-    externalId: ''
+    externalId: '',
+    participants: []
   });
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  // Potential conflicts of interest reported by the server, and why the user proceeds anyway
+  const [conflicts, setConflicts] = useState(null);
+  const [conflictJustification, setConflictJustification] = useState('');
+  // Matter templates of the selected case type, the chosen one and its custom field values
+  const [templates, setTemplates] = useState([]);
+  const [templateId, setTemplateId] = useState('');
+  const [customFields, setCustomFields] = useState({});
+
+  const template = templates.find(item => item._id === templateId);
+
+  useEffect(() => {
+    setTemplates([]);
+    setTemplateId('');
+    setCustomFields({});
+    if (!formData.caseType) return;
+
+    api.get('/matter-templates', { params: { caseType: formData.caseType } })
+      .then(response => setTemplates(response.data.data))
+      .catch(err => console.error('Error fetching matter templates:', err));
+  }, [formData.caseType]);
 
   const handleChange = (field, value) => {
     setFormData(prev => ({
@@ -29,9 +55,16 @@ const CreateCase = () => {
   const validateForm = () => {
     const newErrors = {};
     if (!formData.caseName.trim()) newErrors.caseName = 'Case name is required';
-    if (!formData.caseNumber.trim()) newErrors.caseNumber = 'Case number is required';
     if (!formData.caseType) newErrors.caseType = 'Case type is required';
     if (!formData.startDate) newErrors.startDate = 'Start date is required';
+    (template?.customFields || []).forEach(field => {
+      if (field.required && field.type !== 'checkbox' && [undefined, ''].includes(customFields[field.key])) {
+        newErrors.customFields = `${field.label} is required`;
+      }
+    });
+    if (conflicts && !conflictJustification.trim()) {
+      newErrors.form = 'Please provide a justification for proceeding despite the potential conflicts.';
+    }
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -47,13 +80,17 @@ const CreateCase = () => {
       
       const response = await fetch(`${process.env.REACT_APP_API_URL}/api/cases`, {
         method: 'POST',
-        headers: {
+        headers: applyAuthHeaders({
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
           'Accept': 'application/json'
-        },
+        }, 'post'),
         credentials: 'include',
-        body: JSON.stringify(formData)
+        body: JSON.stringify({
+          ...formData,
+          matterTemplate: template ? template._id : undefined,
+          customFields: template ? customFields : undefined,
+          conflictOverride: conflicts ? { justification: conflictJustification.trim() } : undefined
+        })
       });
       
       console.log('Response status:', response.status);
@@ -74,6 +111,13 @@ const CreateCase = () => {
         throw new Error('Invalid response from server');
       }
       
+      // Conflict check failed: show what was found and ask for a justification
+      if (response.status === 409 && result?.conflicts) {
+        setConflicts(result.conflicts);
+        setErrors(prev => ({ ...prev, form: result.message }));
+        return;
+      }
+
       if (!response.ok) {
         console.error('API Error:', result);
         throw new Error(result?.message || `Failed to create case. Status: ${response.status}`);
@@ -157,15 +201,16 @@ const CreateCase = () => {
             
             <div className="space-y-2">
               <label className="block text-sm font-medium text-gray-700">
-                Case Number <span className="text-red-500">*</span>
+                Case Number
               </label>
               <input
                 type="text"
                 className={`w-full px-3 py-2 border ${errors.caseNumber ? 'border-red-500' : 'border-gray-300'} rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500`}
                 value={formData.caseNumber}
                 onChange={(e) => handleChange('caseNumber', e.target.value)}
-                required
+                placeholder="Assigned automatically"
               />
+              <p className="text-xs text-gray-500">Leave empty to use the firm's next matter number.</p>
               {errors.caseNumber && <p className="text-sm text-red-600">{errors.caseNumber}</p>}
             </div>
             
@@ -184,6 +229,47 @@ const CreateCase = () => {
           </div>
         </div>
 
+        {templates.length > 0 && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-xl font-semibold text-gray-800 mb-6 pb-2 border-b">Matter Template</h2>
+            <div className="space-y-6">
+              <div className="space-y-2">
+                <select
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={templateId}
+                  onChange={(e) => {
+                    setTemplateId(e.target.value);
+                    setCustomFields({});
+                  }}
+                >
+                  <option value="">No template</option>
+                  {templates.map(item => <option key={item._id} value={item._id}>{item.name}</option>)}
+                </select>
+                {template && (
+                  <div className="text-sm text-gray-600 space-y-1">
+                    {template.description && <p>{template.description}</p>}
+                    <p>
+                      Creates {template.tasks.length} task(s) due from the start date
+                      {template.folders.length > 0 && ` and the document folders ${template.folders.join(', ')}`}.
+                    </p>
+                    {template.team.length > 0 && (
+                      <p>
+                        Adds to the case team:{' '}
+                        {template.team.map(member => `${member.user?.firstName || ''} ${member.user?.lastName || ''}`.trim() + ` (${member.role.replace('_', ' ')})`).join(', ')}
+                      </p>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {template?.customFields.length > 0 && (
+                <CustomFieldInputs fields={template.customFields} values={customFields} onChange={setCustomFields} />
+              )}
+              {errors.customFields && <p className="text-sm text-red-600">{errors.customFields}</p>}
+            </div>
+          </div>
+        )}
+
         <div className="bg-white rounded-lg shadow p-6">
           <h2 className="text-xl font-semibold text-gray-800 mb-6 pb-2 border-b">Status & Timeline</h2>
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -196,11 +282,9 @@ const CreateCase = () => {
                 value={formData.status}
                 onChange={(e) => handleChange('status', e.target.value)}
               >
+                {/* Later statuses are reached by changing the status of the case */}
                 <option value="open">Open</option>
                 <option value="pending">Pending</option>
-                <option value="on_hold">On Hold</option>
-                <option value="closed">Closed</option>
-                <option value="archived">Archived</option>
               </select>
             </div>
             
@@ -269,6 +353,19 @@ const CreateCase = () => {
                   onChange={(e) => handleChange('jurisdiction', e.target.value)}
                 />
               </div>
+
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Court Docket Number
+                </label>
+                <input
+                  type="text"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  value={formData.docketNumber}
+                  onChange={(e) => handleChange('docketNumber', e.target.value)}
+                  placeholder="Number assigned by the court"
+                />
+              </div>
             </div>
           </div>
         </div>
@@ -303,6 +400,19 @@ const CreateCase = () => {
           </div>
         </div>
 
+        <CaseParticipantsEditor
+          participants={formData.participants}
+          onChange={(participants) => handleChange('participants', participants)}
+        />
+
+        {conflicts && (
+          <ConflictReview
+            conflicts={conflicts}
+            justification={conflictJustification}
+            onJustificationChange={setConflictJustification}
+          />
+        )}
+
         {errors.form && (
           <div className="bg-red-50 border-l-4 border-red-500 p-4">
             <div className="flex">
@@ -332,7 +442,7 @@ const CreateCase = () => {
             className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-gray-900 hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500 disabled:opacity-50"
             disabled={isSubmitting}
           >
-            {isSubmitting ? 'Creating...' : 'Create Case'}
+            {isSubmitting ? 'Creating...' : conflicts ? 'Create Case Anyway' : 'Create Case'}
           </button>
         </div>
       </form>
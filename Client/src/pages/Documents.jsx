@@ -37,12 +37,17 @@ const Documents = () => {
     description: '',
     documentType: 'standalone',
     caseId: '',
+    folder: '',
     tags: '',
+    isSharedWithClient: false,
     file: null,
   });
   
   const [errors, setErrors] = useState({});
 
+  // Document folders of the case selected in the upload form
+  const uploadFolders = cases.find(caseItem => caseItem._id === formData.caseId)?.documentFolders || [];
+
   // Fetch cases for the case selection dropdown
   const fetchCases = async () => {
     try {
@@ -118,7 +123,9 @@ const Documents = () => {
     formDataToSend.append('description', formData.description);
     formDataToSend.append('documentType', formData.documentType);
     if (formData.caseId) formDataToSend.append('caseId', formData.caseId);
+    if (formData.caseId && formData.folder) formDataToSend.append('folder', formData.folder);
     if (formData.tags) formDataToSend.append('tags', formData.tags);
+    formDataToSend.append('isSharedWithClient', formData.isSharedWithClient);
     
     try {
       const response = await api.post('/documents/upload', formDataToSend, {
@@ -137,7 +144,9 @@ const Documents = () => {
         description: '',
         documentType: 'standalone',
         caseId: '',
+        folder: '',
         tags: '',
+        isSharedWithClient: false,
         file: null,
       });
       
@@ -177,7 +186,7 @@ const Documents = () => {
       }
       
       // Show success message
-      showNotification('success', 'Document deleted successfully');
+      showNotification('success', 'Document moved to the trash');
     } catch (err) {
       console.error('Error deleting document:', err);
       showNotification('error', err.response?.data?.message || 'Failed to delete document. Please try again.');
@@ -226,7 +235,7 @@ const Documents = () => {
       }
       
       // Show success message
-      showNotification('success', 'Case and associated documents deleted successfully');
+      showNotification('success', 'Case moved to the trash');
       
       // Close the modal
       setShowCaseDeleteModal(false);
@@ -401,7 +410,8 @@ const Documents = () => {
         documentType: editingDocument.documentType || 'standalone',
         tags: Array.isArray(editingDocument.tags) 
           ? editingDocument.tags 
-          : (editingDocument.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag)
+          : (editingDocument.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+        isSharedWithClient: Boolean(editingDocument.isSharedWithClient)
       };
 
       // Validate required fields
@@ -428,6 +438,7 @@ const Documents = () => {
             description: updateData.description,
             documentType: updateData.documentType,
             tags: updateData.tags,
+            isSharedWithClient: updateData.isSharedWithClient,
             updatedAt: new Date().toISOString()
           };
           
@@ -925,6 +936,11 @@ const Documents = () => {
                               Standalone
                             </span>
                           )}
+                          {doc.folder && (
+                            <span className="ml-2 inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                              {doc.folder}
+                            </span>
+                          )}
                           <span className="mx-2">•</span>
                           <span className="text-xs text-gray-500">
                             {formatFileSize(doc.fileSize)} • {doc.fileType || 'file'}
@@ -1071,6 +1087,18 @@ const Documents = () => {
                               />
                               <p className="mt-1 text-xs text-gray-500">Separate tags with commas</p>
                             </div>
+                            <div className="mb-4 flex items-center">
+                              <input
+                                type="checkbox"
+                                id="editIsSharedWithClient"
+                                checked={Boolean(editingDocument?.isSharedWithClient)}
+                                onChange={(e) => setEditingDocument(prev => ({ ...prev, isSharedWithClient: e.target.checked }))}
+                                className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                              />
+                              <label htmlFor="editIsSharedWithClient" className="ml-2 block text-sm text-gray-700">
+                                Share with client in the client portal
+                              </label>
+                            </div>
                             <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse space-x-3">
                               <button
                                 type="submit"
@@ -1238,7 +1266,7 @@ const Documents = () => {
                       </h3>
                       <div className="mt-2">
                         <p className="text-sm text-gray-500">
-                          Are you sure you want to delete this document? This action cannot be undone.
+                          Are you sure you want to delete this document? It will be moved to the trash, where it can be restored.
                         </p>
                       </div>
                     </div>
@@ -1289,7 +1317,7 @@ const Documents = () => {
                       </h3>
                       <div className="mt-2">
                         <p className="text-sm text-gray-500">
-                          Are you sure you want to delete this case and all its associated documents? This action cannot be undone.
+                          Are you sure you want to delete this case? It will be moved to the trash with its documents, tasks, appointments, drafts and notes, where it can be restored.
                         </p>
                       </div>
                     </div>
@@ -1380,7 +1408,7 @@ const Documents = () => {
                           <select
                             id="caseId"
                             value={formData.caseId}
-                            onChange={(e) => setFormData({...formData, caseId: e.target.value})}
+                            onChange={(e) => setFormData({...formData, caseId: e.target.value, folder: ''})}
                             className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                             disabled={loadingCases}
                           >
@@ -1395,6 +1423,25 @@ const Documents = () => {
                         </div>
                       )}
 
+                      {formData.documentType === 'case' && uploadFolders.length > 0 && (
+                        <div>
+                          <label htmlFor="folder" className="block text-sm font-medium text-gray-700">
+                            Folder
+                          </label>
+                          <select
+                            id="folder"
+                            value={formData.folder}
+                            onChange={(e) => setFormData({...formData, folder: e.target.value})}
+                            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm py-2 px-3 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                          >
+                            <option value="">No folder</option>
+                            {uploadFolders.map(folder => (
+                              <option key={folder} value={folder}>{folder}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+
                       <div>
                         <label htmlFor="file" className="block text-sm font-medium text-gray-700">
                           Upload File *
@@ -1482,6 +1529,19 @@ const Documents = () => {
                           placeholder="e.g. contract, agreement, 2023 (comma separated)"
                         />
                       </div>
+
+                      <div className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id="isSharedWithClient"
+                          checked={formData.isSharedWithClient}
+                          onChange={(e) => setFormData({...formData, isSharedWithClient: e.target.checked})}
+                          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                        />
+                        <label htmlFor="isSharedWithClient" className="ml-2 block text-sm text-gray-700">
+                          Share with client in the client portal
+                        </label>
+                      </div>
                     </div>
                   </div>
                 </div>
@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Save, FileText, Gavel, Calendar, MapPin, Loader2, AlertCircle } from 'lucide-react';
+import { ArrowLeft, Save, FileText, Gavel, Calendar, MapPin, Loader2, AlertCircle, FolderOpen } from 'lucide-react';
 import { toast } from 'react-toastify';
 import Layout from '../components/Layout';
+import CaseParticipantsEditor from '../components/CaseParticipantsEditor';
+import CustomFieldInputs from '../components/CustomFieldInputs';
+import { STATUS_LABELS, CASE_OUTCOMES } from '../components/CaseStatusDialog';
 import api from '../utils/api';
 
 const statusOptions = [
@@ -20,6 +23,7 @@ const EditCase = () => {
     caseName: '',
     caseType: '',
     caseNumber: '',
+    docketNumber: '',
     startDate: '',
     endDate: '',
     status: 'open',
@@ -27,13 +31,20 @@ const EditCase = () => {
     court: '',
     jurisdiction: '',
     notes: '',
-    externalId: ''
+    externalId: '',
+    participants: [],
+    customFields: {}
   });
+  // Document folders of the case, one path per line
+  const [folderText, setFolderText] = useState('');
   
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formErrors, setFormErrors] = useState({});
+  // Status the case had when loaded, and where it may move from there
+  const [initialStatus, setInitialStatus] = useState('open');
+  const [statusTransitions, setStatusTransitions] = useState({});
 
   // Fetch case details
   useEffect(() => {
@@ -57,9 +68,14 @@ const EditCase = () => {
           const formattedData = {
             ...caseData,
             startDate: caseData.startDate ? formatDateForInput(caseData.startDate) : '',
-            endDate: caseData.endDate ? formatDateForInput(caseData.endDate) : ''
+            endDate: caseData.endDate ? formatDateForInput(caseData.endDate) : '',
+            participants: caseData.participants || [],
+            customFields: caseData.customFields || {}
           };
           setFormData(formattedData);
+          setFolderText((caseData.documentFolders || []).join('\n'));
+          setInitialStatus(caseData.status);
+          setStatusTransitions(caseData.statusTransitions || {});
         } else {
           setError(caseResponse.data.message || 'Failed to load case details');
         }
@@ -113,6 +129,12 @@ const EditCase = () => {
     if (formData.startDate && formData.endDate && new Date(formData.startDate) > new Date(formData.endDate)) {
       errors.endDate = 'End date must be after start date';
     }
+    const statusRequirements = formData.status !== initialStatus ? statusTransitions[formData.status] || {} : {};
+    if (statusRequirements.reason && !(formData.statusReason || '').trim()) {
+      errors.statusReason = 'A reason is required for this status change';
+    }
+    if (statusRequirements.outcome && !formData.outcome) errors.outcome = 'Please select the outcome';
+    if (statusRequirements.endDate && !formData.endDate) errors.endDate = 'End date is required to close the case';
     
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
@@ -130,7 +152,10 @@ const EditCase = () => {
       setIsSubmitting(true);
       setError(null);
       
-      const response = await api.put(`/cases/${id}`, formData);
+      const response = await api.put(`/cases/${id}`, {
+        ...formData,
+        documentFolders: folderText.split('\n').map(line => line.trim()).filter(Boolean)
+      });
       console.log('Update response:', response);
       
       if (!isMounted) return; // Don't update state if component unmounted
@@ -355,16 +380,53 @@ const EditCase = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
                   required
                 >
-                  <option value="open">Open</option>
-                  <option value="pending">Pending</option>
-                  <option value="on_hold">On Hold</option>
-                  <option value="closed">Closed</option>
-                  <option value="archived">Archived</option>
+                  {/* The current status and the ones the workflow allows from it */}
+                  {[initialStatus, ...Object.keys(statusTransitions)].map(value => (
+                    <option key={value} value={value}>{STATUS_LABELS[value] || value}</option>
+                  ))}
                 </select>
                 {formErrors.status && (
                   <p className="mt-1 text-sm text-red-600">{formErrors.status}</p>
                 )}
               </div>
+
+              {formData.status !== initialStatus && statusTransitions[formData.status]?.outcome && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Outcome <span className="text-red-500">*</span>
+                  </label>
+                  <select
+                    name="outcome"
+                    value={formData.outcome || ''}
+                    onChange={handleChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
+                  >
+                    <option value="">Select outcome</option>
+                    {CASE_OUTCOMES.map(item => <option key={item.value} value={item.value}>{item.label}</option>)}
+                  </select>
+                  {formErrors.outcome && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.outcome}</p>
+                  )}
+                </div>
+              )}
+
+              {formData.status !== initialStatus && (
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason for status change {statusTransitions[formData.status]?.reason && <span className="text-red-500">*</span>}
+                  </label>
+                  <input
+                    type="text"
+                    name="statusReason"
+                    value={formData.statusReason || ''}
+                    onChange={handleChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
+                  />
+                  {formErrors.statusReason && (
+                    <p className="mt-1 text-sm text-red-600">{formErrors.statusReason}</p>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
@@ -454,9 +516,55 @@ const EditCase = () => {
                   className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
                 />
               </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Court Docket Number
+                </label>
+                <input
+                  type="text"
+                  name="docketNumber"
+                  value={formData.docketNumber || ''}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
+                />
+              </div>
             </div>
           </div>
 
+          {/* Participants */}
+          <CaseParticipantsEditor
+            participants={formData.participants}
+            onChange={(participants) => setFormData(prev => ({ ...prev, participants }))}
+          />
+
+          {/* Custom fields (from the matter template) and document folders */}
+          <div className="bg-white rounded-lg shadow-sm border p-6">
+            <div className="flex items-center gap-2 mb-6">
+              <FolderOpen size={20} />
+              <h2 className="font-semibold text-lg">Custom Fields & Folders</h2>
+            </div>
+            {(formData.customFieldDefinitions || []).length > 0 && (
+              <div className="mb-6">
+                <CustomFieldInputs
+                  fields={formData.customFieldDefinitions}
+                  values={formData.customFields}
+                  onChange={(customFields) => setFormData(prev => ({ ...prev, customFields }))}
+                />
+              </div>
+            )}
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Document folders
+            </label>
+            <textarea
+              value={folderText}
+              onChange={(e) => setFolderText(e.target.value)}
+              rows={4}
+              placeholder="One folder per line, e.g. Pleadings/Drafts"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-black focus:border-black"
+            />
+          </div>
+
           {/* Case Description */}
           <div className="bg-white rounded-lg shadow-sm border p-6">
             <div className="flex items-center gap-2 mb-6">
@@ -151,6 +151,7 @@ const EditTask = () => {
     assignedTo: '',
     clientId: '',
     caseId: '',
+    isClientRequest: false,
     completedNotes: ''
   });
   
@@ -175,6 +176,7 @@ const EditTask = () => {
           assignedTo: task.assignedTo?._id || '',
           clientId: task.client?._id || '',
           caseId: task.case?._id || '',
+          isClientRequest: Boolean(task.isClientRequest),
           completedNotes: task.completedNotes || ''
         });
         
@@ -278,6 +280,9 @@ const EditTask = () => {
       // Prepare the data to send
       const taskData = {
         ...formData,
+        // The API names the linked records 'case' and 'client'
+        case: formData.caseId,
+        client: formData.clientId,
         // If using a custom client name, include it
         ...(showCustomClient && customClientName && { customClientName })
       };
@@ -444,6 +449,21 @@ const EditTask = () => {
                   </select>
                 </div>
 
+                {/* Client Request */}
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="isClientRequest"
+                    name="isClientRequest"
+                    checked={formData.isClientRequest}
+                    onChange={(e) => setFormData(prev => ({ ...prev, isClientRequest: e.target.checked }))}
+                    className="h-4 w-4 text-black border-gray-300 rounded"
+                  />
+                  <label htmlFor="isClientRequest" className="ml-2 block text-sm text-gray-700">
+                    Client request (shown to the linked client in the client portal)
+                  </label>
+                </div>
+
                 {/* Due Date */}
                 <div>
                   <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700 mb-1">
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useRef, useContext } from 'react';
 import { AuthContext } from '../App';
 import { useNavigate } from 'react-router-dom';
-import { FaEnvelope, FaLock, FaUser, FaPhone, FaGavel, FaTimes } from 'react-icons/fa';
+import { FaEnvelope, FaLock, FaUser, FaPhone, FaGavel, FaTimes, FaShieldAlt, FaBuilding } from 'react-icons/fa';
 import { motion, AnimatePresence } from 'framer-motion';
+import { usePasswordPolicy } from '../utils/passwordPolicy';
+import { COOKIE_AUTH, applyAuthHeaders, setCsrfToken } from '../utils/api';
 
 // Message Modal Component
 const MessageModal = ({ message, onClose, type = 'error' }) => {
@@ -81,6 +83,23 @@ const Login = () => {
   const [email, setEmail] = useState('');
   const [resetStatus, setResetStatus] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Two-factor authentication state
+  const [challengeToken, setChallengeToken] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState([]);
+  const [pendingLogin, setPendingLogin] = useState(null);
+  // Email of an account that still has to verify its address (offers a resend link)
+  const [unverifiedEmail, setUnverifiedEmail] = useState('');
+  // Forced password change after the firm's password expiry
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmNewPassword, setConfirmNewPassword] = useState('');
+  // Single sign-on provider name, when SSO is configured on the server
+  const [ssoProvider, setSsoProvider] = useState(null);
+  const ssoCodeHandled = useRef(false);
+  // Description of the password policy, shown wherever a new password is chosen
+  const passwordPolicy = usePasswordPolicy();
 
   // Prevent scrolling when component mounts
   useEffect(() => {
@@ -101,6 +120,7 @@ const Login = () => {
     email: '',
     password: '',
     phoneNumber: '',
+    firmName: '',
     agreeTerms: false,
   });
 
@@ -159,10 +179,7 @@ const Login = () => {
       throw new Error('Please enter a valid email address');
     }
 
-    // Validate password strength
-    if (data.password.length < 6) {
-      throw new Error('Password must be at least 6 characters long');
-    }
+    // Password strength is checked by the server against the password policy
 
     // Validate phone number if provided
     if (data.phoneNumber && !/^\d{10,15}$/.test(data.phoneNumber)) {
@@ -189,7 +206,8 @@ const Login = () => {
         password: formData.password,
         firstName: formData.firstName.trim(),
         lastName: formData.lastName.trim(),
-        phoneNumber: formData.phoneNumber || undefined
+        phoneNumber: formData.phoneNumber || undefined,
+        firmName: formData.firmName.trim() || undefined
       };
 
       console.log('Sending registration request...', { 
@@ -255,6 +273,7 @@ const Login = () => {
           firstName: '',
           lastName: '',
           phoneNumber: '',
+          firmName: '',
           agreeTerms: false
         });
         return;
@@ -281,6 +300,254 @@ const Login = () => {
     }
   };
 
+  /**
+   * Sends a JSON request to an auth endpoint and parses the JSON response
+   * @returns {Promise<{ response: Response, data: Object }>}
+   */
+  const postAuthRequest = async (path, body, bearerToken) => {
+    // In cookie mode this asks the server to set the session cookies instead of returning tokens
+    const headers = applyAuthHeaders({
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    }, 'post');
+    if (bearerToken) {
+      headers.Authorization = `Bearer ${bearerToken}`;
+    }
+
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/${path}`, {
+      method: 'POST',
+      headers,
+      credentials: 'include',
+      body: JSON.stringify(body)
+    });
+
+    const contentType = response.headers.get('content-type');
+    if (!contentType || !contentType.includes('application/json')) {
+      const text = await response.text();
+      console.error(`Non-JSON response from ${path}:`, text);
+      throw new Error('Unexpected response from server');
+    }
+
+    return { response, data: await response.json() };
+  };
+
+  /**
+   * Stores the session returned by a successful login and opens the dashboard
+   * @param {Object} payload - The `data` object of a login response
+   */
+  const finishLogin = (payload) => {
+    // In cookie mode the tokens were set as httpOnly cookies and only the CSRF token is returned
+    if (!payload || (COOKIE_AUTH ? !payload.csrfToken : !payload.token)) {
+      console.error('Login response missing token:', payload);
+      throw new Error('No authentication token received in response');
+    }
+
+    const { token, refreshToken, csrfToken, user } = payload;
+    if (COOKIE_AUTH) {
+      setCsrfToken(csrfToken);
+    }
+
+    // Extract user data with fallbacks for different response formats
+    const userData = {
+      _id: user?._id || payload._id || payload.user?._id,
+      id: user?.id || payload.id || payload.user?.id,
+      username: user?.username || payload.username,
+      email: user?.email || payload.email,
+      firstName: user?.firstName || user?.first_name || payload.firstName || payload.first_name || '',
+      lastName: user?.lastName || user?.last_name || payload.lastName || payload.last_name || '',
+      role: user?.role || payload.role || 'user',
+      ...(user || payload.user || payload) // Spread any additional user data
+    };
+
+    // Ensure we have a valid ID
+    if (!userData._id && !userData.id) {
+      console.warn('No user ID found in login response, using fallback ID');
+      userData._id = 'temp_' + Date.now();
+    } else if (!userData._id && userData.id) {
+      userData._id = userData.id;
+    }
+
+    console.log('Logging in with user data:', userData);
+
+    try {
+      // Call the login function from AuthContext with the user data and tokens
+      login(userData, token, refreshToken);
+
+      // Navigate to dashboard
+      navigate('/dashboard');
+    } catch (loginError) {
+      console.error('Error in login function:', loginError);
+      throw new Error('Failed to complete login process');
+    }
+  };
+
+  /**
+   * Resets the two-factor and password change state and returns to the login form
+   */
+  const backToLogin = () => {
+    setChallengeToken('');
+    setTwoFactorCode('');
+    setTwoFactorSetup(null);
+    setRecoveryCodes([]);
+    setPendingLogin(null);
+    setNewPassword('');
+    setConfirmNewPassword('');
+    setActiveTab('login');
+  };
+
+  /**
+   * Continues a login response: asks for a new password when it has expired, otherwise opens the dashboard
+   * @param {Object} payload - The `data` object of a login response
+   */
+  const continueLogin = (payload) => {
+    if (payload?.passwordChangeRequired) {
+      setChallengeToken(payload.challengeToken);
+      setNewPassword('');
+      setConfirmNewPassword('');
+      setActiveTab('password-change');
+      return;
+    }
+    finishLogin(payload);
+  };
+
+  /**
+   * Sets a new password after the old one expired, then finishes signing in
+   */
+  const handlePasswordChangeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      if (newPassword !== confirmNewPassword) {
+        throw new Error('Passwords do not match');
+      }
+
+      const { response, data } = await postAuthRequest('change-password', {
+        currentPassword: formData.password,
+        newPassword
+      }, challengeToken);
+
+      if (!response.ok) {
+        // The challenge expired: the user has to enter their password again
+        if (response.status === 401 && !data.message?.includes('Current password')) {
+          backToLogin();
+        }
+        throw new Error(data.message || 'Failed to change password');
+      }
+
+      finishLogin(data.data);
+    } catch (err) {
+      console.error('Password change error:', err);
+      displayMessage(err.message, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Requests a TOTP secret and QR code for mandatory enrollment during login
+   */
+  const startTwoFactorSetup = async (token) => {
+    try {
+      const { response, data } = await postAuthRequest('2fa/setup', {}, token);
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to start two-factor setup');
+      }
+      setTwoFactorSetup(data.data);
+    } catch (err) {
+      console.error('Two-factor setup error:', err);
+      displayMessage(err.message || 'Failed to start two-factor setup', 'error');
+    }
+  };
+
+  /**
+   * Submits the second factor (authenticator code or recovery code)
+   */
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const code = twoFactorCode.trim();
+      if (!code) {
+        throw new Error(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter the 6-digit code');
+      }
+
+      const { response, data } = await postAuthRequest('login/2fa', {
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code })
+      });
+
+      if (!response.ok) {
+        // The challenge expired: the user has to enter their password again
+        if (data.message && data.message.includes('sign in again')) {
+          backToLogin();
+        }
+        throw new Error(data.message || 'Verification failed');
+      }
+
+      if (data.data?.recoveryCodesRemaining !== undefined && data.data.recoveryCodesRemaining <= 2) {
+        console.warn(`Only ${data.data.recoveryCodesRemaining} recovery codes remaining`);
+      }
+
+      continueLogin(data.data);
+    } catch (err) {
+      console.error('Two-factor verification error:', err);
+      displayMessage(err.message.includes('Failed to fetch')
+        ? 'Unable to connect to the server. Please check your internet connection.'
+        : err.message, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Confirms mandatory 2FA enrollment with the first authenticator code
+   */
+  const handleTwoFactorSetupSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const { response, data } = await postAuthRequest('2fa/enable', { code: twoFactorCode.trim() }, challengeToken);
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to enable two-factor authentication');
+      }
+
+      // Show the recovery codes once before continuing to the dashboard
+      setRecoveryCodes(data.data.recoveryCodes || []);
+      setPendingLogin(data.data);
+      setTwoFactorCode('');
+    } catch (err) {
+      console.error('Two-factor enrollment error:', err);
+      displayMessage(err.message, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Sends a new verification link to an account that hasn't verified its email address
+   */
+  const handleResendVerification = async () => {
+    setIsLoading(true);
+    try {
+      const { response, data } = await postAuthRequest('resend-verification', { email: unverifiedEmail });
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to send verification email');
+      }
+      displayMessage(data.message || 'A new verification link has been sent.', 'success');
+    } catch (err) {
+      console.error('Resend verification error:', err);
+      displayMessage(err.message, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleLogin = async (e) => {
     e.preventDefault();
     setError('');
@@ -301,10 +568,11 @@ const Login = () => {
       // Make API call to backend
       const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/login`, {
         method: 'POST',
-        headers: {
+        headers: applyAuthHeaders({
           'Content-Type': 'application/json',
           'Accept': 'application/json'
-        },
+        }, 'post'),
+        credentials: 'include',
         body: JSON.stringify(loginData)
       });
 
@@ -330,53 +598,33 @@ const Login = () => {
       });
 
       if (!response.ok) {
-        throw new Error(data.message || 'Login failed. Please check your credentials.');
+        if (data.data?.emailVerificationRequired) {
+          setUnverifiedEmail(loginData.email);
+        }
+        const loginError = new Error(data.message || 'Login failed. Please check your credentials.');
+        loginError.status = response.status;
+        throw loginError;
       }
 
-      // If we get here, login was successful
-      if (data.data && data.data.token) {
-        const { token, user } = data.data;
-        
-        if (!token) {
-          throw new Error('No authentication token received in response');
-        }
-        
-        // Extract user data with fallbacks for different response formats
-        const userData = {
-          _id: user?._id || data.data._id || data.data.user?._id,
-          id: user?.id || data.data.id || data.data.user?.id,
-          username: user?.username || data.data.username,
-          email: user?.email || data.data.email,
-          firstName: user?.firstName || user?.first_name || data.data.firstName || data.data.first_name || '',
-          lastName: user?.lastName || user?.last_name || data.data.lastName || data.data.last_name || '',
-          role: user?.role || data.data.role || 'user',
-          ...(user || data.data.user || data.data) // Spread any additional user data
-        };
-        
-        // Ensure we have a valid ID
-        if (!userData._id && !userData.id) {
-          console.warn('No user ID found in login response, using fallback ID');
-          userData._id = 'temp_' + Date.now();
-        } else if (!userData._id && userData.id) {
-          userData._id = userData.id;
-        }
-        
-        console.log('Logging in with user data:', userData);
-        
-        try {
-          // Call the login function from AuthContext with the user data and token
-          login(userData, token);
-          
-          // Navigate to dashboard
-          navigate('/dashboard');
-        } catch (loginError) {
-          console.error('Error in login function:', loginError);
-          throw new Error('Failed to complete login process');
-        }
-      } else {
-        console.error('Login response missing token:', data);
-        throw new Error('No authentication token received in response');
+      // Password accepted, but a second factor is needed before a session is issued
+      if (data.data?.twoFactorRequired) {
+        setChallengeToken(data.data.challengeToken);
+        setTwoFactorCode('');
+        setUseRecoveryCode(false);
+        setActiveTab('2fa');
+        return;
       }
+
+      // 2FA is mandatory for the firm and this account hasn't enrolled yet
+      if (data.data?.twoFactorSetupRequired) {
+        setChallengeToken(data.data.challengeToken);
+        setActiveTab('2fa-setup');
+        await startTwoFactorSetup(data.data.challengeToken);
+        return;
+      }
+
+      // If we get here, login was successful (unless the password has expired)
+      continueLogin(data.data);
     } catch (err) {
       console.error('Login error:', err);
       // Provide user-friendly error messages
@@ -385,7 +633,8 @@ const Login = () => {
       if (err.message.includes('Failed to fetch')) {
         errorMessage = 'Unable to connect to the server. Please check your internet connection.';
       } else if (err.message.includes('Invalid email or password') || 
-                err.message.includes('Please enter both')) {
+                err.message.includes('Please enter both') ||
+                err.status === 403 || err.status === 423 || err.status === 429) {
         errorMessage = err.message; // Use the specific error message
       }
       
@@ -490,6 +739,53 @@ const Login = () => {
     setIsMounted(true);
   }, []);
 
+  // Show the SSO button when the server has a provider configured
+  useEffect(() => {
+    fetch(`${process.env.REACT_APP_API_URL}/api/auth/sso`, { headers: { 'Accept': 'application/json' } })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data?.data?.enabled) {
+          setSsoProvider(data.data.providerName || 'SSO');
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  // Finish a single sign-on: the server redirects back here with a one-time code or an error
+  useEffect(() => {
+    const params = new URLSearchParams(window.location.search);
+    const ssoCode = params.get('sso_code');
+    const ssoError = params.get('sso_error');
+    if (!ssoCode && !ssoError) return;
+
+    // Drop the code from the address bar and history; it can only be used once
+    window.history.replaceState(null, '', window.location.pathname);
+    if (ssoError) {
+      displayMessage(ssoError, 'error');
+      return;
+    }
+    if (ssoCodeHandled.current) return;
+    ssoCodeHandled.current = true;
+
+    setIsLoading(true);
+    postAuthRequest('sso/complete', { code: ssoCode })
+      .then(({ response, data }) => {
+        if (!response.ok) {
+          throw new Error(data.message || 'Single sign-on failed');
+        }
+        finishLogin(data.data);
+      })
+      .catch(err => displayMessage(err.message, 'error'))
+      .finally(() => setIsLoading(false));
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  /**
+   * Sends the browser to the identity provider; it comes back to this page via the server's callback
+   */
+  const handleSsoLogin = () => {
+    window.location.href = `${process.env.REACT_APP_API_URL}/api/auth/sso/login`;
+  };
+
   // Handle form submission with loading state
   const handleSubmit = async (e, type) => {
     e.preventDefault();
@@ -509,7 +805,8 @@ const Login = () => {
           password: formData.password,
           firstName: formData.firstName.trim(),
           lastName: formData.lastName.trim(),
-          phoneNumber: formData.phoneNumber || undefined
+          phoneNumber: formData.phoneNumber || undefined,
+          firmName: formData.firmName.trim() || undefined
         };
 
         console.log('Sending registration request...', { 
@@ -573,7 +870,7 @@ const Login = () => {
         }
 
         // Registration successful
-        const { token, user } = responseData.data;
+        const { token, refreshToken, user } = responseData.data;
         
         if (token && user) {
           // Ensure user object has required fields
@@ -595,7 +892,7 @@ const Login = () => {
           
           try {
             // Call login with user data and token
-            await login(userData, token);
+            await login(userData, token, refreshToken);
             
             // Show welcome message
             displayMessage(`Welcome, ${userData.firstName || userData.username}!`, 'success');
@@ -608,6 +905,7 @@ const Login = () => {
               firstName: '',
               lastName: '',
               phoneNumber: '',
+              firmName: '',
               agreeTerms: false
             });
             
@@ -623,9 +921,14 @@ const Login = () => {
             displayMessage('Registration successful! Please log in with your credentials.', 'success');
           }
         } else {
-          // If no token, show success message and switch to login
+          // New accounts have to verify their email address before they can sign in
           setActiveTab('login');
-          displayMessage('Registration successful! Please log in with your credentials.', 'success');
+          if (responseData.data?.emailVerificationRequired) {
+            setUnverifiedEmail(userData.email);
+            displayMessage(responseData.message || 'Registration successful! Check your email to verify your account.', 'success');
+          } else {
+            displayMessage('Registration successful! Please log in with your credentials.', 'success');
+          }
           
           // Clear form
           setFormData({
@@ -635,6 +938,7 @@ const Login = () => {
             firstName: '',
             lastName: '',
             phoneNumber: '',
+            firmName: '',
             agreeTerms: false
           });
         }
@@ -760,6 +1064,12 @@ const Login = () => {
                 ? 'Welcome Back' 
                 : activeTab === 'register' 
                 ? 'Create an Account'
+                : activeTab === '2fa'
+                ? 'Two-Factor Authentication'
+                : activeTab === '2fa-setup'
+                ? 'Set Up Two-Factor Authentication'
+                : activeTab === 'password-change'
+                ? 'Choose a New Password'
                 : 'Reset Your Password'}
             </h2>
             <p className="text-xs text-gray-500">
@@ -767,6 +1077,12 @@ const Login = () => {
                 ? 'Sign in to continue to your account'
                 : activeTab === 'register'
                 ? 'Fill in your details to create an account'
+                : activeTab === '2fa'
+                ? (useRecoveryCode ? 'Enter one of your recovery codes' : 'Enter the 6-digit code from your authenticator app')
+                : activeTab === '2fa-setup'
+                ? 'Your firm requires two-factor authentication for every account'
+                : activeTab === 'password-change'
+                ? 'Your password has expired. Choose a new one to continue.'
                 : 'Enter your email to receive a password reset link'}
             </p>
           </div>
@@ -851,6 +1167,20 @@ const Login = () => {
                 </button>
               </div>
 
+              {unverifiedEmail && (
+                <div className="rounded-md bg-yellow-50 border border-yellow-200 p-3 text-sm text-yellow-800">
+                  Your email address hasn't been verified yet.{' '}
+                  <button
+                    type="button"
+                    onClick={handleResendVerification}
+                    disabled={isLoading}
+                    className="font-medium text-blue-600 hover:text-blue-500 disabled:opacity-50"
+                  >
+                    Resend verification email
+                  </button>
+                </div>
+              )}
+
               <button
                 type="submit"
                 disabled={isSubmitting || isLoading}
@@ -870,6 +1200,25 @@ const Login = () => {
                   </span>
                 ) : 'Sign in'}
               </button>
+
+              {ssoProvider && (
+                <>
+                  <div className="flex items-center gap-2 text-xs text-gray-400">
+                    <div className="flex-1 border-t border-gray-200" />
+                    or
+                    <div className="flex-1 border-t border-gray-200" />
+                  </div>
+                  <button
+                    type="button"
+                    onClick={handleSsoLogin}
+                    disabled={isSubmitting || isLoading}
+                    className="w-full flex items-center justify-center border border-gray-300 text-gray-700 py-2 rounded-md hover:bg-gray-50 text-sm font-medium transition-colors disabled:opacity-70 disabled:cursor-not-allowed"
+                  >
+                    <FaBuilding className="mr-2 h-4 w-4" />
+                    Sign in with {ssoProvider}
+                  </button>
+                </>
+              )}
             </form>
           )}
 
@@ -971,7 +1320,6 @@ const Login = () => {
                     className="pl-10 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
                     placeholder="••••••••"
                     required
-                    minLength={6}
                   />
                   <button
                     type="button"
@@ -981,9 +1329,11 @@ const Login = () => {
                     {showPassword ? '🙈' : '👁️'}
                   </button>
                 </div>
-                <p className="mt-0.5 text-xs text-gray-500 mb-1">
-                  Must be at least 6 characters
-                </p>
+                {passwordPolicy && (
+                  <p className="mt-0.5 text-xs text-gray-500 mb-1">
+                    {passwordPolicy}
+                  </p>
+                )}
               </div>
 
               <div>
@@ -1016,6 +1366,29 @@ const Login = () => {
                 </div>
               </div>
 
+              <div>
+                <label htmlFor="firmName" className="block text-sm font-medium text-gray-700">
+                  Firm name
+                </label>
+                <div className="mt-1 relative rounded-md shadow-sm">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaBuilding className="h-4 w-4 text-gray-400" />
+                  </div>
+                  <input
+                    type="text"
+                    id="firmName"
+                    name="firmName"
+                    value={formData.firmName}
+                    onChange={handleInputChange}
+                    className="pl-10 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    placeholder="Smith & Partners LLP"
+                  />
+                </div>
+                <p className="mt-0.5 text-xs text-gray-500 mb-1">
+                  A new firm workspace is created for your account
+                </p>
+              </div>
+
               <div className="flex items-start">
                 <div className="flex items-center h-5">
                   <input
@@ -1103,6 +1476,188 @@ const Login = () => {
             </form>
           )}
 
+          {/* Two-Factor Code Form */}
+          {activeTab === '2fa' && (
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaShieldAlt className="text-gray-400" />
+                </div>
+                <input
+                  type="text"
+                  inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                  autoComplete="one-time-code"
+                  value={twoFactorCode}
+                  onChange={(e) => setTwoFactorCode(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm tracking-widest"
+                  placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                  maxLength={useRecoveryCode ? 11 : 6}
+                  autoFocus
+                  required
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-[#1e1e2f] text-white py-2 rounded-md hover:bg-[#2e2e3f] text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? 'Verifying...' : 'Verify'}
+              </button>
+
+              <div className="flex items-center justify-between">
+                <button
+                  type="button"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                  }}
+                  className="text-sm text-blue-600 hover:text-blue-500"
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  onClick={backToLogin}
+                  className="text-sm text-blue-600 hover:text-blue-500"
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          )}
+
+          {/* Mandatory Two-Factor Enrollment */}
+          {activeTab === '2fa-setup' && (
+            recoveryCodes.length > 0 ? (
+              <div className="space-y-4">
+                <p className="text-sm text-gray-600">
+                  Two-factor authentication is enabled. Save these recovery codes somewhere safe.
+                  Each code can be used once if you lose access to your authenticator app.
+                </p>
+                <div className="grid grid-cols-2 gap-2 bg-gray-50 border border-gray-200 rounded-lg p-3 font-mono text-sm text-center">
+                  {recoveryCodes.map(code => (
+                    <span key={code}>{code}</span>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => continueLogin(pendingLogin)}
+                  className="w-full bg-[#1e1e2f] text-white py-2 rounded-md hover:bg-[#2e2e3f] text-sm font-medium"
+                >
+                  I have saved my codes, continue
+                </button>
+              </div>
+            ) : (
+              <form onSubmit={handleTwoFactorSetupSubmit} className="space-y-4">
+                {twoFactorSetup ? (
+                  <div className="text-center space-y-2">
+                    <p className="text-sm text-gray-600">
+                      Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+                    </p>
+                    <img src={twoFactorSetup.qrCode} alt="Two-factor QR code" className="mx-auto h-40 w-40" />
+                    <p className="text-xs text-gray-500">
+                      Can't scan? Enter this key manually: <span className="font-mono break-all">{twoFactorSetup.secret}</span>
+                    </p>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500 text-center">Preparing your QR code...</p>
+                )}
+
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaShieldAlt className="text-gray-400" />
+                  </div>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value.replace(/\D/g, ''))}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm tracking-widest"
+                    placeholder="123456"
+                    maxLength={6}
+                    required
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isLoading || !twoFactorSetup}
+                  className="w-full bg-[#1e1e2f] text-white py-2 rounded-md hover:bg-[#2e2e3f] text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isLoading ? 'Verifying...' : 'Enable two-factor authentication'}
+                </button>
+
+                <div className="text-center">
+                  <button
+                    type="button"
+                    onClick={backToLogin}
+                    className="text-sm text-blue-600 hover:text-blue-500"
+                  >
+                    Back to login
+                  </button>
+                </div>
+              </form>
+            )
+          )}
+
+          {/* Forced Password Change */}
+          {activeTab === 'password-change' && (
+            <form onSubmit={handlePasswordChangeSubmit} className="space-y-4">
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" />
+                </div>
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  placeholder="New password"
+                  autoFocus
+                  required
+                />
+              </div>
+              <div className="relative">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <FaLock className="text-gray-400" />
+                </div>
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  value={confirmNewPassword}
+                  onChange={(e) => setConfirmNewPassword(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 text-sm"
+                  placeholder="Confirm new password"
+                  required
+                />
+              </div>
+              {passwordPolicy && (
+                <p className="text-xs text-gray-500">{passwordPolicy}</p>
+              )}
+
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="w-full bg-[#1e1e2f] text-white py-2 rounded-md hover:bg-[#2e2e3f] text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLoading ? 'Saving...' : 'Change password and sign in'}
+              </button>
+
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={backToLogin}
+                  className="text-sm text-blue-600 hover:text-blue-500"
+                >
+                  Back to login
+                </button>
+              </div>
+            </form>
+          )}
+
           {/* Footer */}
           <div className="mt-2">
             {/* Footer Links */}
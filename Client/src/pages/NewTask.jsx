@@ -149,7 +149,8 @@ const NewTask = () => {
     assignedTo: null,
     assignedName: '',
     clientId: '',
-    caseId: ''
+    caseId: '',
+    isClientRequest: false
   });
   
   const [showCustomName, setShowCustomName] = useState(false);
@@ -241,8 +242,9 @@ const NewTask = () => {
         dueDate: formData.dueDate ? new Date(formData.dueDate).toISOString() : null,
         assignedTo: formData.assignedTo || undefined,
         assignedName: formData.assignedName || undefined,
-        clientId: formData.clientId || undefined,
-        caseId: formData.caseId || undefined
+        client: formData.clientId || undefined,
+        case: formData.caseId || undefined,
+        isClientRequest: formData.isClientRequest
       };
 
       await api.post('/tasks', taskData);
@@ -367,6 +369,21 @@ const NewTask = () => {
                     </div>
                   </div>
 
+                  {/* Client Request */}
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="isClientRequest"
+                      name="isClientRequest"
+                      checked={formData.isClientRequest}
+                      onChange={(e) => setFormData(prev => ({ ...prev, isClientRequest: e.target.checked }))}
+                      className="h-4 w-4 text-black border-gray-300 rounded"
+                    />
+                    <label htmlFor="isClientRequest" className="ml-2 block text-sm text-gray-700">
+                      Client request (shown to the linked client in the client portal)
+                    </label>
+                  </div>
+
                   {/* Due Date */}
                   <div>
                     <label htmlFor="dueDate" className="block text-sm font-medium text-gray-700">
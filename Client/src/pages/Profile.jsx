@@ -0,0 +1,106 @@
+import React, { useState, useEffect } from 'react';
+import { Loader2, User, Mail, Phone } from 'lucide-react';
+import { toast } from 'react-toastify';
+import api from '../utils/api';
+import { formatDateTime } from '../utils/formatDate';
+import Layout from '../components/Layout';
+import FirmSettings from '../components/FirmSettings';
+import NumberingSettings from '../components/NumberingSettings';
+import MatterTemplatesSettings from '../components/MatterTemplatesSettings';
+import InvitationsSettings from '../components/InvitationsSettings';
+import SecurityEventsPanel from '../components/SecurityEventsPanel';
+import AuditLogPanel from '../components/AuditLogPanel';
+import PasswordSettings from '../components/PasswordSettings';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ApiKeysSettings from '../components/ApiKeysSettings';
+import SessionsPanel from '../components/SessionsPanel';
+
+const Profile = () => {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // Bumped to reload a section after a change elsewhere on the page affected it
+  const [sessionsVersion, setSessionsVersion] = useState(0);
+  const [twoFactorVersion, setTwoFactorVersion] = useState(0);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        setLoading(true);
+        const response = await api.get('/users/profile');
+        setProfile(response.data);
+      } catch (err) {
+        console.error('Error fetching profile:', err);
+        toast.error('Failed to load profile');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchProfile();
+  }, []);
+
+  // A new password signs out the other devices
+  const handlePasswordChanged = () => {
+    setProfile(prev => ({ ...prev, passwordChangedAt: new Date().toISOString() }));
+    setSessionsVersion(version => version + 1);
+  };
+
+  // Lockouts, throttled sign-ins, invitations and the audit log are only visible to firm administrators
+  const isAdmin = profile?.role === 'admin';
+
+  return (
+    <Layout>
+      <div className="p-6 space-y-6 max-w-4xl mx-auto">
+        <h1 className="text-2xl font-bold">My Profile</h1>
+
+        {/* Account Information */}
+        <div className="border rounded-lg p-6 bg-white">
+          <div className="flex items-center gap-2 mb-4">
+            <User size={20} />
+            <h2 className="font-semibold text-lg">Account</h2>
+          </div>
+          {loading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-6 w-6 animate-spin text-gray-500" />
+            </div>
+          ) : profile ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-gray-700">
+              <div className="space-y-2">
+                <div className="font-medium text-gray-900">
+                  {[profile.firstName, profile.lastName].filter(Boolean).join(' ') || profile.username}
+                </div>
+                <div className="text-gray-500">@{profile.username}</div>
+                {profile.role && <div className="text-gray-500 capitalize">Role: {profile.role}</div>}
+              </div>
+              <div className="space-y-2">
+                <div className="flex items-center gap-2"><Mail size={14} /> {profile.email}</div>
+                {profile.phoneNumber && (
+                  <div className="flex items-center gap-2"><Phone size={14} /> {profile.phoneNumber}</div>
+                )}
+                {profile.lastLogin && <div>Last login: {formatDateTime(profile.lastLogin)}</div>}
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">Profile information is unavailable.</p>
+          )}
+        </div>
+
+        {/* Saving the firm can make two-factor authentication required, which its section shows */}
+        {profile && <FirmSettings isAdmin={isAdmin} onSaved={() => setTwoFactorVersion(version => version + 1)} />}
+
+        {isAdmin && <NumberingSettings />}
+        {isAdmin && <MatterTemplatesSettings />}
+        {isAdmin && <InvitationsSettings />}
+        {isAdmin && <SecurityEventsPanel />}
+        {isAdmin && <AuditLogPanel />}
+
+        <PasswordSettings passwordChangedAt={profile?.passwordChangedAt} onChanged={handlePasswordChanged} />
+        <TwoFactorSettings key={`two-factor-${twoFactorVersion}`} />
+        <ApiKeysSettings />
+        <SessionsPanel key={`sessions-${sessionsVersion}`} />
+      </div>
+    </Layout>
+  );
+};
+
+export default Profile;
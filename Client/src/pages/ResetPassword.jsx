@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { FaLock, FaCheckCircle } from 'react-icons/fa';
+import { usePasswordPolicy } from '../utils/passwordPolicy';
+import { applyAuthHeaders } from '../utils/api';
 
 const ResetPassword = () => {
   const { token } = useParams();
@@ -13,6 +15,7 @@ const ResetPassword = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const passwordPolicy = usePasswordPolicy();
 
   const { password, confirmPassword } = formData;
 
@@ -38,19 +41,15 @@ const ResetPassword = () => {
       return;
     }
     
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters');
-      return;
-    }
-    
     try {
       setIsLoading(true);
       
       const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/resetpassword/${token}`, {
         method: 'PUT',
-        headers: {
+        headers: applyAuthHeaders({
           'Content-Type': 'application/json',
-        },
+        }, 'put'),
+        credentials: 'include',
         body: JSON.stringify({ password }),
       });
       
@@ -145,11 +144,11 @@ const ResetPassword = () => {
                     value={password}
                     onChange={handleChange}
                     className="pl-10 block w-full border border-gray-300 rounded-md py-2 px-3 focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
-                    placeholder="Enter your new password (min 6 characters)"
+                    placeholder="Enter your new password"
                   />
                 </div>
                 <p id="password-constraints" className="mt-2 text-sm text-gray-500">
-                  Must be at least 6 characters long
+                  {passwordPolicy || 'Choose a strong password you have not used before.'}
                 </p>
               </div>
 
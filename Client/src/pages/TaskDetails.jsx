@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { ArrowLeft, Calendar, Clock, AlertCircle, User, Briefcase, Edit, CheckCircle, XCircle } from 'lucide-react';
 import Layout from '../components/Layout';
 import api from '../utils/api';
+import NotesPanel from '../components/NotesPanel';
 
 const TaskDetails = () => {
   const { id } = useParams();
@@ -54,7 +55,7 @@ const TaskDetails = () => {
 
   // Handle task deletion
   const handleDelete = async () => {
-    if (window.confirm('Are you sure you want to delete this task? This action cannot be undone.')) {
+    if (window.confirm('Are you sure you want to delete this task? It will be moved to the trash, where it can be restored.')) {
       try {
         setIsDeleting(true);
         await api.delete(`/tasks/${id}`);
@@ -286,6 +287,11 @@ const TaskDetails = () => {
             </div>
           </div>
         )}
+
+        {/* Notes */}
+        <div className="mt-6">
+          <NotesPanel entityType="Task" entityId={task._id} />
+        </div>
       </div>
     </Layout>
   );
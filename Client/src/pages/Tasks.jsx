@@ -54,7 +54,7 @@ const TasksPage = () => {
       // For demo purposes, we'll just remove it from the local state
       setTasks(tasks.filter(task => task._id !== taskToDelete._id));
       
-      showNotification('success', 'Task deleted successfully');
+      showNotification('success', 'Task moved to the trash');
       setTaskToDelete(null);
     } catch (err) {
       console.error('Error deleting task:', err);
@@ -376,7 +376,7 @@ const TasksPage = () => {
                     </h3>
                     <div className="mt-2">
                       <p className="text-sm text-gray-500">
-                        Are you sure you want to delete the task "{taskToDelete.title}"? This action cannot be undone.
+                        Are you sure you want to delete the task "{taskToDelete.title}"? It will be moved to the trash with its notes, where it can be restored.
                       </p>
                     </div>
                 </div>
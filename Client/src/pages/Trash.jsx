@@ -0,0 +1,217 @@
+import React, { useCallback, useContext, useEffect, useState } from 'react';
+import { format } from 'date-fns';
+import { toast } from 'react-toastify';
+import { Loader2, RotateCcw, Trash2, Briefcase, User, ClipboardList, Calendar, FileText, MessageSquare } from 'lucide-react';
+import api from '../utils/api';
+import Layout from '../components/Layout';
+import { AuthContext } from '../App';
+
+const TRASH_TYPES = [
+  { value: 'cases', label: 'Case', icon: Briefcase },
+  { value: 'clients', label: 'Client', icon: User },
+  { value: 'tasks', label: 'Task', icon: ClipboardList },
+  { value: 'appointments', label: 'Appointment', icon: Calendar },
+  { value: 'documents', label: 'Document', icon: FileText },
+  { value: 'notes', label: 'Note', icon: MessageSquare },
+];
+// Roles allowed to permanently delete from the trash (trash.purge on the server)
+const PURGE_ROLES = ['admin', 'partner'];
+
+const typeInfo = (type) => TRASH_TYPES.find(item => item.value === type) || TRASH_TYPES[0];
+
+const formatDate = (date) => {
+  try {
+    return format(new Date(date), 'MMM d, yyyy');
+  } catch {
+    return '—';
+  }
+};
+
+const personName = (person) => (
+  person ? [person.firstName, person.lastName].filter(Boolean).join(' ') || person.email : 'Unknown'
+);
+
+const Trash = () => {
+  const { user } = useContext(AuthContext);
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [itemToPurge, setItemToPurge] = useState(null);
+
+  const canPurge = PURGE_ROLES.includes(user?.role);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.get('/trash', { params: typeFilter ? { type: typeFilter } : {} });
+      setItems(response.data.data || []);
+      setRetentionDays(response.data.retentionDays);
+    } catch (err) {
+      console.error('Error fetching trash:', err);
+      setError(err.response?.data?.message || 'Could not load the trash.');
+    } finally {
+      setLoading(false);
+    }
+  }, [typeFilter]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (item) => {
+    try {
+      setBusyId(item._id);
+      await api.post(`/trash/${item.type}/${item._id}/restore`);
+      setItems(prev => prev.filter(entry => entry._id !== item._id));
+      toast.success(`${typeInfo(item.type).label} "${item.name}" restored`);
+    } catch (err) {
+      console.error('Error restoring from trash:', err);
+      toast.error(err.response?.data?.message || 'Failed to restore');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async () => {
+    if (!itemToPurge) return;
+    try {
+      setBusyId(itemToPurge._id);
+      await api.delete(`/trash/${itemToPurge.type}/${itemToPurge._id}`);
+      setItems(prev => prev.filter(entry => entry._id !== itemToPurge._id));
+      toast.success(`${typeInfo(itemToPurge.type).label} "${itemToPurge.name}" permanently deleted`);
+      setItemToPurge(null);
+    } catch (err) {
+      console.error('Error purging from trash:', err);
+      toast.error(err.response?.data?.message || 'Failed to delete permanently');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="p-6 space-y-6">
+        <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+          <div>
+            <h1 className="text-2xl font-bold">Trash</h1>
+            {retentionDays && (
+              <p className="text-sm text-gray-500 mt-1">
+                Deleted records can be restored for {retentionDays} day{retentionDays === 1 ? '' : 's'}, then they are permanently deleted.
+                Restoring a record brings back everything that was deleted along with it.
+              </p>
+            )}
+          </div>
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="py-2 px-3 border border-gray-300 rounded-md"
+          >
+            <option value="">All types</option>
+            {TRASH_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}s</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center py-20">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-600" />
+            <span className="ml-2 text-gray-700">Loading trash...</span>
+          </div>
+        ) : error ? (
+          <div className="text-red-600">{error}</div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-10 text-gray-500">The trash is empty.</div>
+        ) : (
+          <div className="bg-white rounded-md shadow-sm overflow-hidden">
+            <ul className="divide-y divide-gray-200">
+              {items.map(item => {
+                const { label, icon: Icon } = typeInfo(item.type);
+                return (
+                  <li key={item._id} className="p-4 flex justify-between items-center gap-4">
+                    <div className="flex items-start gap-3 min-w-0">
+                      <Icon className="h-5 w-5 text-gray-400 mt-0.5 flex-shrink-0" />
+                      <div className="min-w-0">
+                        <h2 className="text-base font-medium text-gray-900 truncate">{item.name}</h2>
+                        <div className="text-sm text-gray-500 flex flex-wrap gap-x-3 mt-1">
+                          <span>{label}</span>
+                          <span>Deleted {formatDate(item.deletedAt)} by {personName(item.deletedBy)}</span>
+                          {item.dependents > 0 && (
+                            <span>{item.dependents} related record{item.dependents === 1 ? '' : 's'} deleted with it</span>
+                          )}
+                          <span className="text-red-600">Permanently deleted on {formatDate(item.purgeAt)}</span>
+                        </div>
+                      </div>
+                    </div>
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleRestore(item)}
+                        disabled={busyId === item._id}
+                        className="flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        <RotateCcw className="h-4 w-4 mr-1" />
+                        Restore
+                      </button>
+                      {canPurge && (
+                        <button
+                          onClick={() => setItemToPurge(item)}
+                          disabled={busyId === item._id}
+                          className="flex items-center px-3 py-1.5 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+                        >
+                          <Trash2 className="h-4 w-4 mr-1" />
+                          Delete permanently
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        )}
+
+        {/* Permanent Delete Confirmation Modal */}
+        {itemToPurge && (
+          <div className="fixed z-10 inset-0 overflow-y-auto" role="dialog" aria-modal="true">
+            <div className="flex items-center justify-center min-h-screen px-4">
+              <div className="fixed inset-0 bg-gray-500 bg-opacity-75" aria-hidden="true" onClick={() => setItemToPurge(null)}></div>
+              <div className="relative bg-white rounded-lg p-6 shadow-xl max-w-lg w-full border border-red-200">
+                <h3 className="text-lg font-medium text-gray-900">Delete Permanently</h3>
+                <p className="mt-2 text-sm text-gray-800">
+                  Permanently delete the {typeInfo(itemToPurge.type).label.toLowerCase()} "{itemToPurge.name}"
+                  {itemToPurge.dependents > 0 && ` and the ${itemToPurge.dependents} related record${itemToPurge.dependents === 1 ? '' : 's'} deleted with it`}?
+                  This action cannot be undone.
+                </p>
+                <div className="mt-5 flex justify-end gap-3">
+                  <button
+                    type="button"
+                    className="px-4 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+                    onClick={() => setItemToPurge(null)}
+                    disabled={busyId === itemToPurge._id}
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    className="flex items-center px-4 py-2 bg-red-600 text-white rounded-md text-sm hover:bg-red-700 disabled:opacity-50"
+                    onClick={handlePurge}
+                    disabled={busyId === itemToPurge._id}
+                  >
+                    {busyId === itemToPurge._id && <Loader2 className="animate-spin mr-2 h-4 w-4" />}
+                    Delete permanently
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default Trash;
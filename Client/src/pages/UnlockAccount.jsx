@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaUnlock, FaCheckCircle } from 'react-icons/fa';
+
+const UnlockAccount = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleUnlock = async () => {
+    setError('');
+
+    try {
+      setIsLoading(true);
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/unlock/${token}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to unlock account');
+      }
+
+      setSuccess(true);
+
+      // Redirect to login after 3 seconds
+      setTimeout(() => {
+        navigate('/login');
+      }, 3000);
+
+    } catch (err) {
+      console.error('Unlock account error:', err);
+      setError(err.message || 'An error occurred while unlocking your account');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Unlock Your Account
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {success ? (
+            <div className="rounded-md bg-green-50 p-4 mb-4">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <FaCheckCircle className="h-5 w-5 text-green-400" aria-hidden="true" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm font-medium text-green-800">
+                    Account unlocked! Redirecting to login...
+                  </p>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="space-y-6">
+              {error && (
+                <div className="rounded-md bg-red-50 p-4">
+                  <p className="text-sm font-medium text-red-800">{error}</p>
+                </div>
+              )}
+
+              <p className="text-sm text-gray-600">
+                Your account was locked after too many failed sign-in attempts. If those attempts were yours,
+                unlock the account to sign in again. If they were not, consider resetting your password afterwards.
+              </p>
+
+              <button
+                type="button"
+                onClick={handleUnlock}
+                disabled={isLoading}
+                className={`w-full flex justify-center items-center gap-2 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 ${
+                  isLoading ? 'opacity-70 cursor-not-allowed' : ''
+                }`}
+              >
+                <FaUnlock className="h-4 w-4" />
+                {isLoading ? 'Unlocking...' : 'Unlock Account'}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { FaCheckCircle, FaSpinner } from 'react-icons/fa';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const verifyEmail = async () => {
+      try {
+        const response = await fetch(`${process.env.REACT_APP_API_URL}/api/auth/verify-email/${token}`, {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to verify email address');
+        }
+
+        setMessage(data.message || 'Email address verified.');
+
+        // Redirect to login after 3 seconds
+        setTimeout(() => {
+          navigate('/login');
+        }, 3000);
+
+      } catch (err) {
+        console.error('Email verification error:', err);
+        setError(err.message || 'An error occurred while verifying your email address');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    verifyEmail();
+  }, [token, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Verify Your Email
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {isLoading ? (
+            <div className="flex items-center justify-center gap-2 text-sm text-gray-600">
+              <FaSpinner className="h-4 w-4 animate-spin" />
+              Verifying your email address...
+            </div>
+          ) : error ? (
+            <div className="space-y-4">
+              <div className="rounded-md bg-red-50 p-4">
+                <p className="text-sm font-medium text-red-800">{error}</p>
+              </div>
+              <p className="text-sm text-gray-600">
+                Verification links expire after 24 hours. Sign in to request a new one.
+              </p>
+              <button
+                type="button"
+                onClick={() => navigate('/login')}
+                className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                Back to Sign In
+              </button>
+            </div>
+          ) : (
+            <div className="rounded-md bg-green-50 p-4">
+              <div className="flex">
+                <div className="flex-shrink-0">
+                  <FaCheckCircle className="h-5 w-5 text-green-400" aria-hidden="true" />
+                </div>
+                <div className="ml-3">
+                  <p className="text-sm font-medium text-green-800">
+                    {message} Redirecting to login...
+                  </p>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
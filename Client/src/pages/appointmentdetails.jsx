@@ -3,6 +3,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { format, parseISO } from 'date-fns';
 import { ArrowLeft, Pencil, Loader2, Clock, MapPin, Users, FileText, AlertCircle } from 'lucide-react';
 import api from '../utils/api';
+import NotesPanel from '../components/NotesPanel';
 
 const statusColors = {
   scheduled: 'bg-blue-100 text-blue-800',
@@ -225,17 +226,7 @@ const AppointmentDetails = () => {
           </div>
 
           {/* Notes */}
-          {appointment.notes && (
-            <div className="border rounded-lg p-6">
-              <div className="flex items-center gap-2 mb-4">
-                <FileText size={20} />
-                <h2 className="font-semibold text-lg">Notes</h2>
-              </div>
-              <div className="prose max-w-none">
-                <p className="whitespace-pre-line text-gray-700">{appointment.notes}</p>
-              </div>
-            </div>
-          )}
+          <NotesPanel entityType="Appointment" entityId={appointment._id} />
 
           {/* Related Information */}
           {(appointment.client || appointment.case) && (
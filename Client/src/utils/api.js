@@ -10,14 +10,132 @@ const api = axios.create({
   timeout: 10000, // 10 seconds timeout
 });
 
+// Cookie authentication mode (REACT_APP_AUTH_MODE=cookie): the server keeps the session tokens in
+// httpOnly cookies, so the client never stores or even sees them. State-changing requests then carry
+// the session's CSRF token, which is only kept in memory.
+export const COOKIE_AUTH = process.env.REACT_APP_AUTH_MODE === 'cookie';
+
+// Methods that need the CSRF token in cookie mode
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+let csrfToken = null;
+
+/**
+ * Stores the CSRF token returned by login, refresh or /auth/csrf-token (cookie mode only).
+ * @param {string|null} token
+ */
+export const setCsrfToken = (token) => {
+  csrfToken = token || null;
+};
+
+/**
+ * Adds the credentials for the current auth mode to a request's headers: the stored Bearer token,
+ * or in cookie mode the auth mode header plus the CSRF token for state-changing requests.
+ * Also used for `fetch` calls made outside the axios instance.
+ * @param {Object} headers - Headers to add to (modified in place)
+ * @param {string} [method='get'] - HTTP method of the request
+ * @returns {Object} The same headers object
+ */
+export const applyAuthHeaders = (headers, method = 'get') => {
+  if (COOKIE_AUTH) {
+    headers['X-Auth-Mode'] = 'cookie';
+    if (csrfToken && UNSAFE_METHODS.includes(String(method).toLowerCase())) {
+      headers['X-CSRF-Token'] = csrfToken;
+    }
+    return headers;
+  }
+
+  const token = localStorage.getItem('token');
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return headers;
+};
+
+// Requests that must never trigger a token refresh themselves
+const AUTH_ENDPOINTS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// Shared in-flight refresh so parallel 401s only trigger a single refresh call
+let refreshPromise = null;
+
+/**
+ * Exchanges the stored refresh token for a new access token.
+ * In cookie mode the refresh token is sent as a cookie and the new tokens come back as cookies.
+ * Concurrent callers share the same request.
+ * @returns {Promise<string|null>} The new access token (null in cookie mode)
+ */
+export const refreshAccessToken = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken && !COOKIE_AUTH) {
+    return Promise.reject(new Error('No refresh token available'));
+  }
+
+  // Use a bare request so the interceptors below don't recurse into another refresh
+  refreshPromise = axios
+    .post('/auth/refresh', COOKIE_AUTH ? {} : { refreshToken }, {
+      baseURL: api.defaults.baseURL,
+      withCredentials: true,
+      headers: applyAuthHeaders({}, 'post')
+    })
+    .then((response) => {
+      if (COOKIE_AUTH) {
+        setCsrfToken(response.data.data.csrfToken);
+        return null;
+      }
+
+      const { token, refreshToken: newRefreshToken } = response.data.data;
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', newRefreshToken);
+      return token;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+/**
+ * Removes all stored credentials.
+ */
+export const clearStoredTokens = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  setCsrfToken(null);
+};
+
+/**
+ * Restores a cookie mode session after a page load: loads the CSRF token (refreshing the
+ * access token if it has expired) and returns the signed-in user.
+ * Rejects when there is no valid session.
+ * @returns {Promise<Object>} The signed-in user
+ */
+export const restoreCookieSession = async () => {
+  const request = (url) => axios.get(url, {
+    baseURL: api.defaults.baseURL,
+    withCredentials: true,
+    headers: applyAuthHeaders({})
+  });
+
+  try {
+    const response = await request('/auth/csrf-token');
+    setCsrfToken(response.data.data.csrfToken);
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    await refreshAccessToken();
+  }
+
+  const response = await request('/auth/profile');
+  return response.data.user;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add auth token to requests if it exists
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
-    }
+    // Add the credentials for the current auth mode
+    applyAuthHeaders(config.headers, config.method);
     return config;
   },
   (error) => {
@@ -31,7 +149,27 @@ api.interceptors.response.use(
     // Handle successful responses
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Handle 401 Unauthorized: try to refresh the access token once, then replay the request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !AUTH_ENDPOINTS.some((endpoint) => originalRequest.url?.includes(endpoint))
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        await refreshAccessToken();
+        applyAuthHeaders(originalRequest.headers, originalRequest.method);
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Refresh failed: fall through to the regular 401 handling below
+      }
+    }
+
     // Handle errors
     if (error.response) {
       // The request was made and the server responded with a status code
@@ -42,11 +180,10 @@ api.interceptors.response.use(
         url: error.config?.url,
         data: error.response.data,
       });
-      
-      // Handle 401 Unauthorized
+
+      // Still unauthorized after a refresh attempt: clear tokens and redirect to login
       if (error.response.status === 401) {
-        // Clear token and redirect to login
-        localStorage.removeItem('token');
+        clearStoredTokens();
         window.location.href = '/login';
       }
     } else if (error.request) {
@@ -59,7 +196,7 @@ api.interceptors.response.use(
       // Something happened in setting up the request that triggered an Error
       console.error('API Error - Request Setup:', error.message);
     }
-    
+
     return Promise.reject(error);
   }
 );
@@ -0,0 +1,14 @@
+import { format } from 'date-fns';
+
+/**
+ * Formats a date for the account and security settings, e.g. "Mar 4, 2025 2:30 PM".
+ * @param {string|Date} date
+ * @returns {string} The formatted date, or "N/A" when it is missing or invalid
+ */
+export const formatDateTime = (date) => {
+  try {
+    return format(new Date(date), 'MMM d, yyyy h:mm a');
+  } catch {
+    return 'N/A';
+  }
+};
@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+
+// Shared across forms so the policy is only requested once per page load
+let policyPromise = null;
+
+/**
+ * Loads the server's password policy description (e.g. "At least 10 characters, ...").
+ * The server is the source of truth: forms show this text and report the server's error on submit.
+ * @returns {string} The description, or an empty string until it has loaded
+ */
+export const usePasswordPolicy = () => {
+  const [description, setDescription] = useState('');
+
+  useEffect(() => {
+    if (!policyPromise) {
+      policyPromise = fetch(`${process.env.REACT_APP_API_URL}/api/auth/password-policy`)
+        .then(response => (response.ok ? response.json() : null))
+        .then(data => data?.data?.description || '')
+        .catch(err => {
+          console.error('Error loading password policy:', err);
+          policyPromise = null;
+          return '';
+        });
+    }
+
+    let isCurrent = true;
+    policyPromise.then(text => {
+      if (isCurrent) setDescription(text);
+    });
+    return () => {
+      isCurrent = false;
+    };
+  }, []);
+
+  return description;
+};
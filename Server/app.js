@@ -3,7 +3,9 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const path = require('path');
 const express = require('express');
+const cookieParser = require('cookie-parser');
 const connectDB = require('./src/config/connectDB');
+const { startTrashPurge } = require('./src/utils/trash');
 
 // Load environment variables from .env file
 dotenv.config();
@@ -27,8 +29,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'X-Foo', 'X-Bar'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Cache', 'X-Requested-With', 'X-API-Key', 'X-Auth-Mode', 'X-CSRF-Token'],
+  exposedHeaders: ['Content-Length', 'Content-Disposition', 'X-Foo', 'X-Bar'],
   optionsSuccessStatus: 204
 };
 
@@ -48,7 +50,16 @@ app.get('/api', (req, res) => {
         register: `${baseUrl}/api/auth/register`,
         forgotPassword: `${baseUrl}/api/auth/forgotpassword`,
         resetPassword: `${baseUrl}/api/auth/resetpassword`,
+        changePassword: `${baseUrl}/api/auth/change-password`,
+        passwordPolicy: `${baseUrl}/api/auth/password-policy`,
         verifyToken: `${baseUrl}/api/auth/verify-token`,
+        refresh: `${baseUrl}/api/auth/refresh`,
+        logout: `${baseUrl}/api/auth/logout`,
+        sessions: `${baseUrl}/api/auth/sessions`,
+        csrfToken: `${baseUrl}/api/auth/csrf-token`,
+        twoFactor: `${baseUrl}/api/auth/2fa`,
+        sso: `${baseUrl}/api/auth/sso`,
+        apiKeys: `${baseUrl}/api/auth/api-keys`,
         me: `${baseUrl}/api/auth/me`
       },
       clients: `${baseUrl}/api/clients`,
@@ -57,8 +68,13 @@ app.get('/api', (req, res) => {
       appointments: `${baseUrl}/api/appointments`,
       tasks: `${baseUrl}/api/tasks`,
       users: `${baseUrl}/api/users`,
+      firm: `${baseUrl}/api/firm`,
       notifications: `${baseUrl}/api/notifications`,
-      ai: `${baseUrl}/api/ai`
+      ai: `${baseUrl}/api/ai`,
+      portal: `${baseUrl}/api/portal`,
+      notes: `${baseUrl}/api/notes`,
+      matterTemplates: `${baseUrl}/api/matter-templates`,
+      trash: `${baseUrl}/api/trash`
     }
   };
   res.json(apiDocs);
@@ -69,7 +85,10 @@ app.use(express.json({
   strict: true
 }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Session cookies for clients using cookie authentication (X-Auth-Mode: cookie)
+app.use(cookieParser());
+// Uploaded files are not served statically: documents are only available through
+// GET /api/documents/:id/download, which checks firm, case access and restrictions
 
 // Handle preflight requests
 app.options('*', cors(corsOptions));
@@ -82,8 +101,13 @@ const caseRoutes = require('./src/routes/caseRoutes');
 const appointmentRoutes = require('./src/routes/appointmentRoutes');
 const taskRoutes = require('./src/routes/taskRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const firmRoutes = require('./src/routes/firmRoutes');
 const notificationRoutes = require('./src/routes/notificationRoutes');
 const aiRoutes = require('./src/routes/aiRoutes');
+const portalRoutes = require('./src/routes/portalRoutes');
+const noteRoutes = require('./src/routes/noteRoutes');
+const matterTemplateRoutes = require('./src/routes/matterTemplateRoutes');
+const trashRoutes = require('./src/routes/trashRoutes');
 
 // Use Routes
 app.use('/api/auth', authRoutes);
@@ -93,8 +117,13 @@ app.use('/api/cases', caseRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api/tasks', taskRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/firm', firmRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/ai', aiRoutes);
+app.use('/api/portal', portalRoutes);
+app.use('/api/notes', noteRoutes);
+app.use('/api/matter-templates', matterTemplateRoutes);
+app.use('/api/trash', trashRoutes);
 
 // Health check route
 app.listen(5000, '0.0.0.0', () => {
@@ -126,6 +155,8 @@ if (process.env.NODE_ENV === 'production') {
 // Connect to DB & start server
 (async () => {
   await connectDB();
+  // Permanently remove records that have been in the trash for longer than their firm keeps them
+  startTrashPurge();
 
   const PORT = process.env.PORT || 5000;
   app.listen(PORT, () => {
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Firm = require('../../src/models/Firm');
+const User = require('../../src/models/User');
+const Case = require('../../src/models/Case');
+const Client = require('../../src/models/Client');
+const Document = require('../../src/models/Document');
+const Task = require('../../src/models/Task');
+const Appointment = require('../../src/models/Appointment');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected...');
+  } catch (err) {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  }
+};
+
+// Migration: Move single-owner records into a firm.
+// Usage: node scripts/migrations/addFirmsToRecords.js ["Firm name"]
+// All users without a firm join one firm (created if needed), and every record they own
+// is assigned to that firm with its owner as the responsible attorney.
+const migrateFirms = async () => {
+  try {
+    await connectDB();
+
+    const firmName = process.argv[2] || 'My Firm';
+    let firm = await Firm.findOne({ name: firmName });
+    if (!firm) {
+      const oldestUser = await User.findOne().sort({ createdAt: 1 });
+      firm = await Firm.create({ name: firmName, createdBy: oldestUser ? oldestUser._id : undefined });
+      console.log(`- Created firm "${firm.name}"`);
+    }
+
+    const usersResult = await User.updateMany(
+      { firm: { $exists: false } },
+      { $set: { firm: firm._id } }
+    );
+    console.log(`- Added ${usersResult.modifiedCount} users to "${firm.name}"`);
+
+    // Records get the firm of their owner and the owner as responsible attorney
+    const users = await User.find({ firm: { $exists: true } }).select('_id firm');
+    for (const Model of [Case, Client, Document, Task, Appointment]) {
+      let migrated = 0;
+      for (const user of users) {
+        const result = await Model.collection.updateMany(
+          { user: user._id, firm: { $exists: false } },
+          { $set: { firm: user.firm, responsibleAttorney: user._id } }
+        );
+        migrated += result.modifiedCount;
+      }
+      console.log(`- Assigned ${migrated} ${Model.collection.collectionName} to their firm`);
+    }
+
+    // Case numbers used to be unique across the whole database; they are now unique per firm
+    const caseIndexes = await Case.collection.indexes();
+    if (caseIndexes.some(index => index.name === 'caseNumber_1')) {
+      await Case.collection.dropIndex('caseNumber_1');
+      console.log('- Dropped global unique index on caseNumber');
+    }
+    await Case.syncIndexes();
+
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateFirms();
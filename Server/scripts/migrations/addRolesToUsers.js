@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../../src/models/User');
+const { DEFAULT_ROLE } = require('../../src/config/permissions');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected...');
+  } catch (err) {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  }
+};
+
+// Migration: Give existing users a role and make sure there is an administrator.
+// Usage: node scripts/migrations/addRolesToUsers.js [admin-email]
+// When no email is given and no admin exists, the oldest account becomes admin.
+const migrateRoles = async () => {
+  try {
+    await connectDB();
+
+    const result = await User.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: DEFAULT_ROLE } }
+    );
+    console.log(`- Set role to '${DEFAULT_ROLE}' for ${result.modifiedCount} users`);
+
+    const adminEmail = process.argv[2];
+    const existingAdmin = await User.findOne({ role: 'admin' });
+
+    if (adminEmail || !existingAdmin) {
+      const admin = adminEmail
+        ? await User.findOne({ email: adminEmail.toLowerCase().trim() })
+        : await User.findOne().sort({ createdAt: 1 });
+
+      if (admin) {
+        await User.updateOne({ _id: admin._id }, { $set: { role: 'admin' } });
+        console.log(`- Granted admin role to ${admin.email}`);
+      } else {
+        console.log(adminEmail ? `- No user found with email ${adminEmail}` : '- No users found, nothing to promote');
+      }
+    }
+
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateRoles();
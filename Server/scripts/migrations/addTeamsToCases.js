@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Case = require('../../src/models/Case');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('MongoDB connected...');
+  } catch (err) {
+    console.error('MongoDB connection error:', err);
+    process.exit(1);
+  }
+};
+
+// Migration: Give existing cases a team.
+// Cases without team members get their creator and responsible attorney as lead counsel,
+// so they stay visible to the people who could see them before case teams existed.
+const migrateCaseTeams = async () => {
+  try {
+    await connectDB();
+
+    const cases = await Case.find({ $or: [{ team: { $exists: false } }, { team: { $size: 0 } }] });
+
+    for (const caseItem of cases) {
+      const leads = [caseItem.user, caseItem.responsibleAttorney]
+        .filter(Boolean)
+        .map(String)
+        .filter((id, index, ids) => ids.indexOf(id) === index);
+
+      caseItem.team = leads.map(userId => ({ user: userId, role: 'lead_counsel' }));
+      await caseItem.save({ validateBeforeSave: false });
+    }
+
+    console.log(`- Added teams to ${cases.length} cases`);
+    console.log('Migration completed successfully');
+    process.exit(0);
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+migrateCaseTeams();
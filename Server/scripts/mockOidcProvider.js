@@ -0,0 +1,159 @@
+// Minimal OpenID Connect provider for trying out single sign-on locally. Nothing is persisted.
+//
+// Usage: npm run mock-oidc   (listens on MOCK_OIDC_PORT, default 4000)
+// Then configure the server (.env):
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=advocy-local
+//   OIDC_CLIENT_SECRET=advocy-local-secret
+//   OIDC_FIRM_ID=<id of the firm SSO users are provisioned into>
+//
+// The authorization page asks which identity to sign in as, so linking and provisioning
+// can be tried with any email address (verified or not).
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'advocy-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'advocy-local-secret';
+const KEY_ID = 'mock-oidc-key';
+// Authorization codes are short-lived and single-use
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh signing key on every start
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes: code -> { clientId, redirectUri, nonce, codeChallenge, claims, expiresAt }
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+}[char]));
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+// Show a form to choose the identity to sign in as; all request parameters are carried along
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+  if (clientId !== CLIENT_ID || responseType !== 'code' || !redirectUri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<html><head><title>Mock OIDC sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 40px auto;">
+  <h2>Mock identity provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required style="width: 100%"></label></p>
+    <p><label>First name<br><input name="given_name" style="width: 100%"></label></p>
+    <p><label>Last name<br><input name="family_name" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body></html>`);
+});
+
+// Issue an authorization code for the chosen identity and send the browser back to the client
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, email } = req.body;
+  if (clientId !== CLIENT_ID || !redirectUri || !email) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  const normalizedEmail = String(email).toLowerCase().trim();
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge: req.body.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    claims: {
+      // The same email always gets the same subject, like a real provider account
+      sub: crypto.createHash('sha256').update(normalizedEmail).digest('hex').slice(0, 24),
+      email: normalizedEmail,
+      email_verified: req.body.email_verified === 'true',
+      given_name: req.body.given_name || undefined,
+      family_name: req.body.family_name || undefined,
+      name: [req.body.given_name, req.body.family_name].filter(Boolean).join(' ') || undefined,
+    },
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  if (state) url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+// Redeem an authorization code for an ID token
+app.post('/token', (req, res) => {
+  let clientId = req.body.client_id;
+  let clientSecret = req.body.client_secret;
+  const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+  if (basic) {
+    [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+  }
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (req.body.grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+    || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+  }
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: '5m',
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('base64url'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,48 @@
+// Case status workflow: the statuses a case can have, which changes between them are allowed and
+// what each change requires. utils/caseStatus.js applies it and keeps the case's status history.
+
+// Every status a case can have
+const CASE_STATUSES = ['open', 'pending', 'on_hold', 'closed', 'archived'];
+
+// Statuses a new case can start in
+const INITIAL_CASE_STATUSES = ['open', 'pending'];
+
+// How a closed case ended
+const CASE_OUTCOMES = ['won', 'lost', 'settled', 'dismissed', 'withdrawn', 'resolved', 'other'];
+
+// What a status change requires: a `reason`, an `outcome` and/or an `endDate`
+const CLOSING = { outcome: true, endDate: true };
+
+// For each status, the statuses a case may move to from it and what that change requires
+const CASE_STATUS_TRANSITIONS = {
+  open: {
+    pending: {},
+    on_hold: { reason: true },
+    closed: CLOSING,
+  },
+  pending: {
+    open: {},
+    on_hold: { reason: true },
+    closed: CLOSING,
+  },
+  on_hold: {
+    open: {},
+    pending: {},
+    closed: CLOSING,
+  },
+  closed: {
+    // Reopening clears the outcome and end date; the status history keeps them
+    open: { reason: true },
+    archived: {},
+  },
+  archived: {
+    closed: { reason: true },
+  },
+};
+
+module.exports = {
+  CASE_STATUSES,
+  INITIAL_CASE_STATUSES,
+  CASE_OUTCOMES,
+  CASE_STATUS_TRANSITIONS,
+};
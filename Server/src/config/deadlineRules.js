@@ -0,0 +1,108 @@
+// Court deadline rules: for each jurisdiction, the trigger events that start deadlines running and the
+// deadlines that follow from them. utils/courtDeadlines.js computes the dates and creates the tasks.
+//
+// These rule sets cover the common deadlines only and must be checked against the court's current
+// rules (and any local rules or orders in the case) before being relied on. Add a jurisdiction by
+// adding a rule set; add a holiday calendar for its courts to HOLIDAY_CALENDARS.
+//
+// A deadline rule is:
+//   key        - identifies the deadline within its trigger, so recalculation finds its task again
+//   title      - task title
+//   days       - number of days from the trigger date
+//   dayType    - 'calendar': count every day, then move off a weekend or holiday;
+//                'court': count only days the court is open
+//   direction  - 'after' (default) or 'before' the trigger date, e.g. papers due before a hearing
+//   priority   - priority of the created task (default 'high')
+//   authority  - rule the deadline comes from, shown in the task description
+
+// Court holidays. A holiday is a fixed date ({ month, day }) or the nth weekday of a month
+// ({ month, weekday, nth }, nth -1 for the last one). Months are 1-12, weekdays 0 (Sunday) - 6.
+// With `observed`, a holiday on a Saturday is observed on the Friday before, on a Sunday the Monday after.
+const US_FEDERAL_HOLIDAYS = [
+  { name: "New Year's Day", month: 1, day: 1, observed: true },
+  { name: 'Birthday of Martin Luther King, Jr.', month: 1, weekday: 1, nth: 3 },
+  { name: "Washington's Birthday", month: 2, weekday: 1, nth: 3 },
+  { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+  { name: 'Juneteenth National Independence Day', month: 6, day: 19, observed: true },
+  { name: 'Independence Day', month: 7, day: 4, observed: true },
+  { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+  { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+  { name: 'Veterans Day', month: 11, day: 11, observed: true },
+  { name: 'Thanksgiving Day', month: 11, weekday: 4, nth: 4 },
+  { name: 'Christmas Day', month: 12, day: 25, observed: true },
+];
+
+const HOLIDAY_CALENDARS = {
+  us_federal: US_FEDERAL_HOLIDAYS,
+  // Judicial holidays of the California courts (Code Civ. Proc. §§ 135, 12a; Gov. Code § 6700)
+  california: [
+    ...US_FEDERAL_HOLIDAYS.filter(holiday => holiday.name !== 'Juneteenth National Independence Day'),
+    { name: 'Lincoln Day', month: 2, day: 12, observed: true },
+    { name: 'Cesar Chavez Day', month: 3, day: 31, observed: true },
+    { name: 'Native American Day', month: 9, weekday: 5, nth: 4 },
+    { name: 'Day after Thanksgiving', month: 11, weekday: 5, nth: 4 },
+  ],
+};
+
+const DEADLINE_RULE_SETS = {
+  us_federal: {
+    name: 'U.S. Federal Courts (FRCP / FRAP)',
+    // Case jurisdictions containing any of these (case-insensitive) use this rule set
+    jurisdictions: ['federal', 'u.s. district', 'us district', 'united states district'],
+    holidayCalendar: 'us_federal',
+    triggers: {
+      service_of_complaint: {
+        label: 'Service of summons and complaint',
+        deadlines: [
+          { key: 'answer', title: 'Answer or Rule 12 motion due', days: 21, dayType: 'calendar', authority: 'FRCP 12(a)(1)(A)(i)' },
+        ],
+      },
+      service_of_motion: {
+        label: 'Service of motion',
+        deadlines: [
+          { key: 'response', title: 'Response to motion due', days: 14, dayType: 'calendar', authority: 'Common local rule; check the district\'s local rules' },
+        ],
+      },
+      entry_of_judgment: {
+        label: 'Entry of judgment',
+        deadlines: [
+          { key: 'new_trial', title: 'Motion for new trial / to alter or amend judgment due', days: 28, dayType: 'calendar', authority: 'FRCP 59(b), 59(e)' },
+          { key: 'notice_of_appeal', title: 'Notice of appeal due', days: 30, dayType: 'calendar', priority: 'urgent', authority: 'FRAP 4(a)(1)(A)' },
+        ],
+      },
+    },
+  },
+  california: {
+    name: 'California Superior Court (CCP)',
+    jurisdictions: ['california', 'cal.', 'ca superior'],
+    holidayCalendar: 'california',
+    triggers: {
+      service_of_complaint: {
+        label: 'Personal service of summons and complaint',
+        deadlines: [
+          { key: 'answer', title: 'Responsive pleading due', days: 30, dayType: 'calendar', authority: 'CCP § 412.20(a)(3)' },
+        ],
+      },
+      motion_hearing: {
+        label: 'Hearing on motion',
+        deadlines: [
+          { key: 'motion', title: 'Last day to serve and file motion (personal service)', days: 16, dayType: 'court', direction: 'before', authority: 'CCP § 1005(b)' },
+          { key: 'opposition', title: 'Opposition to motion due', days: 9, dayType: 'court', direction: 'before', authority: 'CCP § 1005(b)' },
+          { key: 'reply', title: 'Reply in support of motion due', days: 5, dayType: 'court', direction: 'before', authority: 'CCP § 1005(b)' },
+        ],
+      },
+      notice_of_entry_of_judgment: {
+        label: 'Service of notice of entry of judgment',
+        deadlines: [
+          { key: 'new_trial', title: 'Notice of intention to move for new trial due', days: 15, dayType: 'calendar', authority: 'CCP § 659(a)(2)' },
+          { key: 'notice_of_appeal', title: 'Notice of appeal due', days: 60, dayType: 'calendar', priority: 'urgent', authority: 'Cal. Rules of Court, rule 8.104(a)(1)(B)' },
+        ],
+      },
+    },
+  },
+};
+
+module.exports = {
+  HOLIDAY_CALENDARS,
+  DEADLINE_RULE_SETS,
+};
@@ -0,0 +1,46 @@
+// Matter (case) and client numbering: the tokens a firm's numbering patterns can use and the
+// defaults for firms that have not set up their own. utils/numbering.js builds the numbers.
+
+// Tokens a pattern can contain. {SEQ} is required; {TYPE} is only available to matter numbers.
+const NUMBERING_TOKENS = {
+  '{PREFIX}': 'The prefix set for the sequence',
+  '{YYYY}': 'Four-digit year the record was created',
+  '{YY}': 'Two-digit year the record was created',
+  '{TYPE}': 'Code of the case type (matter numbers only)',
+  '{SEQ}': 'Sequence number, zero-padded to the configured width',
+};
+
+// Default numbering, e.g. matter 2026-001 and client C-0001
+const DEFAULT_MATTER_NUMBERING = { pattern: '{PREFIX}{YYYY}-{SEQ}', prefix: '', padding: 3 };
+const DEFAULT_CLIENT_NUMBERING = { pattern: '{PREFIX}{SEQ}', prefix: 'C-', padding: 4 };
+
+// Codes used for {TYPE}, unless the firm sets its own
+const DEFAULT_CASE_TYPE_CODES = {
+  civil: 'CIV',
+  criminal: 'CRIM',
+  family: 'FAM',
+  corporate: 'CORP',
+  property: 'PROP',
+  labor: 'LAB',
+  tax: 'TAX',
+  intellectual_property: 'IP',
+  bankruptcy: 'BK',
+  immigration: 'IMM',
+  constitutional: 'CONST',
+  environmental: 'ENV',
+  real_estate: 'RE',
+  wills_trusts: 'WT',
+  personal_injury: 'PI',
+  medical_malpractice: 'MED',
+  employment: 'EMP',
+  consumer_protection: 'CP',
+  cyber_law: 'CYB',
+  other: 'GEN',
+};
+
+module.exports = {
+  NUMBERING_TOKENS,
+  DEFAULT_MATTER_NUMBERING,
+  DEFAULT_CLIENT_NUMBERING,
+  DEFAULT_CASE_TYPE_CODES,
+};
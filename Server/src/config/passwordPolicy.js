@@ -0,0 +1,54 @@
+// Password policy: the rules every new password must satisfy.
+// Each rule can be changed through environment variables; utils/passwordPolicy.js enforces them.
+
+// Read an integer setting, keeping the default when the variable is unset or invalid (0 is allowed)
+const envInt = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+};
+
+// Read a boolean setting ('true' / 'false')
+const envBool = (name, defaultValue) => {
+  if (process.env[name] === undefined || process.env[name] === '') return defaultValue;
+  return process.env[name] === 'true';
+};
+
+const PASSWORD_POLICY = {
+  // Minimum and maximum password length
+  minLength: envInt('PASSWORD_MIN_LENGTH', 10),
+  maxLength: envInt('PASSWORD_MAX_LENGTH', 128),
+  // Character classes a password must contain
+  requireUppercase: envBool('PASSWORD_REQUIRE_UPPERCASE', true),
+  requireLowercase: envBool('PASSWORD_REQUIRE_LOWERCASE', true),
+  requireNumber: envBool('PASSWORD_REQUIRE_NUMBER', true),
+  requireSymbol: envBool('PASSWORD_REQUIRE_SYMBOL', false),
+  // Reject passwords found in the bundled list of breached passwords (breached-passwords.txt)
+  checkBreached: envBool('PASSWORD_CHECK_BREACHED', true),
+  // Number of previous passwords that may not be reused (0 disables the check)
+  historyCount: envInt('PASSWORD_HISTORY_COUNT', 5),
+};
+
+// Describe the policy in one sentence, for forms that ask for a new password
+const describePasswordPolicy = (policy = PASSWORD_POLICY) => {
+  const classes = [
+    policy.requireUppercase && 'an uppercase letter',
+    policy.requireLowercase && 'a lowercase letter',
+    policy.requireNumber && 'a number',
+    policy.requireSymbol && 'a symbol',
+  ].filter(Boolean);
+
+  let description = `At least ${policy.minLength} characters`;
+  if (classes.length > 0) {
+    const last = classes.pop();
+    description += `, including ${classes.length > 0 ? `${classes.join(', ')} and ${last}` : last}`;
+  }
+  if (policy.historyCount > 0) {
+    description += `. Your last ${policy.historyCount} passwords cannot be reused`;
+  }
+  return `${description}.`;
+};
+
+module.exports = {
+  PASSWORD_POLICY,
+  describePasswordPolicy,
+};
@@ -0,0 +1,165 @@
+// Role-based access control: which roles may perform which action on each resource.
+// Routes reference these entries through the `authorize(resource, action)` middleware.
+
+// Every role a user can have, from most to least privileged
+const ROLES = ['admin', 'partner', 'associate', 'paralegal', 'client'];
+
+// Role given to new accounts unless specified otherwise
+const DEFAULT_ROLE = 'associate';
+
+// Shorthands for the common role groups
+const STAFF = ['admin', 'partner', 'associate', 'paralegal'];
+const LAWYERS = ['admin', 'partner', 'associate'];
+const MANAGEMENT = ['admin', 'partner'];
+
+const PERMISSIONS = {
+  cases: {
+    create: LAWYERS,
+    read: STAFF,
+    update: STAFF,
+    delete: MANAGEMENT,
+    // Place or lift a legal hold
+    legalHold: LAWYERS,
+    // Open a case despite potential conflicts of interest, with a justification
+    overrideConflict: LAWYERS,
+  },
+  clients: {
+    create: STAFF,
+    read: STAFF,
+    update: STAFF,
+    delete: MANAGEMENT,
+    // Invite a client to the client portal
+    invitePortal: LAWYERS,
+    // Take on a client despite potential conflicts of interest, with a justification
+    overrideConflict: LAWYERS,
+    // Export everything held about a client (data subject requests). The export includes
+    // every linked case regardless of case teams, so only firm admins may run it.
+    exportData: ['admin'],
+    // Place or lift a legal hold
+    legalHold: LAWYERS,
+    // Erase a client's personal data and linked records (right to erasure)
+    erase: ['admin'],
+  },
+  documents: {
+    create: STAFF,
+    read: STAFF,
+    update: STAFF,
+    delete: LAWYERS,
+    download: STAFF,
+    // View, download or flag documents marked as restricted
+    accessRestricted: LAWYERS,
+  },
+  tasks: {
+    create: STAFF,
+    read: STAFF,
+    update: STAFF,
+    delete: LAWYERS,
+  },
+  appointments: {
+    create: STAFF,
+    read: STAFF,
+    update: STAFF,
+    delete: LAWYERS,
+  },
+  firm: {
+    read: STAFF,
+    update: ['admin'],
+    // Review lockouts and other suspected brute-force activity
+    viewSecurityEvents: ['admin'],
+    // Review and export the audit log of who did what
+    viewAuditLog: ['admin'],
+  },
+  profiles: {
+    readAll: ['admin'],
+  },
+  // Internal tools that must never be reachable from the client portal
+  ai: {
+    use: STAFF,
+  },
+  notifications: {
+    use: STAFF,
+  },
+  // Note entries on cases, clients, tasks and appointments
+  notes: {
+    create: STAFF,
+    read: STAFF,
+    update: STAFF,
+    // Delete other people's notes (authors can always delete their own)
+    delete: LAWYERS,
+    // See notes flagged as confidential
+    viewConfidential: LAWYERS,
+  },
+  // Matter templates applied when opening a case (tasks, folders, custom fields, default team)
+  matterTemplates: {
+    read: STAFF,
+    manage: ['admin'],
+  },
+  // Deleted cases, clients, tasks, appointments, documents and notes. Restoring a record takes the
+  // permission to delete it; purging removes it for good, with everything deleted along with it.
+  trash: {
+    read: STAFF,
+    purge: MANAGEMENT,
+  },
+  // The client portal: a client's own cases, shared documents, appointments and requests
+  portal: {
+    read: ['client'],
+    upload: ['client'],
+  },
+  users: {
+    read: STAFF,
+    manageRoles: ['admin'],
+    // Invite colleagues and manage pending invitations
+    invite: ['admin'],
+  },
+};
+
+// Roles a member can have on a case team. Access to a case (and its documents, tasks and
+// appointments) additionally requires team membership, see utils/caseAccess.js.
+const CASE_TEAM_ROLES = ['lead_counsel', 'associate', 'paralegal', 'read_only'];
+
+// What each case team role may do on the case and the records linked to it
+const CASE_TEAM_PERMISSIONS = {
+  read: ['lead_counsel', 'associate', 'paralegal', 'read_only'],
+  write: ['lead_counsel', 'associate', 'paralegal'],
+  manageTeam: ['lead_counsel'],
+  delete: ['lead_counsel'],
+};
+
+// Scopes an API key can be granted, and the permission actions each one covers.
+// A key can never do more than its owner's role allows, and deleting is never granted.
+const API_KEY_SCOPES = {
+  'cases:read': { resource: 'cases', actions: ['read'] },
+  'cases:write': { resource: 'cases', actions: ['create', 'update'] },
+  'clients:read': { resource: 'clients', actions: ['read'] },
+  'clients:write': { resource: 'clients', actions: ['create', 'update'] },
+  'documents:read': { resource: 'documents', actions: ['read', 'download'] },
+  'documents:upload': { resource: 'documents', actions: ['create'] },
+  'tasks:read': { resource: 'tasks', actions: ['read'] },
+  'tasks:write': { resource: 'tasks', actions: ['create', 'update'] },
+  'appointments:read': { resource: 'appointments', actions: ['read'] },
+  'appointments:write': { resource: 'appointments', actions: ['create', 'update'] },
+};
+
+// Check whether a role may perform an action on a resource.
+// Unknown resources or actions are denied.
+const hasPermission = (role, resource, action) => {
+  const allowed = PERMISSIONS[resource] && PERMISSIONS[resource][action];
+  return Array.isArray(allowed) && allowed.includes(role);
+};
+
+// Check whether a set of API key scopes covers an action on a resource
+const scopesAllow = (scopes, resource, action) => (scopes || []).some(scope => {
+  const grant = API_KEY_SCOPES[scope];
+  return Boolean(grant && grant.resource === resource && grant.actions.includes(action));
+});
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  CASE_TEAM_ROLES,
+  CASE_TEAM_PERMISSIONS,
+  API_KEY_SCOPES,
+  hasPermission,
+  scopesAllow,
+};
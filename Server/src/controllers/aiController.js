@@ -2,6 +2,9 @@ const { GoogleGenerativeAI } = require('@google/generative-ai');
 const asyncHandler = require('express-async-handler');
 const Case = require('../models/Case');     // Import Case model for context
 const Client = require('../models/Client'); // Import Client model for context
+const Draft = require('../models/Draft');   // Import Draft model for saving generated drafts
+const { accessibleCaseFilter } = require('../utils/caseAccess');
+const { describeParticipants } = require('../utils/caseParticipants');
 
 // Access your API key as an environment variable (CRITICAL)
 const API_KEY = process.env.GOOGLE_API_KEY; 
@@ -101,14 +104,14 @@ exports.handleChatQuery = asyncHandler(async (req, res) => {
             }
             
             if (contextData.caseId) {
-                const caseDetails = await Case.findById(contextData.caseId);
+                const caseDetails = await Case.findOne({ _id: contextData.caseId, ...accessibleCaseFilter(req.user) });
                 if (caseDetails) {
-                    fullPrompt = `Regarding Case "${caseDetails.caseName}" (Number: ${caseDetails.caseNumber}, Description: ${caseDetails.description || 'N/A'}): \n\n${fullPrompt}`;
+                    fullPrompt = `Regarding Case "${caseDetails.caseName}" (Number: ${caseDetails.caseNumber}, Description: ${caseDetails.description || 'N/A'}, Participants: ${describeParticipants(caseDetails) || 'N/A'}): \n\n${fullPrompt}`;
                 }
             }
             
             if (contextData.clientId) {
-                const clientDetails = await Client.findById(contextData.clientId);
+                const clientDetails = await Client.findOne({ _id: contextData.clientId, firm: req.user.firm });
                 if (clientDetails) {
                     fullPrompt = `Regarding Client "${clientDetails.firstName} ${clientDetails.lastName}" (Email: ${clientDetails.email || 'N/A'}, Phone: ${clientDetails.phone || 'N/A'}): \n\n${fullPrompt}`;
                 }
@@ -170,14 +173,17 @@ exports.generateDraft = asyncHandler(async (req, res) => {
     // Construct a detailed prompt for draft generation for the LLM
     let llmPrompt = `Generate a legal document draft. Type of draft: "${draftType || 'General Document'}". Instructions: "${prompt}".`;
 
+    // Drafts are only linked to cases and clients the user can see
+    let caseDetails = null;
+    let clientDetails = null;
     if (caseId) {
-        const caseDetails = await Case.findById(caseId);
+        caseDetails = await Case.findOne({ _id: caseId, ...accessibleCaseFilter(req.user) });
         if (caseDetails) {
-            llmPrompt += `\n\nContextual Case Details: Case Name: ${caseDetails.caseName}, Case Number: ${caseDetails.caseNumber}, Description: ${caseDetails.description || 'N/A'}.`;
+            llmPrompt += `\n\nContextual Case Details: Case Name: ${caseDetails.caseName}, Case Number: ${caseDetails.caseNumber}, Description: ${caseDetails.description || 'N/A'}, Participants: ${describeParticipants(caseDetails) || 'N/A'}.`;
         }
     }
     if (clientId) {
-        const clientDetails = await Client.findById(clientId);
+        clientDetails = await Client.findOne({ _id: clientId, firm: req.user.firm });
         if (clientDetails) {
             llmPrompt += `\n\nContextual Client Details: Name: ${clientDetails.firstName} ${clientDetails.lastName}, Email: ${clientDetails.email || 'N/A'}, Phone: ${clientDetails.phone || 'N/A'}.`;
         }
@@ -191,13 +197,14 @@ exports.generateDraft = asyncHandler(async (req, res) => {
 
     // Save the generated draft to the database
     const newDraft = await Draft.create({
+        firm: req.user.firm,
         user: req.user._id, // Authenticated user ID from auth middleware
         title: title,
         content: generatedContent, // The actual generated text from LLM
         draftType: draftType || undefined,
         prompt: prompt, // Store the original prompt provided by the user
-        case: caseId || undefined,
-        client: clientId || undefined,
+        case: caseDetails ? caseDetails._id : undefined,
+        client: clientDetails ? clientDetails._id : undefined,
         status: 'in_progress', // Default status for a newly generated draft
     });
 
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { generateApiKey } = require('../utils/apiKeys');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const { recordAudit } = require('../utils/auditLog');
+
+// Most active keys a single user can have
+const MAX_ACTIVE_KEYS = 20;
+// Longest lifetime that can be chosen for a key, in days
+const MAX_EXPIRY_DAYS = 365;
+
+// Shape an API key for the client; the key hash is never returned
+const formatApiKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  createdAt: apiKey.createdAt,
+});
+
+// @desc    List the authenticated user's API keys and the scopes that can be granted
+// @route   GET /api/auth/api-keys
+// @access  Private
+exports.getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys.map(formatApiKey),
+      availableScopes: Object.keys(API_KEY_SCOPES)
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching API keys' });
+  }
+};
+
+// @desc    Create an API key. The raw key is only returned in this response.
+// @route   POST /api/auth/api-keys
+// @access  Private
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'API key name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ success: false, message: 'Select at least one scope' });
+    }
+    const unknownScopes = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown scope: ${unknownScopes.join(', ')}` });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+      const days = parseInt(expiresInDays, 10);
+      if (!days || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ success: false, message: `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeKeys >= MAX_ACTIVE_KEYS) {
+      return res.status(400).json({ success: false, message: `You can have at most ${MAX_ACTIVE_KEYS} API keys. Revoke one first.` });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      user: req.user._id,
+      firm: req.user.firm,
+      name: String(name).trim(),
+      prefix,
+      keyHash,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+    await recordAudit(req, 'create', 'ApiKey', apiKey, { details: { scopes: apiKey.scopes, expiresAt } });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { ...formatApiKey(apiKey), key }
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error while creating API key' });
+  }
+};
+
+// @desc    Revoke one of the authenticated user's API keys
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+exports.revokeApiKey = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid API key ID' });
+    }
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!apiKey) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    await recordAudit(req, 'update', 'ApiKey', apiKey, { details: { fields: ['revokedAt'] } });
+
+    res.status(200).json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking API key' });
+  }
+};
@@ -1,11 +1,17 @@
 const Appointment = require('../models/Appointment');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const { resolveFirmMember, recordsBelongToFirm } = require('../utils/firmAccess');
+const { caseLinkedRecordFilter, canAccessLinkedCase } = require('../utils/caseAccess');
+const { preservationBlocker, trashRecord } = require('../utils/trash');
+const { recordAudit, changedFields, valueChange } = require('../utils/auditLog');
 
 // @desc    Create a new appointment
 // @route   POST /api/appointments
 // @access  Private (requires authentication)
 exports.createAppointment = async (req, res) => {
   try {
-    const { title, description, client, case: caseId, startTime, endTime, location, attendees, status } = req.body;
+    const { title, description, client, case: caseId, startTime, endTime, location, attendees, status, responsibleAttorney } = req.body;
 
     // Basic validation for required fields
     if (!title || !startTime || !endTime) {
@@ -21,8 +27,25 @@ exports.createAppointment = async (req, res) => {
       return res.status(400).json({ message: 'End time must be after start time.' });
     }
 
-    // Create a new appointment instance
+    // Linked case and client must belong to the same firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, client, req.user.firm))) {
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
+    }
+
+    // Linking to a case requires write access on its team
+    if (!(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+    if (!attorneyId) {
+      return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+    }
+
+    // Create a new appointment instance owned by the firm
     const newAppointment = new Appointment({
+      firm: req.user.firm,
+      responsibleAttorney: attorneyId,
       user: req.user._id, // Authenticated user's ID
       title,
       description,
@@ -37,6 +60,7 @@ exports.createAppointment = async (req, res) => {
 
     // Save the new appointment to the database
     const savedAppointment = await newAppointment.save();
+    await recordAudit(req, 'create', 'Appointment', savedAppointment);
 
     res.status(201).json({
       message: 'Appointment created successfully',
@@ -53,14 +77,14 @@ exports.createAppointment = async (req, res) => {
   }
 };
 
-// @desc    Get all appointments for the authenticated user
-// @route   GET /api/appointments
+// @desc    Get upcoming appointments in the authenticated user's firm
+// @route   GET /api/appointments/upcoming
 // @access  Private
 exports.getUpcomingAppointments = async (req, res) => {
   try {
     const now = new Date();
     const appointments = await Appointment.find({ 
-      user: req.user._id,
+      ...(await caseLinkedRecordFilter(req.user)),
       startTime: { $gte: now }
     })
       .populate('client', 'firstName lastName email')
@@ -74,11 +98,14 @@ exports.getUpcomingAppointments = async (req, res) => {
   }
 };
 
+// @desc    Get all appointments in the authenticated user's firm
+// @route   GET /api/appointments
+// @access  Private
 exports.getAppointments = async (req, res) => {
   try {
-    // Find all appointments associated with the authenticated user's ID
+    // Find all firm appointments, limited to cases the user is on the team of
     // Populate client and case details for display on frontend
-    const appointments = await Appointment.find({ user: req.user._id })
+    const appointments = await Appointment.find(await caseLinkedRecordFilter(req.user))
       .populate('client', 'firstName lastName email') // Populate client details
       .populate('case', 'caseName caseNumber') // Populate case details
       .sort({ startTime: 1 }); // Sort by start time ascending
@@ -95,8 +122,8 @@ exports.getAppointments = async (req, res) => {
 // @access  Private
 exports.getAppointmentById = async (req, res) => {
   try {
-    // Find an appointment by ID and ensure it belongs to the authenticated user
-    const appointment = await Appointment.findOne({ _id: req.params.id, user: req.user._id })
+    // Find an appointment by ID and ensure the user can access it (same firm and case team)
+    const appointment = await Appointment.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) })
       .populate('client', 'firstName lastName email')
       .populate('case', 'caseName caseNumber');
 
@@ -116,13 +143,23 @@ exports.getAppointmentById = async (req, res) => {
 // @access  Private
 exports.updateAppointment = async (req, res) => {
   try {
-    let appointment = await Appointment.findOne({ _id: req.params.id, user: req.user._id });
+    let appointment = await Appointment.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
     if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found.' });
     }
 
-    const { title, description, client, case: caseId, startTime, endTime, location, attendees, status, reminderSent } = req.body;
+    const { title, description, client, case: caseId, startTime, endTime, location, attendees, status, reminderSent, responsibleAttorney } = req.body;
+
+    // Linked case and client must belong to the same firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, client, req.user.firm))) {
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
+    }
+
+    // Editing a case appointment (or moving it to another case) requires write access on the case team
+    if (!(await canAccessLinkedCase(req.user, appointment.case, 'write')) || !(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
 
     // Convert string dates to Date objects if they are being updated
     const updatedStartTime = startTime ? new Date(startTime) : appointment.startTime;
@@ -133,6 +170,8 @@ exports.updateAppointment = async (req, res) => {
       return res.status(400).json({ message: 'End time must be after start time.' });
     }
 
+    const previousStatus = appointment.status;
+
     // Update fields if provided in the request body
     if (title !== undefined) appointment.title = title;
     if (description !== undefined) appointment.description = description;
@@ -144,8 +183,18 @@ exports.updateAppointment = async (req, res) => {
     if (attendees !== undefined) appointment.attendees = attendees;
     if (status !== undefined) appointment.status = status;
     if (reminderSent !== undefined) appointment.reminderSent = reminderSent;
+    if (responsibleAttorney) {
+      const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+      if (!attorneyId) {
+        return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+      }
+      appointment.responsibleAttorney = attorneyId;
+    }
 
     const updatedAppointment = await appointment.save();
+    await recordAudit(req, 'update', 'Appointment', updatedAppointment, {
+      details: { fields: changedFields(req.body), status: valueChange(previousStatus, updatedAppointment.status) }
+    });
 
     res.status(200).json({
       message: 'Appointment updated successfully',
@@ -161,18 +210,29 @@ exports.updateAppointment = async (req, res) => {
   }
 };
 
-// @desc    Delete an appointment
+// @desc    Delete an appointment: it goes to the trash with its notes
 // @route   DELETE /api/appointments/:id
 // @access  Private
 exports.deleteAppointment = async (req, res) => {
   try {
-    const deletedAppointment = await Appointment.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    const appointment = await Appointment.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
-    if (!deletedAppointment) {
+    if (!appointment) {
       return res.status(404).json({ message: 'Appointment not found.' });
     }
+    if (!(await canAccessLinkedCase(req.user, appointment.case, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    const preservation = await preservationBlocker('Appointment', appointment);
+    if (preservation) {
+      return res.status(409).json({ message: preservation });
+    }
+
+    const dependents = await trashRecord('Appointment', appointment, req.user);
+    await recordAudit(req, 'delete', 'Appointment', appointment, { details: { dependents } });
 
-    res.status(200).json({ message: 'Appointment deleted successfully.' });
+    res.status(200).json({ message: 'Appointment moved to the trash.', dependents });
 
   } catch (error) {
     console.error('Error deleting appointment:', error);
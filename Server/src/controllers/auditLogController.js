@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const ErasureLog = require('../models/ErasureLog');
+const { recordAudit } = require('../utils/auditLog');
+
+// Most entries a single CSV export may contain
+const MAX_EXPORT_ROWS = 50000;
+
+const CSV_COLUMNS = [
+  ['Timestamp', entry => entry.createdAt.toISOString()],
+  ['Actor', entry => entry.actorEmail],
+  ['Actor Role', entry => entry.actorRole],
+  ['Actor ID', entry => entry.actor],
+  ['Action', entry => entry.action],
+  ['Entity Type', entry => entry.entityType],
+  ['Entity ID', entry => entry.entityId],
+  ['Entity Name', entry => entry.entityName],
+  ['IP Address', entry => entry.ipAddress],
+  ['User Agent', entry => entry.userAgent],
+  ['API Key ID', entry => entry.apiKey],
+  ['Details', entry => (entry.details ? JSON.stringify(entry.details) : '')],
+];
+
+// Quote a value for CSV. Values that spreadsheets would run as formulas are prefixed with a quote.
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build the query for the firm's audit log from the request filters.
+// Returns { error } when a filter is invalid.
+const buildAuditQuery = (req) => {
+  const { actor, action, entityType, entityId, from, to } = req.query;
+  const query = { firm: req.user.firm };
+
+  if (action) {
+    if (!AuditLog.AUDIT_ACTIONS.includes(action)) {
+      return { error: 'Invalid action.' };
+    }
+    query.action = action;
+  }
+  if (actor) {
+    if (!mongoose.Types.ObjectId.isValid(actor)) {
+      return { error: 'Invalid actor ID.' };
+    }
+    query.actor = actor;
+  }
+  if (entityId) {
+    if (!mongoose.Types.ObjectId.isValid(entityId)) {
+      return { error: 'Invalid entity ID.' };
+    }
+    query.entityId = entityId;
+  }
+  if (entityType) {
+    query.entityType = String(entityType);
+  }
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(from);
+    if (to) query.createdAt.$lte = new Date(to);
+    if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+      return { error: 'Invalid date range.' };
+    }
+  }
+
+  return { query };
+};
+
+// @desc    List the firm's audit log, newest first
+// @route   GET /api/firm/audit-log?actor&action&entityType&entityId&from&to&page&limit
+// @access  Private (admin)
+exports.getAuditLog = async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [entries, total, entityTypes] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+      AuditLog.distinct('entityType', { firm: req.user.firm }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      // Values the action and entity type filters accept; record types only once they appear in the log
+      filterOptions: { actions: AuditLog.AUDIT_ACTIONS, entityTypes: entityTypes.sort() },
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching audit log.' });
+  }
+};
+
+// @desc    Export the firm's audit log as CSV, using the same filters as the list
+// @route   GET /api/firm/audit-log/export?actor&action&entityType&entityId&from&to
+// @access  Private (admin)
+exports.exportAuditLog = async (req, res) => {
+  try {
+    const { query, error } = buildAuditQuery(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const total = await AuditLog.countDocuments(query);
+    if (total > MAX_EXPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `The export would contain ${total} entries. Narrow the date range to at most ${MAX_EXPORT_ROWS}.`
+      });
+    }
+
+    // Exporting the audit log is itself audited
+    await recordAudit(req, 'download', 'AuditLog', null, { details: { filters: req.query, entries: total } });
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.write(CSV_COLUMNS.map(([header]) => header).join(',') + '\r\n');
+
+    // Stream the entries so large exports don't have to fit in memory
+    const cursor = AuditLog.find(query).sort({ createdAt: -1 }).lean().cursor();
+    for await (const entry of cursor) {
+      res.write(CSV_COLUMNS.map(([, value]) => toCsvValue(value(entry))).join(',') + '\r\n');
+    }
+    res.end();
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ success: false, message: 'Server error while exporting audit log.' });
+    }
+    res.end();
+  }
+};
+
+// @desc    List the firm's client erasures, newest first
+// @route   GET /api/firm/erasure-log?client&page&limit
+// @access  Private (admin)
+exports.getErasureLog = async (req, res) => {
+  try {
+    const query = { firm: req.user.firm };
+    if (req.query.client) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.client)) {
+        return res.status(400).json({ success: false, message: 'Invalid client ID.' });
+      }
+      query.client = req.query.client;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      ErasureLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ErasureLog.countDocuments(query),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching erasure log:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching erasure log.' });
+  }
+};
@@ -1,13 +1,38 @@
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Firm = require('../models/Firm');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
+const { rotateSession, completeLogin, generateChallengeToken } = require('../utils/sessionTokens');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
+const { verifyEmailVerificationToken, sendVerificationEmail } = require('../utils/emailVerification');
+const {
+  recordSecurityEvent,
+  getAccountThrottle,
+  registerAccountFailure,
+  resetLoginFailures,
+  getThrottleWait,
+  registerThrottledAttempt,
+  sendThrottledResponse,
+} = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/auditLog');
+const { validatePassword, setPassword, getPasswordChangeChallenge } = require('../utils/passwordPolicy');
+const { PASSWORD_POLICY, describePasswordPolicy } = require('../config/passwordPolicy');
+const { REFRESH_TOKEN_COOKIE, applyAuthCookies, clearAuthCookies, getCsrfToken } = require('../utils/authCookies');
 
-// Helper function to generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '1h' });
-};
+// Shape a session for API responses (never exposes token hashes)
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  deviceName: session.deviceName,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: currentSessionId ? String(session._id) === String(currentSessionId) : false
+});
 
 // @desc Register new user
 exports.registerUser = async (req, res) => {
@@ -21,7 +46,7 @@ exports.registerUser = async (req, res) => {
     // Log database connection status
     console.log('MongoDB connection state:', mongoose.connection.readyState);
     console.log('Available collections:', (await mongoose.connection.db.listCollections().toArray()).map(c => c.name));
-    const { username, email, password, firstName, lastName, phoneNumber } = req.body;
+    const { username, email, password, firstName, lastName, phoneNumber, firmName } = req.body;
 
     // Input validations
     if (!username || !email || !password) {
@@ -32,8 +57,9 @@ exports.registerUser = async (req, res) => {
     if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
       return res.status(400).json({ success: false, message: 'Invalid email format' });
     }
-    if (password.length < 6) {
-      return res.status(400).json({ success: false, message: 'Password must be at least 6 characters' });
+    const passwordMessage = validatePassword(password, { username, email });
+    if (passwordMessage) {
+      return res.status(400).json({ success: false, message: passwordMessage });
     }
     if (phoneNumber && !/^\d{10,15}$/.test(phoneNumber)) {
       return res.status(400).json({ success: false, message: 'Phone number must be 10-15 digits' });
@@ -52,24 +78,46 @@ exports.registerUser = async (req, res) => {
       return res.status(400).json({ success: false, message: `${field} already exists` });
     }
 
+    // Registering creates a new firm workspace administered by the new user.
+    // The firm is only saved once the user has been created successfully.
+    const firm = new Firm({
+      name: (firmName || '').trim() || `${(firstName || '').trim() || username.trim()}'s Firm`
+    });
+
     // Create new user
     const user = await User.create({
       username: username.trim(),
       email: email.toLowerCase().trim(),
       password,
+      passwordChangedAt: new Date(),
       firstName: (firstName || '').trim(),
       lastName: (lastName || '').trim(),
       phoneNumber: phoneNumber || undefined,
-      status: 'active'
+      firm: firm._id,
+      role: 'admin',
+      // The account can sign in once the email address has been verified
+      status: 'pending'
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    firm.createdBy = user._id;
+    await firm.save();
+    await recordAudit(req, 'create', 'User', user, { user });
+
+    // A failed email doesn't undo the registration; the user can ask for a new link
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (err) {
+      console.error('Verification email error:', err);
+      verificationEmailSent = false;
+    }
     
     // Return success response
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: verificationEmailSent
+        ? 'Registration successful. Check your email to verify your account before signing in.'
+        : 'Registration successful, but the verification email could not be sent. Please request a new one.',
       data: { 
         _id: user._id, 
         username: user.username, 
@@ -77,7 +125,9 @@ exports.registerUser = async (req, res) => {
         firstName: user.firstName, 
         lastName: user.lastName, 
         role: user.role, 
-        token 
+        firm: { _id: firm._id, name: firm.name },
+        emailVerificationRequired: true,
+        verificationEmailSent
       }
     });
 
@@ -125,18 +175,49 @@ exports.loginUser = async (req, res) => {
       });
     }
 
+    // Too many failed attempts from this IP address
+    const ipWait = await getThrottleWait('login', req.ip);
+    if (ipWait > 0) {
+      return sendThrottledResponse(res, { locked: false, retryAfter: ipWait });
+    }
+
     // Normalize email and find user
     const normalizedEmail = email.toLowerCase().trim();
     const user = await User.findOne({ email: normalizedEmail }).select('+password');
 
+    // Locked account or too many recent failures for it
+    if (user) {
+      const accountThrottle = getAccountThrottle(user);
+      if (accountThrottle.retryAfter > 0) {
+        return sendThrottledResponse(res, accountThrottle);
+      }
+    }
+
     // Check if user exists and password matches
     if (!user || !(await user.matchPassword(password))) {
+      await registerThrottledAttempt('login', req.ip, req, { user, email: normalizedEmail });
+      if (user) {
+        const accountThrottle = await registerAccountFailure(user, req);
+        if (accountThrottle.locked) {
+          return sendThrottledResponse(res, accountThrottle);
+        }
+      }
+
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid email or password' 
       });
     }
 
+    // The email address has not been verified yet
+    if (user.status === 'pending') {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before signing in. Check your inbox for the verification link.',
+        data: { emailVerificationRequired: true }
+      });
+    }
+
     // Check if account is active
     if (user.status !== 'active') {
       return res.status(403).json({ 
@@ -145,14 +226,39 @@ exports.loginUser = async (req, res) => {
       });
     }
 
-    user.lastLogin = Date.now();
-    await user.save();
+    // Password is correct but a second factor is still needed: hand out a short-lived challenge instead of a session
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication code required',
+        data: { twoFactorRequired: true, challengeToken: generateChallengeToken(user._id, '2fa') }
+      });
+    }
 
-    const token = generateToken(user._id);
+    // 2FA is mandatory but this user hasn't enrolled yet: the challenge only allows enrollment
+    if (await isTwoFactorRequired(user)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication must be set up before signing in',
+        data: { twoFactorSetupRequired: true, challengeToken: generateChallengeToken(user._id, '2fa_setup') }
+      });
+    }
+
+    // The firm's password expiry has passed: a new password must be chosen before a session is started
+    const passwordChange = await getPasswordChangeChallenge(user);
+    if (passwordChange) {
+      return res.status(200).json({
+        success: true,
+        message: 'Your password has expired. Please choose a new one.',
+        data: passwordChange
+      });
+    }
+
+    const data = applyAuthCookies(req, res, await completeLogin(user, req));
     res.status(200).json({
       success: true,
       message: 'Login successful',
-      data: { _id: user._id, username: user.username, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role, token }
+      data
     });
 
   } catch (error) {
@@ -165,7 +271,21 @@ exports.loginUser = async (req, res) => {
 exports.forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
-    const user = await User.findOne({ email });
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+
+    // Every request counts, per IP address and per email address
+    const wait = Math.max(
+      await getThrottleWait('forgotPasswordIp', req.ip),
+      await getThrottleWait('forgotPasswordEmail', normalizedEmail)
+    );
+    if (wait > 0) {
+      return sendThrottledResponse(res, { locked: false, retryAfter: wait });
+    }
+
+    const user = await User.findOne({ email: normalizedEmail });
+    await registerThrottledAttempt('forgotPasswordIp', req.ip, req, { user, email: normalizedEmail });
+    await registerThrottledAttempt('forgotPasswordEmail', normalizedEmail, req, { user, email: normalizedEmail });
+
     if (!user) {
       return res.status(404).json({ message: 'No user found with this email' });
     }
@@ -200,50 +320,196 @@ exports.resetPassword = async (req, res) => {
     const user = await User.findOne({
       resetPasswordToken: hashedToken,
       resetPasswordExpire: { $gt: Date.now() }
-    });
+    }).select('+password +passwordHistory');
 
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
-    user.password = req.body.password;
+    await setPassword(user, req.body.password);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
     await user.save();
 
-    const token = generateToken(user._id);
+    // A password reset signs the account out everywhere and lifts any lockout
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await resetLoginFailures(user._id);
+    await recordAudit(req, 'update', 'User', user, { user, details: { fields: ['password'], reason: 'password_reset' } });
+
+    // No session is created here: the user signs in again, so the account status checks,
+    // two-factor challenge and mandatory 2FA enrollment of loginUser still apply
     res.status(200).json({
       success: true,
-      message: 'Password reset successful',
-      token,
-      user: { _id: user._id, username: user.username, email: user.email, firstName: user.firstName, lastName: user.lastName, role: user.role }
+      message: 'Password reset successful. Please log in with your new password.'
     });
-    
-    user.password = req.body.password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Reset Password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during password reset' 
+    });
+  }
+};
+
+// @desc    Change the password (requires the current password)
+// @route   POST /api/auth/change-password
+// @access  Private (or a 'password_change' challenge token when the password has expired)
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ success: false, message: 'Current password and new password are required' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
+    if (!user || user.status !== 'active') {
+      return res.status(401).json({ success: false, message: 'Account is not active' });
+    }
+    if (!(await user.matchPassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: 'Current password is incorrect' });
+    }
+
+    await setPassword(user, newPassword);
     await user.save();
 
-    const authToken = generateToken(user._id);
+    // Every other device has to sign in again with the new password
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession ? req.authSession._id : undefined);
+    await recordAudit(req, 'update', 'User', user, { user, details: { fields: ['password'], reason: req.challenge ? 'password_expired' : 'password_change' } });
+
+    // A forced change happens during login, so finish signing the user in
+    const data = req.challenge ? applyAuthCookies(req, res, await completeLogin(user, req)) : undefined;
+
     res.status(200).json({
       success: true,
-      message: 'Password reset successful',
-      token: authToken,
-      user: { 
-        _id: user._id, 
-        username: user.username, 
-        email: user.email, 
-        firstName: user.firstName, 
-        lastName: user.lastName, 
-        role: user.role 
+      message: 'Password changed successfully',
+      data
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, message: 'Server error while changing password' });
+  }
+};
+
+// @desc    Get the password policy, for forms that ask for a new password
+// @route   GET /api/auth/password-policy
+// @access  Public
+exports.getPasswordPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: { ...PASSWORD_POLICY, description: describePasswordPolicy() }
+  });
+};
+
+// @desc    Verify a new account's email address, or a changed address waiting to take effect
+// @route   PUT /api/auth/verify-email/:token
+// @access  Public (requires the token from the verification email)
+exports.verifyEmail = async (req, res) => {
+  try {
+    const decoded = verifyEmailVerificationToken(req.params.token);
+    const user = decoded ? await User.findById(decoded.id) : null;
+
+    // A confirmed change of address: the pending address replaces the current one
+    if (user && user.pendingEmail && user.pendingEmail === decoded.email) {
+      if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+        return res.status(400).json({ success: false, message: 'This email address is already registered to another account.' });
       }
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+      user.emailVerifiedAt = Date.now();
+      await user.save({ validateBeforeSave: false });
+      await recordAudit(req, 'update', 'User', user, { user, details: { fields: ['email', 'emailVerifiedAt'] } });
+      return res.status(200).json({ success: true, message: 'Your new email address is verified and now in use.' });
+    }
+
+    // Links sent to an address the account no longer uses are rejected
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired verification link' });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(200).json({ success: true, message: 'Email address already verified. You can sign in.' });
+    }
+
+    user.emailVerifiedAt = Date.now();
+    if (user.status === 'pending') {
+      user.status = 'active';
+    }
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', user, { user, details: { fields: ['emailVerifiedAt', 'status'] } });
+
+    res.status(200).json({ success: true, message: 'Email address verified. You can now sign in.' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ success: false, message: 'Server error while verifying email' });
+  }
+};
+
+// @desc    Send a new verification email
+// @route   POST /api/auth/resend-verification
+// @access  Public
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const normalizedEmail = String(req.body.email || '').toLowerCase().trim();
+    if (!normalizedEmail) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+
+    const wait = Math.max(
+      await getThrottleWait('verificationEmailIp', req.ip),
+      await getThrottleWait('verificationEmail', normalizedEmail)
+    );
+    if (wait > 0) {
+      return sendThrottledResponse(res, { locked: false, retryAfter: wait });
+    }
+
+    const user = await User.findOne({ email: normalizedEmail });
+    await registerThrottledAttempt('verificationEmailIp', req.ip, req, { user, email: normalizedEmail });
+    await registerThrottledAttempt('verificationEmail', normalizedEmail, req, { user, email: normalizedEmail });
+
+    // Only unverified accounts get an email; the response never reveals whether the account exists
+    if (user && user.status === 'pending' && !user.emailVerifiedAt) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an unverified account exists for this email, a new verification link has been sent.'
     });
   } catch (error) {
-    console.error('Reset Password error:', error);
-    res.status(500).json({ 
-      success: false,
-      message: 'Server error during password reset' 
+    console.error('Resend verification error:', error);
+    res.status(500).json({ success: false, message: 'Failed to send verification email' });
+  }
+};
+
+// @desc    Unlock an account locked after too many failed sign-in attempts
+// @route   PUT /api/auth/unlock/:unlocktoken
+// @access  Public (requires the token from the unlock email)
+exports.unlockAccount = async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.unlocktoken).digest('hex');
+    const user = await User.findOne({
+      unlockToken: hashedToken,
+      unlockTokenExpire: { $gt: Date.now() }
     });
+
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'Invalid or expired unlock link' });
+    }
+
+    await resetLoginFailures(user._id);
+    await recordSecurityEvent('account_unlocked', req, { user });
+
+    res.status(200).json({ success: true, message: 'Account unlocked. You can sign in again.' });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ success: false, message: 'Server error while unlocking account' });
   }
 };
 
@@ -260,12 +526,20 @@ exports.verifyToken = async (req, res) => {
     
     // Verify token
     jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
-      if (err) {
-        console.error('Token verification failed:', err);
+      if (err || decoded.purpose) {
+        console.error('Token verification failed:', err || 'challenge token used as access token');
         return res.status(401).json({ success: false, message: 'Invalid or expired token' });
       }
       
       try {
+        // Tokens bound to a revoked session are no longer valid
+        if (decoded.sid) {
+          const session = await Session.findById(decoded.sid);
+          if (!session || !session.isActive()) {
+            return res.status(401).json({ success: false, message: 'Session has been revoked' });
+          }
+        }
+
         // Check if user still exists
         const user = await User.findById(decoded.id).select('-password');
         if (!user) {
@@ -309,3 +583,150 @@ try {
   res.status(500).json({ success: false, message: 'Server error' });
 }
 };
+
+// @desc Exchange a refresh token for a new access token (rotates the refresh token)
+// @route POST /api/auth/refresh
+// @access Public (requires a valid refresh token)
+exports.refreshToken = async (req, res) => {
+  try {
+    // Cookie mode sends the refresh token as an httpOnly cookie instead of in the body.
+    // No CSRF token is required here: a reloaded page has to refresh before it can fetch one,
+    // and a forged refresh only rotates the victim's own cookies.
+    const refreshToken = req.body.refreshToken || req.cookies[REFRESH_TOKEN_COOKIE];
+
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+
+    const { token, refreshToken: newRefreshToken, session } = await rotateSession(refreshToken, req);
+
+    const user = await User.findById(session.user);
+    if (!user || user.status !== 'active') {
+      session.revokedAt = new Date();
+      session.revokedReason = 'account_inactive';
+      await session.save();
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: 'Account is not active' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: applyAuthCookies(req, res, { token, refreshToken: newRefreshToken })
+    });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ success: false, message: 'Server error during token refresh' });
+  }
+};
+
+// @desc Log out of the current session
+// @route POST /api/auth/logout
+// @access Private
+exports.logoutUser = async (req, res) => {
+  try {
+    if (req.authSession) {
+      req.authSession.revokedAt = new Date();
+      req.authSession.revokedReason = 'logout';
+      await req.authSession.save();
+    }
+    await recordAudit(req, 'logout', 'User', req.user);
+    clearAuthCookies(res);
+
+    res.status(200).json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, message: 'Server error during logout' });
+  }
+};
+
+// @desc Get the CSRF token of the current session, for cookie mode clients after a page reload
+// @route GET /api/auth/csrf-token
+// @access Private
+exports.getCsrfToken = async (req, res) => {
+  if (!req.authSession) {
+    return res.status(400).json({ success: false, message: 'CSRF tokens are only issued for login sessions' });
+  }
+  res.status(200).json({ success: true, data: { csrfToken: getCsrfToken(req.authSession._id) } });
+};
+
+// @desc Get the authenticated user's active sessions (one per signed-in device)
+// @route GET /api/auth/sessions
+// @access Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    const currentSessionId = req.authSession?._id;
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => formatSession(session, currentSessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching sessions' });
+  }
+};
+
+// @desc Revoke one of the authenticated user's sessions
+// @route DELETE /api/auth/sessions/:id
+// @access Private
+exports.revokeSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid session ID format' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = 'revoked';
+    await session.save();
+    await recordAudit(req, 'delete', 'Session', session);
+
+    res.status(200).json({ success: true, message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking session' });
+  }
+};
+
+// @desc Revoke all of the authenticated user's sessions
+// @route DELETE /api/auth/sessions
+// @access Private
+// Query params: keepCurrent=true to stay signed in on the device making the request
+exports.revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' && req.authSession;
+    const result = await Session.revokeAllForUser(
+      req.user._id,
+      'revoked',
+      keepCurrent ? req.authSession._id : undefined
+    );
+    await recordAudit(req, 'delete', 'Session', null, { details: { revoked: result.modifiedCount, keptCurrent: Boolean(keepCurrent) } });
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'All other sessions revoked successfully' : 'All sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking sessions' });
+  }
+};
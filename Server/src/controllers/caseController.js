@@ -1,40 +1,131 @@
 const Case = require('../models/Case');
 const Client = require('../models/Client'); // Required for client validation/population
+const MatterTemplate = require('../models/MatterTemplate');
+const { resolveFirmMember } = require('../utils/firmAccess');
+const { hasCaseAccess, accessibleCaseFilter, findTeamMember } = require('../utils/caseAccess');
+const { recordAudit, changedFields, valueChange } = require('../utils/auditLog');
+const { applyLegalHold, isUnderLegalHold } = require('../utils/legalHold');
+const { TIMELINE_EVENT_TYPES, buildCaseTimeline } = require('../utils/caseTimeline');
+const { normalizeParticipants } = require('../utils/caseParticipants');
+const { runConflictCheck, sideOfRole } = require('../utils/conflictCheck');
+const { allowedTransitions, applyStatusChange } = require('../utils/caseStatus');
+const { INITIAL_CASE_STATUSES } = require('../config/caseWorkflow');
+const { normalizeFolders, normalizeCustomFieldValues, applyMatterTemplate, createTemplateTasks } = require('../utils/matterTemplates');
+const { preservationBlocker, trashRecord } = require('../utils/trash');
+const { allocateMatterNumber } = require('../utils/numbering');
+
+// Response for a case number that is already in use, or null
+const caseNumberTakenMessage = (existingCase) => {
+  if (!existingCase) return null;
+  return existingCase.deletedAt
+    ? 'A case in the trash has this case number. Restore it or purge it from the trash first.'
+    : 'Another case with this case number already exists in your firm.';
+};
+
+// Client ids from a request without repeats, so each id is validated and stored once
+const uniqueClientIds = (clients) => (Array.isArray(clients) ? [...new Set(clients.map(String))] : clients);
 
-// @desc    Create a new case
+// @desc    Create a new case; without a caseNumber the next matter number of the firm is assigned
 // @route   POST /api/cases
 // @access  Private (requires authentication)
 exports.createCase = async (req, res) => {
   try {
-    const { caseName, caseNumber, description, clients, status, caseType, startDate, endDate, court, jurisdiction, notes, externalId } = req.body;
+    const { caseName, caseNumber, docketNumber, description, participants, status, caseType, startDate, endDate, court, jurisdiction, notes, externalId, responsibleAttorney, conflictOverride, matterTemplate, customFields } = req.body;
+    const clients = uniqueClientIds(req.body.clients);
 
     // Basic validation for required fields
-    if (!caseName || !caseNumber) {
-      return res.status(400).json({ message: 'Case name and case number are required.' });
+    if (!caseName) {
+      return res.status(400).json({ message: 'Case name is required.' });
+    }
+
+    // Matter template the case is opened from, with its tasks, folders, custom fields and default team
+    let template = null;
+    if (matterTemplate) {
+      template = mongoose.Types.ObjectId.isValid(matterTemplate)
+        ? await MatterTemplate.findOne({ _id: matterTemplate, firm: req.user.firm, active: true })
+        : null;
+      if (!template) {
+        return res.status(400).json({ message: 'Matter template not found.' });
+      }
+    }
+
+    // Later statuses are reached through the status workflow
+    if (status && !INITIAL_CASE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `A new case must start as one of: ${INITIAL_CASE_STATUSES.join(', ')}.` });
     }
 
-    // Check if the case number already exists for this user
-    const caseExists = await Case.findOne({ user: req.user._id, caseNumber });
-    if (caseExists) {
-      return res.status(400).json({ message: 'Case with this case number already exists for your account.' });
+    // Check if an entered case number already exists in this firm (cases in the trash keep their number)
+    if (caseNumber) {
+      const takenMessage = caseNumberTakenMessage(
+        await Case.findOne({ firm: req.user.firm, caseNumber }).setOptions({ withDeleted: true })
+      );
+      if (takenMessage) {
+        return res.status(400).json({ message: takenMessage });
+      }
     }
 
-    // Optional: Validate if provided client IDs actually belong to the authenticated user
+    // Optional: Validate if provided client IDs actually belong to the firm
+    let existingClients = [];
     if (clients && clients.length > 0) {
-      const existingClients = await Client.find({ _id: { $in: clients }, user: req.user._id });
+      existingClients = await Client.find({ _id: { $in: clients }, firm: req.user.firm, erasedAt: null });
       if (existingClients.length !== clients.length) {
-        return res.status(400).json({ message: 'One or more client IDs provided are invalid or do not belong to you.' });
+        return res.status(400).json({ message: 'One or more client IDs provided are invalid or do not belong to your firm.' });
+      }
+    }
+
+    // Opposing parties, counsel, judges, ... with their representation links
+    let caseParticipants = [];
+    if (participants !== undefined) {
+      const normalized = normalizeParticipants(participants);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
       }
+      caseParticipants = normalized.participants;
+    }
+
+    const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+    if (!attorneyId) {
+      return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+    }
+
+    // Check the clients and participants against everyone the firm already acts for or against
+    const conflictCheck = await runConflictCheck(req.user, 'cases', [
+      ...existingClients.map(client => ({
+        name: `${client.firstName} ${client.lastName}`,
+        email: client.email,
+        role: 'client',
+        side: 'client',
+      })),
+      ...caseParticipants.map(participant => ({
+        name: participant.name,
+        organization: participant.organization,
+        email: participant.email,
+        role: participant.role,
+        side: sideOfRole(participant.role),
+      })),
+    ], conflictOverride, { excludeClients: existingClients.map(client => client._id) });
+
+    // The creator and the responsible attorney lead the case team
+    const team = [{ user: req.user._id, role: 'lead_counsel', addedBy: req.user._id }];
+    if (String(attorneyId) !== String(req.user._id)) {
+      team.push({ user: attorneyId, role: 'lead_counsel', addedBy: req.user._id });
     }
 
-    // Create a new case instance, linking it to the authenticated user
+    // Create a new case instance, owned by the firm and linked to the authenticated user
     const newCase = new Case({
+      firm: req.user.firm,
+      responsibleAttorney: attorneyId,
+      team,
       user: req.user._id, // Populated by auth middleware
       caseName,
       caseNumber,
+      docketNumber,
       description,
       clients, // Array of client ObjectIds
+      participants: caseParticipants,
+      conflictCheck,
       status,
+      statusHistory: [{ to: status || 'open', changedBy: req.user._id }],
       caseType,
       startDate,
       endDate,
@@ -44,8 +135,32 @@ exports.createCase = async (req, res) => {
       externalId,
     });
 
+    if (template) {
+      const templateError = applyMatterTemplate(newCase, template, customFields, req.user);
+      if (templateError) {
+        return res.status(400).json({ message: templateError });
+      }
+    }
+
+    // Matter numbers are only drawn for cases that will be saved, so the sequence has no needless gaps
+    if (!newCase.caseNumber) {
+      await newCase.validate({ pathsToSkip: ['caseNumber'] });
+      newCase.caseNumber = await allocateMatterNumber(req.user.firm, newCase.caseType);
+    }
+
     // Save the new case to the database
     const savedCase = await newCase.save();
+    const templateTasks = template ? await createTemplateTasks(savedCase, template, req.user) : [];
+    const auditDetails = {};
+    if (conflictCheck.overridden) {
+      auditDetails.conflictOverride = { conflicts: conflictCheck.conflicts.length, justification: conflictCheck.justification };
+    }
+    if (template) {
+      auditDetails.matterTemplate = { id: template._id, name: template.name, tasks: templateTasks.length };
+    }
+    await recordAudit(req, 'create', 'Case', savedCase, {
+      details: Object.keys(auditDetails).length ? auditDetails : undefined
+    });
 
     // Populate clients for the response if needed, otherwise just return the ID
     const populatedCase = await savedCase.populate('clients', 'firstName lastName email');
@@ -58,19 +173,30 @@ exports.createCase = async (req, res) => {
 
   } catch (error) {
     console.error('Error creating case:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    // Another case took the same number between the check and the save
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.caseNumber) {
+      return res.status(400).json({ message: 'Another case with this case number already exists in your firm.' });
+    }
     res.status(500).json({ message: 'Server error during case creation.' });
   }
 };
 
-// @desc    Get all cases for the authenticated user
+// @desc    Get all cases the authenticated user can access
 // @route   GET /api/cases
 // @access  Private
 exports.getCases = async (req, res) => {
   try {
-    // Find all cases associated with the authenticated user's ID
+    // Find all cases in the user's firm where the user is on the case team
     // Populate client details (firstName, lastName, email) for display
-    const cases = await Case.find({ user: req.user._id })
+    const cases = await Case.find(accessibleCaseFilter(req.user))
       .populate('clients', 'firstName lastName email')
+      .populate('responsibleAttorney', 'firstName lastName email')
       .sort({ createdAt: -1 }); // Sort by creation date, newest first
 
     res.status(200).json(cases);
@@ -97,8 +223,13 @@ exports.getCaseById = async (req, res) => {
 
     const caseItem = await Case.findOne({ 
       _id: req.params.id,
-      user: req.user._id 
-    }).populate('clients', 'name email phone');
+      ...accessibleCaseFilter(req.user)
+    })
+      .populate('clients', 'name email phone')
+      .populate('responsibleAttorney', 'firstName lastName email')
+      .populate('team.user', 'firstName lastName email role')
+      .populate('statusHistory.changedBy', 'firstName lastName email')
+      .populate('matterTemplate', 'name');
     
     if (!caseItem) {
       return res.status(404).json({ 
@@ -109,7 +240,17 @@ exports.getCaseById = async (req, res) => {
     
     res.json({
       success: true,
-      data: caseItem
+      data: {
+        ...caseItem.toObject(),
+        // What the current user may do on this case, so the UI can hide unavailable actions
+        access: {
+          canEdit: hasCaseAccess(req.user, caseItem, 'write'),
+          canManageTeam: hasCaseAccess(req.user, caseItem, 'manageTeam'),
+          canDelete: hasCaseAccess(req.user, caseItem, 'delete')
+        },
+        // Statuses the case can move to next, with what each change requires
+        statusTransitions: allowedTransitions(caseItem.status)
+      }
     });
   } catch (error) {
     console.error('Error fetching case by ID:', error);
@@ -126,37 +267,86 @@ exports.getCaseById = async (req, res) => {
 // @access  Private
 exports.updateCase = async (req, res) => {
   try {
-    // Find the case by ID and ensure it belongs to the authenticated user
-    let caseToUpdate = await Case.findOne({ _id: req.params.id, user: req.user._id });
+    // Find the case by ID and ensure the user is on its team
+    let caseToUpdate = await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) });
 
     if (!caseToUpdate) {
       return res.status(404).json({ message: 'Case not found.' });
     }
+    if (!hasCaseAccess(req.user, caseToUpdate, 'write')) {
+      return res.status(403).json({ message: 'Your role on this case team does not allow editing it.' });
+    }
 
-    const { caseName, caseNumber, description, clients, status, caseType, startDate, endDate, court, jurisdiction, notes, externalId } = req.body;
+    const { caseName, caseNumber, docketNumber, description, participants, status, statusReason, outcome, caseType, startDate, endDate, court, jurisdiction, notes, externalId, responsibleAttorney, customFields, documentFolders } = req.body;
+    const clients = uniqueClientIds(req.body.clients);
 
     // Check for duplicate case number if it's being changed
     if (caseNumber && caseNumber !== caseToUpdate.caseNumber) {
-      const existingCaseWithNumber = await Case.findOne({ user: req.user._id, caseNumber });
-      if (existingCaseWithNumber && String(existingCaseWithNumber._id) !== req.params.id) {
-        return res.status(400).json({ message: 'Another case with this case number already exists for your account.' });
+      const existingCaseWithNumber = await Case.findOne({ firm: req.user.firm, caseNumber }).setOptions({ withDeleted: true });
+      const takenMessage = existingCaseWithNumber && String(existingCaseWithNumber._id) !== req.params.id
+        ? caseNumberTakenMessage(existingCaseWithNumber)
+        : null;
+      if (takenMessage) {
+        return res.status(400).json({ message: takenMessage });
       }
     }
 
-    // Optional: Validate if provided client IDs actually belong to the authenticated user
+    // Optional: Validate if provided client IDs actually belong to the firm
     if (clients && clients.length > 0) {
-      const existingClients = await Client.find({ _id: { $in: clients }, user: req.user._id });
+      const existingClients = await Client.find({ _id: { $in: clients }, firm: req.user.firm, erasedAt: null });
       if (existingClients.length !== clients.length) {
-        return res.status(400).json({ message: 'One or more client IDs provided are invalid or do not belong to you.' });
+        return res.status(400).json({ message: 'One or more client IDs provided are invalid or do not belong to your firm.' });
+      }
+    }
+
+    // The participants list is replaced as a whole
+    if (participants !== undefined) {
+      const normalized = normalizeParticipants(participants);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      caseToUpdate.participants = normalized.participants;
+    }
+
+    // Custom field values are checked against the fields the case got from its template
+    if (customFields !== undefined) {
+      const normalized = normalizeCustomFieldValues(caseToUpdate.customFieldDefinitions, customFields);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
       }
+      caseToUpdate.customFields = normalized.values;
     }
 
+    // The folder list is replaced as a whole; documents filed in a removed folder keep their path
+    if (documentFolders !== undefined) {
+      const normalized = normalizeFolders(documentFolders);
+      if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+      }
+      caseToUpdate.documentFolders = normalized.folders;
+    }
+
+    if (responsibleAttorney) {
+      const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+      if (!attorneyId) {
+        return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+      }
+      caseToUpdate.responsibleAttorney = attorneyId;
+
+      // The responsible attorney always needs access to the case
+      if (!findTeamMember(caseToUpdate, attorneyId)) {
+        caseToUpdate.team.push({ user: attorneyId, role: 'lead_counsel', addedBy: req.user._id });
+      }
+    }
+
+    const previousStatus = caseToUpdate.status;
+
     // Update case fields based on the request body
     if (caseName) caseToUpdate.caseName = caseName;
     if (caseNumber) caseToUpdate.caseNumber = caseNumber;
+    if (docketNumber !== undefined) caseToUpdate.docketNumber = docketNumber;
     if (description !== undefined) caseToUpdate.description = description; // Allow null/empty string
     if (clients !== undefined) caseToUpdate.clients = clients; // Array
-    if (status) caseToUpdate.status = status;
     if (caseType) caseToUpdate.caseType = caseType;
     if (startDate) caseToUpdate.startDate = startDate;
     if (endDate !== undefined) caseToUpdate.endDate = endDate; // Allow null/empty string
@@ -165,8 +355,23 @@ exports.updateCase = async (req, res) => {
     if (notes !== undefined) caseToUpdate.notes = notes;
     if (externalId !== undefined) caseToUpdate.externalId = externalId;
 
+    // Status changes follow the workflow, as through PATCH /api/cases/:id
+    if (status) {
+      const statusError = applyStatusChange(caseToUpdate, { status, reason: statusReason, outcome, endDate }, req.user);
+      if (statusError) {
+        return res.status(400).json({ message: statusError });
+      }
+    }
+    // Closed and archived cases keep the end date they were closed with
+    if (endDate !== undefined && !caseToUpdate.endDate && ['closed', 'archived'].includes(caseToUpdate.status)) {
+      return res.status(400).json({ message: 'A closed or archived case requires an end date.' });
+    }
+
     // Save the updated case
     const updatedCase = await caseToUpdate.save();
+    await recordAudit(req, 'update', 'Case', updatedCase, {
+      details: { fields: changedFields(req.body), status: valueChange(previousStatus, updatedCase.status) }
+    });
 
     // Populate clients for the response
     const populatedUpdatedCase = await updatedCase.populate('clients', 'firstName lastName email');
@@ -178,29 +383,88 @@ exports.updateCase = async (req, res) => {
 
   } catch (error) {
     console.error('Error updating case:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.caseNumber) {
+      return res.status(400).json({ message: 'Another case with this case number already exists in your firm.' });
+    }
     res.status(500).json({ message: 'Server error during case update.' });
   }
 };
 
-// @desc    Delete a case
+// @desc    Change the status of a case, following the status workflow
+// @route   PATCH /api/cases/:id
+// @access  Private (case team with write access)
+exports.updateCaseStatus = async (req, res) => {
+  try {
+    const { status, reason, outcome, endDate } = req.body;
+    if (!status) {
+      return res.status(400).json({ message: 'Status is required.' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid case ID format' });
+    }
+
+    const caseItem = await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) });
+    if (!caseItem) {
+      return res.status(404).json({ message: 'Case not found.' });
+    }
+    if (!hasCaseAccess(req.user, caseItem, 'write')) {
+      return res.status(403).json({ message: 'Your role on this case team does not allow changing its status.' });
+    }
+
+    const previousStatus = caseItem.status;
+    const error = applyStatusChange(caseItem, { status, reason, outcome, endDate }, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await caseItem.save();
+    await recordAudit(req, 'update', 'Case', caseItem, {
+      details: { fields: ['status'], status: valueChange(previousStatus, caseItem.status), reason, outcome: caseItem.outcome }
+    });
+    await caseItem.populate('statusHistory.changedBy', 'firstName lastName email');
+
+    res.status(200).json({
+      message: 'Case status updated',
+      case: caseItem,
+      statusTransitions: allowedTransitions(caseItem.status)
+    });
+  } catch (error) {
+    console.error('Error updating case status:', error);
+    res.status(500).json({ message: 'Server error while updating case status.' });
+  }
+};
+
+// @desc    Delete a case: it goes to the trash with its documents, tasks, appointments and notes
 // @route   DELETE /api/cases/:id
 // @access  Private
 exports.deleteCase = async (req, res) => {
   try {
-    // Find and delete the case by ID, ensuring it belongs to the authenticated user
-    const deletedCase = await Case.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    // Find the case by ID, ensuring the user is on its team
+    const caseToDelete = await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) });
 
-    if (!deletedCase) {
+    if (!caseToDelete) {
       return res.status(404).json({ message: 'Case not found.' });
     }
+    if (!hasCaseAccess(req.user, caseToDelete, 'delete')) {
+      return res.status(403).json({ message: 'Only lead counsel can delete this case.' });
+    }
+    if (isUnderLegalHold(caseToDelete)) {
+      return res.status(409).json({ message: 'This case is under a legal hold and cannot be deleted.' });
+    }
 
-    // In a full application, you would also consider:
-    // 1. Deleting or re-associating documents linked ONLY to this case.
-    // 2. Deleting or re-associating appointments linked ONLY to this case.
-    // 3. Deleting or re-associating tasks linked ONLY to this case.
-    // For simplicity, we are just deleting the case record itself here.
+    // A closed case is kept for as long as the firm must retain it, and while one of its clients is on hold
+    const preservation = await preservationBlocker('Case', caseToDelete);
+    if (preservation) {
+      return res.status(409).json({ message: preservation });
+    }
+
+    const dependents = await trashRecord('Case', caseToDelete, req.user);
+    await recordAudit(req, 'delete', 'Case', caseToDelete, { details: { dependents } });
 
-    res.status(200).json({ message: 'Case deleted successfully.' });
+    res.status(200).json({ message: 'Case moved to the trash.', dependents });
 
   } catch (error) {
     console.error('Error deleting case:', error);
@@ -208,6 +472,78 @@ exports.deleteCase = async (req, res) => {
   }
 };
 
+// @desc    Get the activity timeline of a case (status changes, documents, tasks, appointments, notes, AI drafts)
+// @route   GET /api/cases/:id/timeline?types=status_changed,document_uploaded&page=1&limit=50
+// @access  Private (case team)
+exports.getCaseTimeline = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid case ID format' });
+    }
+
+    const caseItem = await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) });
+    if (!caseItem) {
+      return res.status(404).json({ success: false, message: 'Case not found or you do not have permission to view it' });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : TIMELINE_EVENT_TYPES;
+    if (types.some(type => !TIMELINE_EVENT_TYPES.includes(type))) {
+      return res.status(400).json({ success: false, message: `Event types must be among: ${TIMELINE_EVENT_TYPES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { events, total } = await buildCaseTimeline(caseItem, req.user, { types, page, limit });
+
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      eventTypes: TIMELINE_EVENT_TYPES,
+      data: events
+    });
+  } catch (error) {
+    console.error('Error fetching case timeline:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching case timeline' });
+  }
+};
+
+// @desc    Place or lift a legal hold on a case
+// @route   PUT /api/cases/:id/legal-hold
+// @access  Private (admin, partner, associate on the case team)
+exports.setCaseLegalHold = async (req, res) => {
+  try {
+    const caseItem = await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) });
+
+    if (!caseItem) {
+      return res.status(404).json({ message: 'Case not found.' });
+    }
+    if (!hasCaseAccess(req.user, caseItem, 'write')) {
+      return res.status(403).json({ message: 'Your role on this case team does not allow changing its legal hold.' });
+    }
+
+    const error = applyLegalHold(caseItem, req.body, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await caseItem.save();
+    await recordAudit(req, 'update', 'Case', caseItem, { details: { fields: ['legalHold'], legalHold: caseItem.legalHold.active } });
+
+    res.status(200).json({
+      message: caseItem.legalHold.active ? 'Legal hold placed' : 'Legal hold lifted',
+      legalHold: caseItem.legalHold
+    });
+  } catch (error) {
+    console.error('Error updating case legal hold:', error);
+    res.status(500).json({ message: 'Server error while updating legal hold.' });
+  }
+};
+
 // @desc    Get case statistics
 // @route   GET /api/cases/stats
 // @access  Private
@@ -215,9 +551,7 @@ exports.getCaseStats = async (req, res) => {
   try {
     const stats = await Case.aggregate([
       {
-        $match: { 
-          user: req.user._id 
-        }
+        $match: accessibleCaseFilter(req.user)
       },
       {
         $group: {
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Task = require('../models/Task');
+const { hasCaseAccess, accessibleCaseFilter } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/auditLog');
+const { preservationBlocker } = require('../utils/trash');
+const { toDay, resolveRuleSet, listRuleSets, computeDeadlines, syncDeadlineTasks, removeDeadlineTasks } = require('../utils/courtDeadlines');
+
+// Load a case the user can see, or send the appropriate error response.
+// Returns null when a response has already been sent.
+const loadCase = async (req, res, action) => {
+  const caseItem = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) })
+    : null;
+
+  if (!caseItem) {
+    res.status(404).json({ success: false, message: 'Case not found or you do not have permission to view it' });
+    return null;
+  }
+  if (!hasCaseAccess(req.user, caseItem, action)) {
+    res.status(403).json({ success: false, message: 'Your role on this case team does not allow changing its deadlines.' });
+    return null;
+  }
+  return caseItem;
+};
+
+// Find a trigger event of the case, or send a 404
+const findTrigger = (req, res, caseItem) => {
+  const triggerEvent = mongoose.Types.ObjectId.isValid(req.params.triggerId)
+    ? caseItem.deadlineTriggers.id(req.params.triggerId)
+    : null;
+  if (!triggerEvent) {
+    res.status(404).json({ success: false, message: 'Deadline trigger not found on this case.' });
+  }
+  return triggerEvent;
+};
+
+// @desc    List the court deadline rule sets with their trigger events and deadlines
+// @route   GET /api/cases/deadline-rules
+// @access  Private
+exports.getDeadlineRules = (req, res) => {
+  res.status(200).json({ success: true, data: listRuleSets() });
+};
+
+// @desc    Get the deadline triggers of a case with their tasks
+// @route   GET /api/cases/:id/deadlines
+// @access  Private (case team)
+exports.getCaseDeadlines = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'read');
+    if (!caseItem) return;
+
+    const tasks = await Task.find({ firm: caseItem.firm, case: caseItem._id, 'courtDeadline.trigger': { $exists: true } })
+      .select('title description dueDate status priority courtDeadline')
+      .sort({ dueDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      // Rule set that applies to the case's jurisdiction, if any
+      ruleSet: resolveRuleSet(caseItem.jurisdiction),
+      data: caseItem.deadlineTriggers.map(triggerEvent => ({
+        ...triggerEvent.toObject(),
+        tasks: tasks.filter(task => String(task.courtDeadline.trigger) === String(triggerEvent._id)),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching case deadlines:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching case deadlines.' });
+  }
+};
+
+// @desc    Record a trigger event on a case and create the tasks for the deadlines that follow from it
+// @route   POST /api/cases/:id/deadlines
+// @access  Private (case team with write access)
+exports.addDeadlineTrigger = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'write');
+    if (!caseItem) return;
+
+    // The rule set follows from the case's jurisdiction unless one is chosen explicitly
+    const { trigger, date } = req.body;
+    const ruleSet = req.body.ruleSet || resolveRuleSet(caseItem.jurisdiction);
+    if (!ruleSet) {
+      return res.status(400).json({
+        success: false,
+        message: `No deadline rules match the case jurisdiction "${caseItem.jurisdiction || ''}". Choose a rule set.`
+      });
+    }
+    // Validate before anything is saved
+    computeDeadlines(ruleSet, trigger, date);
+
+    caseItem.deadlineTriggers.push({ ruleSet, trigger, date: toDay(date), createdBy: req.user._id });
+    const triggerEvent = caseItem.deadlineTriggers[caseItem.deadlineTriggers.length - 1];
+    await caseItem.save();
+
+    const tasks = await syncDeadlineTasks(caseItem, triggerEvent, req.user);
+    await recordAudit(req, 'update', 'Case', caseItem, {
+      details: { fields: ['deadlineTriggers'], deadlineTrigger: { ruleSet, trigger, date: triggerEvent.date }, tasks: tasks.length }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${tasks.length} deadline task(s) created`,
+      data: { ...triggerEvent.toObject(), tasks }
+    });
+  } catch (error) {
+    // Invalid rule set, trigger or date
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error adding deadline trigger:', error);
+    res.status(500).json({ success: false, message: 'Server error while adding deadline trigger.' });
+  }
+};
+
+// @desc    Change the date of a trigger event and move its open deadline tasks accordingly
+// @route   PUT /api/cases/:id/deadlines/:triggerId
+// @access  Private (case team with write access)
+exports.updateDeadlineTrigger = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'write');
+    if (!caseItem) return;
+    const triggerEvent = findTrigger(req, res, caseItem);
+    if (!triggerEvent) return;
+
+    computeDeadlines(triggerEvent.ruleSet, triggerEvent.trigger, req.body.date);
+    const previousDate = triggerEvent.date;
+    triggerEvent.date = toDay(req.body.date);
+    await caseItem.save();
+
+    const tasks = await syncDeadlineTasks(caseItem, triggerEvent, req.user);
+    await recordAudit(req, 'update', 'Case', caseItem, {
+      details: {
+        fields: ['deadlineTriggers'],
+        deadlineTrigger: { ruleSet: triggerEvent.ruleSet, trigger: triggerEvent.trigger, date: { from: previousDate, to: triggerEvent.date } }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Deadlines recalculated',
+      data: { ...triggerEvent.toObject(), tasks }
+    });
+  } catch (error) {
+    // Invalid rule set, trigger or date
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error updating deadline trigger:', error);
+    res.status(500).json({ success: false, message: 'Server error while recalculating deadlines.' });
+  }
+};
+
+// @desc    Remove a trigger event and its open deadline tasks (completed ones are kept)
+// @route   DELETE /api/cases/:id/deadlines/:triggerId
+// @access  Private (case team with write access)
+exports.removeDeadlineTrigger = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'write');
+    if (!caseItem) return;
+    const triggerEvent = findTrigger(req, res, caseItem);
+    if (!triggerEvent) return;
+
+    // The open tasks go to the trash, which a case under a legal hold or retention obligation does not allow
+    const blocker = await preservationBlocker('Case', caseItem);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    const tasks = await removeDeadlineTasks(caseItem, triggerEvent, req.user);
+    for (const task of tasks) {
+      await recordAudit(req, 'delete', 'Task', task, { details: { reason: 'deadline_trigger_removed' } });
+    }
+    caseItem.deadlineTriggers.pull(triggerEvent._id);
+    await caseItem.save();
+    await recordAudit(req, 'update', 'Case', caseItem, {
+      details: { fields: ['deadlineTriggers'], removedDeadlineTrigger: { ruleSet: triggerEvent.ruleSet, trigger: triggerEvent.trigger }, tasks: tasks.length }
+    });
+
+    res.status(200).json({ success: true, message: `Deadline trigger removed; ${tasks.length} open task(s) moved to the trash` });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error removing deadline trigger:', error);
+    res.status(500).json({ success: false, message: 'Server error while removing deadline trigger.' });
+  }
+};
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const { CASE_TEAM_ROLES } = require('../config/permissions');
+const { resolveFirmMember } = require('../utils/firmAccess');
+const { hasCaseAccess, accessibleCaseFilter, findTeamMember } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/auditLog');
+
+const TEAM_MEMBER_FIELDS = 'firstName lastName email role';
+
+// Load a case the user can see, or send the appropriate error response.
+// Returns null when a response has already been sent.
+const loadCase = async (req, res, action) => {
+  const caseItem = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Case.findOne({ _id: req.params.id, ...accessibleCaseFilter(req.user) })
+    : null;
+
+  if (!caseItem) {
+    res.status(404).json({ success: false, message: 'Case not found or you do not have permission to view it' });
+    return null;
+  }
+  if (!hasCaseAccess(req.user, caseItem, action)) {
+    res.status(403).json({ success: false, message: 'Only lead counsel can manage the case team.' });
+    return null;
+  }
+  return caseItem;
+};
+
+// Save the case, record the team change in the audit log and respond with the populated team
+const sendTeam = async (req, res, caseItem, statusCode, message, teamChange) => {
+  await caseItem.save();
+  await recordAudit(req, 'update', 'Case', caseItem, { details: { fields: ['team'], teamChange } });
+  await caseItem.populate('team.user', TEAM_MEMBER_FIELDS);
+  res.status(statusCode).json({ success: true, message, data: caseItem.team });
+};
+
+// A case must always keep at least one lead counsel who can manage its team
+const leadCounselCount = (caseItem) => caseItem.team.filter(member => member.role === 'lead_counsel').length;
+
+// @desc    Get the team members of a case
+// @route   GET /api/cases/:id/team
+// @access  Private
+exports.getCaseTeam = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'read');
+    if (!caseItem) return;
+
+    await caseItem.populate('team.user', TEAM_MEMBER_FIELDS);
+    res.status(200).json({ success: true, count: caseItem.team.length, data: caseItem.team });
+  } catch (error) {
+    console.error('Error fetching case team:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching case team.' });
+  }
+};
+
+// @desc    Add a firm member to a case team
+// @route   POST /api/cases/:id/team
+// @access  Private (lead counsel)
+exports.addTeamMember = async (req, res) => {
+  try {
+    const { userId, role = 'associate' } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ success: false, message: 'userId is required.' });
+    }
+    if (!CASE_TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${CASE_TEAM_ROLES.join(', ')}` });
+    }
+
+    const caseItem = await loadCase(req, res, 'manageTeam');
+    if (!caseItem) return;
+
+    const memberId = await resolveFirmMember(req.user, userId);
+    if (!memberId) {
+      return res.status(400).json({ success: false, message: 'Team members must belong to your firm.' });
+    }
+    if (findTeamMember(caseItem, memberId)) {
+      return res.status(400).json({ success: false, message: 'User is already on the case team.' });
+    }
+
+    caseItem.team.push({ user: memberId, role, addedBy: req.user._id });
+    await sendTeam(req, res, caseItem, 201, 'Team member added', { added: memberId, role });
+  } catch (error) {
+    console.error('Error adding case team member:', error);
+    res.status(500).json({ success: false, message: 'Server error while adding team member.' });
+  }
+};
+
+// @desc    Change a team member's role on a case
+// @route   PUT /api/cases/:id/team/:userId
+// @access  Private (lead counsel)
+exports.updateTeamMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!CASE_TEAM_ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${CASE_TEAM_ROLES.join(', ')}` });
+    }
+
+    const caseItem = await loadCase(req, res, 'manageTeam');
+    if (!caseItem) return;
+
+    const member = findTeamMember(caseItem, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Team member not found.' });
+    }
+    if (member.role === 'lead_counsel' && role !== 'lead_counsel' && leadCounselCount(caseItem) <= 1) {
+      return res.status(400).json({ success: false, message: 'A case must keep at least one lead counsel.' });
+    }
+
+    member.role = role;
+    await sendTeam(req, res, caseItem, 200, 'Team member updated', { updated: member.user, role });
+  } catch (error) {
+    console.error('Error updating case team member:', error);
+    res.status(500).json({ success: false, message: 'Server error while updating team member.' });
+  }
+};
+
+// @desc    Remove a member from a case team
+// @route   DELETE /api/cases/:id/team/:userId
+// @access  Private (lead counsel)
+exports.removeTeamMember = async (req, res) => {
+  try {
+    const caseItem = await loadCase(req, res, 'manageTeam');
+    if (!caseItem) return;
+
+    const member = findTeamMember(caseItem, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Team member not found.' });
+    }
+    if (member.role === 'lead_counsel' && leadCounselCount(caseItem) <= 1) {
+      return res.status(400).json({ success: false, message: 'A case must keep at least one lead counsel.' });
+    }
+
+    caseItem.team.pull(member._id);
+    await sendTeam(req, res, caseItem, 200, 'Team member removed', { removed: member.user });
+  } catch (error) {
+    console.error('Error removing case team member:', error);
+    res.status(500).json({ success: false, message: 'Server error while removing team member.' });
+  }
+};
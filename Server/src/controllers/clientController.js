@@ -1,8 +1,18 @@
 // backend/src/controllers/clientController.js
 
 const Client = require('../models/Client');
+const User = require('../models/User');
+const { resolveFirmMember } = require('../utils/firmAccess');
+const { createInvitation } = require('../utils/invitations');
+const { recordAudit, changedFields } = require('../utils/auditLog');
+const { writeClientExport } = require('../utils/clientDataExport');
+const { planClientErasure, summarizePlan, eraseClient } = require('../utils/clientErasure');
+const { applyLegalHold, isUnderLegalHold } = require('../utils/legalHold');
+const { runConflictCheck } = require('../utils/conflictCheck');
+const { clientTrashBlocker, trashRecord } = require('../utils/trash');
+const { allocateClientNumber } = require('../utils/numbering');
 
-// @desc    Create a new client
+// @desc    Create a new client, with the next client number of the firm
 // @route   POST /api/clients
 // @access  Private (requires authentication)
 exports.createClient = async (req, res) => {
@@ -17,7 +27,9 @@ exports.createClient = async (req, res) => {
       dateOfBirth, 
       occupation, 
       notes,
-      status = 'Active' // Default status
+      status = 'Active', // Default status
+      responsibleAttorney,
+      conflictOverride
     } = req.body;
 
     // Check for required fields
@@ -25,8 +37,20 @@ exports.createClient = async (req, res) => {
       return res.status(400).json({ message: 'First name and Last name are required.' });
     }
 
-    // Create a new client instance, linking it to the authenticated user
+    const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+    if (!attorneyId) {
+      return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+    }
+
+    // The new client must not be someone the firm acts against (or who is otherwise involved) on another case
+    const conflictCheck = await runConflictCheck(req.user, 'clients', [
+      { name: `${firstName} ${lastName}`, email, role: 'client', side: 'client' },
+    ], conflictOverride);
+
+    // Create a new client instance, owned by the firm and linked to the authenticated user
     const newClient = new Client({
+      firm: req.user.firm,
+      responsibleAttorney: attorneyId,
       user: req.user._id, // Assuming req.user is populated by your authentication middleware
       firstName,
       lastName,
@@ -39,8 +63,14 @@ exports.createClient = async (req, res) => {
       status,
     });
 
+    // Client numbers are only drawn for clients that will be saved, so the sequence has no needless gaps
+    await newClient.validate({ pathsToSkip: ['clientNumber'] });
+    newClient.clientNumber = await allocateClientNumber(req.user.firm);
+
     // Save the new client to the database
     const savedClient = await newClient.save();
+    // Clients have no place of their own for the conflict check report, so it is kept with the audit entry
+    await recordAudit(req, 'create', 'Client', savedClient, { details: { conflictCheck } });
 
     res.status(201).json({
       message: 'Client created successfully',
@@ -49,6 +79,12 @@ exports.createClient = async (req, res) => {
 
   } catch (error) {
     console.error('Error creating client:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, conflicts: error.conflicts });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     // Handle duplicate email case if you decide to make email unique per user
     if (error.code === 11000 && error.keyPattern && error.keyPattern.email) {
       return res.status(400).json({ message: 'Client with this email already exists for your account.' });
@@ -57,13 +93,15 @@ exports.createClient = async (req, res) => {
   }
 };
 
-// @desc    Get all clients for the authenticated user
+// @desc    Get all clients in the authenticated user's firm
 // @route   GET /api/clients
 // @access  Private
 exports.getClients = async (req, res) => {
   try {
-    // Find all clients associated with the authenticated user's ID
-    const clients = await Client.find({ user: req.user._id }).sort({ lastName: 1, firstName: 1 }); // Sort alphabetically
+    // Find all clients owned by the user's firm (erased clients are only kept as placeholders)
+    const clients = await Client.find({ firm: req.user.firm, erasedAt: null })
+      .populate('responsibleAttorney', 'firstName lastName email')
+      .sort({ lastName: 1, firstName: 1 }); // Sort alphabetically
 
     res.status(200).json(clients);
   } catch (error) {
@@ -77,8 +115,9 @@ exports.getClients = async (req, res) => {
 // @access  Private
 exports.getClientById = async (req, res) => {
   try {
-    // Find a client by ID and ensure it belongs to the authenticated user
-    const client = await Client.findOne({ _id: req.params.id, user: req.user._id });
+    // Find a client by ID and ensure it belongs to the user's firm
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm })
+      .populate('responsibleAttorney', 'firstName lastName email');
 
     if (!client) {
       return res.status(404).json({ message: 'Client not found.' });
@@ -96,12 +135,15 @@ exports.getClientById = async (req, res) => {
 // @access  Private
 exports.updateClient = async (req, res) => {
   try {
-    // Find the client by ID and ensure it belongs to the authenticated user
-    let client = await Client.findOne({ _id: req.params.id, user: req.user._id });
+    // Find the client by ID and ensure it belongs to the user's firm
+    let client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
 
     if (!client) {
       return res.status(404).json({ message: 'Client not found.' });
     }
+    if (client.erasedAt) {
+      return res.status(400).json({ message: 'This client has been erased and can no longer be changed.' });
+    }
 
     // Validate required fields
     if (req.body.firstName === '') {
@@ -115,7 +157,15 @@ exports.updateClient = async (req, res) => {
     }
 
     // Update client fields based on the request body
-    const { firstName, lastName, email, phone, address, dateOfBirth, occupation, notes, status } = req.body;
+    const { firstName, lastName, email, phone, address, dateOfBirth, occupation, notes, status, responsibleAttorney } = req.body;
+
+    if (responsibleAttorney) {
+      const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+      if (!attorneyId) {
+        return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+      }
+      client.responsibleAttorney = attorneyId;
+    }
 
     // Update client fields if they exist in the request
     if (firstName) client.firstName = firstName;
@@ -130,6 +180,7 @@ exports.updateClient = async (req, res) => {
 
     // Save the updated client
     const updatedClient = await client.save();
+    await recordAudit(req, 'update', 'Client', updatedClient, { details: { fields: changedFields(req.body) } });
 
     res.status(200).json({
       message: 'Client updated successfully',
@@ -154,7 +205,7 @@ exports.updateClient = async (req, res) => {
   }
 };
 
-// @desc    Search clients by name or email
+// @desc    Search clients by name, email or client number
 // @route   GET /api/clients/search
 // @access  Private
 exports.searchClients = async (req, res) => {
@@ -168,15 +219,17 @@ exports.searchClients = async (req, res) => {
     // Create a case-insensitive regex pattern for the search query
     const searchRegex = new RegExp(q, 'i');
     
-    // Search in firstName, lastName, or email fields
+    // Search in firstName, lastName, email or clientNumber fields
     const clients = await Client.find({
-      user: req.user._id,
+      firm: req.user.firm,
+      erasedAt: null,
       $or: [
         { firstName: { $regex: searchRegex } },
         { lastName: { $regex: searchRegex } },
-        { email: { $regex: searchRegex } }
+        { email: { $regex: searchRegex } },
+        { clientNumber: { $regex: searchRegex } }
       ]
-    }).select('_id firstName lastName email').limit(10);
+    }).select('_id firstName lastName email clientNumber').limit(10);
     
     res.status(200).json(clients);
   } catch (error) {
@@ -185,27 +238,179 @@ exports.searchClients = async (req, res) => {
   }
 };
 
-// @desc    Delete a client
+// @desc    Delete a client: they go to the trash with their documents, tasks and appointments outside cases, and notes
 // @route   DELETE /api/clients/:id
 // @access  Private
 exports.deleteClient = async (req, res) => {
   try {
-    // Find and delete the client by ID, ensuring it belongs to the authenticated user
-    const deletedClient = await Client.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    // Find the client by ID, ensuring it belongs to the user's firm
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
 
-    if (!deletedClient) {
+    if (!client) {
       return res.status(404).json({ message: 'Client not found.' });
     }
+    if (isUnderLegalHold(client)) {
+      return res.status(409).json({ message: 'This client is under a legal hold and cannot be deleted.' });
+    }
 
-    // In a real application, you might also want to delete or re-associate
-    // any cases, documents, appointments, or tasks linked to this client.
-    // For simplicity, we are just deleting the client record itself here.
-    // Example: await Case.updateMany({ clients: deletedClient._id }, { $pull: { clients: deletedClient._id } });
+    // Cases are deleted on their own first, so no case is left pointing at a client in the trash
+    const blocker = await clientTrashBlocker(client);
+    if (blocker) {
+      return res.status(409).json({ message: blocker });
+    }
 
-    res.status(200).json({ message: 'Client deleted successfully.' });
+    const dependents = await trashRecord('Client', client, req.user);
+    await recordAudit(req, 'delete', 'Client', client, { details: { dependents } });
+
+    res.status(200).json({ message: 'Client moved to the trash.', dependents });
 
   } catch (error) {
     console.error('Error deleting client:', error);
     res.status(500).json({ message: 'Server error during client deletion.' });
   }
 };
+
+// @desc    Invite a client to the client portal, using the email on their client record
+// @route   POST /api/clients/:id/portal-invitation
+// @access  Private (admin, partner, associate)
+exports.inviteClientToPortal = async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found.' });
+    }
+    if (!client.email) {
+      return res.status(400).json({ message: 'Add an email address to the client before inviting them to the portal.' });
+    }
+
+    const portalUser = await User.findOne({ client: client._id }).select('_id');
+    if (portalUser) {
+      return res.status(400).json({ message: 'This client already has a portal account.' });
+    }
+
+    const invitation = await createInvitation(req.user, {
+      email: client.email,
+      role: 'client',
+      firstName: client.firstName,
+      lastName: client.lastName,
+      client: client._id
+    });
+    await recordAudit(req, 'create', 'Invitation', invitation, { details: { email: invitation.email, role: 'client', client: client._id } });
+
+    res.status(201).json({ message: `Portal invitation sent to ${invitation.email}` });
+  } catch (error) {
+    console.error('Error inviting client to portal:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error while inviting client to portal.' });
+  }
+};
+
+// @desc    Export everything held about a client (client record, cases, tasks, appointments,
+//          notes, notifications and document files) as a zip archive with a JSON manifest
+// @route   GET /api/clients/:id/export
+// @access  Private (firm admins)
+exports.exportClientData = async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found.' });
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="client-export-${client._id}-${date}.zip"`);
+
+    const manifest = await writeClientExport(client, res, req.user);
+    await recordAudit(req, 'export', 'Client', client, {
+      details: {
+        files: manifest.files.length,
+        missingDocuments: manifest.missingDocuments.length
+      }
+    });
+  } catch (error) {
+    console.error('Error exporting client data:', error);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return res.status(500).json({ message: 'Server error while exporting client data.' });
+    }
+    // The archive was already partly sent; abort so the download fails instead of ending truncated
+    res.destroy(error);
+  }
+};
+
+// @desc    Place or lift a legal hold on a client
+// @route   PUT /api/clients/:id/legal-hold
+// @access  Private (admin, partner, associate)
+exports.setClientLegalHold = async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found.' });
+    }
+
+    const error = applyLegalHold(client, req.body, req.user);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await client.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'Client', client, { details: { fields: ['legalHold'], legalHold: client.legalHold.active } });
+
+    res.status(200).json({
+      message: client.legalHold.active ? 'Legal hold placed' : 'Legal hold lifted',
+      legalHold: client.legalHold
+    });
+  } catch (error) {
+    console.error('Error updating client legal hold:', error);
+    res.status(500).json({ message: 'Server error while updating legal hold.' });
+  }
+};
+
+// @desc    Preview erasing a client: what would be removed or kept, and anything preventing it
+// @route   GET /api/clients/:id/erasure
+// @access  Private (admin)
+exports.getClientErasurePlan = async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found.' });
+    }
+
+    const plan = await planClientErasure(client);
+    res.status(200).json(summarizePlan(plan));
+  } catch (error) {
+    console.error('Error planning client erasure:', error);
+    res.status(500).json({ message: 'Server error while preparing erasure.' });
+  }
+};
+
+// @desc    Erase a client's personal data and linked records (right to erasure)
+// @route   POST /api/clients/:id/erasure
+// @access  Private (admin)
+exports.eraseClientData = async (req, res) => {
+  try {
+    const client = await Client.findOne({ _id: req.params.id, firm: req.user.firm });
+    if (!client) {
+      return res.status(404).json({ message: 'Client not found.' });
+    }
+
+    const erasure = await eraseClient(client, { user: req.user, reason: req.body.reason });
+    // The client's name is no longer kept anywhere new, so the entry only refers to the ids
+    await recordAudit(req, 'delete', 'Client', client._id, {
+      details: { erasure: erasure._id, removed: erasure.removed }
+    });
+
+    res.status(200).json({
+      message: 'Client data erased',
+      erasure
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message, blockers: error.blockers });
+    }
+    console.error('Error erasing client:', error);
+    res.status(500).json({ message: 'Server error while erasing client data.' });
+  }
+};
@@ -5,6 +5,13 @@ const path = require('path');
 const fs = require('fs');
 const fsPromises = require('fs').promises; // Use promises version of fs for async operations
 const { existsSync, mkdirSync } = require('fs'); // Keep sync methods for startup
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const { hasPermission } = require('../config/permissions');
+const { recordsBelongToFirm } = require('../utils/firmAccess');
+const { caseLinkedRecordFilter, canAccessLinkedCase } = require('../utils/caseAccess');
+const { preservationBlocker, trashRecord } = require('../utils/trash');
+const { recordAudit, changedFields } = require('../utils/auditLog');
 
 // Ensure the uploads directory exists (sync for startup)
 const uploadDir = path.join(__dirname, '../../uploads/documents');
@@ -12,6 +19,19 @@ if (!existsSync(uploadDir)) {
   mkdirSync(uploadDir, { recursive: true });
 }
 
+// Whether the authenticated user may view, download or flag restricted documents
+const canAccessRestricted = (user) => hasPermission(user.role, 'documents', 'accessRestricted');
+
+// Multipart form fields arrive as strings, so accept 'true' as well as true
+const parseBoolean = (value) => value === true || value === 'true';
+
+// Whether `folder` is one of the document folders of the case (no folder is always fine)
+const isCaseFolder = async (caseId, folder, firmId) => {
+  if (!folder) return true;
+  if (!caseId) return false;
+  return Boolean(await Case.exists({ _id: caseId, firm: firmId, documentFolders: folder }));
+};
+
 // @desc    Upload a new document
 // @route   POST /api/documents/upload
 // @access  Private (requires authentication)
@@ -50,7 +70,13 @@ exports.uploadDocument = async (req, res) => {
 
     // Extract necessary data from the request
     const { originalname, filename, mimetype, size, path: filePath } = req.file;
-    const { caseId, clientId, description, tags, title, documentType = 'standalone' } = req.body;
+    const { caseId, clientId, description, tags, title, documentType = 'standalone', isRestricted, isSharedWithClient, folder } = req.body;
+
+    // Only roles that can access restricted documents may create them
+    if (parseBoolean(isRestricted) && !canAccessRestricted(req.user)) {
+      await fsPromises.unlink(filePath).catch(err => console.error('Error cleaning up file after permission error:', err));
+      return res.status(403).json({ message: 'Your role is not allowed to mark documents as restricted.' });
+    }
     
     console.log('Processing document upload:', {
       title,
@@ -92,6 +118,24 @@ exports.uploadDocument = async (req, res) => {
     
     const documentTitle = title.trim();
 
+    // Linked case and client must belong to the uploader's firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, clientId, req.user.firm))) {
+      await fsPromises.unlink(filePath).catch(err => console.error('Error cleaning up file after validation failure:', err));
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
+    }
+
+    // Adding documents to a case requires write access on its team
+    if (!(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      await fsPromises.unlink(filePath).catch(err => console.error('Error cleaning up file after permission error:', err));
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    // Documents can only be filed in one of the case's folders
+    if (!(await isCaseFolder(documentType === 'case' ? caseId : null, folder, req.user.firm))) {
+      await fsPromises.unlink(filePath).catch(err => console.error('Error cleaning up file after validation failure:', err));
+      return res.status(400).json({ message: 'Folder does not exist on this case.' });
+    }
+
     // Ensure the uploads directory exists
     const uploadsDir = path.join(__dirname, '../../uploads/documents');
     if (!fs.existsSync(uploadsDir)) {
@@ -112,6 +156,8 @@ exports.uploadDocument = async (req, res) => {
     // Create a new document instance
     const newDocument = new Document({
       title: documentTitle,
+      firm: req.user.firm,
+      responsibleAttorney: req.user._id,
       user: req.user._id,
       documentType,
       case: documentType === 'case' ? caseId : null,
@@ -122,13 +168,17 @@ exports.uploadDocument = async (req, res) => {
       filePath: relativePath, // Store relative path
       fileSize: size,
       description: description || '',
+      folder: folder || undefined,
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
+      isRestricted: parseBoolean(isRestricted),
+      isSharedWithClient: parseBoolean(isSharedWithClient),
       uploadedBy: req.user._id,
     });
 
     // Save the document to the database
     try {
       const savedDocument = await newDocument.save();
+      await recordAudit(req, 'create', 'Document', savedDocument);
       
       res.status(201).json({
         message: 'Document uploaded successfully',
@@ -172,12 +222,18 @@ exports.uploadDocument = async (req, res) => {
   }
 };
 
-// @desc    Get all documents for the authenticated user with optional filtering
-// @route   GET /api/documents
+// @desc    Get the most recent documents in the authenticated user's firm
+// @route   GET /api/documents/recent
 // @access  Private
 exports.getRecentDocuments = async (req, res) => {
   try {
-    const documents = await Document.find({ user: req.user._id })
+    const query = await caseLinkedRecordFilter(req.user);
+    // Restricted documents are hidden from roles that cannot access them
+    if (!canAccessRestricted(req.user)) {
+      query.isRestricted = { $ne: true };
+    }
+
+    const documents = await Document.find(query)
       .populate('case', 'caseName caseNumber')
       .populate('client', 'firstName lastName')
       .populate('uploadedBy', 'name')
@@ -191,10 +247,18 @@ exports.getRecentDocuments = async (req, res) => {
   }
 };
 
+// @desc    Get all documents in the authenticated user's firm with optional filtering
+// @route   GET /api/documents
+// @access  Private
 exports.getDocuments = async (req, res) => {
   try {
-    const { documentType, caseId } = req.query;
-    const query = { user: req.user._id };
+    const { documentType, caseId, folder } = req.query;
+    const query = await caseLinkedRecordFilter(req.user);
+
+    // Restricted documents are hidden from roles that cannot access them
+    if (!canAccessRestricted(req.user)) {
+      query.isRestricted = { $ne: true };
+    }
     
     // Apply filters if provided
     if (documentType) {
@@ -204,6 +268,12 @@ exports.getDocuments = async (req, res) => {
     if (caseId) {
       query.case = caseId;
     }
+
+    // A folder and its subfolders
+    if (folder) {
+      const escaped = String(folder).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.folder = { $regex: `^${escaped}(/|$)` };
+    }
     
     // Find documents based on query
     const documents = await Document.find(query)
@@ -224,7 +294,7 @@ exports.getDocuments = async (req, res) => {
 // @access  Private
 exports.getDocumentById = async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.user._id })
+    const document = await Document.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) })
       .populate('case', 'caseName caseNumber')
       .populate('client', 'firstName lastName')
       .populate('uploadedBy', 'firstName lastName username');
@@ -233,6 +303,10 @@ exports.getDocumentById = async (req, res) => {
       return res.status(404).json({ message: 'Document not found.' });
     }
 
+    if (document.isRestricted && !canAccessRestricted(req.user)) {
+      return res.status(403).json({ message: 'This document is restricted.' });
+    }
+
     res.status(200).json(document);
   } catch (error) {
     console.error('Error fetching document by ID:', error);
@@ -247,13 +321,17 @@ exports.downloadDocument = async (req, res) => {
   try {
     console.log('Download request for document ID:', req.params.id);
     
-    const document = await Document.findOne({ _id: req.params.id, user: req.user._id });
+    const document = await Document.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
     if (!document) {
       console.log('Document not found in database');
       return res.status(404).json({ message: 'Document not found.' });
     }
 
+    if (document.isRestricted && !canAccessRestricted(req.user)) {
+      return res.status(403).json({ message: 'This document is restricted.' });
+    }
+
     console.log('Document found:', {
       id: document._id,
       fileName: document.fileName,
@@ -271,6 +349,7 @@ exports.downloadDocument = async (req, res) => {
     // Check if the file exists on the disk
     if (fs.existsSync(resolvedPath)) {
       console.log('File exists, preparing download...');
+      await recordAudit(req, 'download', 'Document', document);
       
       // Set the Content-Disposition header to prompt download
       res.setHeader('Content-Disposition', `attachment; filename="${document.originalName}"`);
@@ -319,11 +398,11 @@ exports.downloadDocument = async (req, res) => {
 // @access  Private
 exports.updateDocument = async (req, res) => {
   try {
-    const { title, description, tags, caseId, clientId } = req.body;
+    const { title, description, tags, caseId, clientId, isRestricted, isSharedWithClient, folder } = req.body;
     const documentId = req.params.id;
 
     // Find the document
-    const document = await Document.findOne({ _id: documentId, user: req.user._id });
+    const document = await Document.findOne({ _id: documentId, ...(await caseLinkedRecordFilter(req.user)) });
     if (!document) {
       // Clean up uploaded file if document not found
       if (req.file && req.file.path) {
@@ -336,6 +415,41 @@ exports.updateDocument = async (req, res) => {
       return res.status(404).json({ message: 'Document not found.' });
     }
 
+    // Restricted documents (and the restricted flag itself) can only be changed by privileged roles
+    if ((document.isRestricted || isRestricted !== undefined) && !canAccessRestricted(req.user)) {
+      if (req.file && req.file.path) {
+        await fsPromises.unlink(req.file.path).catch(err => console.error('Error cleaning up file after permission error:', err));
+      }
+      return res.status(403).json({ message: 'Your role is not allowed to modify restricted documents.' });
+    }
+
+    // Linked case and client must belong to the same firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, clientId, req.user.firm))) {
+      if (req.file && req.file.path) {
+        await fsPromises.unlink(req.file.path).catch(err => console.error('Error cleaning up file after validation error:', err));
+      }
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
+    }
+
+    // Editing a case document (or moving a document to a case) requires write access on the case team
+    if (!(await canAccessLinkedCase(req.user, document.case, 'write')) || !(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      if (req.file && req.file.path) {
+        await fsPromises.unlink(req.file.path).catch(err => console.error('Error cleaning up file after permission error:', err));
+      }
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    // A document moved to another case leaves its folder, unless a folder of the new case is given
+    const targetCase = caseId !== undefined ? caseId || null : document.case;
+    const movesCase = String(targetCase || '') !== String(document.case || '');
+    const targetFolder = folder !== undefined ? folder : (movesCase ? '' : undefined);
+    if (targetFolder !== undefined && !(await isCaseFolder(targetCase, targetFolder, req.user.firm))) {
+      if (req.file && req.file.path) {
+        await fsPromises.unlink(req.file.path).catch(err => console.error('Error cleaning up file after validation error:', err));
+      }
+      return res.status(400).json({ message: 'Folder does not exist on this case.' });
+    }
+
     // If a new file was uploaded
     if (req.file) {
       const { originalname, filename, mimetype, size, path: filePath } = req.file;
@@ -387,9 +501,15 @@ exports.updateDocument = async (req, res) => {
     
     if (caseId !== undefined) document.case = caseId || null;
     if (clientId !== undefined) document.client = clientId || null;
+    if (targetFolder !== undefined) document.folder = targetFolder || undefined;
+    if (isRestricted !== undefined) document.isRestricted = parseBoolean(isRestricted);
+    if (isSharedWithClient !== undefined) document.isSharedWithClient = parseBoolean(isSharedWithClient);
 
     // Save the updated document
     const updatedDocument = await document.save();
+    await recordAudit(req, 'update', 'Document', updatedDocument, {
+      details: { fields: [...changedFields(req.body), ...(req.file ? ['file'] : [])] }
+    });
     
     // Populate the updated document with related fields for the response
     const populatedDoc = await Document.findById(updatedDocument._id)
@@ -421,37 +541,30 @@ exports.updateDocument = async (req, res) => {
   }
 };
 
-// @desc    Delete a document and its file from storage
+// @desc    Delete a document: it goes to the trash, and its file is removed from storage when it is purged
 // @route   DELETE /api/documents/:id
 // @access  Private
 exports.deleteDocument = async (req, res) => {
   try {
-    const document = await Document.findOne({ _id: req.params.id, user: req.user._id });
+    const document = await Document.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
     if (!document) {
       return res.status(404).json({ message: 'Document not found.' });
     }
+    if (!(await canAccessLinkedCase(req.user, document.case, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
 
-    const filePath = path.join(__dirname, '../../', document.filePath);
-
-    // Delete the file if it exists
-    try {
-      await fsPromises.access(filePath);
-      await fsPromises.unlink(filePath);
-      console.log(`File deleted from storage: ${filePath}`);
-    } catch (fileError) {
-      if (fileError.code === 'ENOENT') {
-        console.warn(`File not found at path: ${filePath}. Proceeding with DB deletion.`);
-      } else {
-        console.error('Error deleting file:', fileError);
-        // Don't fail the entire operation if file deletion fails
-      }
+    // Documents are evidence: they stay while their case or client is on hold, or the case is being retained
+    const preservation = await preservationBlocker('Document', document);
+    if (preservation) {
+      return res.status(409).json({ message: preservation });
     }
 
-    // Delete the document record from the database
-    await Document.deleteOne({ _id: req.params.id });
+    await trashRecord('Document', document, req.user);
+    await recordAudit(req, 'delete', 'Document', document);
 
-    return res.status(200).json({ message: 'Document and associated file deleted successfully.' });
+    return res.status(200).json({ message: 'Document moved to the trash.' });
   } catch (error) {
     console.error('Error in deleteDocument:', error);
     const errorMessage = process.env.NODE_ENV === 'development' 
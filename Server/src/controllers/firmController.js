@@ -0,0 +1,168 @@
+const Firm = require('../models/Firm');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { recordAudit, changedFields } = require('../utils/auditLog');
+const { checkNumberingPattern, checkNumberingPrefix, checkCaseTypeCodes } = require('../utils/numbering');
+const { NUMBERING_TOKENS, DEFAULT_CASE_TYPE_CODES } = require('../config/numbering');
+
+// Apply the numbering settings from a request ({ matter, client, caseTypeCodes }) to a firm.
+// Returns an error message, or null when they were applied.
+const applyNumberingSettings = (firm, numbering) => {
+  if (typeof numbering !== 'object' || numbering === null) return 'Numbering settings must be an object.';
+
+  for (const kind of ['matter', 'client']) {
+    const sequence = numbering[kind];
+    if (sequence === undefined) continue;
+    if (sequence.pattern !== undefined) {
+      const error = checkNumberingPattern(kind, sequence.pattern);
+      if (error) return error;
+      firm.settings.numbering[kind].pattern = sequence.pattern;
+    }
+    if (sequence.prefix !== undefined) {
+      const error = checkNumberingPrefix(sequence.prefix);
+      if (error) return error;
+      firm.settings.numbering[kind].prefix = sequence.prefix;
+    }
+    if (sequence.padding !== undefined) {
+      const padding = parseInt(sequence.padding, 10);
+      if (Number.isNaN(padding)) return 'Sequence padding must be a number of digits.';
+      firm.settings.numbering[kind].padding = padding;
+    }
+  }
+
+  if (numbering.caseTypeCodes !== undefined) {
+    const error = checkCaseTypeCodes(numbering.caseTypeCodes);
+    if (error) return error;
+    // Codes left empty go back to the defaults
+    firm.settings.numbering.caseTypeCodes = Object.fromEntries(
+      Object.entries(numbering.caseTypeCodes)
+        .filter(([, code]) => code)
+        .map(([caseType, code]) => [caseType, String(code).toUpperCase()])
+    );
+  }
+  return null;
+};
+
+// @desc    Get the authenticated user's firm
+// @route   GET /api/firm
+// @access  Private
+exports.getMyFirm = async (req, res) => {
+  try {
+    const firm = await Firm.findById(req.user.firm);
+
+    if (!firm) {
+      return res.status(404).json({ success: false, message: 'Firm not found.' });
+    }
+
+    const memberCount = await User.countDocuments({ firm: firm._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...firm.toObject({ flattenMaps: true }),
+        memberCount,
+        // What the numbering settings can use, for the settings form
+        numberingOptions: { tokens: NUMBERING_TOKENS, defaultCaseTypeCodes: DEFAULT_CASE_TYPE_CODES }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching firm:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching firm.' });
+  }
+};
+
+// @desc    Update the firm's name and settings
+// @route   PUT /api/firm
+// @access  Private (admin)
+exports.updateMyFirm = async (req, res) => {
+  try {
+    const firm = await Firm.findById(req.user.firm);
+
+    if (!firm) {
+      return res.status(404).json({ success: false, message: 'Firm not found.' });
+    }
+
+    const { name, settings = {} } = req.body;
+
+    if (name !== undefined) {
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({ success: false, message: 'Firm name is required.' });
+      }
+      firm.name = String(name).trim();
+    }
+    if (settings.requireTwoFactor !== undefined) {
+      firm.settings.requireTwoFactor = Boolean(settings.requireTwoFactor);
+    }
+    if (settings.passwordExpiryDays !== undefined) {
+      const expiryDays = parseInt(settings.passwordExpiryDays, 10);
+      if (Number.isNaN(expiryDays)) {
+        return res.status(400).json({ success: false, message: 'Password expiry must be a number of days.' });
+      }
+      firm.settings.passwordExpiryDays = expiryDays;
+    }
+    if (settings.retentionYears !== undefined) {
+      const retentionYears = parseInt(settings.retentionYears, 10);
+      if (Number.isNaN(retentionYears)) {
+        return res.status(400).json({ success: false, message: 'Retention period must be a number of years.' });
+      }
+      firm.settings.retentionYears = retentionYears;
+    }
+    if (settings.trashRetentionDays !== undefined) {
+      const trashRetentionDays = parseInt(settings.trashRetentionDays, 10);
+      if (Number.isNaN(trashRetentionDays)) {
+        return res.status(400).json({ success: false, message: 'Trash retention must be a number of days.' });
+      }
+      firm.settings.trashRetentionDays = trashRetentionDays;
+    }
+    // New patterns apply to numbers assigned from now on; existing numbers are kept
+    if (settings.numbering !== undefined) {
+      const numberingError = applyNumberingSettings(firm, settings.numbering);
+      if (numberingError) {
+        return res.status(400).json({ success: false, message: numberingError });
+      }
+    }
+
+    const updatedFirm = await firm.save();
+    await recordAudit(req, 'update', 'Firm', updatedFirm, { details: { fields: changedFields(req.body) } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Firm updated successfully',
+      data: updatedFirm
+    });
+  } catch (error) {
+    console.error('Error updating firm:', error);
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error while updating firm.' });
+  }
+};
+
+// @desc    List recent security events (lockouts, throttled sign-ins) for the firm's accounts
+// @route   GET /api/firm/security-events?type=account_locked&limit=50
+// @access  Private (admin)
+exports.getSecurityEvents = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const query = { firm: req.user.firm };
+
+    if (req.query.type) {
+      if (!SecurityEvent.SECURITY_EVENT_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ success: false, message: 'Invalid event type.' });
+      }
+      query.type = req.query.type;
+    }
+
+    const events = await SecurityEvent.find(query)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({ success: true, count: events.length, data: events });
+  } catch (error) {
+    console.error('Error fetching security events:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching security events.' });
+  }
+};
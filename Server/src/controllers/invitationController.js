@@ -0,0 +1,207 @@
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Client = require('../models/Client');
+const { hashToken } = require('../utils/sessionTokens');
+const { createInvitation } = require('../utils/invitations');
+const { recordsBelongToFirm } = require('../utils/firmAccess');
+const { recordAudit } = require('../utils/auditLog');
+const { validatePassword } = require('../utils/passwordPolicy');
+
+// Shape an invitation for the client; the token hash is never returned
+const formatInvitation = (invitation) => ({
+  _id: invitation._id,
+  email: invitation.email,
+  role: invitation.role,
+  client: invitation.client,
+  firstName: invitation.firstName,
+  lastName: invitation.lastName,
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  expired: invitation.expiresAt <= new Date(),
+  createdAt: invitation.createdAt,
+});
+
+// Find a pending invitation from the token in an invitation link
+const findPendingInvitation = async (token) => {
+  const invitation = await Invitation.findOne({ tokenHash: hashToken(String(token)) }).populate('firm', 'name');
+  return invitation && invitation.isPending() ? invitation : null;
+};
+
+// @desc    List the firm's pending invitations
+// @route   GET /api/users/invitations
+// @access  Private (admin)
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find({ firm: req.user.firm, acceptedAt: null, revokedAt: null })
+      .populate('invitedBy', 'firstName lastName email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(formatInvitation)
+    });
+  } catch (error) {
+    console.error('Error fetching invitations:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching invitations.' });
+  }
+};
+
+// @desc    Invite a colleague to the firm by email. Inviting the same address again replaces the old invitation.
+// @route   POST /api/users/invitations
+// @access  Private (admin)
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role, firstName, lastName, clientId } = req.body;
+
+    // Client portal invitations must be linked to one of the firm's clients
+    if (role === 'client' && !(clientId && await recordsBelongToFirm(Client, clientId, req.user.firm))) {
+      return res.status(400).json({ success: false, message: 'Select a client of your firm for a client portal invitation.' });
+    }
+
+    const invitation = await createInvitation(req.user, { email, role, firstName, lastName, client: clientId });
+    await recordAudit(req, 'create', 'Invitation', invitation, { details: { email: invitation.email, role } });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: formatInvitation(invitation)
+    });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error while creating invitation.' });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/users/invitations/:id
+// @access  Private (admin)
+exports.revokeInvitation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid invitation ID.' });
+    }
+
+    const invitation = await Invitation.findOne({
+      _id: req.params.id,
+      firm: req.user.firm,
+      acceptedAt: null,
+      revokedAt: null
+    });
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found.' });
+    }
+
+    invitation.revokedAt = new Date();
+    await invitation.save();
+    await recordAudit(req, 'update', 'Invitation', invitation, { details: { fields: ['revokedAt'], email: invitation.email } });
+
+    res.status(200).json({ success: true, message: 'Invitation revoked.' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ success: false, message: 'Server error while revoking invitation.' });
+  }
+};
+
+// @desc    Get the details of an invitation to show on the accept page
+// @route   GET /api/users/invitations/accept/:token
+// @access  Public (requires the token from the invitation email)
+exports.getInvitationByToken = async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'This invitation is invalid, has expired or was revoked.' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        firm: invitation.firm ? { _id: invitation.firm._id, name: invitation.firm.name } : null,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching invitation:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching invitation.' });
+  }
+};
+
+// @desc    Accept an invitation: create the account with the invited email and role
+// @route   POST /api/users/invitations/accept/:token
+// @access  Public (requires the token from the invitation email)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { username, password, firstName, lastName } = req.body;
+
+    if (!username || String(username).trim().length < 3) {
+      return res.status(400).json({ success: false, message: 'Username must be at least 3 characters.' });
+    }
+
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'This invitation is invalid, has expired or was revoked.' });
+    }
+
+    const passwordMessage = validatePassword(password, { username: String(username).trim(), email: invitation.email });
+    if (passwordMessage) {
+      return res.status(400).json({ success: false, message: passwordMessage });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [{ username: String(username).trim() }, { email: invitation.email }]
+    });
+    if (existingUser) {
+      const field = existingUser.email === invitation.email ? 'Email' : 'Username';
+      return res.status(400).json({ success: false, message: `${field} already exists` });
+    }
+
+    // The invitation link proves the address, so the account doesn't need email verification
+    const user = await User.create({
+      username: String(username).trim(),
+      email: invitation.email,
+      password,
+      passwordChangedAt: new Date(),
+      firstName: String(firstName || invitation.firstName || '').trim(),
+      lastName: String(lastName || invitation.lastName || '').trim(),
+      firm: invitation.firm._id,
+      role: invitation.role,
+      client: invitation.client,
+      status: 'active',
+      emailVerifiedAt: Date.now()
+    });
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+    await recordAudit(req, 'create', 'User', user, { user, details: { invitation: invitation._id } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation accepted. You can now sign in.',
+      data: { email: user.email, username: user.username }
+    });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(400).json({ success: false, message: `${field} is already registered` });
+    }
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(val => val.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    res.status(500).json({ success: false, message: 'Server error while accepting invitation.' });
+  }
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const MatterTemplate = require('../models/MatterTemplate');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+const { recordsBelongToFirm } = require('../utils/firmAccess');
+const { recordAudit, changedFields } = require('../utils/auditLog');
+const { normalizeFolders, checkCustomFieldDefinitions } = require('../utils/matterTemplates');
+
+const TEMPLATE_FIELDS = ['name', 'caseType', 'description', 'active', 'tasks', 'folders', 'customFields', 'team'];
+
+// Pick the template fields from the request body and check what the schema cannot: folder paths,
+// custom field keys and options, and that the default team consists of firm members.
+// Returns { fields } or { error }.
+const templateFieldsFromBody = async (req) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) fields[field] = req.body[field];
+  });
+
+  if (fields.folders !== undefined) {
+    const normalized = normalizeFolders(fields.folders);
+    if (normalized.error) return { error: normalized.error };
+    fields.folders = normalized.folders;
+  }
+  if (fields.customFields !== undefined) {
+    if (!Array.isArray(fields.customFields)) return { error: 'Custom fields must be a list.' };
+    const error = checkCustomFieldDefinitions(fields.customFields);
+    if (error) return { error };
+  }
+  if (fields.team !== undefined) {
+    if (!Array.isArray(fields.team)) return { error: 'Team must be a list of members.' };
+    const userIds = fields.team.map(member => member && member.user);
+    if (new Set(userIds.map(String)).size !== userIds.length) {
+      return { error: 'A colleague can only be on the default team once.' };
+    }
+    if (userIds.some(id => !id) || !(await recordsBelongToFirm(User, userIds, req.user.firm))) {
+      return { error: 'Default team members must belong to your firm.' };
+    }
+  }
+  return { fields };
+};
+
+const findTemplate = (req) => (
+  mongoose.Types.ObjectId.isValid(req.params.id)
+    ? MatterTemplate.findOne({ _id: req.params.id, firm: req.user.firm })
+    : null
+);
+
+// @desc    List the firm's matter templates (?caseType=personal_injury; inactive ones only for admins with ?includeInactive=true)
+// @route   GET /api/matter-templates
+// @access  Private
+exports.getMatterTemplates = async (req, res) => {
+  try {
+    const filter = { firm: req.user.firm };
+    if (req.query.caseType) filter.caseType = req.query.caseType;
+    if (!(req.query.includeInactive === 'true' && hasPermission(req.user.role, 'matterTemplates', 'manage'))) {
+      filter.active = true;
+    }
+
+    const templates = await MatterTemplate.find(filter)
+      .populate('team.user', 'firstName lastName email role')
+      .sort({ caseType: 1, name: 1 });
+
+    res.status(200).json({ success: true, count: templates.length, data: templates });
+  } catch (error) {
+    console.error('Error fetching matter templates:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching matter templates.' });
+  }
+};
+
+// @desc    Get a matter template
+// @route   GET /api/matter-templates/:id
+// @access  Private
+exports.getMatterTemplateById = async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Matter template not found.' });
+    }
+    await template.populate('team.user', 'firstName lastName email role');
+
+    res.status(200).json({ success: true, data: template });
+  } catch (error) {
+    console.error('Error fetching matter template:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching matter template.' });
+  }
+};
+
+// @desc    Create a matter template
+// @route   POST /api/matter-templates
+// @access  Private (admin)
+exports.createMatterTemplate = async (req, res) => {
+  try {
+    const { fields, error } = await templateFieldsFromBody(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const template = await MatterTemplate.create({ ...fields, firm: req.user.firm, createdBy: req.user._id });
+    await recordAudit(req, 'create', 'MatterTemplate', template, { details: { caseType: template.caseType } });
+
+    res.status(201).json({ success: true, message: 'Matter template created', data: template });
+  } catch (error) {
+    console.error('Error creating matter template:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while creating matter template.' });
+  }
+};
+
+// @desc    Update a matter template; cases already opened from it keep what they were given
+// @route   PUT /api/matter-templates/:id
+// @access  Private (admin)
+exports.updateMatterTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Matter template not found.' });
+    }
+
+    const { fields, error } = await templateFieldsFromBody(req);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    template.set(fields);
+    await template.save();
+    await recordAudit(req, 'update', 'MatterTemplate', template, { details: { fields: changedFields(fields) } });
+
+    res.status(200).json({ success: true, message: 'Matter template updated', data: template });
+  } catch (error) {
+    console.error('Error updating matter template:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while updating matter template.' });
+  }
+};
+
+// @desc    Delete a matter template; cases opened from it are not affected
+// @route   DELETE /api/matter-templates/:id
+// @access  Private (admin)
+exports.deleteMatterTemplate = async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Matter template not found.' });
+    }
+
+    await template.deleteOne();
+    await recordAudit(req, 'delete', 'MatterTemplate', template, { details: { caseType: template.caseType } });
+
+    res.status(200).json({ success: true, message: 'Matter template deleted' });
+  } catch (error) {
+    console.error('Error deleting matter template:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting matter template.' });
+  }
+};
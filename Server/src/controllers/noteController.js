@@ -0,0 +1,223 @@
+const mongoose = require('mongoose');
+const Note = require('../models/Note');
+const { hasPermission } = require('../config/permissions');
+const { NOTE_ENTITY_MODELS, loadNoteEntity, visibleNotesFilter, isNoteAuthor, canDeleteNote } = require('../utils/noteAccess');
+const { preservationBlocker, trashRecord } = require('../utils/trash');
+const { recordAudit } = require('../utils/auditLog');
+
+const AUTHOR_FIELDS = 'firstName lastName email';
+
+// Load a note the user can see, with write or read access to its record, or send the error response.
+// Returns null when a response has already been sent.
+const loadNote = async (req, res, action) => {
+  const note = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Note.findOne({ _id: req.params.id, firm: req.user.firm, ...visibleNotesFilter(req.user) })
+    : null;
+  if (!note || !(await loadNoteEntity(req.user, note.entityType, note.entity, action))) {
+    res.status(404).json({ success: false, message: 'Note not found.' });
+    return null;
+  }
+  return note;
+};
+
+// @desc    Get the notes of a case, client, task or appointment as threads (pinned first, then newest first)
+// @route   GET /api/notes?entityType=Case&entityId=...
+// @access  Private
+exports.getNotes = async (req, res) => {
+  try {
+    const { entityType, entityId } = req.query;
+    const entity = await loadNoteEntity(req.user, entityType, entityId, 'read');
+    if (!entity) {
+      return res.status(404).json({ success: false, message: `${NOTE_ENTITY_MODELS[entityType] ? entityType : 'Record'} not found.` });
+    }
+
+    const notes = await Note.find({ firm: req.user.firm, entityType, entity: entity._id, ...visibleNotesFilter(req.user) })
+      .select('-editHistory')
+      .populate('author', AUTHOR_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    // Replies are listed under their note, oldest first
+    const threads = notes
+      .filter(note => !note.parent)
+      .map(note => ({
+        ...note,
+        replies: notes.filter(reply => String(reply.parent) === String(note._id)).reverse(),
+      }))
+      .sort((a, b) => Number(b.pinned) - Number(a.pinned));
+
+    res.status(200).json({
+      success: true,
+      count: notes.length,
+      data: threads,
+      // Free-text notes kept on cases and clients before note entries existed
+      legacyNotes: entity.notes || undefined,
+    });
+  } catch (error) {
+    console.error('Error fetching notes:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching notes.' });
+  }
+};
+
+// @desc    Add a note, or a reply to one ({ entityType, entityId, content, parent?, privileged?, confidential? })
+// @route   POST /api/notes
+// @access  Private
+exports.createNote = async (req, res) => {
+  try {
+    const { entityType, entityId, content, parent, privileged, confidential } = req.body;
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({ success: false, message: 'Note content is required.' });
+    }
+    if (confidential && !hasPermission(req.user.role, 'notes', 'viewConfidential')) {
+      return res.status(403).json({ success: false, message: 'Your role cannot write confidential notes.' });
+    }
+
+    let parentNote = null;
+    let entity;
+    if (parent) {
+      // Replies go to the same record as the note they answer, one level deep
+      const parentFilter = { _id: parent, firm: req.user.firm, parent: null, ...visibleNotesFilter(req.user) };
+      parentNote = mongoose.Types.ObjectId.isValid(parent) ? await Note.findOne(parentFilter) : null;
+      entity = parentNote && await loadNoteEntity(req.user, parentNote.entityType, parentNote.entity, 'write');
+    } else {
+      entity = await loadNoteEntity(req.user, entityType, entityId, 'write');
+    }
+    if (!entity) {
+      return res.status(404).json({ success: false, message: parent ? 'Note to reply to not found.' : 'Record not found or you cannot add notes to it.' });
+    }
+
+    const note = await Note.create({
+      firm: req.user.firm,
+      entityType: parentNote ? parentNote.entityType : entityType,
+      entity: entity._id,
+      parent: parentNote ? parentNote._id : undefined,
+      author: req.user._id,
+      content,
+      privileged: Boolean(privileged),
+      // A reply in a confidential thread is confidential as well
+      confidential: Boolean(confidential) || Boolean(parentNote && parentNote.confidential),
+    });
+    await recordAudit(req, 'create', 'Note', note, { details: { entityType: note.entityType, entityId: note.entity } });
+    await note.populate('author', AUTHOR_FIELDS);
+
+    res.status(201).json({ success: true, message: 'Note added', data: note });
+  } catch (error) {
+    console.error('Error creating note:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while adding note.' });
+  }
+};
+
+// @desc    Edit a note's content or flags; the previous version is kept in its edit history
+// @route   PUT /api/notes/:id
+// @access  Private (author)
+exports.updateNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'write');
+    if (!note) return;
+    if (!isNoteAuthor(note, req.user)) {
+      return res.status(403).json({ success: false, message: 'Only the author can edit a note.' });
+    }
+
+    const { content, privileged, confidential } = req.body;
+    if (content !== undefined && !String(content).trim()) {
+      return res.status(400).json({ success: false, message: 'Note content is required.' });
+    }
+    if (confidential && !hasPermission(req.user.role, 'notes', 'viewConfidential')) {
+      return res.status(403).json({ success: false, message: 'Your role cannot write confidential notes.' });
+    }
+
+    note.editHistory.push({
+      content: note.content,
+      privileged: note.privileged,
+      confidential: note.confidential,
+      editedBy: req.user._id,
+      editedAt: new Date(),
+    });
+    if (content !== undefined) note.content = content;
+    if (privileged !== undefined) note.privileged = Boolean(privileged);
+    if (confidential !== undefined) note.confidential = Boolean(confidential);
+    note.editedAt = new Date();
+
+    await note.save();
+    await recordAudit(req, 'update', 'Note', note, { details: { fields: Object.keys(req.body) } });
+    await note.populate('author', AUTHOR_FIELDS);
+
+    res.status(200).json({ success: true, message: 'Note updated', data: note });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    res.status(500).json({ success: false, message: 'Server error while updating note.' });
+  }
+};
+
+// @desc    Pin or unpin a note ({ pinned })
+// @route   PUT /api/notes/:id/pin
+// @access  Private
+exports.pinNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'write');
+    if (!note) return;
+    if (note.parent) {
+      return res.status(400).json({ success: false, message: 'Replies cannot be pinned.' });
+    }
+
+    note.pinned = Boolean(req.body.pinned);
+    note.pinnedBy = note.pinned ? req.user._id : undefined;
+    note.pinnedAt = note.pinned ? new Date() : undefined;
+    await note.save();
+    await recordAudit(req, 'update', 'Note', note, { details: { fields: ['pinned'], pinned: note.pinned } });
+
+    res.status(200).json({ success: true, message: note.pinned ? 'Note pinned' : 'Note unpinned', data: { pinned: note.pinned } });
+  } catch (error) {
+    console.error('Error pinning note:', error);
+    res.status(500).json({ success: false, message: 'Server error while pinning note.' });
+  }
+};
+
+// @desc    Get the edit history of a note, oldest version first
+// @route   GET /api/notes/:id/history
+// @access  Private
+exports.getNoteHistory = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'read');
+    if (!note) return;
+
+    await note.populate('editHistory.editedBy', AUTHOR_FIELDS);
+    res.status(200).json({ success: true, count: note.editHistory.length, data: note.editHistory });
+  } catch (error) {
+    console.error('Error fetching note history:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching note history.' });
+  }
+};
+
+// @desc    Delete a note with its replies (moves them to the trash)
+// @route   DELETE /api/notes/:id
+// @access  Private (author, or roles allowed to delete notes)
+exports.deleteNote = async (req, res) => {
+  try {
+    const note = await loadNote(req, res, 'write');
+    if (!note) return;
+    if (!canDeleteNote(note, req.user)) {
+      return res.status(403).json({ success: false, message: 'You can only delete your own notes.' });
+    }
+
+    const preservation = await preservationBlocker('Note', note);
+    if (preservation) {
+      return res.status(409).json({ success: false, message: preservation });
+    }
+
+    const dependents = await trashRecord('Note', note, req.user);
+    await recordAudit(req, 'delete', 'Note', note, { details: { entityType: note.entityType, entityId: note.entity, dependents } });
+
+    res.status(200).json({ success: true, message: 'Note moved to the trash' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ success: false, message: 'Server error while deleting note.' });
+  }
+};
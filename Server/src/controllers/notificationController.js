@@ -14,12 +14,13 @@ exports.getReminders = async (req, res) => {
 
     // --- Fetch Upcoming Appointments ---
     // Criteria:
-    // 1. Belongs to the authenticated user.
+    // 1. Created by the authenticated user or the user is the responsible attorney.
     // 2. Status is 'scheduled'.
     // 3. Start time is in the future (from now up to 2 days from now).
     // 4. reminderSent flag is false (meaning reminder not yet displayed/sent).
     const upcomingAppointments = await Appointment.find({
-      user: userId,
+      firm: req.user.firm,
+      $or: [{ user: userId }, { responsibleAttorney: userId }], // Created by user OR user is responsible
       status: 'scheduled',
       startTime: { $gte: now, $lte: twoDaysFromNow },
       reminderSent: false,
@@ -35,6 +36,7 @@ exports.getReminders = async (req, res) => {
     // 3. Due date is in the past (overdue) or within the next 2 days (due soon).
     // 4. reminderSent flag is false.
     const relevantTasks = await Task.find({
+      firm: req.user.firm,
       $or: [{ user: userId }, { assignedTo: userId }], // Either created by user OR assigned to user
       status: { $nin: ['completed', 'cancelled'] }, // Not completed or cancelled
       dueDate: { $lte: twoDaysFromNow }, // Due date is now or in the past, or within next 2 days
@@ -122,8 +124,8 @@ exports.getNotifications = async (req, res) => {
 // @access  Private
 exports.markAsRead = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndUpdate(
-      req.params.id,
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
       { isRead: true },
       { new: true }
     );
@@ -161,7 +163,7 @@ exports.markAllAsRead = async (req, res) => {
 // @access  Private
 exports.deleteNotification = async (req, res) => {
   try {
-    const notification = await Notification.findByIdAndDelete(req.params.id);
+    const notification = await Notification.findOneAndDelete({ _id: req.params.id, user: req.user._id });
 
     if (!notification) {
       return res.status(404).json({ message: 'Notification not found' });
@@ -185,14 +187,14 @@ exports.markReminderAsSeen = async (req, res) => {
 
     if (entityType === 'appointment') {
       updatedDoc = await Appointment.findOneAndUpdate(
-        { _id: entityId, user: userId }, // Ensure user owns the appointment
+        { _id: entityId, firm: req.user.firm, $or: [{ user: userId }, { responsibleAttorney: userId }] },
         { $set: { reminderSent: true } },
         { new: true } // Return the updated document
       );
     } else if (entityType === 'task') {
       // User can be creator or assignee to mark task reminder as seen
       updatedDoc = await Task.findOneAndUpdate(
-        { _id: entityId, $or: [{ user: userId }, { assignedTo: userId }] },
+        { _id: entityId, firm: req.user.firm, $or: [{ user: userId }, { assignedTo: userId }] },
         { $set: { reminderSent: true } },
         { new: true }
       );
@@ -0,0 +1,203 @@
+// backend/src/controllers/portalController.js
+
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const Client = require('../models/Client');
+const Case = require('../models/Case');
+const Document = require('../models/Document');
+const Appointment = require('../models/Appointment');
+const Task = require('../models/Task');
+const Firm = require('../models/Firm');
+const { recordAudit } = require('../utils/auditLog');
+
+// Case fields a client may see; internal notes, descriptions and the case team are never exposed
+const PORTAL_CASE_FIELDS = 'caseName caseNumber docketNumber caseType status court jurisdiction startDate endDate responsibleAttorney';
+const PORTAL_DOCUMENT_FIELDS = 'title originalName fileType fileSize uploadDate case uploadedBy';
+const PORTAL_APPOINTMENT_FIELDS = 'title startTime endTime location status case';
+const PORTAL_REQUEST_FIELDS = 'title description dueDate status case';
+
+// Load the Client record the portal user represents, or null if the account isn't linked to one
+const getPortalClient = (user) => (
+  user.client ? Client.findOne({ _id: user.client, firm: user.firm }) : null
+);
+
+// Ids of the firm's cases the client is a party to
+const getPortalCaseIds = (user, client) => Case.find({ firm: user.firm, clients: client._id }).distinct('_id');
+
+// Records linked to the client directly or through one of their cases
+const portalRecordFilter = (user, client, caseIds) => ({
+  firm: user.firm,
+  $or: [{ client: client._id }, { case: { $in: caseIds } }],
+});
+
+// Documents the client may see: shared with them by the firm, or uploaded by themselves.
+// Restricted documents are never shown, even if shared.
+const portalDocumentFilter = (user, client, caseIds) => ({
+  ...portalRecordFilter(user, client, caseIds),
+  isRestricted: { $ne: true },
+  $and: [{ $or: [{ isSharedWithClient: true }, { uploadedBy: user._id }] }],
+});
+
+// @desc    Get the client portal overview: the client's cases, documents, upcoming appointments and open requests
+// @route   GET /api/portal
+// @access  Private (client)
+exports.getPortalOverview = async (req, res) => {
+  try {
+    const client = await getPortalClient(req.user);
+    if (!client) {
+      return res.status(403).json({ message: 'Your account is not linked to a client record.' });
+    }
+
+    const caseIds = await getPortalCaseIds(req.user, client);
+    const recordFilter = portalRecordFilter(req.user, client, caseIds);
+
+    const [firm, cases, documents, appointments, requests] = await Promise.all([
+      Firm.findById(req.user.firm).select('name'),
+      Case.find({ _id: { $in: caseIds } })
+        .select(PORTAL_CASE_FIELDS)
+        .populate('responsibleAttorney', 'firstName lastName email')
+        .sort({ startDate: -1 }),
+      Document.find(portalDocumentFilter(req.user, client, caseIds))
+        .select(PORTAL_DOCUMENT_FIELDS)
+        .populate('case', 'caseName caseNumber')
+        .populate('uploadedBy', 'firstName lastName')
+        .sort({ uploadDate: -1 }),
+      Appointment.find({ ...recordFilter, startTime: { $gte: new Date() }, status: { $ne: 'cancelled' } })
+        .select(PORTAL_APPOINTMENT_FIELDS)
+        .populate('case', 'caseName caseNumber')
+        .sort({ startTime: 1 }),
+      Task.find({ ...recordFilter, isClientRequest: true, status: { $in: ['pending', 'in_progress', 'on_hold'] } })
+        .select(PORTAL_REQUEST_FIELDS)
+        .populate('case', 'caseName caseNumber')
+        .sort({ dueDate: 1 }),
+    ]);
+
+    res.status(200).json({
+      client: {
+        _id: client._id,
+        firstName: client.firstName,
+        lastName: client.lastName,
+        email: client.email,
+        phone: client.phone,
+      },
+      firm: firm ? { _id: firm._id, name: firm.name } : null,
+      cases,
+      documents,
+      appointments,
+      requests,
+    });
+  } catch (error) {
+    console.error('Error fetching client portal:', error);
+    res.status(500).json({ message: 'Server error while fetching client portal.' });
+  }
+};
+
+// @desc    Download a document shared with the client (or uploaded by them)
+// @route   GET /api/portal/documents/:id/download
+// @access  Private (client)
+exports.downloadPortalDocument = async (req, res) => {
+  try {
+    const client = await getPortalClient(req.user);
+    if (!client) {
+      return res.status(403).json({ message: 'Your account is not linked to a client record.' });
+    }
+
+    const caseIds = await getPortalCaseIds(req.user, client);
+    const document = await Document.findOne({ _id: req.params.id, ...portalDocumentFilter(req.user, client, caseIds) });
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found.' });
+    }
+
+    const resolvedPath = path.resolve(__dirname, '../../', path.normalize(document.filePath));
+    if (!fs.existsSync(resolvedPath)) {
+      return res.status(404).json({ message: 'File not found on server storage.' });
+    }
+
+    await recordAudit(req, 'download', 'Document', document);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${document.originalName}"`);
+    res.setHeader('Content-Type', document.fileType);
+
+    const fileStream = fs.createReadStream(resolvedPath);
+    fileStream.on('error', (error) => {
+      console.error('Error streaming file:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Error streaming file' });
+      }
+    });
+    fileStream.pipe(res);
+  } catch (error) {
+    console.error('Error downloading portal document:', error);
+    res.status(500).json({ message: 'Server error while downloading document.' });
+  }
+};
+
+// @desc    Upload a document to the firm, optionally for one of the client's cases
+// @route   POST /api/portal/documents
+// @access  Private (client)
+exports.uploadPortalDocument = async (req, res) => {
+  const cleanUp = () => req.file && fsPromises.unlink(req.file.path)
+    .catch(err => console.error('Error cleaning up portal upload:', err));
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded.' });
+    }
+
+    const client = await getPortalClient(req.user);
+    if (!client) {
+      await cleanUp();
+      return res.status(403).json({ message: 'Your account is not linked to a client record.' });
+    }
+
+    const { caseId, title, description } = req.body;
+    let linkedCase = null;
+    if (caseId) {
+      const caseIds = await getPortalCaseIds(req.user, client);
+      if (!caseIds.some(id => String(id) === String(caseId))) {
+        await cleanUp();
+        return res.status(400).json({ message: 'Case not found.' });
+      }
+      linkedCase = await Case.findById(caseId).select('responsibleAttorney');
+    }
+
+    const { originalname, filename, mimetype, size, path: filePath } = req.file;
+    const document = await Document.create({
+      title: (title && String(title).trim()) || originalname,
+      firm: req.user.firm,
+      // The lawyer handling the case (or the client) is responsible for the upload
+      responsibleAttorney: linkedCase ? linkedCase.responsibleAttorney : client.responsibleAttorney,
+      user: req.user._id,
+      documentType: linkedCase ? 'case' : 'standalone',
+      case: linkedCase ? linkedCase._id : null,
+      client: client._id,
+      originalName: originalname,
+      fileName: filename,
+      fileType: mimetype,
+      filePath: path.relative(path.join(__dirname, '../../'), filePath),
+      fileSize: size,
+      description: description || '',
+      uploadedBy: req.user._id,
+      isSharedWithClient: true,
+    });
+    await recordAudit(req, 'create', 'Document', document);
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: {
+        _id: document._id,
+        title: document.title,
+        originalName: document.originalName,
+        fileType: document.fileType,
+        fileSize: document.fileSize,
+        uploadDate: document.uploadDate,
+        case: document.case,
+      },
+    });
+  } catch (error) {
+    console.error('Error uploading portal document:', error);
+    await cleanUp();
+    res.status(500).json({ message: 'Server error during document upload.' });
+  }
+};
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Firm = require('../models/Firm');
+const { completeLogin, hashToken } = require('../utils/sessionTokens');
+const { applyAuthCookies } = require('../utils/authCookies');
+const { recordAudit } = require('../utils/auditLog');
+const {
+  getOidcConfig,
+  isOidcEnabled,
+  buildAuthorizationRequest,
+  handleAuthorizationResponse,
+} = require('../utils/oidc');
+
+// Cookie holding the signed login state while the user is at the identity provider.
+// SameSite=Lax so it is sent when the provider redirects back to the callback.
+const LOGIN_STATE_COOKIE = 'oidcLoginState';
+const LOGIN_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/sso',
+  maxAge: 10 * 60 * 1000,
+};
+// How long the one-time code handed to the client stays valid
+const SSO_LOGIN_CODE_MINUTES = 2;
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Send the browser back to the login page with an error message
+const redirectWithError = (res, message) => {
+  const url = new URL('/login', frontendUrl());
+  url.searchParams.set('sso_error', message);
+  res.redirect(url.toString());
+};
+
+// Build an error carrying the HTTP status for the response
+const ssoError = (message, statusCode = 403) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Pick a free username based on the email address
+const generateUsername = async (email) => {
+  let base = email.split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '');
+  if (base.length < 3) base = `${base}user`;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const username = attempt === 0 ? base : `${base}${crypto.randomInt(1000, 10000)}`;
+    if (!(await User.exists({ username }))) return username;
+  }
+  return `${base}${crypto.randomBytes(4).toString('hex')}`;
+};
+
+// Find the user for a verified identity provider account:
+// 1. the user already linked to it,
+// 2. otherwise an existing user with the same email, which is then linked, if both the provider and
+//    this application have verified that address,
+// 3. otherwise a new user provisioned into the SSO firm with the default role.
+// Throws an error with a `statusCode` when the account cannot be used.
+const findOrProvisionUser = async (claims, config, req) => {
+  const linkedUser = await User.findOne({ ssoIssuer: config.issuer, ssoSubject: claims.sub });
+  if (linkedUser) return linkedUser;
+
+  const email = String(claims.email || '').toLowerCase().trim();
+  if (!email) {
+    throw ssoError('Your identity provider did not share an email address.');
+  }
+  // Accounts are only matched or created by email addresses the provider has verified
+  if (claims.email_verified !== true && claims.email_verified !== 'true') {
+    throw ssoError('Your email address has not been verified by your identity provider.');
+  }
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) {
+    if (String(existingUser.firm) !== String(config.firmId)) {
+      throw ssoError('This account belongs to another firm and cannot use this sign-in.');
+    }
+    if (existingUser.role === 'client') {
+      throw ssoError('Client portal accounts cannot use single sign-on.');
+    }
+    if (existingUser.ssoSubject) {
+      throw ssoError('This account is already linked to another identity provider account.');
+    }
+    // Anyone can put an address on an account; only a verified one proves it belongs to its owner
+    if (!existingUser.emailVerifiedAt) {
+      throw ssoError('An account with this email address exists but the address has not been verified. Verify it or sign in with your password first.');
+    }
+
+    existingUser.ssoIssuer = config.issuer;
+    existingUser.ssoSubject = claims.sub;
+    await existingUser.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', existingUser, {
+      user: existingUser,
+      details: { fields: ['ssoIssuer', 'ssoSubject'], reason: 'sso_link' }
+    });
+    return existingUser;
+  }
+
+  // Just-in-time provisioning. The random password is never shown; SSO users who also want
+  // a password can set one through "forgot password".
+  const user = await User.create({
+    username: await generateUsername(email),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    passwordChangedAt: new Date(),
+    firstName: String(claims.given_name || '').trim(),
+    lastName: String(claims.family_name || '').trim(),
+    firm: config.firmId,
+    role: config.defaultRole,
+    status: 'active',
+    emailVerifiedAt: Date.now(),
+    ssoIssuer: config.issuer,
+    ssoSubject: claims.sub,
+  });
+  await recordAudit(req, 'create', 'User', user, { user, details: { reason: 'sso_provisioning', role: user.role } });
+  return user;
+};
+
+// @desc    Tell the login page whether single sign-on is available
+// @route   GET /api/auth/sso
+// @access  Public
+exports.getSsoStatus = (req, res) => {
+  const config = getOidcConfig();
+  res.status(200).json({
+    success: true,
+    data: { enabled: isOidcEnabled(config), providerName: config.providerName }
+  });
+};
+
+// @desc    Start single sign-on: redirect the browser to the identity provider
+// @route   GET /api/auth/sso/login
+// @access  Public
+exports.startSsoLogin = async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return redirectWithError(res, 'Single sign-on is not configured.');
+    }
+
+    const { url, loginState } = await buildAuthorizationRequest();
+    res.cookie(LOGIN_STATE_COOKIE, loginState, LOGIN_STATE_COOKIE_OPTIONS);
+    res.redirect(url);
+  } catch (error) {
+    console.error('SSO login error:', error);
+    redirectWithError(res, 'Could not reach the identity provider. Please try again later.');
+  }
+};
+
+// @desc    Handle the identity provider's redirect: verify the sign-in, link or provision the user,
+//          and send the browser to the login page with a one-time code
+// @route   GET /api/auth/sso/callback
+// @access  Public (requires the state cookie set by /api/auth/sso/login)
+exports.ssoCallback = async (req, res) => {
+  const loginState = req.cookies[LOGIN_STATE_COOKIE];
+  res.clearCookie(LOGIN_STATE_COOKIE, { ...LOGIN_STATE_COOKIE_OPTIONS, maxAge: undefined });
+
+  try {
+    if (req.query.error) {
+      return redirectWithError(res, req.query.error_description || 'Sign-in was cancelled at the identity provider.');
+    }
+
+    const config = getOidcConfig();
+    if (!isOidcEnabled(config)) {
+      return redirectWithError(res, 'Single sign-on is not configured.');
+    }
+    if (!(await Firm.exists({ _id: config.firmId }))) {
+      console.error('OIDC_FIRM_ID does not match any firm:', config.firmId);
+      return redirectWithError(res, 'Single sign-on is not configured correctly.');
+    }
+
+    const claims = await handleAuthorizationResponse({ code: req.query.code, state: req.query.state, loginState }, config);
+    const user = await findOrProvisionUser(claims, config, req);
+
+    if (user.status !== 'active') {
+      return redirectWithError(res, 'Account is not active. Please contact support.');
+    }
+
+    // The tokens are not put in the URL; the client exchanges this short-lived code for them
+    const loginCode = crypto.randomBytes(32).toString('hex');
+    user.ssoLoginCode = hashToken(loginCode);
+    user.ssoLoginCodeExpire = Date.now() + SSO_LOGIN_CODE_MINUTES * 60 * 1000;
+    await user.save({ validateBeforeSave: false });
+
+    const url = new URL('/login', frontendUrl());
+    url.searchParams.set('sso_code', loginCode);
+    res.redirect(url.toString());
+  } catch (error) {
+    if (error.statusCode) {
+      return redirectWithError(res, error.message);
+    }
+    console.error('SSO callback error:', error);
+    redirectWithError(res, 'Single sign-on failed. Please try again.');
+  }
+};
+
+// @desc    Exchange the one-time SSO code for a session
+// @route   POST /api/auth/sso/complete
+// @access  Public (requires the code from the SSO callback redirect)
+exports.completeSsoLogin = async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'SSO code is required' });
+    }
+
+    const user = await User.findOne({
+      ssoLoginCode: hashToken(String(code)),
+      ssoLoginCodeExpire: { $gt: Date.now() }
+    });
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Sign-in link is invalid or has expired. Please try again.' });
+    }
+
+    // Single use
+    user.ssoLoginCode = undefined;
+    user.ssoLoginCodeExpire = undefined;
+
+    if (user.status !== 'active') {
+      await user.save({ validateBeforeSave: false });
+      return res.status(403).json({ success: false, message: 'Account is not active. Please contact support.' });
+    }
+
+    // The identity provider has authenticated the user (including any second factor it requires),
+    // so the password and local two-factor steps don't apply
+    const data = applyAuthCookies(req, res, await completeLogin(user, req));
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data
+    });
+  } catch (error) {
+    console.error('SSO complete error:', error);
+    res.status(500).json({ success: false, message: 'Server error during single sign-on' });
+  }
+};
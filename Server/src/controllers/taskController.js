@@ -1,11 +1,17 @@
 const Task = require('../models/Task');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const { resolveFirmMember, recordsBelongToFirm } = require('../utils/firmAccess');
+const { caseLinkedRecordFilter, canAccessLinkedCase } = require('../utils/caseAccess');
+const { preservationBlocker, trashRecord } = require('../utils/trash');
+const { recordAudit, changedFields, valueChange } = require('../utils/auditLog');
 
 // @desc    Create a new task
 // @route   POST /api/tasks
 // @access  Private (requires authentication)
 exports.createTask = async (req, res) => {
   try {
-    const { title, description, case: caseId, client, dueDate, priority, status, assignedTo } = req.body;
+    const { title, description, case: caseId, client, dueDate, priority, status, assignedTo, responsibleAttorney, isClientRequest } = req.body;
 
     // Basic validation for required fields
     if (!title || !dueDate) {
@@ -18,8 +24,27 @@ exports.createTask = async (req, res) => {
       return res.status(400).json({ message: 'Invalid due date format.' });
     }
 
-    // Create a new task instance
+    // Linked case and client must belong to the same firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, client, req.user.firm))) {
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
+    }
+
+    // Linking to a case requires write access on its team
+    if (!(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    // Both the assignee and the responsible attorney must be colleagues in the same firm
+    const assigneeId = await resolveFirmMember(req.user, assignedTo);
+    const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+    if (!assigneeId || !attorneyId) {
+      return res.status(400).json({ message: 'Assignee and responsible attorney must be members of your firm.' });
+    }
+
+    // Create a new task instance owned by the firm
     const newTask = new Task({
+      firm: req.user.firm,
+      responsibleAttorney: attorneyId,
       user: req.user._id, // Authenticated user's ID (the creator)
       title,
       description,
@@ -28,11 +53,13 @@ exports.createTask = async (req, res) => {
       dueDate: due,
       priority,
       status,
-      assignedTo: assignedTo || req.user._id, // Default to creator if not explicitly assigned
+      assignedTo: assigneeId, // Defaults to the creator if not explicitly assigned
+      isClientRequest: Boolean(isClientRequest),
     });
 
     // Save the new task to the database
     const savedTask = await newTask.save();
+    await recordAudit(req, 'create', 'Task', savedTask);
 
     res.status(201).json({
       message: 'Task created successfully',
@@ -49,15 +76,13 @@ exports.createTask = async (req, res) => {
   }
 };
 
-// @desc    Get all tasks for the authenticated user
+// @desc    Get all tasks in the authenticated user's firm
 // @route   GET /api/tasks
 // @access  Private
 exports.getTasks = async (req, res) => {
   try {
-    // Find all tasks associated with the authenticated user's ID (as creator OR assignee)
-    // For now, we'll fetch tasks where the user is the creator. You might expand this
-    // to include tasks assigned to the user, if applicable.
-    const tasks = await Task.find({ user: req.user._id })
+    // Find all firm tasks, limited to cases the user is on the team of
+    const tasks = await Task.find(await caseLinkedRecordFilter(req.user))
       .populate('case', 'caseName caseNumber') // Populate case details
       .populate('client', 'firstName lastName') // Populate client details
       .populate('assignedTo', 'firstName lastName username') // Populate assignee details
@@ -75,23 +100,14 @@ exports.getTasks = async (req, res) => {
 // @access  Private
 exports.getTaskById = async (req, res) => {
   try {
-    // Find a task by ID and ensure it belongs to the authenticated user (as creator or assignee)
-    const task = await Task.findOne({ _id: req.params.id, user: req.user._id }) // Primary check for creator
+    // Find a task by ID and ensure the user can access it (same firm and case team)
+    const task = await Task.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) })
       .populate('case', 'caseName caseNumber')
       .populate('client', 'firstName lastName')
       .populate('assignedTo', 'firstName lastName username');
 
     if (!task) {
-      // If not found by user as creator, check if user is the assignee
-      const assignedTask = await Task.findOne({ _id: req.params.id, assignedTo: req.user._id })
-        .populate('case', 'caseName caseNumber')
-        .populate('client', 'firstName lastName')
-        .populate('assignedTo', 'firstName lastName username');
-
-      if (!assignedTask) {
-        return res.status(404).json({ message: 'Task not found or you do not have access.' });
-      }
-      return res.status(200).json(assignedTask);
+      return res.status(404).json({ message: 'Task not found or you do not have access.' });
     }
 
     res.status(200).json(task);
@@ -106,15 +122,39 @@ exports.getTaskById = async (req, res) => {
 // @access  Private
 exports.updateTask = async (req, res) => {
   try {
-    // Find the task by ID and ensure it belongs to the authenticated user (as creator)
-    // Consider adding `assignedTo: req.user._id` here if assignees can also update.
-    let task = await Task.findOne({ _id: req.params.id, user: req.user._id });
+    // Find the task by ID and ensure the user can access it (same firm and case team)
+    let task = await Task.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
     if (!task) {
-      return res.status(404).json({ message: 'Task not found or you are not the creator.' });
+      return res.status(404).json({ message: 'Task not found or you do not have access.' });
+    }
+
+    const { title, description, case: caseId, client, dueDate, priority, status, assignedTo, completedAt, responsibleAttorney, isClientRequest } = req.body;
+
+    // Linked case and client must belong to the same firm
+    if (!(await recordsBelongToFirm(Case, caseId, req.user.firm)) || !(await recordsBelongToFirm(Client, client, req.user.firm))) {
+      return res.status(400).json({ message: 'Linked case or client does not belong to your firm.' });
     }
 
-    const { title, description, case: caseId, client, dueDate, priority, status, assignedTo, completedAt } = req.body;
+    // Editing a case task (or moving it to another case) requires write access on the case team
+    if (!(await canAccessLinkedCase(req.user, task.case, 'write')) || !(await canAccessLinkedCase(req.user, caseId, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    // Re-assignments must stay within the firm
+    if (assignedTo) {
+      const assigneeId = await resolveFirmMember(req.user, assignedTo);
+      if (!assigneeId) {
+        return res.status(400).json({ message: 'Assignee must be a member of your firm.' });
+      }
+    }
+    if (responsibleAttorney) {
+      const attorneyId = await resolveFirmMember(req.user, responsibleAttorney);
+      if (!attorneyId) {
+        return res.status(400).json({ message: 'Responsible attorney must be a member of your firm.' });
+      }
+      task.responsibleAttorney = attorneyId;
+    }
 
     // Convert string date to Date object if it's being updated
     const updatedDueDate = dueDate ? new Date(dueDate) : task.dueDate;
@@ -122,6 +162,8 @@ exports.updateTask = async (req, res) => {
       return res.status(400).json({ message: 'Invalid due date format.' });
     }
 
+    const previousStatus = task.status;
+
     // Update fields if provided in the request body
     if (title !== undefined) task.title = title;
     if (description !== undefined) task.description = description;
@@ -131,6 +173,7 @@ exports.updateTask = async (req, res) => {
     if (priority !== undefined) task.priority = priority;
     if (status !== undefined) task.status = status;
     if (assignedTo !== undefined) task.assignedTo = assignedTo || null; // Allow null to unassign
+    if (isClientRequest !== undefined) task.isClientRequest = Boolean(isClientRequest);
     if (status === 'completed' && !task.completedAt) {
       task.completedAt = new Date(); // Set completedAt if task is marked complete and not already set
     } else if (status !== 'completed' && task.completedAt) {
@@ -139,6 +182,9 @@ exports.updateTask = async (req, res) => {
     if (completedAt !== undefined) task.completedAt = completedAt; // Allow explicit override
 
     const updatedTask = await task.save();
+    await recordAudit(req, 'update', 'Task', updatedTask, {
+      details: { fields: changedFields(req.body), status: valueChange(previousStatus, updatedTask.status) }
+    });
 
     res.status(200).json({
       message: 'Task updated successfully',
@@ -154,19 +200,31 @@ exports.updateTask = async (req, res) => {
   }
 };
 
-// @desc    Delete a task
+// @desc    Delete a task: it goes to the trash with its notes
 // @route   DELETE /api/tasks/:id
 // @access  Private
 exports.deleteTask = async (req, res) => {
   try {
-    // Only the creator can delete the task
-    const deletedTask = await Task.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    // Any firm member with delete permission and write access to the task's case can delete it
+    const task = await Task.findOne({ _id: req.params.id, ...(await caseLinkedRecordFilter(req.user)) });
 
-    if (!deletedTask) {
+    if (!task) {
       return res.status(404).json({ message: 'Task not found or you are not authorized to delete it.' });
     }
+    if (!(await canAccessLinkedCase(req.user, task.case, 'write'))) {
+      return res.status(403).json({ message: 'You do not have write access to this case.' });
+    }
+
+    // Tasks of a matter under a legal hold or retention obligation are kept
+    const preservation = await preservationBlocker('Task', task);
+    if (preservation) {
+      return res.status(409).json({ message: preservation });
+    }
+
+    const dependents = await trashRecord('Task', task, req.user);
+    await recordAudit(req, 'delete', 'Task', task, { details: { dependents } });
 
-    res.status(200).json({ message: 'Task deleted successfully.' });
+    res.status(200).json({ message: 'Task moved to the trash.', dependents });
 
   } catch (error) {
     console.error('Error deleting task:', error);
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const { hasCaseAccess, canAccessLinkedCase } = require('../utils/caseAccess');
+const { recordAudit } = require('../utils/auditLog');
+const { loadNoteEntity, canDeleteNote } = require('../utils/noteAccess');
+const { TRASH_TYPES, listTrash, findTrashedRecord, preservationBlocker, restoreRecord, purgeRecord } = require('../utils/trash');
+
+// Load a record from the user's trash for the :type and :id route parameters, or send the error response.
+// Returns null when a response has already been sent.
+const loadTrashedRecord = async (req, res) => {
+  const { type, id } = req.params;
+  if (!TRASH_TYPES[type]) {
+    res.status(400).json({ success: false, message: `Unknown trash type. Use one of: ${Object.keys(TRASH_TYPES).join(', ')}.` });
+    return null;
+  }
+
+  const record = mongoose.Types.ObjectId.isValid(id) && hasPermission(req.user.role, type, 'read')
+    ? await findTrashedRecord(req.user, type, id)
+    : null;
+  if (!record) {
+    res.status(404).json({ success: false, message: 'Record not found in the trash.' });
+    return null;
+  }
+  return record;
+};
+
+// @desc    List the records in the trash, newest first (?type=cases|clients|tasks|appointments|documents|notes)
+// @route   GET /api/trash
+// @access  Private
+exports.getTrash = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !TRASH_TYPES[type]) {
+      return res.status(400).json({ success: false, message: `Unknown trash type. Use one of: ${Object.keys(TRASH_TYPES).join(', ')}.` });
+    }
+
+    const { retentionDays, items } = await listTrash(req.user, type);
+    res.status(200).json({ success: true, retentionDays, count: items.length, data: items });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching the trash.' });
+  }
+};
+
+// @desc    Restore a record from the trash with everything deleted along with it
+// @route   POST /api/trash/:type/:id/restore
+// @access  Private (roles allowed to delete the record; lead counsel for cases; the author for notes)
+exports.restoreFromTrash = async (req, res) => {
+  try {
+    const record = await loadTrashedRecord(req, res);
+    if (!record) return;
+
+    const { type } = req.params;
+    const { entityType } = TRASH_TYPES[type];
+    const allowed = entityType === 'Note'
+      ? canDeleteNote(record, req.user) && Boolean(await loadNoteEntity(req.user, record.entityType, record.entity, 'write'))
+      : hasPermission(req.user.role, type, 'delete') && (
+        entityType === 'Case' ? hasCaseAccess(req.user, record, 'delete')
+          : entityType === 'Client' || await canAccessLinkedCase(req.user, record.case, 'write')
+      );
+    if (!allowed) {
+      return res.status(403).json({ success: false, message: 'You are not allowed to restore this record.' });
+    }
+
+    const restored = await restoreRecord(entityType, record);
+    await recordAudit(req, 'restore', entityType, record, { details: { restored } });
+
+    res.status(200).json({ success: true, message: 'Restored from the trash', restored });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ success: false, message: 'Server error while restoring from the trash.' });
+  }
+};
+
+// @desc    Permanently remove a record from the trash, with everything deleted along with it
+// @route   DELETE /api/trash/:type/:id
+// @access  Private (admin, partner)
+exports.purgeFromTrash = async (req, res) => {
+  try {
+    const record = await loadTrashedRecord(req, res);
+    if (!record) return;
+
+    const { entityType } = TRASH_TYPES[req.params.type];
+    // Records under a legal hold or retention obligation stay in the trash until it ends
+    const blocker = await preservationBlocker(entityType, record);
+    if (blocker) {
+      return res.status(409).json({ success: false, message: blocker });
+    }
+
+    const removed = await purgeRecord(entityType, record);
+    await recordAudit(req, 'purge', entityType, record, { details: { removed } });
+
+    res.status(200).json({ success: true, message: 'Permanently deleted', removed });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({ success: false, message: 'Server error while purging from the trash.' });
+  }
+};
@@ -0,0 +1,263 @@
+const User = require('../models/User');
+const { completeLogin, verifyChallengeToken } = require('../utils/sessionTokens');
+const {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+} = require('../utils/twoFactor');
+const {
+  getAccountThrottle,
+  registerAccountFailure,
+  getThrottleWait,
+  registerThrottledAttempt,
+  sendThrottledResponse,
+} = require('../utils/loginThrottle');
+const { recordAudit } = require('../utils/auditLog');
+const { applyAuthCookies } = require('../utils/authCookies');
+const { getPasswordChangeChallenge } = require('../utils/passwordPolicy');
+
+// Fields that are hidden by default but needed to check a second factor
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes';
+
+// Check a TOTP code or recovery code against a user, consuming it on success.
+// The caller is responsible for saving the user document.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+
+  const step = verifyTotp(user.twoFactorSecret, code, user.twoFactorLastUsedStep);
+  if (step === null) return false;
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// @desc    Complete login with a TOTP code or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (requires the challenge token returned by /api/auth/login)
+exports.verifyLoginCode = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: 'Challenge token and a verification code are required' });
+    }
+
+    const challenge = verifyChallengeToken(challengeToken, '2fa');
+    if (!challenge) {
+      return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired. Please sign in again.' });
+    }
+
+    const user = await User.findById(challenge.id).select(TWO_FACTOR_FIELDS);
+    if (!user || user.status !== 'active' || !user.twoFactorEnabled) {
+      return res.status(401).json({ success: false, message: 'Login challenge is invalid or has expired. Please sign in again.' });
+    }
+
+    // Wrong codes count as failed sign-ins, just like wrong passwords
+    const ipWait = await getThrottleWait('login', req.ip);
+    const accountThrottle = getAccountThrottle(user);
+    if (ipWait > 0 || accountThrottle.retryAfter > 0) {
+      return sendThrottledResponse(res, ipWait > accountThrottle.retryAfter
+        ? { locked: false, retryAfter: ipWait }
+        : accountThrottle);
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      await registerThrottledAttempt('login', req.ip, req, { user });
+      const failure = await registerAccountFailure(user, req);
+      if (failure.locked) {
+        return sendThrottledResponse(res, failure);
+      }
+      return res.status(401).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    // The firm's password expiry has passed: a new password must be chosen before a session is started
+    const passwordChange = await getPasswordChangeChallenge(user);
+    if (passwordChange) {
+      await user.save({ validateBeforeSave: false }); // Keep the used code from being replayed
+      return res.status(200).json({
+        success: true,
+        message: 'Your password has expired. Please choose a new one.',
+        data: passwordChange
+      });
+    }
+
+    const data = applyAuthCookies(req, res, await completeLogin(user, req));
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: { ...data, recoveryCodesRemaining: countRemainingRecoveryCodes(user) }
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ success: false, message: 'Server error during two-factor login' });
+  }
+};
+
+// @desc    Get the authenticated user's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        required: await isTwoFactorRequired(user),
+        recoveryCodesRemaining: user.twoFactorEnabled ? countRemainingRecoveryCodes(user) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ success: false, message: 'Server error while fetching two-factor status' });
+  }
+};
+
+// @desc    Start 2FA enrollment: generate a secret and QR code for an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or a '2fa_setup' challenge token when 2FA is mandatory)
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    user.twoFactorPendingSecret = generateSecret();
+    await user.save({ validateBeforeSave: false });
+
+    const enrollment = await buildEnrollment(user.email, user.twoFactorPendingSecret);
+    res.status(200).json({ success: true, data: enrollment });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ success: false, message: 'Server error during two-factor setup' });
+  }
+};
+
+// @desc    Confirm enrollment with a code from the authenticator app and turn 2FA on
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or a '2fa_setup' challenge token when 2FA is mandatory)
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup before enabling it' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = hashed;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', user, { user, details: { fields: ['twoFactorEnabled'], twoFactorEnabled: true } });
+
+    const data = { recoveryCodes: codes };
+
+    // Mandatory enrollment happens during login, so finish signing the user in,
+    // unless their password has expired and must be changed first
+    if (req.challenge) {
+      Object.assign(data, (await getPasswordChangeChallenge(user)) || applyAuthCookies(req, res, await completeLogin(user, req)));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ success: false, message: 'Server error while enabling two-factor authentication' });
+  }
+};
+
+// @desc    Turn 2FA off (requires the account password and a current code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is required by your firm and cannot be disabled' });
+    }
+    if (!password) {
+      return res.status(400).json({ success: false, message: 'Password is required' });
+    }
+
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await user.matchPassword(password)) || !checkSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ success: false, message: 'Invalid password or verification code' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorEnabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', user, { details: { fields: ['twoFactorEnabled'], twoFactorEnabled: false } });
+
+    res.status(200).json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ success: false, message: 'Server error while disabling two-factor authentication' });
+  }
+};
+
+// @desc    Replace all recovery codes with a new set (requires a current TOTP code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!checkSecondFactor(user, { code })) {
+      return res.status(400).json({ success: false, message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = hashed;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', user, { details: { fields: ['twoFactorRecoveryCodes'] } });
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes: codes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ success: false, message: 'Server error while generating recovery codes' });
+  }
+};
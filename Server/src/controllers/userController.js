@@ -1,15 +1,14 @@
 const User = require('../models/User'); // Import the User model
-const jwt = require('jsonwebtoken'); // Needed if generating token upon profile update for consistency
-
-// Helper function to generate a JWT token (re-used for consistency)
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: '1h',
-  });
-};
+const Session = require('../models/Session');
+const { generateAccessToken } = require('../utils/sessionTokens');
+const { ROLES } = require('../config/permissions');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { recordAudit, changedFields } = require('../utils/auditLog');
+const { setPassword } = require('../utils/passwordPolicy');
+const { applyAuthCookies } = require('../utils/authCookies');
 
 
-// @desc    Get all users with pagination and filtering
+// @desc    Get all users in the authenticated user's firm with pagination and filtering
 // @route   GET /api/users
 // @access  Private
 exports.getAllUsers = async (req, res) => {
@@ -18,8 +17,8 @@ exports.getAllUsers = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    // Build query
-    const query = {};
+    // Build query: only colleagues in the same firm
+    const query = { firm: req.user.firm };
     
     // Filter by status if provided
     if (req.query.status) {
@@ -63,13 +62,13 @@ exports.getAllUsers = async (req, res) => {
   }
 };
 
-// @desc    Get minimal user data for dropdowns
+// @desc    Get minimal data for the firm's users (for dropdowns)
 // @route   GET /api/users/all
 // @access  Private
 exports.getAllUsersMinimal = async (req, res) => {
   try {
-    const users = await User.find({})
-      .select('_id firstName lastName email status')
+    const users = await User.find({ firm: req.user.firm })
+      .select('_id firstName lastName email role status')
       .sort({ firstName: 1, lastName: 1 });
       
     res.status(200).json({
@@ -94,7 +93,7 @@ exports.getUserProfile = async (req, res) => {
     // req.user is populated by the 'protect' middleware based on the JWT
     // We explicitly select the password here to ensure it's not returned,
     // though the model schema already has `select: false`.
-    const user = await User.findById(req.user._id).select('-password');
+    const user = await User.findById(req.user._id).select('-password').populate('firm', 'name');
 
     if (user) {
       res.status(200).json({
@@ -103,9 +102,11 @@ exports.getUserProfile = async (req, res) => {
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-
+        role: user.role,
+        firm: user.firm,
         status: user.status,
         lastLogin: user.lastLogin,
+        passwordChangedAt: user.passwordChangedAt,
         avatar: user.avatar,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -125,16 +126,14 @@ exports.getUserProfile = async (req, res) => {
 exports.updateUserProfile = async (req, res) => {
   try {
     // Find the user by ID from the authenticated request
-    const user = await User.findById(req.user._id);
+    // The password fields are needed to check the current password and the password history
+    const user = await User.findById(req.user._id).select('+password +passwordHistory');
 
     if (user) {
       // Update fields if provided in the request body
       // We explicitly check for each field to allow partial updates
       // and prevent overwriting with undefined/null if not provided.
-      // Password update requires special handling (current password verification)
-      // which is omitted for simplicity but highly recommended in production.
       if (req.body.username !== undefined) user.username = req.body.username;
-      if (req.body.email !== undefined) user.email = req.body.email;
       if (req.body.firstName !== undefined) user.firstName = req.body.firstName;
       if (req.body.lastName !== undefined) user.lastName = req.body.lastName;
       if (req.body.phoneNumber !== undefined) {
@@ -145,14 +144,22 @@ exports.updateUserProfile = async (req, res) => {
         user.phoneNumber = req.body.phoneNumber;
       }
 
-      if (req.body.status !== undefined) user.status = req.body.status;
       if (req.body.avatar !== undefined) user.avatar = req.body.avatar;
 
-      // Handle password change separately if a new password is provided
+      // A new email address only takes effect once it has been verified: until then it is kept as
+      // `pendingEmail` and the current address stays in use for signing in and password resets
+      const newEmail = req.body.email !== undefined ? String(req.body.email).toLowerCase().trim() : user.email;
+      const emailChanged = newEmail !== user.email;
+
+      // Handle password and email changes separately; both need the current password.
+      // A new password must satisfy the password policy.
+      if (req.body.password || emailChanged) {
+        if (!req.body.currentPassword || !(await user.matchPassword(req.body.currentPassword))) {
+          return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+      }
       if (req.body.password) {
-        // In a real application, you'd typically require the current password
-        // for security before allowing a new password to be set.
-        user.password = req.body.password; // Pre-save hook will hash this
+        await setPassword(user, req.body.password); // Pre-save hook will hash this
       }
 
       // Check for uniqueness if username or email is changed
@@ -162,18 +169,42 @@ exports.updateUserProfile = async (req, res) => {
           return res.status(400).json({ message: 'Username is already taken.' });
         }
       }
-      if (user.isModified('email')) {
-        const emailExists = await User.findOne({ email: user.email, _id: { $ne: user._id } });
+      if (emailChanged) {
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+          return res.status(400).json({ message: 'Invalid email format.' });
+        }
+        const emailExists = await User.findOne({ email: newEmail, _id: { $ne: user._id } });
         if (emailExists) {
           return res.status(400).json({ message: 'Email is already registered.' });
         }
+        user.pendingEmail = newEmail;
       }
 
+      const passwordChanged = user.isModified('password');
+
       // Save the updated user
       const updatedUser = await user.save();
+      await recordAudit(req, 'update', 'User', updatedUser, { details: { fields: changedFields(req.body) } });
+
+      // A new password signs the account out on every other device
+      if (passwordChanged) {
+        await Session.revokeAllForUser(updatedUser._id, 'password_change', req.authSession?._id);
+      }
+
+      // A failed email doesn't undo the request; the user can submit the new address again
+      let verificationEmailSent;
+      if (emailChanged) {
+        try {
+          await sendVerificationEmail(updatedUser, { email: updatedUser.pendingEmail });
+          verificationEmailSent = true;
+        } catch (err) {
+          console.error('Verification email error:', err);
+          verificationEmailSent = false;
+        }
+      }
 
       // Regenerate token if username or email changed, to reflect updated info in payload (optional but good practice)
-      const token = generateToken(updatedUser._id);
+      const { token, csrfToken } = applyAuthCookies(req, res, { token: generateAccessToken(updatedUser._id, req.authSession?._id) });
 
       res.status(200).json({
         message: 'Profile updated successfully',
@@ -187,12 +218,18 @@ exports.updateUserProfile = async (req, res) => {
 
         status: updatedUser.status,
         avatar: updatedUser.avatar,
-        token: token // Send new token if it was regenerated
+        pendingEmail: updatedUser.pendingEmail,
+        verificationEmailSent,
+        token, // Send new token if it was regenerated (only in the cookie in cookie mode)
+        csrfToken
       });
     } else {
       res.status(404).json({ message: 'User not found.' });
     }
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error updating user profile:', error);
     if (error.code === 11000) { // MongoDB duplicate key error
       return res.status(400).json({ message: 'A user with this username or email already exists.' });
@@ -203,3 +240,55 @@ exports.updateUserProfile = async (req, res) => {
     res.status(500).json({ message: 'Server error during profile update.' });
   }
 };
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private (admin)
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Admins can only manage users in their own firm
+    const user = await User.findOne({ _id: req.params.id, firm: req.user.firm }).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found.' });
+    }
+
+    // Client accounts and staff accounts are not converted into one another
+    if (role !== user.role && (role === 'client' || user.role === 'client')) {
+      return res.status(400).json({ success: false, message: 'Client accounts cannot be given a staff role, nor staff accounts the client role.' });
+    }
+
+    // Keep at least one administrator in the firm so roles can still be managed
+    if (user.role === 'admin' && role !== 'admin') {
+      const adminCount = await User.countDocuments({ firm: req.user.firm, role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({ success: false, message: 'Cannot remove the last administrator.' });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+    await recordAudit(req, 'update', 'User', user, { details: { fields: ['role'], from: previousRole, to: role } });
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated',
+      data: user
+    });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role.'
+    });
+  }
+};
@@ -1,16 +1,81 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { verifyChallengeToken, hashToken } = require('../utils/sessionTokens');
+const { getApiKeyFromRequest } = require('../utils/apiKeys');
+const { getRequestToken, hasValidCsrfToken } = require('../utils/authCookies');
+const { hasPermission, scopesAllow } = require('../config/permissions');
 
-// Middleware to protect routes: verifies JWT and attaches user to req
+// How often the last-used time of an API key is written, to avoid a write on every request
+const API_KEY_USAGE_INTERVAL_MS = 60 * 1000;
+
+// Authenticate a request made with an API key instead of a JWT.
+// Keys only work on routes guarded by `authorize`, whose scopes they are checked against;
+// everything else (sessions, 2FA, API key management, ...) needs a real login.
+const protectWithApiKey = async (req, res, next, rawKey) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+    if (!apiKey || !apiKey.isActive()) {
+      return res.status(401).json({ message: 'Not authorized, API key is invalid, expired or revoked.' });
+    }
+
+    const routeHandlers = req.route ? req.route.stack.map(layer => layer.handle) : [];
+    if (!routeHandlers.some(handler => handler.permission)) {
+      return res.status(403).json({ message: 'Not authorized, API keys cannot be used for this endpoint.' });
+    }
+
+    req.user = await User.findById(apiKey.user).select('-password');
+    if (!req.user || req.user.status !== 'active' || String(req.user.firm) !== String(apiKey.firm)) {
+      return res.status(401).json({ message: 'Not authorized, API key is invalid, expired or revoked.' });
+    }
+    req.apiKey = apiKey;
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_USAGE_INTERVAL_MS) {
+      ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } })
+        .catch(error => console.error('Error recording API key usage:', error));
+    }
+
+    next();
+  } catch (error) {
+    console.error('API key verification failed:', error);
+    res.status(401).json({ message: 'Not authorized, API key verification failed.' });
+  }
+};
+
+// Middleware to protect routes: verifies JWT (or API key) and attaches user to req.
+// The JWT is read from the Authorization header or, in cookie mode, from the httpOnly session cookie.
 const protect = async (req, res, next) => {
-  let token;
+  const apiKey = getApiKeyFromRequest(req);
+  if (apiKey) {
+    return protectWithApiKey(req, res, next, apiKey);
+  }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+  const { token, fromCookie } = getRequestToken(req);
+  if (token) {
     try {
-      token = req.headers.authorization.split(' ')[1]; // Get token from header
-
       const decoded = jwt.verify(token, process.env.JWT_SECRET); // Verify token
 
+      // Challenge tokens (e.g., between password and 2FA code) are not access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({ message: 'Not authorized, login is not complete.' });
+      }
+
+      // Tokens issued for a session stop working as soon as that session is revoked
+      if (decoded.sid) {
+        const session = await Session.findById(decoded.sid);
+        if (!session || !session.isActive()) {
+          return res.status(401).json({ message: 'Not authorized, session has been revoked.' });
+        }
+        req.authSession = session;
+      }
+
+      // The browser sends cookies with every request, including ones forged by other sites,
+      // so state-changing requests must also carry the session's CSRF token
+      if (fromCookie && !hasValidCsrfToken(req, decoded.sid)) {
+        return res.status(403).json({ message: 'Not authorized, invalid or missing CSRF token.' });
+      }
+
       // Find user by ID and attach to request, excluding password
       req.user = await User.findById(decoded.id).select('-password');
 
@@ -18,6 +83,16 @@ const protect = async (req, res, next) => {
         return res.status(401).json({ message: 'Not authorized, user not found.' });
       }
 
+      // Deactivated or unverified accounts lose access right away, not when their token expires
+      if (req.user.status !== 'active') {
+        return res.status(401).json({ message: 'Not authorized, your account is not active.' });
+      }
+
+      // All data is scoped by firm, so an account without one cannot use the API
+      if (!req.user.firm) {
+        return res.status(403).json({ message: 'Not authorized, your account is not assigned to a firm.' });
+      }
+
       next(); // Proceed to the next middleware or route handler
     } catch (error) {
       console.error('Token verification failed:', error);
@@ -30,4 +105,50 @@ const protect = async (req, res, next) => {
   }
 };
 
-module.exports = { protect };
+// Like `protect`, but also accepts a challenge token issued for `purpose` in place of an access token.
+// Used by endpoints that must be reachable halfway through login (e.g., mandatory 2FA enrollment).
+// Sets `req.challenge` to the decoded challenge when one was used.
+const protectOrChallenge = (purpose) => async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] : null;
+  const challenge = token ? verifyChallengeToken(token, purpose) : null;
+
+  if (!challenge) {
+    return protect(req, res, next);
+  }
+
+  try {
+    req.user = await User.findById(challenge.id).select('-password');
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authorized, user not found.' });
+    }
+    if (req.user.status !== 'active') {
+      return res.status(401).json({ message: 'Not authorized, your account is not active.' });
+    }
+    req.challenge = challenge;
+    next();
+  } catch (error) {
+    console.error('Challenge verification failed:', error);
+    res.status(401).json({ message: 'Not authorized, challenge failed or expired.' });
+  }
+};
+
+// Restrict a route to roles allowed to perform `action` on `resource` (see config/permissions.js).
+// Requests made with an API key additionally need a scope covering the action.
+// Must run after `protect`, which attaches the user.
+const authorize = (resource, action) => {
+  const middleware = (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, resource, action)) {
+      return res.status(403).json({ message: 'Not authorized, your role does not permit this action.' });
+    }
+    if (req.apiKey && !scopesAllow(req.apiKey.scopes, resource, action)) {
+      return res.status(403).json({ message: 'Not authorized, this API key does not have the required scope.' });
+    }
+    next();
+  };
+  // Lets `protect` tell which routes accept API keys
+  middleware.permission = { resource, action };
+  return middleware;
+};
+
+module.exports = { protect, protectOrChallenge, authorize };
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/permissions');
+
+// Define the ApiKey Schema
+// A personal access token that lets scripts and integrations call the API on behalf of a user,
+// limited to the scopes it was created with. Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  // The user the key acts as
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // Firm of the user when the key was created; the key stops working if the user changes firm
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+  },
+  // Label chosen by the user (e.g., "Intake website")
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot be more than 100 characters'],
+  },
+  // First characters of the key, shown so the user can tell keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 hash of the full key. The raw key is only shown once, when it is created.
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // What the key may do (see API_KEY_SCOPES in config/permissions.js)
+  scopes: {
+    type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required'],
+  },
+  // Date when the key was last used, and from where
+  lastUsedAt: {
+    type: Date,
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true,
+  },
+  // Optional date after which the key no longer works
+  expiresAt: {
+    type: Date,
+  },
+  // Set when the user revokes the key
+  revokedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Whether the key can still be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Create and export the ApiKey model
+module.exports = mongoose.model('ApiKey', apiKeySchema);
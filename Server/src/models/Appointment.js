@@ -1,8 +1,21 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 // Define the Appointment Schema
 const appointmentSchema = new mongoose.Schema({
-  // Reference to the User (advocate) who created/owns this appointment.
+  // Reference to the Firm that owns this appointment; every colleague in the firm can access it.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Attorney in the firm who is responsible for this appointment.
+  responsibleAttorney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Reference to the User (advocate) who created this appointment.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Refers to the 'User' model
@@ -76,5 +89,8 @@ appointmentSchema.path('endTime').validate(function(value) {
   return this.startTime <= value;
 }, 'End time must be after start time.');
 
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+appointmentSchema.plugin(softDeletePlugin);
+
 // Create and export the Appointment model
 module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Actions that can be recorded
+const AUDIT_ACTIONS = [
+  'login', // Successful sign-in (after the second factor, if any)
+  'logout', // The user signed out
+  'download', // A file was downloaded
+  'export', // A data export package was generated
+  'create',
+  'update',
+  'delete', // Deleted records go to the trash first
+  'restore', // A record was restored from the trash
+  'purge', // A record was permanently removed from the trash
+];
+
+// Define the AuditLog Schema
+// Append-only record of who did what to which record, for compliance audits.
+// Entries can be created but never changed or removed through the model.
+const auditLogSchema = new mongoose.Schema({
+  // Firm the affected record (or the acting user) belongs to
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    index: true,
+  },
+  // User who performed the action
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Email and role of the actor at the time, kept even if the user is later changed or removed
+  actorEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  actorRole: {
+    type: String,
+    trim: true,
+  },
+  // API key the request was made with, if any
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+  },
+  // What was done (see AUDIT_ACTIONS)
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  // Kind of record affected, e.g. 'Case', 'Document' or 'User'
+  entityType: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Id of the affected record
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  // Human readable name of the record at the time (case name, document title, ...)
+  entityName: {
+    type: String,
+    trim: true,
+  },
+  // IP address and User-Agent of the request
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  // Extra information such as the fields that were changed
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  // Entries are never updated, so only the creation time is kept
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ firm: 1, createdAt: -1 });
+auditLogSchema.index({ firm: 1, entityType: 1, entityId: 1 });
+
+// --- Append-only enforcement ---
+// Saving an existing entry or running any update/delete query fails.
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Audit log entries cannot be modified.'));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted.'));
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach(operation => auditLogSchema.pre(operation, rejectChange));
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+// Create and export the AuditLog model
+module.exports = AuditLog;
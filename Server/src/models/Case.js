@@ -1,9 +1,200 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+const { CASE_TEAM_ROLES } = require('../config/permissions');
+const { CASE_STATUSES, CASE_OUTCOMES } = require('../config/caseWorkflow');
+
+// Roles of people involved in a case other than the firm's clients and case team
+const PARTICIPANT_ROLES = [
+  'opposing_party',
+  'opposing_counsel',
+  'co_party',
+  'co_counsel',
+  'judge',
+  'expert',
+  'witness',
+  'other',
+];
+
+// Kinds of matter a case can be
+const CASE_TYPES = [
+  'civil',
+  'criminal',
+  'family',
+  'corporate',
+  'property',
+  'labor',
+  'tax',
+  'intellectual_property',
+  'bankruptcy',
+  'immigration',
+  'constitutional',
+  'environmental',
+  'real_estate',
+  'wills_trusts',
+  'personal_injury',
+  'medical_malpractice',
+  'employment',
+  'consumer_protection',
+  'cyber_law',
+  'other',
+];
+
+// Value types of firm-defined custom fields (see models/MatterTemplate.js)
+const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select', 'checkbox'];
 
 // Define the Case Schema
 const caseSchema = new mongoose.Schema({
-  // Reference to the User (advocate) who 'owns' this case record.
-  // This ensures that cases are tied to a specific user for data isolation.
+  // Reference to the Firm that owns this case; every colleague in the firm can access it.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Attorney in the firm who is responsible for this case.
+  responsibleAttorney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Firm members working on this case. Only team members (and firm admins) can see the
+  // case and the documents, tasks and appointments linked to it.
+  team: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: CASE_TEAM_ROLES,
+        default: 'associate',
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
+  // Other people involved in the case: opposing parties and their counsel, judges, experts, witnesses, ...
+  // `represents` links counsel to the participant they act for (another entry in this list).
+  participants: [
+    {
+      role: {
+        type: String,
+        enum: PARTICIPANT_ROLES,
+        required: true,
+      },
+      name: {
+        type: String,
+        required: [true, 'Participant name is required'],
+        trim: true,
+        maxlength: [200, 'Participant name cannot be more than 200 characters'],
+      },
+      // Law firm, court, company or other organization the participant belongs to
+      organization: {
+        type: String,
+        trim: true,
+      },
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+      },
+      phone: {
+        type: String,
+        trim: true,
+      },
+      address: {
+        type: String,
+        trim: true,
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Participant notes cannot be more than 2000 characters'],
+      },
+      represents: {
+        type: mongoose.Schema.Types.ObjectId,
+      },
+    },
+  ],
+  // Trigger events (service of the complaint, a hearing date, ...) that court deadlines are computed from.
+  // The resulting tasks link back to their trigger through Task.courtDeadline (see utils/courtDeadlines.js).
+  deadlineTriggers: [
+    {
+      // Key of the rule set in config/deadlineRules.js
+      ruleSet: {
+        type: String,
+        required: true,
+      },
+      // Key of the trigger event within the rule set
+      trigger: {
+        type: String,
+        required: true,
+      },
+      date: {
+        type: Date,
+        required: true,
+      },
+      createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    },
+  ],
+  // Conflict-of-interest check run when the case was opened (see utils/conflictCheck.js)
+  conflictCheck: {
+    checkedAt: Date,
+    checkedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Potential conflicts found, each with the reasons it was flagged
+    conflicts: [
+      {
+        _id: false,
+        subject: String,
+        subjectRole: String,
+        matchType: {
+          type: String,
+          enum: ['client', 'participant'],
+        },
+        client: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Client',
+        },
+        case: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Case',
+        },
+        participant: mongoose.Schema.Types.ObjectId,
+        name: String,
+        role: String,
+        reasons: [String],
+        score: Number,
+      },
+    ],
+    // Set when the case was opened despite the conflicts
+    overridden: {
+      type: Boolean,
+      default: false,
+    },
+    justification: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Justification cannot be more than 2000 characters'],
+    },
+    overriddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  // Reference to the User (advocate) who created this case record.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Refers to the 'User' model
@@ -21,38 +212,24 @@ const caseSchema = new mongoose.Schema({
     required: [true, 'Case type is required'],
     trim: true,
     enum: {
-      values: [
-        'civil',
-        'criminal',
-        'family',
-        'corporate',
-        'property',
-        'labor',
-        'tax',
-        'intellectual_property',
-        'bankruptcy',
-        'immigration',
-        'constitutional',
-        'environmental',
-        'real_estate',
-        'wills_trusts',
-        'personal_injury',
-        'medical_malpractice',
-        'employment',
-        'consumer_protection',
-        'cyber_law',
-        'other'
-      ],
+      values: CASE_TYPES,
       message: 'Please select a valid case type'
     }
   },
-  // A unique identifier or number for the case, often assigned by the court or internal system.
+  // The firm's matter number, unique within the firm. Assigned from the firm's numbering pattern
+  // unless one is entered (see utils/numbering.js).
   caseNumber: {
     type: String,
-    unique: true, // Ensures no two cases can have the same case number
     trim: true,
     required: [true, 'Case number is required'],
   },
+  // Number the court gave the matter (docket or court case number); courts number independently,
+  // so it is not unique
+  docketNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Docket number cannot be more than 100 characters'],
+  },
   // A detailed description of the case.
   description: {
     type: String,
@@ -69,9 +246,46 @@ const caseSchema = new mongoose.Schema({
   // The current status of the case (e.g., open, pending, closed).
   status: {
     type: String,
-    enum: ['open', 'pending', 'closed', 'on_hold', 'archived'], // Allowed statuses
+    enum: CASE_STATUSES, // Allowed statuses; changes follow config/caseWorkflow.js
     default: 'open', // Default status for new cases
   },
+  // How the case ended, set when it is closed
+  outcome: {
+    type: String,
+    enum: CASE_OUTCOMES,
+  },
+  // Every status change, oldest first (see utils/caseStatus.js)
+  statusHistory: [
+    {
+      // Previous status; empty for the status the case was created with
+      from: {
+        type: String,
+        enum: CASE_STATUSES,
+      },
+      to: {
+        type: String,
+        enum: CASE_STATUSES,
+        required: true,
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Reason cannot be more than 1000 characters'],
+      },
+      outcome: {
+        type: String,
+        enum: CASE_OUTCOMES,
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    },
+  ],
   // The date when the case officially started or was opened.
   startDate: {
     type: Date,
@@ -96,6 +310,41 @@ const caseSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // The matter template the case was opened from, if any
+  matterTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MatterTemplate',
+  },
+  // Folder paths (e.g. "Pleadings/Drafts") documents of the case can be filed under
+  documentFolders: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Custom fields of the case, copied from its matter template so later template changes do not affect it
+  customFieldDefinitions: [
+    {
+      key: { type: String, required: true, trim: true },
+      label: { type: String, required: true, trim: true },
+      type: { type: String, enum: CUSTOM_FIELD_TYPES, default: 'text' },
+      options: [{ type: String, trim: true }],
+      required: { type: Boolean, default: false },
+    },
+  ],
+  // Values of the custom fields, by key
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  // Legal hold: while active, the case cannot be deleted or erased (litigation, regulatory inquiry, ...)
+  legalHold: {
+    active: { type: Boolean, default: false },
+    reason: { type: String, trim: true, maxlength: [500, 'Legal hold reason cannot be more than 500 characters'] },
+    placedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    placedAt: { type: Date },
+  },
   // Optional: A unique ID or reference for external case management systems if integrated.
   externalId: {
     type: String,
@@ -106,5 +355,18 @@ const caseSchema = new mongoose.Schema({
   timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
 });
 
+// Case numbers only need to be unique within a firm
+caseSchema.index({ firm: 1, caseNumber: 1 }, { unique: true });
+caseSchema.index({ firm: 1, 'team.user': 1 });
+caseSchema.index({ firm: 1, docketNumber: 1 });
+
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+caseSchema.plugin(softDeletePlugin);
+
+const Case = mongoose.model('Case', caseSchema);
+Case.PARTICIPANT_ROLES = PARTICIPANT_ROLES;
+Case.CASE_TYPES = CASE_TYPES;
+Case.CUSTOM_FIELD_TYPES = CUSTOM_FIELD_TYPES;
+
 // Create and export the Case model
-module.exports = mongoose.model('Case', caseSchema);
+module.exports = Case;
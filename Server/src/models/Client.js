@@ -1,16 +1,33 @@
 // backend/src/models/Client.js
 
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 // Define the Client Schema
 const clientSchema = new mongoose.Schema({
-  // Reference to the User (advocate) who 'owns' this client record.
-  // This ensures data isolation and that each advocate sees only their clients.
+  // Reference to the Firm that owns this client; every colleague in the firm can access it.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Attorney in the firm who is responsible for this client.
+  responsibleAttorney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Reference to the User (advocate) who created this client record.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Refers to the 'User' model (from your User Authentication phase)
     required: true,
   },
+  // The firm's client number, assigned from the firm's numbering pattern (see utils/numbering.js)
+  clientNumber: {
+    type: String,
+    trim: true,
+  },
   // Client's first name
   firstName: {
     type: String,
@@ -81,10 +98,31 @@ const clientSchema = new mongoose.Schema({
     default: 'Active',
     required: true
   },
+  // Legal hold: while active, the client and their records cannot be deleted or erased (litigation, regulatory inquiry, ...)
+  legalHold: {
+    active: { type: Boolean, default: false },
+    reason: { type: String, trim: true, maxlength: [500, 'Legal hold reason cannot be more than 500 characters'] },
+    placedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    placedAt: { type: Date },
+  },
+  // Set when the client's personal data has been erased; the record remains as an anonymized placeholder
+  // so that retained records and audit entries still resolve. See utils/clientErasure.js.
+  erasedAt: {
+    type: Date,
+  },
   // Automatic timestamps for creation and last update
 }, {
   timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
 });
 
+// Client numbers are unique within a firm; clients from before numbering was introduced have none
+clientSchema.index(
+  { firm: 1, clientNumber: 1 },
+  { unique: true, partialFilterExpression: { clientNumber: { $type: 'string' } } }
+);
+
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+clientSchema.plugin(softDeletePlugin);
+
 // Create and export the Client model
 module.exports = mongoose.model('Client', clientSchema);
@@ -1,6 +1,7 @@
 // backend/src/models/Document.js
 
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 // Define the Document Schema
 const documentSchema = new mongoose.Schema({
@@ -11,8 +12,19 @@ const documentSchema = new mongoose.Schema({
     trim: true,
     maxlength: [200, 'Title cannot be more than 200 characters'],
   },
-  // Reference to the User (advocate) who owns this document.
-  // This ensures that documents are tied to a specific user.
+  // Reference to the Firm that owns this document; every colleague in the firm can access it.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Attorney in the firm who is responsible for this document.
+  responsibleAttorney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Reference to the User (advocate) who created this document record.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Refers to the 'User' model
@@ -73,6 +85,11 @@ const documentSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  // Folder path within the case (one of the case's documentFolders, e.g. "Pleadings/Drafts")
+  folder: {
+    type: String,
+    trim: true,
+  },
   // The date and time when the document was uploaded.
   uploadDate: {
     type: Date,
@@ -84,6 +101,18 @@ const documentSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Restricted documents can only be viewed or downloaded by roles with the
+  // `documents.accessRestricted` permission (see config/permissions.js).
+  isRestricted: {
+    type: Boolean,
+    default: false,
+  },
+  // Shared documents are visible to the linked client in the client portal.
+  // Restricted documents are never shown there, even when shared.
+  isSharedWithClient: {
+    type: Boolean,
+    default: false,
+  },
   // Optional tags for categorizing and searching documents.
   tags: [
     {
@@ -96,5 +125,8 @@ const documentSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+documentSchema.plugin(softDeletePlugin);
+
 // Create and export the Document model
 module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// Define the Draft Schema
+// A legal document draft generated by the AI assistant (see aiController.generateDraft).
+const draftSchema = new mongoose.Schema({
+  // Reference to the Firm that owns this draft.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Reference to the User who generated the draft.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Title of the draft
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters'],
+  },
+  // The generated draft text
+  content: {
+    type: String,
+    required: true,
+  },
+  // Kind of document drafted (e.g., "Demand Letter", "Motion")
+  draftType: {
+    type: String,
+    trim: true,
+  },
+  // The instructions the draft was generated from
+  prompt: {
+    type: String,
+    trim: true,
+  },
+  // Optional: the Case and Client the draft was written for
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    index: true,
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
+  // Review status of the draft
+  status: {
+    type: String,
+    enum: ['in_progress', 'final', 'discarded'],
+    default: 'in_progress',
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Drafts go to the trash along with their case or client (see utils/trash.js)
+draftSchema.plugin(softDeletePlugin);
+
+// Create and export the Draft model
+module.exports = mongoose.model('Draft', draftSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+// Define the ErasureLog Schema
+// Permanent record of each client erasure: who erased which client, why, and what was removed,
+// anonymized or kept. It holds ids and counts only, never the erased personal data itself.
+// Entries can be created but never changed or removed through the model.
+const erasureLogSchema = new mongoose.Schema({
+  // Firm the erased client belonged to
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // The erased client (now an anonymized placeholder record)
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true,
+  },
+  // User who carried out the erasure, and their email at the time
+  erasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  erasedByEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // Why the data was erased, e.g. "Erasure request from the client received 2024-03-01"
+  reason: {
+    type: String,
+    required: [true, 'A reason for the erasure is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot be more than 1000 characters'],
+  },
+  // Personal fields of the client record that were cleared
+  anonymizedFields: [{
+    type: String,
+  }],
+  // Number of records deleted, by kind
+  removed: {
+    cases: { type: Number, default: 0 },
+    documents: { type: Number, default: 0 },
+    files: { type: Number, default: 0 },
+    tasks: { type: Number, default: 0 },
+    appointments: { type: Number, default: 0 },
+    drafts: { type: Number, default: 0 },
+    notes: { type: Number, default: 0 },
+    notifications: { type: Number, default: 0 },
+    portalAccounts: { type: Number, default: 0 },
+    invitations: { type: Number, default: 0 },
+  },
+  // Ids of the deleted cases and documents
+  removedCases: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+  removedDocuments: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+  // Cases shared with other clients are kept; the client is only unlinked from them and their records
+  retainedCases: [{
+    type: mongoose.Schema.Types.ObjectId,
+  }],
+  // Number of records on retained cases that were unlinked from the client
+  detached: {
+    documents: { type: Number, default: 0 },
+    tasks: { type: Number, default: 0 },
+    appointments: { type: Number, default: 0 },
+    drafts: { type: Number, default: 0 },
+  },
+  // Number of cases whose stored conflict check results had the client's name replaced
+  redactedConflictChecks: {
+    type: Number,
+    default: 0,
+  },
+  // Stored files that were already missing from disk
+  missingFiles: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  // Entries are never updated, so only the creation time is kept
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+erasureLogSchema.index({ firm: 1, createdAt: -1 });
+
+// --- Append-only enforcement ---
+// Saving an existing entry or running any update/delete query fails.
+erasureLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Erasure log entries cannot be modified.'));
+  }
+  next();
+});
+
+const rejectChange = function (next) {
+  next(new Error('Erasure log entries cannot be modified or deleted.'));
+};
+[
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+].forEach(operation => erasureLogSchema.pre(operation, rejectChange));
+
+// Create and export the ErasureLog model
+module.exports = mongoose.model('ErasureLog', erasureLogSchema);
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { DEFAULT_MATTER_NUMBERING, DEFAULT_CLIENT_NUMBERING } = require('../config/numbering');
+
+// How the numbers of one kind of record are built (see config/numbering.js for the pattern tokens)
+const numberingSchema = (defaults) => new mongoose.Schema({
+  // e.g. "{PREFIX}{YYYY}-{SEQ}"; must contain {SEQ}
+  pattern: {
+    type: String,
+    trim: true,
+    default: defaults.pattern,
+    maxlength: [60, 'Numbering pattern cannot be more than 60 characters'],
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    default: defaults.prefix,
+    maxlength: [20, 'Numbering prefix cannot be more than 20 characters'],
+  },
+  // Minimum number of digits of the sequence number, padded with zeros
+  padding: {
+    type: Number,
+    default: defaults.padding,
+    min: [1, 'Sequence padding must be at least 1 digit'],
+    max: [10, 'Sequence padding cannot be more than 10 digits'],
+  },
+}, { _id: false });
+
+// Define the Firm Schema
+// A firm is the workspace that users belong to. Cases, clients, documents, tasks and
+// appointments are owned by the firm so that colleagues can work on the same matters.
+const firmSchema = new mongoose.Schema({
+  // Display name of the firm
+  name: {
+    type: String,
+    required: [true, 'Firm name is required'],
+    trim: true,
+    maxlength: [200, 'Firm name cannot be more than 200 characters'],
+  },
+  // Firm-wide settings, editable by firm administrators
+  settings: {
+    // Every member must use two-factor authentication to sign in
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    // Members must choose a new password once theirs is older than this many days (0 = never expires)
+    passwordExpiryDays: {
+      type: Number,
+      default: 0,
+      min: [0, 'Password expiry cannot be negative'],
+      max: [3650, 'Password expiry cannot be more than 3650 days'],
+    },
+    // Closed matters are kept for this many years after they end; a client's data cannot be
+    // erased while any of their cases is still within this period (0 = no retention period)
+    retentionYears: {
+      type: Number,
+      default: 6,
+      min: [0, 'Retention period cannot be negative'],
+      max: [100, 'Retention period cannot be more than 100 years'],
+    },
+    // Deleted records stay in the trash, restorable, for this many days before they are purged
+    trashRetentionDays: {
+      type: Number,
+      default: 30,
+      min: [1, 'Trash retention must be at least 1 day'],
+      max: [3650, 'Trash retention cannot be more than 3650 days'],
+    },
+    // Automatic matter (case) and client numbers, see utils/numbering.js
+    numbering: {
+      matter: {
+        type: numberingSchema(DEFAULT_MATTER_NUMBERING),
+        default: () => ({}),
+      },
+      client: {
+        type: numberingSchema(DEFAULT_CLIENT_NUMBERING),
+        default: () => ({}),
+      },
+      // Codes used for the {TYPE} token, by case type; missing ones fall back to the defaults
+      caseTypeCodes: {
+        type: Map,
+        of: String,
+        default: () => ({}),
+      },
+    },
+  },
+  // The user who created the firm
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Create and export the Firm model
+module.exports = mongoose.model('Firm', firmSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+
+// Define the Invitation Schema
+// An invitation lets a firm administrator add a colleague by email. The colleague joins the
+// firm with the pre-assigned role once they accept it and choose a password.
+const invitationSchema = new mongoose.Schema({
+  // Firm the colleague is invited to
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Email address the invitation was sent to; the account is created with this address
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please fill a valid email address'],
+  },
+  // Role the colleague gets in the firm
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true,
+  },
+  // For client portal invitations: the Client record the new account will represent
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
+  // Optional name, used to pre-fill the accept page
+  firstName: {
+    type: String,
+    trim: true,
+  },
+  lastName: {
+    type: String,
+    trim: true,
+  },
+  // Administrator who sent the invitation
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // SHA-256 hash of the token in the invitation link
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The invitation can no longer be accepted after this date
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set once the invitation has been accepted, with the account that was created
+  acceptedAt: {
+    type: Date,
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Set when an administrator revokes the invitation (or replaces it with a new one)
+  revokedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Whether the invitation can still be accepted
+invitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create and export the Invitation model
+module.exports = mongoose.model('Invitation', invitationSchema);
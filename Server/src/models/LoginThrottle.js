@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Define the LoginThrottle Schema
+// Counts attempts for one throttle key (e.g., failed logins from an IP address) within a
+// fixed window. Kept in MongoDB so throttling works without an extra cache server.
+const loginThrottleSchema = new mongoose.Schema({
+  // Rule and subject the attempts are counted for, e.g. "login:203.0.113.7"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Number of attempts in the current window
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // Date of the most recent attempt, used for progressive delays
+  lastAttemptAt: {
+    type: Date,
+  },
+  // End of the current window; the counter is discarded afterwards
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Expired windows are removed by MongoDB automatically
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Create and export the LoginThrottle model
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
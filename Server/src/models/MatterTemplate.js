@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { CASE_TEAM_ROLES } = require('../config/permissions');
+const { CASE_TYPES, CUSTOM_FIELD_TYPES } = require('./Case');
+
+// Define the MatterTemplate Schema
+// A firm-defined starting point for new cases of a type: the standard tasks (due relative to the
+// case start date), document folders, custom fields and default case team. Applied by
+// utils/matterTemplates.js when a case is created from it.
+const matterTemplateSchema = new mongoose.Schema({
+  // Firm that owns the template
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Display name (e.g. "Personal injury - auto accident")
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [200, 'Template name cannot be more than 200 characters'],
+  },
+  // The case type the template is offered for
+  caseType: {
+    type: String,
+    required: [true, 'Case type is required'],
+    enum: {
+      values: CASE_TYPES,
+      message: 'Please select a valid case type',
+    },
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters'],
+  },
+  // Inactive templates are kept but no longer offered for new cases
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  // Tasks created on the new case
+  tasks: [
+    {
+      title: {
+        type: String,
+        required: [true, 'Task title is required'],
+        trim: true,
+        maxlength: [200, 'Task title cannot be more than 200 characters'],
+      },
+      description: {
+        type: String,
+        trim: true,
+      },
+      // Days after the case start date the task is due
+      dueInDays: {
+        type: Number,
+        default: 0,
+        min: [0, 'Due date offset cannot be negative'],
+        max: [3650, 'Due date offset cannot be more than 3650 days'],
+      },
+      priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium',
+      },
+      // Assign the task to the first case team member with this role (default: the responsible attorney)
+      assigneeRole: {
+        type: String,
+        enum: CASE_TEAM_ROLES,
+      },
+    },
+  ],
+  // Document folder paths, e.g. "Pleadings/Drafts"
+  folders: [
+    {
+      type: String,
+      trim: true,
+    },
+  ],
+  // Custom fields the new case gets
+  customFields: [
+    {
+      // Identifier the value is stored under on the case
+      key: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Custom field keys may only contain lowercase letters, digits and underscores'],
+      },
+      label: {
+        type: String,
+        required: [true, 'Custom field label is required'],
+        trim: true,
+      },
+      type: {
+        type: String,
+        enum: CUSTOM_FIELD_TYPES,
+        default: 'text',
+      },
+      // Choices of a select field
+      options: [{ type: String, trim: true }],
+      required: {
+        type: Boolean,
+        default: false,
+      },
+    },
+  ],
+  // Colleagues added to the case team of new cases, with their role
+  team: [
+    {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      role: {
+        type: String,
+        enum: CASE_TEAM_ROLES,
+        default: 'associate',
+      },
+    },
+  ],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+matterTemplateSchema.index({ firm: 1, caseType: 1 });
+
+// Create and export the MatterTemplate model
+module.exports = mongoose.model('MatterTemplate', matterTemplateSchema);
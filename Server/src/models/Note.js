@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// Records a note can be attached to
+const NOTE_ENTITY_TYPES = ['Case', 'Client', 'Task', 'Appointment'];
+
+// Define the Note Schema
+// A note entry on a case, client, task or appointment. Top-level notes start a thread; replies point
+// to the note they answer (one level deep). Content is Markdown, rendered as rich text by the client.
+const noteSchema = new mongoose.Schema({
+  // Firm that owns the note
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // The record the note is attached to
+  entityType: {
+    type: String,
+    enum: NOTE_ENTITY_TYPES,
+    required: true,
+  },
+  entity: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'entityType',
+    required: true,
+  },
+  // The top-level note this one replies to, if it is a reply
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    index: true,
+  },
+  // User who wrote the note
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Note text in Markdown
+  content: {
+    type: String,
+    required: [true, 'Note content is required'],
+    trim: true,
+    maxlength: [20000, 'Note cannot be more than 20000 characters'],
+  },
+  // Pinned notes are listed first
+  pinned: {
+    type: Boolean,
+    default: false,
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  pinnedAt: Date,
+  // Protected by attorney-client privilege; withheld from client data exports
+  privileged: {
+    type: Boolean,
+    default: false,
+  },
+  // Only visible to roles allowed to view confidential notes (see config/permissions.js)
+  confidential: {
+    type: Boolean,
+    default: false,
+  },
+  // Earlier versions of the note, oldest first
+  editHistory: [
+    {
+      content: String,
+      privileged: Boolean,
+      confidential: Boolean,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      editedAt: Date,
+    },
+  ],
+  // When the content or flags were last changed (pinning does not count)
+  editedAt: Date,
+}, {
+  // Automatic timestamps for creation and last update.
+  timestamps: true,
+});
+
+noteSchema.index({ firm: 1, entityType: 1, entity: 1, createdAt: -1 });
+
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+noteSchema.plugin(softDeletePlugin);
+
+const Note = mongoose.model('Note', noteSchema);
+Note.NOTE_ENTITY_TYPES = NOTE_ENTITY_TYPES;
+
+// Create and export the Note model
+module.exports = Note;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Define the NumberSequence Schema
+// The last number handed out in one of a firm's numbering sequences (matter and client numbers,
+// per year and/or case type depending on the pattern). Incremented atomically by utils/numbering.js,
+// so concurrent requests never receive the same number.
+const numberSequenceSchema = new mongoose.Schema({
+  // Firm the sequence belongs to
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+  },
+  // Which sequence this is, e.g. "matter:2026:PI" or "client"
+  key: {
+    type: String,
+    required: true,
+  },
+  // Last number allocated
+  value: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+numberSequenceSchema.index({ firm: 1, key: 1 }, { unique: true });
+
+// Create and export the NumberSequence model
+module.exports = mongoose.model('NumberSequence', numberSequenceSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Event types that can be recorded
+const SECURITY_EVENT_TYPES = [
+  'account_locked', // Too many failed sign-in attempts for one account
+  'account_unlocked', // The account was unlocked through the emailed link
+  'ip_throttled', // Too many failed sign-in attempts from one IP address
+  'password_reset_throttled', // Too many password reset requests for an IP address or email
+  'verification_email_throttled', // Too many verification email requests for an IP address or email
+];
+
+// Define the SecurityEvent Schema
+// Records suspected brute-force activity so firm administrators can review it.
+const securityEventSchema = new mongoose.Schema({
+  // Kind of event (see SECURITY_EVENT_TYPES)
+  type: {
+    type: String,
+    enum: SECURITY_EVENT_TYPES,
+    required: true,
+  },
+  // Firm of the targeted account. Events for unknown accounts have no firm.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    index: true,
+  },
+  // The targeted account, when it exists
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Email address that was tried
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
+  // IP address the attempts came from
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  // Raw User-Agent header of the request
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  // Extra information such as the number of attempts or the lock expiry
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+securityEventSchema.index({ firm: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+SecurityEvent.SECURITY_EVENT_TYPES = SECURITY_EVENT_TYPES;
+
+// Create and export the SecurityEvent model
+module.exports = SecurityEvent;
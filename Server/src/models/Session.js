@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Define the Session Schema
+// A session represents one signed-in device. It holds the (hashed) refresh token
+// for that device, which is rotated every time a new access token is issued.
+const sessionSchema = new mongoose.Schema({
+  // Reference to the User this session belongs to.
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  // SHA-256 hash of the current refresh token. The raw token is only ever sent to the client.
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the refresh token that was rotated out most recently.
+  // Presenting it again means the token was copied, so the whole session is revoked.
+  previousRefreshTokenHash: {
+    type: String,
+  },
+  // Raw User-Agent header of the device that signed in.
+  userAgent: {
+    type: String,
+    trim: true,
+  },
+  // Human readable device label derived from the user agent (e.g., "Chrome on Windows").
+  deviceName: {
+    type: String,
+    trim: true,
+  },
+  // IP address the session was created from, updated on every refresh.
+  ipAddress: {
+    type: String,
+    trim: true,
+  },
+  // Date when the refresh token was last used to obtain a new access token.
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Date after which the refresh token can no longer be used.
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the user signs out or revokes the session from another device.
+  revokedAt: {
+    type: Date,
+  },
+  // Why the session was revoked (e.g., 'logout', 'revoked', 'token_reuse', 'password_reset', 'password_change').
+  revokedReason: {
+    type: String,
+    trim: true,
+  },
+}, {
+  timestamps: true, // Adds `createdAt` and `updatedAt` fields automatically
+});
+
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used to refresh access tokens
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke every active session of a user, optionally keeping one (e.g., the current device)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Create and export the Session model
+module.exports = mongoose.model('Session', sessionSchema);
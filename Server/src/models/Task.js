@@ -1,8 +1,21 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 // Define the Task Schema
 const taskSchema = new mongoose.Schema({
-  // Reference to the User (advocate) who created/owns this task.
+  // Reference to the Firm that owns this task; every colleague in the firm can access it.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true,
+  },
+  // Attorney in the firm who is responsible for this task.
+  responsibleAttorney: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Reference to the User (advocate) who created this task.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User', // Refers to the 'User' model
@@ -54,6 +67,23 @@ const taskSchema = new mongoose.Schema({
     ref: 'User', // Can be assigned to another user in the system
     required: false, // Not required, as a task can be for the creator themselves
   },
+  // Client requests (e.g., "Send a copy of your ID") are shown to the linked client
+  // in the client portal until they are completed or cancelled.
+  isClientRequest: {
+    type: Boolean,
+    default: false,
+  },
+  // Court deadline computed from a trigger event on the case; its due date follows the trigger date.
+  courtDeadline: {
+    // The trigger event (an entry of the case's deadlineTriggers)
+    trigger: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Key of the deadline rule within the trigger
+    rule: {
+      type: String,
+    },
+  },
   // Date when the task was marked as completed.
   completedAt: {
     type: Date,
@@ -63,5 +93,8 @@ const taskSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+// Deleted records go to the trash instead of being removed (see utils/softDelete.js)
+taskSchema.plugin(softDeletePlugin);
+
 // Create and export the Task model
 module.exports = mongoose.model('Task', taskSchema);
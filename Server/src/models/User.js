@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs'); // For password hashing
 const crypto = require('crypto'); // For generating password reset tokens
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
 
 // Define the User Schema
 const userSchema = new mongoose.Schema({
@@ -28,6 +29,15 @@ const userSchema = new mongoose.Schema({
     minlength: 6, // Minimum length for password
     select: false, // Prevents password from being returned in queries by default
   },
+  // Date when the password was last set; used for firm password expiry
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Hashes of previous passwords, newest first, so they cannot be reused (see config/passwordPolicy.js)
+  passwordHistory: {
+    type: [String],
+    select: false,
+  },
   // User's first name
   firstName: {
     type: String,
@@ -44,12 +54,39 @@ const userSchema = new mongoose.Schema({
     trim: true,
     match: [/^[0-9]{10,15}$/, 'Please enter a valid phone number (10-15 digits)']
   },
+  // Firm (workspace) the user belongs to. All case, client and document data is scoped by firm.
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    index: true,
+  },
+  // Role within the firm; determines what the user may do (see config/permissions.js)
+  role: {
+    type: String,
+    enum: ROLES,
+    default: DEFAULT_ROLE,
+  },
+  // For 'client' users: the Client record they represent in the client portal
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+  },
   // Status of the user account (e.g., active, inactive, pending)
   status: {
     type: String,
     enum: ['active', 'inactive', 'pending'],
     default: 'active',
   },
+  // Date when the user confirmed their email address through the verification link
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // New email address the user asked for; replaces `email` once verified through the link sent to it
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+  },
   // Date when the user last logged in
   lastLogin: {
     type: Date,
@@ -61,12 +98,83 @@ const userSchema = new mongoose.Schema({
   // Password reset token
   resetPasswordToken: String,
   // Expiry time for the password reset token (default: 10 minutes from creation)
-  resetPasswordExpire: Date
+  resetPasswordExpire: Date,
+  // --- Login throttling (see utils/loginThrottle.js) ---
+  // Consecutive failed sign-in attempts since the last successful login
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  // Date of the most recent failed sign-in attempt
+  lastFailedLoginAt: Date,
+  // The account cannot sign in until this date
+  lockUntil: Date,
+  // Hashed token from the unlock email
+  unlockToken: String,
+  // Expiry time for the unlock token
+  unlockTokenExpire: Date,
+  // --- Two-factor authentication (TOTP) ---
+  // Whether a second factor is required when this user logs in
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  // Base32 TOTP secret shared with the user's authenticator app
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // Secret generated during enrollment, only promoted to twoFactorSecret once a code is confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // Time step of the last accepted TOTP code, used to reject replayed codes
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false,
+  },
+  // Hashed one-time recovery codes for when the authenticator app is unavailable
+  twoFactorRecoveryCodes: {
+    type: [{
+      codeHash: { type: String, required: true },
+      usedAt: { type: Date },
+    }],
+    select: false,
+  },
+  // Date when two-factor authentication was turned on
+  twoFactorEnabledAt: Date,
+  // --- Single sign-on (OpenID Connect, see utils/oidc.js) ---
+  // Issuer and subject of the identity provider account linked to this user
+  ssoIssuer: {
+    type: String,
+    trim: true,
+  },
+  ssoSubject: {
+    type: String,
+    trim: true,
+  },
+  // Hashed one-time code that hands a completed SSO sign-in over to the client
+  ssoLoginCode: {
+    type: String,
+    select: false,
+  },
+  // Expiry time for the SSO login code
+  ssoLoginCodeExpire: {
+    type: Date,
+    select: false,
+  }
 }, {
   // Mongoose will automatically add `createdAt` and `updatedAt` fields
   timestamps: true,
 });
 
+// An identity provider account can only be linked to one user
+userSchema.index(
+  { ssoIssuer: 1, ssoSubject: 1 },
+  { unique: true, partialFilterExpression: { ssoSubject: { $type: 'string' } } }
+);
+
 // --- Pre-save middleware for password hashing ---
 // This middleware runs BEFORE a user document is saved to the database.
 // It checks if the password field has been modified (e.g., on registration or password change).
@@ -114,5 +222,19 @@ userSchema.methods.getResetPasswordToken = function() {
   return resetToken;
 };
 
+// --- Method to generate and hash an account unlock token ---
+// Valid for as long as the account stays locked.
+userSchema.methods.getUnlockToken = function(expiresAt) {
+  const unlockToken = crypto.randomBytes(20).toString('hex');
+
+  this.unlockToken = crypto
+    .createHash('sha256')
+    .update(unlockToken)
+    .digest('hex');
+  this.unlockTokenExpire = expiresAt;
+
+  return unlockToken;
+};
+
 // Create and export the User model
 module.exports = mongoose.model('User', userSchema);
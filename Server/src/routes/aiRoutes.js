@@ -1,13 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
-const { protect } = require('../middleware/authMiddleware'); // Your existing authentication middleware
+const { protect, authorize } = require('../middleware/authMiddleware'); // Your existing authentication middleware
 
 router.use(protect); // All AI routes are protected
+router.use(authorize('ai', 'use')); // ...and only available to firm staff, not client portal users
 
 // POST /api/ai/chat - General AI chat
 router.post('/chat', aiController.handleChatQuery);
 
+// POST /api/ai/draft - Generate a legal draft and save it (optionally linked to a case/client)
+router.post('/draft', aiController.generateDraft);
+
 // POST /api/ai/extract - Extract structured information via AI
 router.post('/extract', aiController.extractInformation);
 
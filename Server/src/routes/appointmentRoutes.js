@@ -1,26 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const appointmentController = require('../controllers/appointmentController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // --- Appointment Routes ---
 
 // POST /api/appointments - Create a new appointment
-router.post('/', protect, appointmentController.createAppointment);
+router.post('/', protect, authorize('appointments', 'create'), appointmentController.createAppointment);
 
 // GET /api/appointments/upcoming - Get upcoming appointments
-router.get('/upcoming', protect, appointmentController.getUpcomingAppointments);
+router.get('/upcoming', protect, authorize('appointments', 'read'), appointmentController.getUpcomingAppointments);
 
 // GET /api/appointments - Get all appointments for the authenticated user
-router.get('/', protect, appointmentController.getAppointments);
+router.get('/', protect, authorize('appointments', 'read'), appointmentController.getAppointments);
 
 // GET /api/appointments/:id - Get a single appointment by ID
-router.get('/:id', protect, appointmentController.getAppointmentById);
+router.get('/:id', protect, authorize('appointments', 'read'), appointmentController.getAppointmentById);
 
 // PUT /api/appointments/:id - Update an appointment's information
-router.put('/:id', protect, appointmentController.updateAppointment);
+router.put('/:id', protect, authorize('appointments', 'update'), appointmentController.updateAppointment);
 
 // DELETE /api/appointments/:id - Delete an appointment
-router.delete('/:id', protect, appointmentController.deleteAppointment);
+router.delete('/:id', protect, authorize('appointments', 'delete'), appointmentController.deleteAppointment);
 
 module.exports = router;
@@ -1,26 +1,110 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { protect } = require('../middleware/authMiddleware');
+const twoFactorController = require('../controllers/twoFactorController');
+const apiKeyController = require('../controllers/apiKeyController');
+const ssoController = require('../controllers/ssoController');
+const { protect, protectOrChallenge } = require('../middleware/authMiddleware');
 
 // --- Authentication Routes ---
 
 // POST /api/auth/register - Register a new user
 router.post('/register', authController.registerUser);
 
+// PUT /api/auth/verify-email/:token - Verify a new account's email address
+router.put('/verify-email/:token', authController.verifyEmail);
+
+// POST /api/auth/resend-verification - Send a new email verification link
+router.post('/resend-verification', authController.resendVerificationEmail);
+
 // POST /api/auth/login - Authenticate user and get JWT token
 router.post('/login', authController.loginUser);
 
+// POST /api/auth/login/2fa - Complete login with a TOTP or recovery code
+router.post('/login/2fa', twoFactorController.verifyLoginCode);
+
+// POST /api/auth/refresh - Exchange a refresh token for a new access token
+router.post('/refresh', authController.refreshToken);
+
+// POST /api/auth/logout - Revoke the current session
+router.post('/logout', protect, authController.logoutUser);
+
 // POST /api/auth/forgotpassword - Send password reset email
 router.post('/forgotpassword', authController.forgotPassword);
 
 // PUT /api/auth/resetpassword/:resettoken - Reset password with token
 router.put('/resetpassword/:resettoken', authController.resetPassword);
 
+// GET /api/auth/password-policy - Get the rules new passwords must satisfy
+router.get('/password-policy', authController.getPasswordPolicy);
+
+// POST /api/auth/change-password - Change the password (requires the current password)
+// Also reachable with a 'password_change' challenge token when the password has expired
+router.post('/change-password', protectOrChallenge('password_change'), authController.changePassword);
+
+// PUT /api/auth/unlock/:unlocktoken - Unlock an account with the token from the lockout email
+router.put('/unlock/:unlocktoken', authController.unlockAccount);
+
 // POST /api/auth/verify-token - Verify JWT token
 router.post('/verify-token', authController.verifyToken);
 
 // GET /api/auth/profile - Get authenticated user's profile (protected route example)
 router.get('/profile', protect, authController.getUserProfile);
 
+// GET /api/auth/csrf-token - Get the CSRF token for cookie-authenticated requests
+router.get('/csrf-token', protect, authController.getCsrfToken);
+
+// GET /api/auth/sessions - List the authenticated user's active sessions
+router.get('/sessions', protect, authController.getSessions);
+
+// DELETE /api/auth/sessions - Revoke all sessions (?keepCurrent=true keeps this device signed in)
+router.delete('/sessions', protect, authController.revokeAllSessions);
+
+// DELETE /api/auth/sessions/:id - Revoke a single session
+router.delete('/sessions/:id', protect, authController.revokeSession);
+
+// --- Two-Factor Authentication Routes ---
+
+// GET /api/auth/2fa - Get two-factor status for the authenticated user
+router.get('/2fa', protect, twoFactorController.getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Generate a TOTP secret and QR code
+// Also reachable with a '2fa_setup' challenge token when 2FA is mandatory
+router.post('/2fa/setup', protectOrChallenge('2fa_setup'), twoFactorController.setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm the first code and enable 2FA (returns recovery codes)
+router.post('/2fa/enable', protectOrChallenge('2fa_setup'), twoFactorController.enableTwoFactor);
+
+// POST /api/auth/2fa/disable - Disable 2FA (requires password and a code)
+router.post('/2fa/disable', protect, twoFactorController.disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace recovery codes with a new set
+router.post('/2fa/recovery-codes', protect, twoFactorController.regenerateRecoveryCodes);
+
+// --- Single Sign-On Routes (OpenID Connect) ---
+
+// GET /api/auth/sso - Whether single sign-on is configured, and the provider name for the login button
+router.get('/sso', ssoController.getSsoStatus);
+
+// GET /api/auth/sso/login - Redirect the browser to the identity provider
+router.get('/sso/login', ssoController.startSsoLogin);
+
+// GET /api/auth/sso/callback - Identity provider redirect target; links or provisions the user
+router.get('/sso/callback', ssoController.ssoCallback);
+
+// POST /api/auth/sso/complete - Exchange the one-time code from the callback for a session
+router.post('/sso/complete', ssoController.completeSsoLogin);
+
+// --- API Key Routes ---
+// Managing keys requires a real login; API keys themselves are rejected here
+
+// GET /api/auth/api-keys - List the authenticated user's API keys
+router.get('/api-keys', protect, apiKeyController.getApiKeys);
+
+// POST /api/auth/api-keys - Create a named, scoped API key (the key is only returned once)
+router.post('/api-keys', protect, apiKeyController.createApiKey);
+
+// DELETE /api/auth/api-keys/:id - Revoke an API key
+router.delete('/api-keys/:id', protect, apiKeyController.revokeApiKey);
+
 module.exports = router;
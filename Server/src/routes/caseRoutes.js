@@ -1,26 +1,68 @@
 const express = require('express');
 const router = express.Router();
 const caseController = require('../controllers/caseController');
-const { protect } = require('../middleware/authMiddleware');
+const caseTeamController = require('../controllers/caseTeamController');
+const caseDeadlineController = require('../controllers/caseDeadlineController');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // --- Case Routes ---
 
 // POST /api/cases - Create a new case
-router.post('/', protect, caseController.createCase);
+router.post('/', protect, authorize('cases', 'create'), caseController.createCase);
 
 // GET /api/cases - Get all cases for the authenticated user
-router.get('/', protect, caseController.getCases);
+router.get('/', protect, authorize('cases', 'read'), caseController.getCases);
 
 // GET /api/cases/stats - Get case statistics
-router.get('/stats', protect, caseController.getCaseStats);
+router.get('/stats', protect, authorize('cases', 'read'), caseController.getCaseStats);
+
+// GET /api/cases/deadline-rules - Court deadline rule sets with their trigger events
+router.get('/deadline-rules', protect, authorize('cases', 'read'), caseDeadlineController.getDeadlineRules);
 
 // GET /api/cases/:id - Get a single case by ID
-router.get('/:id', protect, caseController.getCaseById);
+router.get('/:id', protect, authorize('cases', 'read'), caseController.getCaseById);
+
+// GET /api/cases/:id/timeline - Activity feed of the case, newest first (?types=&page=&limit=)
+router.get('/:id/timeline', protect, authorize('cases', 'read'), caseController.getCaseTimeline);
 
 // PUT /api/cases/:id - Update a case's information
-router.put('/:id', protect, caseController.updateCase);
+router.put('/:id', protect, authorize('cases', 'update'), caseController.updateCase);
+
+// PATCH /api/cases/:id - Change the case status ({ status, reason?, outcome?, endDate? })
+router.patch('/:id', protect, authorize('cases', 'update'), caseController.updateCaseStatus);
 
 // DELETE /api/cases/:id - Delete a case
-router.delete('/:id', protect, caseController.deleteCase);
+router.delete('/:id', protect, authorize('cases', 'delete'), caseController.deleteCase);
+
+// PUT /api/cases/:id/legal-hold - Place or lift a legal hold ({ active, reason })
+router.put('/:id/legal-hold', protect, authorize('cases', 'legalHold'), caseController.setCaseLegalHold);
+
+// --- Case Team Routes ---
+
+// GET /api/cases/:id/team - List the members of a case team
+router.get('/:id/team', protect, authorize('cases', 'read'), caseTeamController.getCaseTeam);
+
+// POST /api/cases/:id/team - Add a firm member to the case team
+router.post('/:id/team', protect, authorize('cases', 'update'), caseTeamController.addTeamMember);
+
+// PUT /api/cases/:id/team/:userId - Change a team member's role
+router.put('/:id/team/:userId', protect, authorize('cases', 'update'), caseTeamController.updateTeamMember);
+
+// DELETE /api/cases/:id/team/:userId - Remove a member from the case team
+router.delete('/:id/team/:userId', protect, authorize('cases', 'update'), caseTeamController.removeTeamMember);
+
+// --- Court Deadline Routes ---
+
+// GET /api/cases/:id/deadlines - Trigger events of the case with their deadline tasks
+router.get('/:id/deadlines', protect, authorize('cases', 'read'), caseDeadlineController.getCaseDeadlines);
+
+// POST /api/cases/:id/deadlines - Record a trigger event and create its deadline tasks ({ trigger, date, ruleSet? })
+router.post('/:id/deadlines', protect, authorize('cases', 'update'), caseDeadlineController.addDeadlineTrigger);
+
+// PUT /api/cases/:id/deadlines/:triggerId - Change a trigger date and recalculate its deadlines ({ date })
+router.put('/:id/deadlines/:triggerId', protect, authorize('cases', 'update'), caseDeadlineController.updateDeadlineTrigger);
+
+// DELETE /api/cases/:id/deadlines/:triggerId - Remove a trigger event and its open deadline tasks
+router.delete('/:id/deadlines/:triggerId', protect, authorize('cases', 'update'), caseDeadlineController.removeDeadlineTrigger);
 
 module.exports = router;
@@ -1,26 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const clientController = require('../controllers/clientController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // --- Client Routes ---
 
 // GET /api/clients/search - Search clients by name or email
-router.get('/search', protect, clientController.searchClients);
+router.get('/search', protect, authorize('clients', 'read'), clientController.searchClients);
 
 // POST /api/clients - Create a new client
-router.post('/', protect, clientController.createClient);
+router.post('/', protect, authorize('clients', 'create'), clientController.createClient);
 
 // GET /api/clients - Get all clients for the authenticated user
-router.get('/', protect, clientController.getClients);
+router.get('/', protect, authorize('clients', 'read'), clientController.getClients);
 
 // GET /api/clients/:id - Get a single client by ID
-router.get('/:id', protect, clientController.getClientById);
+router.get('/:id', protect, authorize('clients', 'read'), clientController.getClientById);
 
 // PUT /api/clients/:id - Update a client's information
-router.put('/:id', protect, clientController.updateClient);
+router.put('/:id', protect, authorize('clients', 'update'), clientController.updateClient);
 
 // DELETE /api/clients/:id - Delete a client
-router.delete('/:id', protect, clientController.deleteClient);
+router.delete('/:id', protect, authorize('clients', 'delete'), clientController.deleteClient);
+
+// POST /api/clients/:id/portal-invitation - Invite the client to the client portal
+router.post('/:id/portal-invitation', protect, authorize('clients', 'invitePortal'), clientController.inviteClientToPortal);
+
+// GET /api/clients/:id/export - Download everything held about the client as a zip archive
+router.get('/:id/export', protect, authorize('clients', 'exportData'), clientController.exportClientData);
+
+// PUT /api/clients/:id/legal-hold - Place or lift a legal hold ({ active, reason })
+router.put('/:id/legal-hold', protect, authorize('clients', 'legalHold'), clientController.setClientLegalHold);
+
+// GET /api/clients/:id/erasure - Preview what erasing the client would remove, and what prevents it
+router.get('/:id/erasure', protect, authorize('clients', 'erase'), clientController.getClientErasurePlan);
+
+// POST /api/clients/:id/erasure - Erase the client's personal data and linked records ({ reason })
+router.post('/:id/erasure', protect, authorize('clients', 'erase'), clientController.eraseClientData);
 
 module.exports = router;
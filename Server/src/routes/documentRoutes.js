@@ -4,7 +4,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const documentController = require('../controllers/documentController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 const upload = require('../config/multerConfig');
 const path = require('path');
 const fs = require('fs');
@@ -42,6 +42,7 @@ const handleMulterError = (err, req, res, next) => {
 router.post(
   '/upload', 
   protect, 
+  authorize('documents', 'create'),
   (req, res, next) => {
     console.log('File upload request received');
     uploadSingle(req, res, (err) => {
@@ -56,22 +57,23 @@ router.post(
 );
 
 // GET /api/documents/recent - Get recent documents
-router.get('/recent', protect, documentController.getRecentDocuments);
+router.get('/recent', protect, authorize('documents', 'read'), documentController.getRecentDocuments);
 
 // GET /api/documents - Get documents with optional filtering
 // Query params: documentType (case|standalone), caseId
-router.get('/', protect, documentController.getDocuments);
+router.get('/', protect, authorize('documents', 'read'), documentController.getDocuments);
 
 // GET /api/documents/:id - Get a single document by ID
-router.get('/:id', protect, documentController.getDocumentById);
+router.get('/:id', protect, authorize('documents', 'read'), documentController.getDocumentById);
 
 // GET /api/documents/:id/download - Download a document
-router.get('/:id/download', protect, documentController.downloadDocument);
+router.get('/:id/download', protect, authorize('documents', 'download'), documentController.downloadDocument);
 
 // PUT /api/documents/:id - Update document metadata and optionally replace the file
 router.put(
   '/:id',
   protect,
+  authorize('documents', 'update'),
   (req, res, next) => {
     // Log request info for debugging
     console.log('Document update request received');
@@ -95,6 +97,6 @@ router.put(
 );
 
 // DELETE /api/documents/:id - Delete a document and its file
-router.delete('/:id', protect, documentController.deleteDocument);
+router.delete('/:id', protect, authorize('documents', 'delete'), documentController.deleteDocument);
 
 module.exports = router;
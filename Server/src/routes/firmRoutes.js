@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const firmController = require('../controllers/firmController');
+const auditLogController = require('../controllers/auditLogController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// --- Firm Routes ---
+
+// GET /api/firm - Get the authenticated user's firm and its settings
+router.get('/', protect, authorize('firm', 'read'), firmController.getMyFirm);
+
+// PUT /api/firm - Update the firm's name and settings (admin only)
+router.put('/', protect, authorize('firm', 'update'), firmController.updateMyFirm);
+
+// GET /api/firm/security-events - Recent lockouts and throttled sign-in attempts (admin only)
+router.get('/security-events', protect, authorize('firm', 'viewSecurityEvents'), firmController.getSecurityEvents);
+
+// GET /api/firm/audit-log - Filter the firm's audit log (admin only)
+router.get('/audit-log', protect, authorize('firm', 'viewAuditLog'), auditLogController.getAuditLog);
+
+// GET /api/firm/audit-log/export - Download the filtered audit log as CSV (admin only)
+router.get('/audit-log/export', protect, authorize('firm', 'viewAuditLog'), auditLogController.exportAuditLog);
+
+// GET /api/firm/erasure-log - List client erasures and what they removed (admin only)
+router.get('/erasure-log', protect, authorize('firm', 'viewAuditLog'), auditLogController.getErasureLog);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const matterTemplateController = require('../controllers/matterTemplateController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// --- Matter Template Routes ---
+
+// GET /api/matter-templates?caseType=... - Active matter templates, optionally of one case type
+router.get('/', protect, authorize('matterTemplates', 'read'), matterTemplateController.getMatterTemplates);
+
+// POST /api/matter-templates - Create a matter template (admin only)
+router.post('/', protect, authorize('matterTemplates', 'manage'), matterTemplateController.createMatterTemplate);
+
+// GET /api/matter-templates/:id - Get a matter template
+router.get('/:id', protect, authorize('matterTemplates', 'read'), matterTemplateController.getMatterTemplateById);
+
+// PUT /api/matter-templates/:id - Update a matter template (admin only)
+router.put('/:id', protect, authorize('matterTemplates', 'manage'), matterTemplateController.updateMatterTemplate);
+
+// DELETE /api/matter-templates/:id - Delete a matter template (admin only)
+router.delete('/:id', protect, authorize('matterTemplates', 'manage'), matterTemplateController.deleteMatterTemplate);
+
+module.exports = router;
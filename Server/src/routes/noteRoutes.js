@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const noteController = require('../controllers/noteController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// --- Note Routes ---
+
+// GET /api/notes?entityType=Case&entityId=... - Note threads of a case, client, task or appointment
+router.get('/', protect, authorize('notes', 'read'), noteController.getNotes);
+
+// POST /api/notes - Add a note or a reply
+router.post('/', protect, authorize('notes', 'create'), noteController.createNote);
+
+// PUT /api/notes/:id - Edit a note (author only; earlier versions are kept)
+router.put('/:id', protect, authorize('notes', 'update'), noteController.updateNote);
+
+// PUT /api/notes/:id/pin - Pin or unpin a note ({ pinned })
+router.put('/:id/pin', protect, authorize('notes', 'update'), noteController.pinNote);
+
+// GET /api/notes/:id/history - Earlier versions of a note
+router.get('/:id/history', protect, authorize('notes', 'read'), noteController.getNoteHistory);
+
+// DELETE /api/notes/:id - Delete a note and its replies (authors can delete their own, see the controller)
+router.delete('/:id', protect, authorize('notes', 'create'), noteController.deleteNote);
+
+module.exports = router;
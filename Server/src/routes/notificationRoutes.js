@@ -8,10 +8,12 @@ const {
   getReminders,
   markReminderAsSeen
 } = require('../controllers/notificationController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // Apply authentication middleware to all notification routes
 router.use(protect);
+// Notifications are about internal work, so client portal users have none
+router.use(authorize('notifications', 'use'));
 
 // @route   GET /api/notifications
 // @desc    Get all notifications for the authenticated user
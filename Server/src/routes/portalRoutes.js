@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const portalController = require('../controllers/portalController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const upload = require('../config/multerConfig');
+
+const uploadSingle = upload.single('file');
+
+// Run the upload middleware and turn its errors into 400 responses
+const handleUpload = (req, res, next) => {
+  uploadSingle(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'File too large. Maximum size is 10MB.'
+        : 'File upload error: ' + err.message;
+      return res.status(400).json({ message });
+    }
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
+
+// --- Client Portal Routes ---
+
+// GET /api/portal - The client's cases, shared documents, upcoming appointments and open requests
+router.get('/', protect, authorize('portal', 'read'), portalController.getPortalOverview);
+
+// POST /api/portal/documents - Upload a document to the firm
+router.post('/documents', protect, authorize('portal', 'upload'), handleUpload, portalController.uploadPortalDocument);
+
+// GET /api/portal/documents/:id/download - Download a shared document
+router.get('/documents/:id/download', protect, authorize('portal', 'read'), portalController.downloadPortalDocument);
+
+module.exports = router;
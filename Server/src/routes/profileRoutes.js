@@ -58,7 +58,7 @@ router.get('/me', getMyProfile);
 // @route   GET /api/profiles/user/:userId
 // @desc    Get profile by user ID
 // @access  Private/Admin
-router.get('/user/:userId', authorize('admin'), getProfileByUserId);
+router.get('/user/:userId', authorize('profiles', 'readAll'), getProfileByUserId);
 
 // @route   POST /api/profiles
 // @desc    Create or update user profile
@@ -73,7 +73,7 @@ router.put('/avatar', upload.single('avatar'), uploadProfilePicture);
 // @route   GET /api/profiles
 // @desc    Get all profiles
 // @access  Private/Admin
-router.get('/', authorize('admin'), getAllProfiles);
+router.get('/', authorize('profiles', 'readAll'), getAllProfiles);
 
 // @route   DELETE /api/profiles
 // @desc    Delete profile & user
@@ -1,23 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const taskController = require('../controllers/taskController');
-const { protect } = require('../middleware/authMiddleware'); // Assuming you have an auth middleware
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // --- Task Routes ---
 
 // POST /api/tasks - Create a new task
-router.post('/', protect, taskController.createTask);
+router.post('/', protect, authorize('tasks', 'create'), taskController.createTask);
 
 // GET /api/tasks - Get all tasks for the authenticated user
-router.get('/', protect, taskController.getTasks);
+router.get('/', protect, authorize('tasks', 'read'), taskController.getTasks);
 
 // GET /api/tasks/:id - Get a single task by ID
-router.get('/:id', protect, taskController.getTaskById);
+router.get('/:id', protect, authorize('tasks', 'read'), taskController.getTaskById);
 
 // PUT /api/tasks/:id - Update a task's information
-router.put('/:id', protect, taskController.updateTask);
+router.put('/:id', protect, authorize('tasks', 'update'), taskController.updateTask);
 
 // DELETE /api/tasks/:id - Delete a task
-router.delete('/:id', protect, taskController.deleteTask);
+router.delete('/:id', protect, authorize('tasks', 'delete'), taskController.deleteTask);
 
 module.exports = router;
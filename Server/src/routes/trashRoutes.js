@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const trashController = require('../controllers/trashController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// --- Trash Routes ---
+
+// GET /api/trash?type=cases - Records in the trash (cases, clients, tasks, appointments, documents, notes)
+router.get('/', protect, authorize('trash', 'read'), trashController.getTrash);
+
+// POST /api/trash/:type/:id/restore - Restore a record with everything deleted along with it
+router.post('/:type/:id/restore', protect, authorize('trash', 'read'), trashController.restoreFromTrash);
+
+// DELETE /api/trash/:type/:id - Permanently remove a record from the trash
+router.delete('/:type/:id', protect, authorize('trash', 'purge'), trashController.purgeFromTrash);
+
+module.exports = router;
@@ -1,17 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { protect } = require('../middleware/authMiddleware');
+const invitationController = require('../controllers/invitationController');
+const { protect, authorize } = require('../middleware/authMiddleware');
 
 // --- User Routes ---
 
 // GET /api/users - Get all users with pagination and filtering
 // Query params: page, limit, status, search
-router.get('/', protect, userController.getAllUsers);
+router.get('/', protect, authorize('users', 'read'), userController.getAllUsers);
 
 // GET /api/users/all - Get all users with minimal data (for dropdowns)
 // Returns basic user info for selection purposes
-router.get('/all', protect, userController.getAllUsersMinimal);
+router.get('/all', protect, authorize('users', 'read'), userController.getAllUsersMinimal);
 
 // GET /api/users/profile - Get authenticated user's profile
 router.get('/profile', protect, userController.getUserProfile);
@@ -19,4 +20,24 @@ router.get('/profile', protect, userController.getUserProfile);
 // PUT /api/users/profile - Update authenticated user's profile
 router.put('/profile', protect, userController.updateUserProfile);
 
+// --- Invitation Routes ---
+
+// GET /api/users/invitations - List pending invitations (admin only)
+router.get('/invitations', protect, authorize('users', 'invite'), invitationController.getInvitations);
+
+// POST /api/users/invitations - Invite a colleague by email with a role (admin only)
+router.post('/invitations', protect, authorize('users', 'invite'), invitationController.createInvitation);
+
+// DELETE /api/users/invitations/:id - Revoke a pending invitation (admin only)
+router.delete('/invitations/:id', protect, authorize('users', 'invite'), invitationController.revokeInvitation);
+
+// GET /api/users/invitations/accept/:token - Invitation details for the accept page (public)
+router.get('/invitations/accept/:token', invitationController.getInvitationByToken);
+
+// POST /api/users/invitations/accept/:token - Accept an invitation and create the account (public)
+router.post('/invitations/accept/:token', invitationController.acceptInvitation);
+
+// PUT /api/users/:id/role - Change a user's role (admin only)
+router.put('/:id/role', protect, authorize('users', 'manageRoles'), userController.updateUserRole);
+
 module.exports = router;
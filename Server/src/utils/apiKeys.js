@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { hashToken } = require('./sessionTokens');
+
+// Every key starts with this prefix, which tells `protect` it is not a JWT
+const API_KEY_PREFIX = 'adv_';
+// Number of leading characters stored in clear to identify a key in lists
+const DISPLAY_PREFIX_LENGTH = API_KEY_PREFIX.length + 8;
+
+// Generate a new API key. The raw key is returned once; only the hash is stored.
+const generateApiKey = () => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), keyHash: hashToken(key) };
+};
+
+// Extract an API key from a request: either the X-API-Key header or a Bearer token with the key prefix
+const getApiKeyFromRequest = (req) => {
+  const headerKey = req.headers['x-api-key'];
+  if (headerKey) return String(headerKey).trim();
+
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer') ? header.split(' ')[1] : null;
+  return token && token.startsWith(API_KEY_PREFIX) ? token : null;
+};
+
+module.exports = {
+  generateApiKey,
+  getApiKeyFromRequest,
+};
@@ -0,0 +1,54 @@
+const AuditLog = require('../models/AuditLog');
+
+// Request fields never copied into the audit log
+const SENSITIVE_FIELDS = ['password', 'currentPassword', 'newPassword', 'token', 'refreshToken', 'code', 'secret'];
+
+// Names of the fields a request tried to change, without their (possibly sensitive) values
+const changedFields = (body = {}) => Object.keys(body).filter(field => !SENSITIVE_FIELDS.includes(field));
+
+// Best human readable name for a record, so log entries stay meaningful after it is deleted
+const describeEntity = (entity) => {
+  if (!entity || typeof entity !== 'object') return undefined;
+  const name = entity.caseName || entity.title || entity.name
+    || [entity.firstName, entity.lastName].filter(Boolean).join(' ')
+    || entity.email || entity.username;
+  return name ? String(name) : undefined;
+};
+
+// Record an audit log entry. Failures are logged but never block the request.
+// `entity` is the affected document (or just its id); `user` overrides req.user as the actor,
+// e.g. during login before req.user is set. `req` is null for what the system does on its own,
+// such as purging expired records from the trash.
+const recordAudit = async (req, action, entityType, entity, { user, details } = {}) => {
+  const actor = user || (req ? req.user : undefined);
+  const entityId = entity && entity._id ? entity._id : entity;
+
+  try {
+    await AuditLog.create({
+      firm: (entity && entity.firm) || (actor ? actor.firm : undefined),
+      actor: actor ? actor._id : undefined,
+      actorEmail: actor ? actor.email : undefined,
+      actorRole: actor ? actor.role : undefined,
+      apiKey: req && req.apiKey ? req.apiKey._id : undefined,
+      action,
+      entityType,
+      entityId,
+      entityName: describeEntity(entity),
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      details,
+    });
+  } catch (error) {
+    console.error('Error recording audit log entry:', error);
+  }
+};
+
+// Old and new value of a field for the audit details, or undefined when it did not change
+// (e.g. a case or task status, so its history can be shown later)
+const valueChange = (from, to) => (String(from) === String(to) ? undefined : { from, to });
+
+module.exports = {
+  changedFields,
+  valueChange,
+  recordAudit,
+};
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { REFRESH_TOKEN_DAYS } = require('./sessionTokens');
+
+// Cookie authentication mode: instead of returning the access and refresh tokens in the response body,
+// they are set as httpOnly cookies the browser sends automatically and scripts cannot read.
+// Clients opt in per request with the `X-Auth-Mode: cookie` header.
+const AUTH_MODE_HEADER = 'x-auth-mode';
+const ACCESS_TOKEN_COOKIE = 'accessToken';
+const REFRESH_TOKEN_COOKIE = 'refreshToken';
+// Header that must carry the CSRF token on state-changing requests authenticated by cookie
+const CSRF_HEADER = 'x-csrf-token';
+
+// The refresh token is only sent to the auth endpoints that use it (refresh, logout)
+const ACCESS_TOKEN_PATH = '/api';
+const REFRESH_TOKEN_PATH = '/api/auth';
+
+// Options shared by the session cookies. Secure by default in production; SameSite defaults to strict,
+// set AUTH_COOKIE_SAMESITE=none (with HTTPS) when the client is served from another site than the API.
+const cookieOptions = (path) => ({
+  httpOnly: true,
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict',
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  path,
+});
+
+// Whether the client asked for cookie authentication
+const wantsCookieAuth = (req) => String(req.get(AUTH_MODE_HEADER) || '').toLowerCase() === 'cookie';
+
+// Methods that never change state and so need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Access token from the Authorization header, or else from the session cookie.
+// `fromCookie` tells whether the browser supplied it on its own (and so CSRF protection applies).
+const getRequestToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return { token: header.split(' ')[1], fromCookie: false };
+  }
+  const cookieToken = req.cookies && req.cookies[ACCESS_TOKEN_COOKIE];
+  return { token: cookieToken || null, fromCookie: Boolean(cookieToken) };
+};
+
+// CSRF token for a session: an HMAC of the session id, so it stays the same across token refreshes
+// and never needs to be stored. Another site can neither read nor compute it.
+const getCsrfToken = (sessionId) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`csrf:${sessionId}`)
+  .digest('hex');
+
+// Whether a cookie-authenticated request may proceed: safe methods always may,
+// state-changing ones must echo the session's CSRF token in the X-CSRF-Token header.
+const hasValidCsrfToken = (req, sessionId) => {
+  if (SAFE_METHODS.includes(req.method)) return true;
+  if (!sessionId) return false;
+
+  const expected = Buffer.from(getCsrfToken(sessionId));
+  const provided = Buffer.from(String(req.get(CSRF_HEADER) || ''));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+// Deliver the tokens of a new or refreshed session.
+// In cookie mode they are set as httpOnly cookies and replaced in the returned payload by the CSRF token;
+// otherwise the payload is returned unchanged.
+const applyAuthCookies = (req, res, payload) => {
+  if (!wantsCookieAuth(req) || !payload || !payload.token) return payload;
+
+  const { token, refreshToken, ...rest } = payload;
+  const maxAge = REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000;
+
+  res.cookie(ACCESS_TOKEN_COOKIE, token, { ...cookieOptions(ACCESS_TOKEN_PATH), maxAge });
+  if (refreshToken) {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, { ...cookieOptions(REFRESH_TOKEN_PATH), maxAge });
+  }
+
+  const { sid } = jwt.decode(token) || {};
+  return { ...rest, csrfToken: sid ? getCsrfToken(sid) : undefined };
+};
+
+// Remove the session cookies (logout, revoked or expired session)
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_TOKEN_COOKIE, cookieOptions(ACCESS_TOKEN_PATH));
+  res.clearCookie(REFRESH_TOKEN_COOKIE, cookieOptions(REFRESH_TOKEN_PATH));
+};
+
+module.exports = {
+  REFRESH_TOKEN_COOKIE,
+  wantsCookieAuth,
+  getRequestToken,
+  getCsrfToken,
+  hasValidCsrfToken,
+  applyAuthCookies,
+  clearAuthCookies,
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const { CASE_TEAM_PERMISSIONS } = require('../config/permissions');
+
+// Firm administrators can see and manage every case in the firm, team or not
+const bypassesCaseTeams = (user) => user.role === 'admin';
+
+// Find a user's entry in a case team (team members may or may not be populated)
+const findTeamMember = (caseDoc, userId) => (caseDoc.team || []).find(member =>
+  String(member.user && member.user._id ? member.user._id : member.user) === String(userId)
+);
+
+// Check whether a user may perform `action` ('read', 'write', 'manageTeam', 'delete') on a case
+const hasCaseAccess = (user, caseDoc, action) => {
+  if (!caseDoc || String(caseDoc.firm) !== String(user.firm)) return false;
+  if (bypassesCaseTeams(user)) return true;
+
+  const member = findTeamMember(caseDoc, user._id);
+  return Boolean(member && CASE_TEAM_PERMISSIONS[action].includes(member.role));
+};
+
+// Query filter for the cases a user can see
+const accessibleCaseFilter = (user) => (
+  bypassesCaseTeams(user)
+    ? { firm: user.firm }
+    : { firm: user.firm, 'team.user': user._id }
+);
+
+// Query filter for records that can be linked to a case (documents, tasks, appointments).
+// Records without a case are visible to the whole firm; case records follow team membership.
+const caseLinkedRecordFilter = async (user) => {
+  if (bypassesCaseTeams(user)) return { firm: user.firm };
+
+  const caseIds = await Case.find(accessibleCaseFilter(user)).distinct('_id');
+  return {
+    firm: user.firm,
+    $or: [{ case: null }, { case: { $in: caseIds } }],
+  };
+};
+
+// Check whether a user may perform `action` on the case a record is (or will be) linked to.
+// Records without a case are allowed; unknown or invalid case ids are not.
+const canAccessLinkedCase = async (user, caseId, action) => {
+  if (!caseId) return true;
+  const id = caseId._id || caseId;
+  if (!mongoose.Types.ObjectId.isValid(id)) return false;
+
+  const caseDoc = await Case.findOne({ _id: id, firm: user.firm }).select('firm team');
+  return hasCaseAccess(user, caseDoc, action);
+};
+
+module.exports = {
+  findTeamMember,
+  hasCaseAccess,
+  accessibleCaseFilter,
+  caseLinkedRecordFilter,
+  canAccessLinkedCase,
+};
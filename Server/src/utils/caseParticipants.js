@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+
+// Case participants (opposing parties, counsel, judges, experts, witnesses, ...) as sent by the client
+// and as described to the AI assistant.
+
+// Readable names for the participant roles
+const ROLE_LABELS = {
+  opposing_party: 'Opposing party',
+  opposing_counsel: 'Opposing counsel',
+  co_party: 'Co-party',
+  co_counsel: 'Co-counsel',
+  judge: 'Judge',
+  expert: 'Expert',
+  witness: 'Witness',
+  other: 'Other',
+};
+
+const PARTICIPANT_FIELDS = ['name', 'organization', 'email', 'phone', 'address', 'notes'];
+
+// Validate the participants list of a create/update request.
+// Existing entries keep their `_id`; new ones may carry a temporary `key` instead, so that `represents`
+// can point at a participant added in the same request (`represents` is another entry's `_id` or `key`).
+// Returns { participants } ready to store, or { error }.
+const normalizeParticipants = (input) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Participants must be a list.' };
+  }
+
+  // Give every entry its final id first so representation links can be resolved
+  const entries = input.map(item => ({
+    item: item || {},
+    id: item && mongoose.Types.ObjectId.isValid(item._id) ? new mongoose.Types.ObjectId(String(item._id)) : new mongoose.Types.ObjectId(),
+  }));
+  const idsByRef = new Map();
+  entries.forEach(({ item, id }) => {
+    idsByRef.set(String(id), id);
+    if (item.key) idsByRef.set(String(item.key), id);
+  });
+
+  const participants = [];
+  for (const { item, id } of entries) {
+    if (!Case.PARTICIPANT_ROLES.includes(item.role)) {
+      return { error: `Participant role must be one of: ${Case.PARTICIPANT_ROLES.join(', ')}.` };
+    }
+    if (!item.name || !String(item.name).trim()) {
+      return { error: 'Every participant needs a name.' };
+    }
+
+    const participant = { _id: id, role: item.role };
+    PARTICIPANT_FIELDS.forEach(field => {
+      if (item[field] !== undefined && item[field] !== null) participant[field] = String(item[field]);
+    });
+
+    if (item.represents) {
+      const representedId = idsByRef.get(String(item.represents));
+      if (!representedId) {
+        return { error: `${participant.name} represents a participant that is not on this case.` };
+      }
+      if (String(representedId) === String(id)) {
+        return { error: `${participant.name} cannot represent themselves.` };
+      }
+      participant.represents = representedId;
+    }
+    participants.push(participant);
+  }
+
+  return { participants };
+};
+
+// Plain-text list of the participants of a case for the AI prompt context, or '' when there are none
+const describeParticipants = (caseDoc) => {
+  const participants = caseDoc.participants || [];
+  const namesById = new Map(participants.map(participant => [String(participant._id), participant.name]));
+
+  return participants.map(participant => {
+    let line = `${ROLE_LABELS[participant.role] || participant.role}: ${participant.name}`;
+    if (participant.organization) line += ` (${participant.organization})`;
+    if (participant.represents && namesById.has(String(participant.represents))) {
+      line += `, representing ${namesById.get(String(participant.represents))}`;
+    }
+    return line;
+  }).join('; ');
+};
+
+module.exports = {
+  ROLE_LABELS,
+  normalizeParticipants,
+  describeParticipants,
+};
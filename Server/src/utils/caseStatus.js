@@ -0,0 +1,63 @@
+const { CASE_STATUSES, CASE_OUTCOMES, CASE_STATUS_TRANSITIONS } = require('../config/caseWorkflow');
+
+// Status changes of cases, following the workflow in config/caseWorkflow.js
+
+// Statuses a case in `status` may move to, with what each change requires
+const allowedTransitions = (status) => CASE_STATUS_TRANSITIONS[status] || {};
+
+// Move a case to `status` as `user`, with the `reason`, `outcome` and `endDate` the change requires,
+// and add the change to its status history. Returns an error message, or null when the change was
+// applied. Changing to the current status does nothing.
+const applyStatusChange = (caseDoc, { status, reason, outcome, endDate }, user) => {
+  if (!CASE_STATUSES.includes(status)) {
+    return `Status must be one of: ${CASE_STATUSES.join(', ')}.`;
+  }
+  if (status === caseDoc.status) return null;
+
+  const requirements = allowedTransitions(caseDoc.status)[status];
+  if (!requirements) {
+    const allowed = Object.keys(allowedTransitions(caseDoc.status));
+    return `A case cannot move from ${caseDoc.status} to ${status}${allowed.length ? `; allowed: ${allowed.join(', ')}` : ''}.`;
+  }
+
+  const trimmedReason = reason ? String(reason).trim() : '';
+  if (requirements.reason && !trimmedReason) {
+    return `A reason is required to move a case from ${caseDoc.status} to ${status}.`;
+  }
+  if (requirements.outcome && !CASE_OUTCOMES.includes(outcome)) {
+    return `Closing a case requires an outcome: ${CASE_OUTCOMES.join(', ')}.`;
+  }
+  if (requirements.endDate) {
+    const end = new Date(endDate || caseDoc.endDate);
+    if (!(endDate || caseDoc.endDate) || isNaN(end.getTime())) {
+      return 'Closing a case requires an end date.';
+    }
+    if (caseDoc.startDate && end < caseDoc.startDate) {
+      return 'The end date cannot be before the start date.';
+    }
+    caseDoc.endDate = end;
+  }
+
+  if (requirements.outcome) caseDoc.outcome = outcome;
+  // A reopened case has no outcome or end date yet
+  if (caseDoc.status === 'closed' && status === 'open') {
+    caseDoc.outcome = undefined;
+    caseDoc.endDate = undefined;
+  }
+
+  caseDoc.statusHistory.push({
+    from: caseDoc.status,
+    to: status,
+    reason: trimmedReason || undefined,
+    outcome: requirements.outcome ? outcome : undefined,
+    changedBy: user._id,
+    changedAt: new Date(),
+  });
+  caseDoc.status = status;
+  return null;
+};
+
+module.exports = {
+  allowedTransitions,
+  applyStatusChange,
+};
@@ -0,0 +1,187 @@
+const AuditLog = require('../models/AuditLog');
+const Document = require('../models/Document');
+const Task = require('../models/Task');
+const Appointment = require('../models/Appointment');
+const Draft = require('../models/Draft');
+const Note = require('../models/Note');
+const User = require('../models/User');
+const { hasPermission } = require('../config/permissions');
+
+// Activity feed of a case, assembled from the case's audit log entries and its linked records.
+// Each event is { type, timestamp, actor, title, entity: { type, id }, details }.
+
+// Event types, in the order the UI lists them as filters
+const TIMELINE_EVENT_TYPES = [
+  'case_created',
+  'status_changed',
+  'note_added',
+  'document_uploaded',
+  'task_created',
+  'task_completed',
+  'appointment_held',
+  'ai_draft',
+];
+
+const ACTOR_FIELDS = 'firstName lastName email';
+
+const event = (type, timestamp, actor, title, entity, details) => ({
+  type,
+  timestamp,
+  actor: actor || null,
+  title,
+  entity,
+  details,
+});
+
+// Events recorded in the audit log for the case itself: creation, status changes and note edits
+const caseEvents = async (caseDoc) => {
+  const entries = await AuditLog.find({
+    firm: caseDoc.firm,
+    entityType: 'Case',
+    entityId: caseDoc._id,
+    action: { $in: ['create', 'update'] },
+  }).lean();
+
+  const events = [];
+  for (const entry of entries) {
+    const entity = { type: 'Case', id: caseDoc._id };
+    if (entry.action === 'create') {
+      events.push(event('case_created', entry.createdAt, entry.actor, 'Case opened', entity));
+      continue;
+    }
+
+    const details = entry.details || {};
+    if (details.status) {
+      events.push(event('status_changed', entry.createdAt, entry.actor,
+        `Status changed from ${details.status.from} to ${details.status.to}`, entity, details.status));
+    }
+    // Edits of the free-text notes field that preceded note entries
+    if ((details.fields || []).includes('notes')) {
+      events.push(event('note_added', entry.createdAt, entry.actor, 'Case notes updated', entity));
+    }
+  }
+
+  // Cases created before the audit log existed
+  if (!entries.some(entry => entry.action === 'create')) {
+    events.push(event('case_created', caseDoc.createdAt, caseDoc.user, 'Case opened', { type: 'Case', id: caseDoc._id }));
+  }
+  return events;
+};
+
+// Note entries on the case and on its tasks and appointments; confidential ones only for users who may see them
+const noteEvents = async (caseDoc, user) => {
+  const [taskIds, appointmentIds] = await Promise.all([
+    Task.find({ firm: caseDoc.firm, case: caseDoc._id }).distinct('_id'),
+    Appointment.find({ firm: caseDoc.firm, case: caseDoc._id }).distinct('_id'),
+  ]);
+  const filter = {
+    firm: caseDoc.firm,
+    $or: [
+      { entityType: 'Case', entity: caseDoc._id },
+      { entityType: 'Task', entity: { $in: taskIds } },
+      { entityType: 'Appointment', entity: { $in: appointmentIds } },
+    ],
+  };
+  if (!hasPermission(user.role, 'notes', 'viewConfidential')) {
+    filter.confidential = { $ne: true };
+  }
+
+  const notes = await Note.find(filter).select('entityType entity parent author createdAt privileged confidential').lean();
+  return notes.map(note => {
+    const on = note.entityType === 'Case' ? '' : ` on ${note.entityType.toLowerCase()}`;
+    return event('note_added', note.createdAt, note.author, `${note.parent ? 'Reply' : 'Note'} added${on}`,
+      { type: note.entityType, id: note.entity }, { noteId: note._id, privileged: note.privileged, confidential: note.confidential });
+  });
+};
+
+const documentEvents = async (caseDoc, user) => {
+  const filter = { firm: caseDoc.firm, case: caseDoc._id };
+  // Restricted documents are left out for users who may not see them
+  if (!hasPermission(user.role, 'documents', 'accessRestricted')) {
+    filter.isRestricted = { $ne: true };
+  }
+
+  const documents = await Document.find(filter).select('title originalName fileType uploadDate uploadedBy createdAt').lean();
+  return documents.map(document => event('document_uploaded', document.uploadDate || document.createdAt, document.uploadedBy,
+    `Uploaded ${document.title || document.originalName}`, { type: 'Document', id: document._id }, { fileType: document.fileType }));
+};
+
+const taskEvents = async (caseDoc, types) => {
+  const tasks = await Task.find({ firm: caseDoc.firm, case: caseDoc._id }).select('title user createdAt status completedAt').lean();
+  const events = [];
+
+  if (types.includes('task_created')) {
+    tasks.forEach(task => events.push(event('task_created', task.createdAt, task.user,
+      `Task created: ${task.title}`, { type: 'Task', id: task._id })));
+  }
+
+  if (types.includes('task_completed')) {
+    const completedTasks = tasks.filter(task => task.status === 'completed' && task.completedAt);
+    // Who completed a task comes from the audit log; older completions have no recorded actor
+    const completions = await AuditLog.find({
+      firm: caseDoc.firm,
+      entityType: 'Task',
+      entityId: { $in: completedTasks.map(task => task._id) },
+      'details.status.to': 'completed',
+    }).sort({ createdAt: 1 }).select('entityId actor').lean();
+    const completedBy = new Map(completions.map(entry => [String(entry.entityId), entry.actor]));
+
+    completedTasks.forEach(task => events.push(event('task_completed', task.completedAt, completedBy.get(String(task._id)),
+      `Task completed: ${task.title}`, { type: 'Task', id: task._id })));
+  }
+  return events;
+};
+
+// Appointments that have taken place (not cancelled, start time in the past)
+const appointmentEvents = async (caseDoc) => {
+  const appointments = await Appointment.find({
+    firm: caseDoc.firm,
+    case: caseDoc._id,
+    status: { $ne: 'cancelled' },
+    startTime: { $lte: new Date() },
+  }).select('title startTime endTime location responsibleAttorney user').lean();
+
+  return appointments.map(appointment => event('appointment_held', appointment.startTime,
+    appointment.responsibleAttorney || appointment.user, `Appointment: ${appointment.title}`,
+    { type: 'Appointment', id: appointment._id }, { endTime: appointment.endTime, location: appointment.location }));
+};
+
+const draftEvents = async (caseDoc) => {
+  const drafts = await Draft.find({ firm: caseDoc.firm, case: caseDoc._id }).select('title draftType user createdAt').lean();
+  return drafts.map(draft => event('ai_draft', draft.createdAt, draft.user, `AI draft generated: ${draft.title}`,
+    { type: 'Draft', id: draft._id }, { draftType: draft.draftType }));
+};
+
+// One page of the timeline of a case as seen by `user`, newest first, and the total number of events.
+// `types` limits it to some event types (default: all).
+const buildCaseTimeline = async (caseDoc, user, { types = TIMELINE_EVENT_TYPES, page = 1, limit = 50 } = {}) => {
+  const wants = (...eventTypes) => eventTypes.some(type => types.includes(type));
+
+  const groups = await Promise.all([
+    wants('case_created', 'status_changed', 'note_added') ? caseEvents(caseDoc) : [],
+    wants('note_added') ? noteEvents(caseDoc, user) : [],
+    wants('document_uploaded') ? documentEvents(caseDoc, user) : [],
+    wants('task_created', 'task_completed') ? taskEvents(caseDoc, types) : [],
+    wants('appointment_held') ? appointmentEvents(caseDoc) : [],
+    wants('ai_draft') ? draftEvents(caseDoc) : [],
+  ]);
+  const allEvents = groups.flat()
+    .filter(item => types.includes(item.type) && item.timestamp)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const events = allEvents.slice((page - 1) * limit, page * limit);
+
+  // Replace actor ids with names
+  const actorIds = [...new Set(events.filter(item => item.actor).map(item => String(item.actor)))];
+  const actors = await User.find({ _id: { $in: actorIds } }).select(ACTOR_FIELDS).lean();
+  const actorsById = new Map(actors.map(actor => [String(actor._id), actor]));
+  events.forEach(item => {
+    item.actor = item.actor ? actorsById.get(String(item.actor)) || null : null;
+  });
+
+  return { events, total: allEvents.length };
+};
+
+module.exports = {
+  TIMELINE_EVENT_TYPES,
+  buildCaseTimeline,
+};
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const Case = require('../models/Case');
+const Task = require('../models/Task');
+const Appointment = require('../models/Appointment');
+const Document = require('../models/Document');
+const Notification = require('../models/Notification');
+const Note = require('../models/Note');
+const Draft = require('../models/Draft');
+const User = require('../models/User');
+
+// Data export for a client ("subject access request"): everything the firm holds about one client,
+// packaged as a zip archive with a machine-readable manifest.
+
+// Bumped whenever the layout of the archive changes
+// (2: drafts.json holds the AI drafts written for the client or their cases)
+// (3: notes.json includes note entries; privileged ones are withheld and counted in the manifest)
+const EXPORT_FORMAT_VERSION = 3;
+// Stored documents are resolved relative to the server root, like the document download
+const SERVER_ROOT = path.join(__dirname, '../../');
+
+// Fields of portal accounts that describe the client; credentials and security data are left out
+const PORTAL_ACCOUNT_FIELDS = 'username email firstName lastName status emailVerifiedAt lastLogin createdAt updatedAt';
+
+// Gather every record linked to the client, directly or through one of their cases.
+// Records in the trash are still held, so they are included (with their deletedAt).
+const collectClientData = async (client) => {
+  const firm = client.firm;
+
+  const cases = await Case.find({ firm, clients: client._id })
+    .setOptions({ withDeleted: true })
+    .populate('responsibleAttorney', 'firstName lastName email')
+    .populate('team.user', 'firstName lastName email')
+    .lean();
+  const caseIds = cases.map(caseDoc => caseDoc._id);
+  const linkedFilter = { firm, $or: [{ client: client._id }, { case: { $in: caseIds } }] };
+
+  const [tasks, appointments, documents, drafts, portalAccounts] = await Promise.all([
+    Task.find(linkedFilter).setOptions({ withDeleted: true }).lean(),
+    Appointment.find(linkedFilter).setOptions({ withDeleted: true }).lean(),
+    Document.find(linkedFilter).setOptions({ withDeleted: true }).lean(),
+    Draft.find(linkedFilter).setOptions({ withDeleted: true }).populate('user', 'firstName lastName email').lean(),
+    User.find({ firm, role: 'client', client: client._id }).select(PORTAL_ACCOUNT_FIELDS).lean(),
+  ]);
+
+  // Notifications sent to the client's portal accounts, or about any of their records
+  const relatedIds = [client._id, ...caseIds, ...[...tasks, ...appointments, ...documents].map(record => record._id)];
+  const notifications = await Notification.find({
+    $or: [
+      { user: { $in: portalAccounts.map(account => account._id) } },
+      { relatedEntity: { $in: relatedIds } },
+    ],
+  }).lean();
+
+  // Note entries on the client and their cases, tasks and appointments. Privileged notes are withheld.
+  const noteEntries = await Note.find({
+    firm,
+    $or: [
+      { entityType: 'Client', entity: client._id },
+      { entityType: 'Case', entity: { $in: caseIds } },
+      { entityType: 'Task', entity: { $in: tasks.map(task => task._id) } },
+      { entityType: 'Appointment', entity: { $in: appointments.map(appointment => appointment._id) } },
+    ],
+  }).setOptions({ withDeleted: true }).populate('author', 'firstName lastName email').lean();
+  const withheldPrivilegedNotes = noteEntries.filter(note => note.privileged).length;
+
+  // Free-text notes kept on the client and their cases, then the note entries
+  const notes = [
+    ...(client.notes ? [{ source: 'Client', sourceId: client._id, notes: client.notes, updatedAt: client.updatedAt }] : []),
+    ...cases.filter(caseDoc => caseDoc.notes).map(caseDoc => ({
+      source: 'Case',
+      sourceId: caseDoc._id,
+      caseNumber: caseDoc.caseNumber,
+      notes: caseDoc.notes,
+      updatedAt: caseDoc.updatedAt,
+    })),
+    ...noteEntries.filter(note => !note.privileged).map(note => ({
+      source: note.entityType,
+      sourceId: note.entity,
+      noteId: note._id,
+      parent: note.parent,
+      author: note.author,
+      content: note.content,
+      confidential: note.confidential,
+      pinned: note.pinned,
+      editHistory: note.editHistory.map(({ content, editedAt }) => ({ content, editedAt })),
+      createdAt: note.createdAt,
+      updatedAt: note.updatedAt,
+    })),
+  ];
+
+  return { cases, tasks, appointments, documents, drafts, notifications, notes, withheldPrivilegedNotes, portalAccounts };
+};
+
+// File name for a stored document inside the archive: unique by id, readable by original name
+const archiveDocumentName = (document) => {
+  const safeName = path.basename(document.originalName || document.fileName || 'document')
+    .replace(/[^\w.\- ]+/g, '_')
+    .slice(0, 150);
+  return `documents/${document._id}-${safeName}`;
+};
+
+// SHA-256 of a file on disk
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('error', reject)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Resolve a document's stored file, refusing anything outside the uploads directory
+const resolveDocumentPath = (document) => {
+  const uploadsDir = path.join(SERVER_ROOT, 'uploads');
+  const resolved = path.resolve(SERVER_ROOT, path.normalize(document.filePath || ''));
+  return resolved.startsWith(uploadsDir + path.sep) ? resolved : null;
+};
+
+// Write the export archive for a client to `output` (e.g. the HTTP response).
+// `exportedBy` is the user making the export, recorded in the manifest.
+// Resolves with the manifest once the archive has been fully written.
+const writeClientExport = async (client, output, exportedBy) => {
+  const data = await collectClientData(client);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('error', reject);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  const manifest = {
+    format: 'client-data-export',
+    version: EXPORT_FORMAT_VERSION,
+    generatedAt: new Date().toISOString(),
+    generatedBy: exportedBy ? { id: exportedBy._id, email: exportedBy.email } : null,
+    firm: client.firm,
+    client: { id: client._id, name: `${client.firstName} ${client.lastName}`.trim() },
+    files: [],
+    missingDocuments: [],
+    // Notes protected by attorney-client privilege are not included
+    withheldPrivilegedNotes: data.withheldPrivilegedNotes,
+  };
+
+  // Records are stored as pretty-printed JSON, one file per collection
+  const addRecords = (name, entity, records) => {
+    const content = Buffer.from(JSON.stringify(records, null, 2));
+    archive.append(content, { name });
+    manifest.files.push({
+      path: name,
+      type: 'records',
+      entity,
+      count: Array.isArray(records) ? records.length : 1,
+      size: content.length,
+      sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    });
+  };
+
+  addRecords('client.json', 'Client', client.toObject ? client.toObject() : client);
+  addRecords('cases.json', 'Case', data.cases);
+  addRecords('tasks.json', 'Task', data.tasks);
+  addRecords('appointments.json', 'Appointment', data.appointments);
+  addRecords('drafts.json', 'Draft', data.drafts);
+  addRecords('notes.json', 'Note', data.notes);
+  addRecords('notifications.json', 'Notification', data.notifications);
+  addRecords('portal-accounts.json', 'User', data.portalAccounts);
+  addRecords('documents.json', 'Document', data.documents);
+
+  // The stored files themselves; a missing file is listed in the manifest instead of failing the export
+  for (const document of data.documents) {
+    const filePath = resolveDocumentPath(document);
+    if (!filePath || !fs.existsSync(filePath)) {
+      manifest.missingDocuments.push({ documentId: document._id, originalName: document.originalName });
+      continue;
+    }
+
+    const name = archiveDocumentName(document);
+    const { size } = await fs.promises.stat(filePath);
+    manifest.files.push({
+      path: name,
+      type: 'document',
+      entity: 'Document',
+      documentId: document._id,
+      originalName: document.originalName,
+      fileType: document.fileType,
+      size,
+      sha256: await hashFile(filePath),
+    });
+    archive.file(filePath, { name });
+  }
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  await finished;
+  return manifest;
+};
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  collectClientData,
+  writeClientExport,
+};
@@ -0,0 +1,306 @@
+const fs = require('fs');
+const path = require('path');
+const Client = require('../models/Client');
+const Case = require('../models/Case');
+const Task = require('../models/Task');
+const Appointment = require('../models/Appointment');
+const Document = require('../models/Document');
+const Notification = require('../models/Notification');
+const Note = require('../models/Note');
+const Draft = require('../models/Draft');
+const Invitation = require('../models/Invitation');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const Firm = require('../models/Firm');
+const ErasureLog = require('../models/ErasureLog');
+const { isUnderLegalHold } = require('./legalHold');
+
+// Right to erasure for clients. Erasing a client:
+// - deletes the cases that belong to them alone, with those cases' documents (and files), tasks and appointments,
+// - unlinks them from cases shared with other clients, which are kept along with their records,
+// - deletes their own documents, tasks, appointments and AI drafts that are not on a kept case,
+// - deletes the notes on the client and on every deleted case, task and appointment,
+// - deletes their client portal accounts, sessions, invitations and related notifications,
+// - replaces their name in the conflict check results stored on other cases,
+// - clears the personal fields of the client record, which stays behind as an anonymized placeholder,
+// - and writes an entry to the append-only erasure log.
+// It is refused while a legal hold or retention obligation applies to the client or any of their cases.
+// Records in the trash are included: they are erased like the others.
+// The audit log is not touched: it is an append-only compliance record that the firm must retain, so
+// entries keep the client's name as it was when they were written (entityName, and the conflict check
+// details of the client's creation). The erasure itself is recorded in the erasure log.
+
+// Cases in these statuses are finished matters; anything else is still being worked on
+const CLOSED_CASE_STATUSES = ['closed', 'archived'];
+// Personal fields cleared on the client record
+const ANONYMIZED_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'address', 'dateOfBirth', 'occupation', 'notes'];
+// Name the erased client is shown under in conflict check results (as on the placeholder record)
+const ERASED_NAME = 'Erased Client';
+const SERVER_ROOT = path.join(__dirname, '../../');
+
+// Date until which a closed case must be kept
+const retainedUntil = (caseDoc, retentionYears) => {
+  const ended = new Date(caseDoc.endDate || caseDoc.updatedAt);
+  ended.setFullYear(ended.getFullYear() + retentionYears);
+  return ended;
+};
+
+// Everything an erasure of the client would touch, and the reasons it cannot go ahead (if any).
+// `blockers` is a list of { type, message, caseId? }; the erasure may only proceed when it is empty.
+const planClientErasure = async (client) => {
+  const firm = await Firm.findById(client.firm).select('settings');
+  const retentionYears = firm ? firm.settings.retentionYears : 0;
+
+  const cases = await Case.find({ firm: client.firm, clients: client._id })
+    .setOptions({ withDeleted: true })
+    .select('caseName caseNumber status endDate updatedAt clients legalHold deletedAt');
+
+  const blockers = [];
+  if (client.erasedAt) {
+    blockers.push({ type: 'already_erased', message: 'This client has already been erased.' });
+  }
+  if (isUnderLegalHold(client)) {
+    blockers.push({ type: 'legal_hold', message: `The client is under a legal hold${client.legalHold.reason ? `: ${client.legalHold.reason}` : ''}.` });
+  }
+  for (const caseDoc of cases) {
+    const label = `Case ${caseDoc.caseNumber}`;
+    // Legal holds and retention apply to cases in the trash as well; only an open case in the trash
+    // is no longer being worked on
+    if (isUnderLegalHold(caseDoc)) {
+      blockers.push({ type: 'legal_hold', caseId: caseDoc._id, message: `${label} is under a legal hold${caseDoc.legalHold.reason ? `: ${caseDoc.legalHold.reason}` : ''}.` });
+    } else if (!caseDoc.deletedAt && !CLOSED_CASE_STATUSES.includes(caseDoc.status)) {
+      blockers.push({ type: 'open_case', caseId: caseDoc._id, message: `${label} is still ${caseDoc.status.replace('_', ' ')}; close it first.` });
+    } else if (retentionYears > 0 && retainedUntil(caseDoc, retentionYears) > new Date()) {
+      const until = retainedUntil(caseDoc, retentionYears).toISOString().slice(0, 10);
+      blockers.push({ type: 'retention', caseId: caseDoc._id, message: `${label} must be retained until ${until}.` });
+    }
+  }
+
+  // Cases that are the client's alone are removed; shared cases are kept
+  const removedCases = cases.filter(caseDoc => caseDoc.clients.length <= 1);
+  const retainedCases = cases.filter(caseDoc => caseDoc.clients.length > 1);
+  const removedCaseIds = removedCases.map(caseDoc => caseDoc._id);
+  const retainedCaseIds = retainedCases.map(caseDoc => caseDoc._id);
+
+  // Records on removed cases, or the client's own records outside any kept case, are deleted.
+  // The client's records on kept cases are only unlinked from them.
+  const removeFilter = {
+    firm: client.firm,
+    $or: [
+      { case: { $in: removedCaseIds } },
+      { client: client._id, case: { $nin: retainedCaseIds } },
+    ],
+  };
+  const detachFilter = { firm: client.firm, client: client._id, case: { $in: retainedCaseIds } };
+
+  const [documents, tasks, appointments, drafts, detachedDocuments, detachedTasks, detachedAppointments, detachedDrafts, portalAccounts] = await Promise.all([
+    Document.find(removeFilter).setOptions({ withDeleted: true }).select('_id filePath'),
+    Task.find(removeFilter).setOptions({ withDeleted: true }).distinct('_id'),
+    Appointment.find(removeFilter).setOptions({ withDeleted: true }).distinct('_id'),
+    Draft.find(removeFilter).setOptions({ withDeleted: true }).distinct('_id'),
+    Document.countDocuments(detachFilter).setOptions({ withDeleted: true }),
+    Task.countDocuments(detachFilter).setOptions({ withDeleted: true }),
+    Appointment.countDocuments(detachFilter).setOptions({ withDeleted: true }),
+    Draft.countDocuments(detachFilter).setOptions({ withDeleted: true }),
+    User.find({ firm: client.firm, role: 'client', client: client._id }).distinct('_id'),
+  ]);
+
+  // Notes go with the client and with every record that is deleted
+  const notes = await Note.find({
+    firm: client.firm,
+    $or: [
+      { entityType: 'Client', entity: client._id },
+      { entityType: 'Case', entity: { $in: removedCaseIds } },
+      { entityType: 'Task', entity: { $in: tasks } },
+      { entityType: 'Appointment', entity: { $in: appointments } },
+    ],
+  }).setOptions({ withDeleted: true }).distinct('_id');
+
+  return {
+    blockers,
+    removedCases,
+    retainedCases,
+    documents,
+    tasks,
+    appointments,
+    drafts,
+    notes,
+    portalAccounts,
+    detached: { documents: detachedDocuments, tasks: detachedTasks, appointments: detachedAppointments, drafts: detachedDrafts },
+    filters: { removeFilter, detachFilter },
+  };
+};
+
+// Summary of a plan for showing to the user before they confirm
+const summarizePlan = (plan) => ({
+  canErase: plan.blockers.length === 0,
+  blockers: plan.blockers,
+  remove: {
+    cases: plan.removedCases.map(caseDoc => ({ _id: caseDoc._id, caseName: caseDoc.caseName, caseNumber: caseDoc.caseNumber })),
+    documents: plan.documents.length,
+    tasks: plan.tasks.length,
+    appointments: plan.appointments.length,
+    drafts: plan.drafts.length,
+    notes: plan.notes.length,
+    portalAccounts: plan.portalAccounts.length,
+  },
+  retain: {
+    cases: plan.retainedCases.map(caseDoc => ({ _id: caseDoc._id, caseName: caseDoc.caseName, caseNumber: caseDoc.caseNumber })),
+    ...plan.detached,
+  },
+});
+
+// Delete a stored document file. Returns false when it was already missing.
+const removeStoredFile = async (filePath) => {
+  const uploadsDir = path.join(SERVER_ROOT, 'uploads');
+  const resolved = path.resolve(SERVER_ROOT, path.normalize(filePath || ''));
+  if (!resolved.startsWith(uploadsDir + path.sep)) return false;
+
+  try {
+    await fs.promises.unlink(resolved);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+};
+
+// Replace the client's name in the conflict check results stored on cases: where the client was the
+// match, and (on the kept cases they shared) where they were the one checked. Returns the number of cases changed.
+const redactConflictChecks = async (client, retainedCaseIds) => {
+  const fullName = `${client.firstName} ${client.lastName}`;
+  const cases = await Case.find({
+    firm: client.firm,
+    $or: [
+      { 'conflictCheck.conflicts.client': client._id },
+      { _id: { $in: retainedCaseIds }, 'conflictCheck.conflicts.subject': fullName },
+    ],
+  }).setOptions({ withDeleted: true }).select('conflictCheck.conflicts');
+
+  for (const caseDoc of cases) {
+    const retained = retainedCaseIds.some(id => String(id) === String(caseDoc._id));
+    const conflicts = caseDoc.conflictCheck.conflicts.map(conflict => {
+      const redacted = conflict.toObject();
+      if (String(conflict.client) === String(client._id)) {
+        redacted.name = ERASED_NAME;
+        redacted.reasons = ['Matches an erased client'];
+      }
+      if (retained && conflict.subjectRole === 'client' && conflict.subject === fullName) {
+        redacted.subject = ERASED_NAME;
+        // The first reason names the other party only; the rest quote the client's own details
+        redacted.reasons = redacted.reasons.slice(0, 1);
+      }
+      return redacted;
+    });
+    await Case.updateOne({ _id: caseDoc._id }, { $set: { 'conflictCheck.conflicts': conflicts } });
+  }
+  return cases.length;
+};
+
+// Carry out the erasure of a client. `user` is the person performing it, `reason` why.
+// Throws an error with a `statusCode` (and the `blockers`) when the erasure is not allowed.
+// Returns the erasure log entry.
+const eraseClient = async (client, { user, reason }) => {
+  if (!reason || !String(reason).trim()) {
+    const error = new Error('A reason for the erasure is required.');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const plan = await planClientErasure(client);
+  if (plan.blockers.length > 0) {
+    const error = new Error('This client cannot be erased yet.');
+    error.statusCode = 409;
+    error.blockers = plan.blockers;
+    throw error;
+  }
+
+  const { removeFilter, detachFilter } = plan.filters;
+  const removedCaseIds = plan.removedCases.map(caseDoc => caseDoc._id);
+  const documentIds = plan.documents.map(document => document._id);
+
+  // Files first: if anything fails part-way the erasure can be run again, and no file is left without a record
+  let files = 0;
+  let missingFiles = 0;
+  for (const document of plan.documents) {
+    if (await removeStoredFile(document.filePath)) files++;
+    else missingFiles++;
+  }
+
+  const relatedIds = [client._id, ...removedCaseIds, ...documentIds, ...plan.tasks, ...plan.appointments];
+  const [documents, tasks, appointments, drafts, notes, notifications] = await Promise.all([
+    Document.deleteMany(removeFilter),
+    Task.deleteMany(removeFilter),
+    Appointment.deleteMany(removeFilter),
+    Draft.deleteMany(removeFilter),
+    Note.deleteMany({ _id: { $in: plan.notes } }),
+    Notification.deleteMany({
+      $or: [
+        { user: { $in: plan.portalAccounts } },
+        { relatedEntity: { $in: relatedIds } },
+      ],
+    }),
+  ]);
+
+  await Promise.all([
+    Document.updateMany(detachFilter, { $unset: { client: '' } }),
+    Task.updateMany(detachFilter, { $unset: { client: '' } }),
+    Appointment.updateMany(detachFilter, { $unset: { client: '' } }),
+    Draft.updateMany(detachFilter, { $unset: { client: '' } }),
+    Case.updateMany({ _id: { $in: plan.retainedCases.map(caseDoc => caseDoc._id) } }, { $pull: { clients: client._id } }),
+  ]);
+  const cases = await Case.deleteMany({ _id: { $in: removedCaseIds }, firm: client.firm });
+  const redactedConflictChecks = await redactConflictChecks(client, plan.retainedCases.map(caseDoc => caseDoc._id));
+
+  await Promise.all([
+    Session.deleteMany({ user: { $in: plan.portalAccounts } }),
+    ApiKey.deleteMany({ user: { $in: plan.portalAccounts } }),
+  ]);
+  const portalAccounts = await User.deleteMany({ _id: { $in: plan.portalAccounts }, role: 'client' });
+  const invitations = await Invitation.deleteMany({ firm: client.firm, client: client._id });
+
+  // Keep the record as an anonymized placeholder
+  await Client.updateOne({ _id: client._id }, {
+    $set: { firstName: 'Erased', lastName: 'Client', status: 'Former Client', erasedAt: new Date() },
+    $unset: ANONYMIZED_FIELDS
+      .filter(field => !['firstName', 'lastName'].includes(field))
+      .reduce((fields, field) => ({ ...fields, [field]: '' }), {}),
+  });
+
+  return ErasureLog.create({
+    firm: client.firm,
+    client: client._id,
+    erasedBy: user._id,
+    erasedByEmail: user.email,
+    reason: String(reason).trim(),
+    anonymizedFields: ANONYMIZED_FIELDS,
+    removed: {
+      cases: cases.deletedCount,
+      documents: documents.deletedCount,
+      files,
+      tasks: tasks.deletedCount,
+      appointments: appointments.deletedCount,
+      drafts: drafts.deletedCount,
+      notes: notes.deletedCount,
+      notifications: notifications.deletedCount,
+      portalAccounts: portalAccounts.deletedCount,
+      invitations: invitations.deletedCount,
+    },
+    removedCases: removedCaseIds,
+    removedDocuments: documentIds,
+    retainedCases: plan.retainedCases.map(caseDoc => caseDoc._id),
+    detached: plan.detached,
+    redactedConflictChecks,
+    missingFiles,
+  });
+};
+
+module.exports = {
+  CLOSED_CASE_STATUSES,
+  retainedUntil,
+  planClientErasure,
+  summarizePlan,
+  eraseClient,
+  removeStoredFile,
+};
@@ -0,0 +1,176 @@
+const Client = require('../models/Client');
+const Case = require('../models/Case');
+const { hasPermission } = require('../config/permissions');
+
+// Conflict-of-interest checking on intake. Before a client or case is taken on, the people and
+// organizations involved are compared with the firm's clients and with the participants of its
+// other cases. Names and organizations are matched loosely (spelling, order, punctuation and
+// company suffixes are ignored), emails exactly.
+// A match only counts as a potential conflict when the two are not both on our side: a new client
+// resembling an existing client is not a conflict, resembling an opposing party on another case is.
+
+// Names this similar (0..1) or more are reported
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+// Words left out when comparing names, so "Acme Ltd" matches "ACME Limited"
+const IGNORED_WORDS = ['inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'co', 'company', 'gmbh', 'sa', 'the', 'mr', 'mrs', 'ms', 'dr'];
+
+// Which side of a matter each participant role is on
+const PARTICIPANT_SIDES = {
+  co_party: 'client',
+  co_counsel: 'client',
+  opposing_party: 'adverse',
+  opposing_counsel: 'adverse',
+};
+const sideOfRole = (role) => PARTICIPANT_SIDES[role] || 'neutral';
+
+const normalizeName = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !IGNORED_WORDS.includes(word));
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity of two names from 0 to 1, regardless of word order ("Smith, John" and "John Smith" are equal)
+const nameSimilarity = (first, second) => {
+  const a = normalizeName(first).sort().join(' ');
+  const b = normalizeName(second).sort().join(' ');
+  if (a.length < 3 || b.length < 3) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Everyone the firm already acts for or against
+const loadCandidates = async (firm, { excludeClients = [], excludeCase } = {}) => {
+  const [clients, cases] = await Promise.all([
+    Client.find({ firm, erasedAt: null, _id: { $nin: excludeClients } }).select('firstName lastName email').lean(),
+    Case.find({ firm, _id: { $ne: excludeCase }, 'participants.0': { $exists: true } })
+      .select('caseName caseNumber participants').lean(),
+  ]);
+
+  return [
+    ...clients.map(client => ({
+      matchType: 'client',
+      client: client._id,
+      name: `${client.firstName} ${client.lastName}`,
+      email: client.email,
+      side: 'client',
+    })),
+    ...cases.flatMap(caseDoc => caseDoc.participants.map(participant => ({
+      matchType: 'participant',
+      case: caseDoc._id,
+      caseLabel: `${caseDoc.caseName} (${caseDoc.caseNumber})`,
+      participant: participant._id,
+      role: participant.role,
+      name: participant.name,
+      organization: participant.organization,
+      email: participant.email,
+      side: sideOfRole(participant.role),
+    }))),
+  ];
+};
+
+// Why `subject` may be the same person or organization as `candidate`, strongest first
+const matchReasons = (subject, candidate) => {
+  const reasons = [];
+  let score = 0;
+
+  if (subject.email && candidate.email && subject.email.trim().toLowerCase() === candidate.email.trim().toLowerCase()) {
+    reasons.push(`Same email address ${candidate.email}`);
+    score = 1;
+  }
+
+  const comparisons = [
+    ['Name', subject.name, 'name', candidate.name],
+    ['Name', subject.name, 'organization', candidate.organization],
+    ['Organization', subject.organization, 'name', candidate.name],
+    ['Organization', subject.organization, 'organization', candidate.organization],
+  ];
+  for (const [subjectField, subjectValue, candidateField, candidateValue] of comparisons) {
+    if (!subjectValue || !candidateValue) continue;
+    const similarity = nameSimilarity(subjectValue, candidateValue);
+    if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+      reasons.push(`${subjectField} "${subjectValue}" ${similarity === 1 ? 'matches' : 'resembles'} ${candidateField} "${candidateValue}" (${Math.round(similarity * 100)}%)`);
+      score = Math.max(score, similarity);
+    }
+  }
+  return { reasons, score };
+};
+
+const describeCandidate = (candidate) => (candidate.matchType === 'client'
+  ? `existing client ${candidate.name}`
+  : `${candidate.role.replace('_', ' ')} ${candidate.name} on case ${candidate.caseLabel}`);
+
+// Potential conflicts between the `subjects` being taken on and the firm's existing clients and case participants.
+// A subject is { name, organization, email, side } with side 'client', 'adverse' or 'neutral' (see sideOfRole).
+// `excludeClients` / `excludeCase` leave out the records being checked themselves.
+const findConflicts = async (firm, subjects, options = {}) => {
+  const candidates = await loadCandidates(firm, options);
+  const conflicts = [];
+
+  for (const subject of subjects) {
+    for (const candidate of candidates) {
+      if (subject.side === 'client' && candidate.side === 'client') continue;
+
+      const { reasons, score } = matchReasons(subject, candidate);
+      if (reasons.length === 0) continue;
+      conflicts.push({
+        subject: subject.name,
+        subjectRole: subject.role,
+        matchType: candidate.matchType,
+        client: candidate.client,
+        case: candidate.case,
+        participant: candidate.participant,
+        name: candidate.name,
+        role: candidate.role,
+        reasons: [`Matches ${describeCandidate(candidate)}`, ...reasons],
+        score: Math.round(score * 100) / 100,
+      });
+    }
+  }
+  return conflicts.sort((a, b) => b.score - a.score);
+};
+
+// Run the conflict check for an intake by `user` and return the report to store.
+// When potential conflicts are found the intake may only go ahead with an override carrying a
+// justification (`override.justification`), by a role allowed to `overrideConflict` on `resource`.
+// Otherwise throws an error with a `statusCode` and the `conflicts`.
+const runConflictCheck = async (user, resource, subjects, override, options = {}) => {
+  const conflicts = await findConflicts(user.firm, subjects, options);
+  const report = { checkedAt: new Date(), checkedBy: user._id, conflicts, overridden: false };
+  if (conflicts.length === 0) return report;
+
+  const justification = override && override.justification ? String(override.justification).trim() : '';
+  if (!justification) {
+    const error = new Error('Potential conflicts of interest were found. Review them and provide a justification to proceed.');
+    error.statusCode = 409;
+    error.conflicts = conflicts;
+    throw error;
+  }
+  if (!hasPermission(user.role, resource, 'overrideConflict')) {
+    const error = new Error('Potential conflicts of interest were found and your role cannot override them.');
+    error.statusCode = 403;
+    error.conflicts = conflicts;
+    throw error;
+  }
+
+  return { ...report, overridden: true, justification, overriddenBy: user._id };
+};
+
+module.exports = {
+  sideOfRole,
+  nameSimilarity,
+  findConflicts,
+  runConflictCheck,
+};
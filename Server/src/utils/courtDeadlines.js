@@ -0,0 +1,200 @@
+const Task = require('../models/Task');
+const { trashRecord } = require('./trash');
+const { HOLIDAY_CALENDARS, DEADLINE_RULE_SETS } = require('../config/deadlineRules');
+
+// Court deadline calculation. A trigger event on a case (e.g. service of the complaint) and the rule set
+// of the case's jurisdiction give the dependent deadlines, which are kept as tasks on the case linked
+// back to the trigger (Task.courtDeadline). Changing the trigger date moves the open tasks with it.
+// All dates are handled as whole days in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Tasks in these statuses are left alone when deadlines are recalculated or removed
+const SETTLED_TASK_STATUSES = ['completed', 'cancelled'];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Midnight UTC of the given day ('2024-05-01' or anything Date accepts), or null when invalid
+const toDay = (value) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Date of a holiday in a year, moved to the observed day when it falls on a weekend
+const holidayDate = (holiday, year) => {
+  let date;
+  if (holiday.day) {
+    date = new Date(Date.UTC(year, holiday.month - 1, holiday.day));
+  } else if (holiday.nth > 0) {
+    const first = new Date(Date.UTC(year, holiday.month - 1, 1));
+    date = addDays(first, ((holiday.weekday - first.getUTCDay() + 7) % 7) + (holiday.nth - 1) * 7);
+  } else {
+    const last = new Date(Date.UTC(year, holiday.month, 0));
+    date = addDays(last, -((last.getUTCDay() - holiday.weekday + 7) % 7));
+  }
+
+  if (holiday.observed && date.getUTCDay() === 6) return addDays(date, -1);
+  if (holiday.observed && date.getUTCDay() === 0) return addDays(date, 1);
+  return date;
+};
+
+// Holidays of a calendar by date ('YYYY-MM-DD' -> name), computed once per calendar and year
+const holidayCache = new Map();
+const holidaysOf = (calendar, year) => {
+  const cacheKey = `${calendar}:${year}`;
+  if (!holidayCache.has(cacheKey)) {
+    const holidays = new Map();
+    // An observed New Year's Day can fall on December 31 of the year before
+    [year, year + 1].forEach(holidayYear => (HOLIDAY_CALENDARS[calendar] || []).forEach(holiday => {
+      const date = holidayDate(holiday, holidayYear);
+      if (date.getUTCFullYear() === year) holidays.set(formatDate(date), holiday.name);
+    }));
+    holidayCache.set(cacheKey, holidays);
+  }
+  return holidayCache.get(cacheKey);
+};
+
+// Why the court is closed on a day (weekday name or holiday), or null when it is open
+const courtClosedReason = (date, ruleSet) => {
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return WEEKDAY_NAMES[weekday];
+  return holidaysOf(ruleSet.holidayCalendar, date.getUTCFullYear()).get(formatDate(date)) || null;
+};
+
+// Due date of one deadline, with an explanation of how it was counted
+const computeDeadline = (rule, triggerDate, ruleSet) => {
+  const step = rule.direction === 'before' ? -1 : 1;
+  let date = triggerDate;
+  let note = `${rule.days} ${rule.dayType === 'court' ? 'court' : 'calendar'} days ${rule.direction === 'before' ? 'before' : 'after'} ${formatDate(triggerDate)}`;
+
+  if (rule.dayType === 'court') {
+    for (let counted = 0; counted < rule.days;) {
+      date = addDays(date, step);
+      if (!courtClosedReason(date, ruleSet)) counted++;
+    }
+  } else {
+    date = addDays(date, step * rule.days);
+    // A deadline on a day the court is closed moves to the next day it is open
+    // (towards the trigger date for deadlines counted backwards)
+    const closed = courtClosedReason(date, ruleSet);
+    if (closed) {
+      const landedOn = date;
+      while (courtClosedReason(date, ruleSet)) date = addDays(date, step);
+      note += `; moved from ${formatDate(landedOn)} (${closed}) to ${formatDate(date)}`;
+    }
+  }
+  return { dueDate: date, note };
+};
+
+// Key of the rule set for a case jurisdiction, or null when none applies
+const resolveRuleSet = (jurisdiction) => {
+  const value = String(jurisdiction || '').toLowerCase();
+  if (!value) return null;
+  const match = Object.entries(DEADLINE_RULE_SETS)
+    .find(([, ruleSet]) => ruleSet.jurisdictions.some(name => value.includes(name)));
+  return match ? match[0] : null;
+};
+
+// The rule sets and their triggers, for choosing one in the UI
+const listRuleSets = () => Object.entries(DEADLINE_RULE_SETS).map(([key, ruleSet]) => ({
+  key,
+  name: ruleSet.name,
+  triggers: Object.entries(ruleSet.triggers).map(([triggerKey, trigger]) => ({
+    key: triggerKey,
+    label: trigger.label,
+    deadlines: trigger.deadlines.map(({ key: ruleKey, title, days, dayType, direction = 'after', authority }) => ({
+      key: ruleKey, title, days, dayType, direction, authority,
+    })),
+  })),
+}));
+
+// Deadlines following from a trigger event on `date` under a rule set.
+// Throws an error with a `statusCode` when the rule set, trigger or date is not valid.
+const computeDeadlines = (ruleSetKey, triggerKey, date) => {
+  // Only the rule sets' own keys: names like "constructor" must not reach the prototype
+  const ruleSet = Object.hasOwn(DEADLINE_RULE_SETS, ruleSetKey) ? DEADLINE_RULE_SETS[ruleSetKey] : null;
+  const trigger = ruleSet && Object.hasOwn(ruleSet.triggers, triggerKey) ? ruleSet.triggers[triggerKey] : null;
+  const triggerDate = toDay(date);
+  const invalid = !ruleSet ? `Unknown deadline rule set "${ruleSetKey}".`
+    : !trigger ? `Trigger must be one of: ${Object.keys(ruleSet.triggers).join(', ')}.`
+      : !triggerDate ? 'A valid trigger date is required.'
+        : null;
+  if (invalid) {
+    const error = new Error(invalid);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return trigger.deadlines.map(rule => {
+    const { dueDate, note } = computeDeadline(rule, triggerDate, ruleSet);
+    return {
+      rule: rule.key,
+      title: rule.title,
+      priority: rule.priority || 'high',
+      dueDate,
+      description: `${trigger.label} on ${formatDate(triggerDate)}: ${note}${rule.authority ? ` (${rule.authority})` : ''}.`,
+    };
+  });
+};
+
+// Create or move the tasks for a trigger event of a case (`triggerEvent` is an entry of
+// caseDoc.deadlineTriggers). Completed and cancelled tasks are left as they are, and so are tasks
+// someone moved to the trash: they are not created again. Returns the tasks of the trigger.
+const syncDeadlineTasks = async (caseDoc, triggerEvent, user) => {
+  const deadlines = computeDeadlines(triggerEvent.ruleSet, triggerEvent.trigger, triggerEvent.date);
+  const existing = await Task.find({ firm: caseDoc.firm, case: caseDoc._id, 'courtDeadline.trigger': triggerEvent._id })
+    .setOptions({ withDeleted: true });
+
+  const tasks = await Promise.all(deadlines.map(async deadline => {
+    const task = existing.find(item => item.courtDeadline.rule === deadline.rule);
+    if (task && task.deletedAt) return null;
+    if (!task) {
+      return Task.create({
+        firm: caseDoc.firm,
+        responsibleAttorney: caseDoc.responsibleAttorney,
+        user: user._id,
+        assignedTo: caseDoc.responsibleAttorney || user._id,
+        title: deadline.title,
+        description: deadline.description,
+        case: caseDoc._id,
+        client: caseDoc.clients.length === 1 ? caseDoc.clients[0] : undefined,
+        dueDate: deadline.dueDate,
+        priority: deadline.priority,
+        courtDeadline: { trigger: triggerEvent._id, rule: deadline.rule },
+      });
+    }
+    if (!SETTLED_TASK_STATUSES.includes(task.status)) {
+      task.dueDate = deadline.dueDate;
+      task.description = deadline.description;
+      await task.save();
+    }
+    return task;
+  }));
+  return tasks.filter(Boolean);
+};
+
+// Move the open tasks of a trigger event that is being removed to the trash (settled ones are kept as
+// history), on behalf of `user`. Returns the tasks moved.
+const removeDeadlineTasks = async (caseDoc, triggerEvent, user) => {
+  const tasks = await Task.find({
+    firm: caseDoc.firm,
+    case: caseDoc._id,
+    'courtDeadline.trigger': triggerEvent._id,
+    status: { $nin: SETTLED_TASK_STATUSES },
+  });
+  for (const task of tasks) {
+    await trashRecord('Task', task, user);
+  }
+  return tasks;
+};
+
+module.exports = {
+  toDay,
+  resolveRuleSet,
+  listRuleSets,
+  computeDeadlines,
+  syncDeadlineTasks,
+  removeDeadlineTasks,
+};
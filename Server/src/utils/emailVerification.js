@@ -0,0 +1,41 @@
+const jwt = require('jsonwebtoken');
+const sendEmail = require('./sendEmail');
+const { verifyChallengeToken } = require('./sessionTokens');
+
+// How long a verification link stays valid
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+
+// Generate a signed verification token for one of a user's email addresses (by default the current one).
+// The address is part of the token, so changing it invalidates links sent to the old one.
+const generateEmailVerificationToken = (user, email = user.email) => {
+  return jwt.sign(
+    { id: user._id, email, purpose: 'verify_email' },
+    process.env.JWT_SECRET,
+    { expiresIn: EMAIL_VERIFICATION_EXPIRES_IN }
+  );
+};
+
+// Verify a verification token. Returns the decoded payload ({ id, email }) or null.
+const verifyEmailVerificationToken = (token) => verifyChallengeToken(token, 'verify_email');
+
+// Email a verification link to a user. With `email` (the user's pending new address), the link
+// confirms that address instead of welcoming a new account. Throws when the email could not be sent.
+const sendVerificationEmail = async (user, { email } = {}) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const verifyUrl = `${frontendUrl}/verify-email/${generateEmailVerificationToken(user, email || user.email)}`;
+  const message = email
+    ? `You asked to change the email address of your account to ${email}. `
+      + `Please confirm it by clicking: ${verifyUrl}\n\n`
+      + 'The link is valid for 24 hours. Until then your current address stays in use. If you did not ask for this, you can ignore this email.'
+    : `Welcome${user.firstName ? `, ${user.firstName}` : ''}! `
+      + `Please verify your email address by clicking: ${verifyUrl}\n\n`
+      + 'The link is valid for 24 hours. If you did not create an account, you can ignore this email.';
+
+  await sendEmail({ email: email || user.email, subject: 'Verify your email address', message });
+};
+
+module.exports = {
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  sendVerificationEmail,
+};
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+// Resolve a colleague referenced by a firm record (responsible attorney, assignee, ...).
+// Defaults to the current user when no id is given; returns null when the id is
+// invalid or belongs to a user in a different firm.
+const resolveFirmMember = async (currentUser, userId) => {
+  if (!userId) return currentUser._id;
+  if (!mongoose.Types.ObjectId.isValid(userId)) return null;
+
+  const member = await User.findOne({ _id: userId, firm: currentUser.firm }).select('_id');
+  return member ? member._id : null;
+};
+
+// Check that the linked record id(s) of `Model` (e.g., a case or client) belong to the firm.
+// Empty values pass so optional links can be left out or cleared.
+const recordsBelongToFirm = async (Model, ids, firmId) => {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(Boolean).map(String);
+  if (list.length === 0) return true;
+  if (!list.every(id => mongoose.Types.ObjectId.isValid(id))) return false;
+
+  const uniqueIds = [...new Set(list)];
+  const count = await Model.countDocuments({ _id: { $in: uniqueIds }, firm: firmId });
+  return count === uniqueIds.length;
+};
+
+module.exports = { resolveFirmMember, recordsBelongToFirm };
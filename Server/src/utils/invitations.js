@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Firm = require('../models/Firm');
+const sendEmail = require('./sendEmail');
+const { hashToken } = require('./sessionTokens');
+const { ROLES } = require('../config/permissions');
+
+// How long an invitation link stays valid
+const INVITATION_EXPIRY_DAYS = 7;
+
+// Errors the caller should report to the client as-is
+const invitationError = (message, statusCode = 400) => Object.assign(new Error(message), { statusCode });
+
+// Create an invitation to the inviter's firm and email its link.
+// Inviting the same address again replaces older pending invitations.
+// Client portal invitations (role 'client') must name the Client record the account will represent.
+const createInvitation = async (inviter, { email, role, firstName, lastName, client }) => {
+  const normalizedEmail = String(email || '').toLowerCase().trim();
+
+  if (!normalizedEmail) {
+    throw invitationError('Email is required.');
+  }
+  if (!ROLES.includes(role)) {
+    throw invitationError(`Role must be one of: ${ROLES.join(', ')}.`);
+  }
+  if (role === 'client' && !client) {
+    throw invitationError('Client portal invitations must be linked to a client.');
+  }
+
+  const existingUser = await User.findOne({ email: normalizedEmail });
+  if (existingUser) {
+    throw invitationError('A user with this email already exists.');
+  }
+
+  const firm = await Firm.findById(inviter.firm).select('name');
+  const firmName = firm ? firm.name : 'their firm';
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = new Invitation({
+    firm: inviter.firm,
+    email: normalizedEmail,
+    role,
+    client: role === 'client' ? client : undefined,
+    firstName: firstName ? String(firstName).trim() : undefined,
+    lastName: lastName ? String(lastName).trim() : undefined,
+    invitedBy: inviter._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITATION_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await invitation.validate();
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const inviteUrl = `${frontendUrl}/accept-invite/${token}`;
+  const inviterName = [inviter.firstName, inviter.lastName].filter(Boolean).join(' ') || inviter.email;
+  const message = (role === 'client'
+    ? `${inviterName} has invited you to the client portal of ${firmName}, where you can follow your cases and share documents.\n\n`
+    : `${inviterName} has invited you to join ${firmName} as ${role}.\n\n`)
+    + `Accept the invitation and choose your password by clicking: ${inviteUrl}\n\n`
+    + `The invitation expires in ${INVITATION_EXPIRY_DAYS} days.`;
+
+  try {
+    await sendEmail({ email: normalizedEmail, subject: `Invitation from ${firmName}`, message });
+  } catch (err) {
+    console.error('Invitation email error:', err);
+    throw invitationError('Failed to send the invitation email.', 500);
+  }
+
+  // Only the newest invitation for an address can be accepted
+  await Invitation.updateMany(
+    { firm: inviter.firm, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await invitation.save();
+
+  return invitation;
+};
+
+module.exports = {
+  createInvitation,
+};
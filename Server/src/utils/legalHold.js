@@ -0,0 +1,25 @@
+// Legal holds on clients and cases. A record under a legal hold cannot be deleted or erased
+// until the hold is lifted; placing and lifting holds is audited by the callers.
+
+// Place or lift the hold on `record` (a Client or Case document) from a request body { active, reason }.
+// Returns an error message when the request is invalid, otherwise null. The record is not saved.
+const applyLegalHold = (record, { active, reason } = {}, user) => {
+  if (typeof active !== 'boolean') {
+    return 'Specify whether the legal hold is active.';
+  }
+
+  if (active) {
+    if (!reason || !String(reason).trim()) {
+      return 'A reason is required to place a legal hold.';
+    }
+    record.legalHold = { active: true, reason: String(reason).trim(), placedBy: user._id, placedAt: new Date() };
+  } else {
+    record.legalHold = { active: false };
+  }
+  return null;
+};
+
+// Whether a client or case is under an active legal hold
+const isUnderLegalHold = (record) => Boolean(record && record.legalHold && record.legalHold.active);
+
+module.exports = { applyLegalHold, isUnderLegalHold };
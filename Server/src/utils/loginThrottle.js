@@ -0,0 +1,224 @@
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const SecurityEvent = require('../models/SecurityEvent');
+const sendEmail = require('./sendEmail');
+
+// Failed sign-ins an account may have before each further attempt is delayed
+const ACCOUNT_FREE_ATTEMPTS = 3;
+// Failed sign-ins after which the account is locked
+const ACCOUNT_LOCK_THRESHOLD = 5;
+// How long a locked account stays locked, unless unlocked through the emailed link
+const ACCOUNT_LOCK_MINUTES = 30;
+// Longest progressive delay between two attempts, in seconds
+const MAX_DELAY_SECONDS = 60;
+
+// Attempts counted per IP address or email within a fixed window.
+// After `freeAttempts` each attempt is delayed progressively; at `limit` the subject is
+// blocked until the window ends and `event` is recorded.
+const THROTTLE_RULES = {
+  // Failed sign-ins (password or second factor) from one IP address
+  login: { freeAttempts: 10, limit: 30, windowMinutes: 15, event: 'ip_throttled' },
+  // Password reset requests from one IP address
+  forgotPasswordIp: { freeAttempts: 3, limit: 10, windowMinutes: 60, event: 'password_reset_throttled' },
+  // Password reset requests for one email address
+  forgotPasswordEmail: { freeAttempts: 1, limit: 3, windowMinutes: 60, event: 'password_reset_throttled' },
+  // Verification email resends from one IP address
+  verificationEmailIp: { freeAttempts: 3, limit: 10, windowMinutes: 60, event: 'verification_email_throttled' },
+  // Verification email resends for one email address
+  verificationEmail: { freeAttempts: 1, limit: 3, windowMinutes: 60, event: 'verification_email_throttled' },
+};
+
+// Seconds from now until a date (0 once it has passed)
+const secondsUntil = (date) => Math.max(0, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Delay required after `count` attempts: 1s, 2s, 4s, ... once the free attempts are used up
+const progressiveDelay = (count, freeAttempts) => (
+  count > freeAttempts ? Math.min(2 ** (count - freeAttempts - 1), MAX_DELAY_SECONDS) : 0
+);
+
+// Human readable wait time for error messages
+const formatWait = (seconds) => (
+  seconds < 60
+    ? `${seconds} second${seconds === 1 ? '' : 's'}`
+    : `${Math.ceil(seconds / 60)} minute${Math.ceil(seconds / 60) === 1 ? '' : 's'}`
+);
+
+// Record a security event. Failures are logged but never block the request.
+const recordSecurityEvent = async (type, req, { user, email, details } = {}) => {
+  try {
+    await SecurityEvent.create({
+      type,
+      firm: user ? user.firm : undefined,
+      user: user ? user._id : undefined,
+      email: email || (user ? user.email : undefined),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+      details,
+    });
+  } catch (error) {
+    console.error('Error recording security event:', error);
+  }
+};
+
+// Check whether an account may attempt to sign in right now.
+// Returns { locked, retryAfter } where retryAfter is the number of seconds to wait (0 = allowed).
+const getAccountThrottle = (user) => {
+  if (user.lockUntil && user.lockUntil > Date.now()) {
+    return { locked: true, retryAfter: secondsUntil(user.lockUntil) };
+  }
+
+  const delay = progressiveDelay(user.failedLoginAttempts || 0, ACCOUNT_FREE_ATTEMPTS);
+  const retryAfter = delay && user.lastFailedLoginAt
+    ? secondsUntil(user.lastFailedLoginAt.getTime() + delay * 1000)
+    : 0;
+  return { locked: false, retryAfter };
+};
+
+// Email the account owner a link that unlocks the account early
+const sendUnlockEmail = async (user, unlockToken, lockUntil) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const unlockUrl = `${frontendUrl}/unlock-account/${unlockToken}`;
+  const message = `Your account was locked after ${ACCOUNT_LOCK_THRESHOLD} failed sign-in attempts. `
+    + `It unlocks automatically at ${lockUntil.toUTCString()}.\n\n`
+    + `If this was you, unlock it now by clicking: ${unlockUrl}\n\n`
+    + 'If it was not you, we recommend resetting your password.';
+
+  try {
+    await sendEmail({ email: user.email, subject: 'Your account has been locked', message });
+  } catch (error) {
+    console.error('Error sending unlock email:', error);
+  }
+};
+
+// Count a failed sign-in against an account, locking it once the threshold is reached.
+// Counters are updated atomically so parallel attempts cannot slip past the limit.
+// Returns { locked, retryAfter } like getAccountThrottle.
+const registerAccountFailure = async (user, req) => {
+  const now = new Date();
+
+  // A lock that has run out starts a fresh count
+  if (user.lockUntil && user.lockUntil <= now) {
+    await User.updateOne(
+      { _id: user._id, lockUntil: user.lockUntil },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, unlockToken: 1, unlockTokenExpire: 1 } }
+    );
+  }
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  if (!updated || updated.failedLoginAttempts < ACCOUNT_LOCK_THRESHOLD) {
+    return { locked: false, retryAfter: 0 };
+  }
+  if (updated.lockUntil && updated.lockUntil > now) {
+    return { locked: true, retryAfter: secondsUntil(updated.lockUntil) };
+  }
+
+  const lockUntil = new Date(now.getTime() + ACCOUNT_LOCK_MINUTES * 60 * 1000);
+  const unlockToken = updated.getUnlockToken(lockUntil);
+  const result = await User.updateOne(
+    { _id: updated._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: now } }] },
+    { $set: { lockUntil, unlockToken: updated.unlockToken, unlockTokenExpire: lockUntil } }
+  );
+
+  // Only the request that actually locked the account records it and sends the email
+  if (result.modifiedCount > 0) {
+    await recordSecurityEvent('account_locked', req, {
+      user: updated,
+      details: { failedAttempts: updated.failedLoginAttempts, lockUntil },
+    });
+    await sendUnlockEmail(updated, unlockToken, lockUntil);
+  }
+
+  return { locked: true, retryAfter: secondsUntil(lockUntil) };
+};
+
+// Clear failed sign-in attempts and any lock, e.g. after a successful login or unlock
+const resetLoginFailures = (userId) => User.updateOne(
+  { _id: userId },
+  {
+    $set: { failedLoginAttempts: 0 },
+    $unset: { lastFailedLoginAt: 1, lockUntil: 1, unlockToken: 1, unlockTokenExpire: 1 },
+  }
+);
+
+// Seconds a subject (IP address or email) has to wait before its next attempt under a rule
+const getThrottleWait = async (ruleName, subject) => {
+  const rule = THROTTLE_RULES[ruleName];
+  const entry = await LoginThrottle.findOne({
+    key: `${ruleName}:${subject || 'unknown'}`,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!entry) return 0;
+
+  if (entry.count >= rule.limit) {
+    return secondsUntil(entry.expiresAt);
+  }
+  const delay = progressiveDelay(entry.count, rule.freeAttempts);
+  return delay ? secondsUntil(entry.lastAttemptAt.getTime() + delay * 1000) : 0;
+};
+
+// Count an attempt for a subject under a rule, recording a security event when it becomes blocked.
+// `eventInfo` ({ user, email }) identifies the targeted account in that event.
+const registerThrottledAttempt = async (ruleName, subject, req, eventInfo = {}) => {
+  const rule = THROTTLE_RULES[ruleName];
+  const key = `${ruleName}:${subject || 'unknown'}`;
+  const now = new Date();
+  const update = { $inc: { count: 1 }, $set: { lastAttemptAt: now } };
+
+  // MongoDB only removes expired documents about once a minute, so drop a finished window first
+  await LoginThrottle.deleteOne({ key, expiresAt: { $lte: now } });
+
+  let entry;
+  try {
+    entry = await LoginThrottle.findOneAndUpdate(
+      { key },
+      { ...update, $setOnInsert: { expiresAt: new Date(now.getTime() + rule.windowMinutes * 60 * 1000) } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first attempts raced to create the window; the loser just counts in it
+    if (error.code !== 11000) throw error;
+    entry = await LoginThrottle.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  if (entry.count === rule.limit) {
+    await recordSecurityEvent(rule.event, req, {
+      ...eventInfo,
+      details: { rule: ruleName, attempts: entry.count, blockedUntil: entry.expiresAt },
+    });
+  }
+  return entry.count;
+};
+
+// Send a 423 (account locked) or 429 (slow down) response with a Retry-After header
+const sendThrottledResponse = (res, { locked, retryAfter }) => {
+  res.set('Retry-After', String(retryAfter));
+
+  if (locked) {
+    return res.status(423).json({
+      success: false,
+      message: 'This account is temporarily locked after too many failed sign-in attempts. '
+        + `Use the link we emailed you or try again in ${formatWait(retryAfter)}.`,
+      retryAfter,
+    });
+  }
+  return res.status(429).json({
+    success: false,
+    message: `Too many attempts. Please try again in ${formatWait(retryAfter)}.`,
+    retryAfter,
+  });
+};
+
+module.exports = {
+  recordSecurityEvent,
+  getAccountThrottle,
+  registerAccountFailure,
+  resetLoginFailures,
+  getThrottleWait,
+  registerThrottledAttempt,
+  sendThrottledResponse,
+};
@@ -0,0 +1,143 @@
+const Task = require('../models/Task');
+
+// Matter templates: applying a firm's template (models/MatterTemplate.js) to a new case, and the
+// validation of the folders and custom field values that come with it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Clean up folder paths: trimmed segments joined by "/", parents included, duplicates dropped, sorted.
+// Returns { folders } or { error }.
+const normalizeFolders = (input) => {
+  if (input === undefined || input === null) return { folders: [] };
+  if (!Array.isArray(input)) return { error: 'Folders must be a list of paths.' };
+
+  const folders = new Set();
+  for (const path of input) {
+    const segments = String(path || '').split('/').map(segment => segment.trim()).filter(Boolean);
+    if (segments.some(segment => segment.length > 100)) {
+      return { error: 'Folder names cannot be more than 100 characters.' };
+    }
+    segments.forEach((segment, index) => folders.add(segments.slice(0, index + 1).join('/')));
+  }
+  if (folders.size > 200) return { error: 'A case cannot have more than 200 folders.' };
+  return { folders: [...folders].sort() };
+};
+
+// Check the custom field definitions of a template: unique keys, and options for select fields.
+// Returns an error message, or null when they are valid.
+const checkCustomFieldDefinitions = (definitions = []) => {
+  const keys = new Set();
+  for (const field of definitions) {
+    if (keys.has(field.key)) return `Custom field "${field.key}" is defined twice.`;
+    keys.add(field.key);
+    if (field.type === 'select' && !(field.options || []).length) {
+      return `Custom field "${field.label || field.key}" needs at least one option.`;
+    }
+  }
+  return null;
+};
+
+// Convert submitted custom field values to the types of their definitions, dropping unknown keys and
+// empty values. Returns { values } (a plain object by key) or { error }.
+const normalizeCustomFieldValues = (definitions = [], input = {}) => {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'Custom fields must be an object of values by key.' };
+  }
+
+  const values = {};
+  for (const field of definitions) {
+    const raw = input[field.key];
+    const empty = raw === undefined || raw === null || raw === '';
+    if (empty) {
+      if (field.required) return { error: `${field.label} is required.` };
+      continue;
+    }
+
+    switch (field.type) {
+      case 'number': {
+        const number = Number(raw);
+        if (!Number.isFinite(number)) return { error: `${field.label} must be a number.` };
+        values[field.key] = number;
+        break;
+      }
+      case 'date': {
+        const date = new Date(raw);
+        if (Number.isNaN(date.getTime())) return { error: `${field.label} must be a valid date.` };
+        values[field.key] = date;
+        break;
+      }
+      case 'checkbox':
+        values[field.key] = raw === true || raw === 'true';
+        break;
+      case 'select':
+        if (!field.options.includes(String(raw))) {
+          return { error: `${field.label} must be one of: ${field.options.join(', ')}.` };
+        }
+        values[field.key] = String(raw);
+        break;
+      default:
+        if (String(raw).length > 1000) return { error: `${field.label} cannot be more than 1000 characters.` };
+        values[field.key] = String(raw).trim();
+    }
+  }
+  return { values };
+};
+
+// Set up a new (unsaved) case from a template: its folders, custom fields with the submitted values, and
+// the template's default team on top of the team the case already has.
+// Returns an error message, or null when the template was applied.
+const applyMatterTemplate = (caseDoc, template, customFieldValues, user) => {
+  if (template.caseType !== caseDoc.caseType) {
+    return `The template "${template.name}" is for ${template.caseType} cases.`;
+  }
+  const normalized = normalizeCustomFieldValues(template.customFields, customFieldValues || {});
+  if (normalized.error) return normalized.error;
+
+  caseDoc.matterTemplate = template._id;
+  caseDoc.documentFolders = template.folders;
+  caseDoc.customFieldDefinitions = template.customFields.map(field => ({
+    key: field.key,
+    label: field.label,
+    type: field.type,
+    options: field.options,
+    required: field.required,
+  }));
+  caseDoc.customFields = normalized.values;
+
+  for (const member of template.team) {
+    if (!caseDoc.team.some(existing => String(existing.user) === String(member.user))) {
+      caseDoc.team.push({ user: member.user, role: member.role, addedBy: user._id });
+    }
+  }
+  return null;
+};
+
+// Create the template's tasks on a saved case, due the given number of days after the case start date
+const createTemplateTasks = (caseDoc, template, user) => {
+  const start = caseDoc.startDate ? new Date(caseDoc.startDate) : new Date();
+  const assigneeFor = (role) => {
+    const member = role && caseDoc.team.find(item => item.role === role);
+    return member ? member.user : caseDoc.responsibleAttorney || user._id;
+  };
+
+  return Task.insertMany(template.tasks.map(task => ({
+    firm: caseDoc.firm,
+    responsibleAttorney: caseDoc.responsibleAttorney,
+    user: user._id,
+    assignedTo: assigneeFor(task.assigneeRole),
+    title: task.title,
+    description: task.description,
+    case: caseDoc._id,
+    client: caseDoc.clients.length === 1 ? caseDoc.clients[0] : undefined,
+    dueDate: new Date(start.getTime() + task.dueInDays * DAY_MS),
+    priority: task.priority,
+  })));
+};
+
+module.exports = {
+  normalizeFolders,
+  checkCustomFieldDefinitions,
+  normalizeCustomFieldValues,
+  applyMatterTemplate,
+  createTemplateTasks,
+};
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const Task = require('../models/Task');
+const Appointment = require('../models/Appointment');
+const { hasPermission } = require('../config/permissions');
+const { hasCaseAccess, canAccessLinkedCase } = require('./caseAccess');
+
+// Who may see and change note entries (used by the notes API and the trash)
+
+// Models of the records notes can be attached to
+const NOTE_ENTITY_MODELS = { Case, Client, Task, Appointment };
+
+// Load the record notes are attached to, if the user may `action` ('read' or 'write') on it.
+// Case notes follow the case team; task and appointment notes the team of their case;
+// client notes are open to all firm staff.
+const loadNoteEntity = async (user, entityType, entityId, action) => {
+  const Model = NOTE_ENTITY_MODELS[entityType];
+  if (!Model || !mongoose.Types.ObjectId.isValid(entityId)) return null;
+
+  const entity = await Model.findOne({ _id: entityId, firm: user.firm });
+  if (!entity) return null;
+  if (entityType === 'Case') return hasCaseAccess(user, entity, action) ? entity : null;
+  if (entityType === 'Client') return entity;
+  return (await canAccessLinkedCase(user, entity.case, action)) ? entity : null;
+};
+
+// Query filter for the notes a user may see, on top of access to the record they are attached to
+const visibleNotesFilter = (user) => (
+  hasPermission(user.role, 'notes', 'viewConfidential') ? {} : { confidential: { $ne: true } }
+);
+
+const isNoteAuthor = (note, user) => String(note.author._id || note.author) === String(user._id);
+
+// Whether a user may delete (or restore) a note: its author, or a role allowed to delete notes
+const canDeleteNote = (note, user) => isNoteAuthor(note, user) || hasPermission(user.role, 'notes', 'delete');
+
+module.exports = {
+  NOTE_ENTITY_MODELS,
+  loadNoteEntity,
+  visibleNotesFilter,
+  isNoteAuthor,
+  canDeleteNote,
+};
@@ -0,0 +1,148 @@
+const Firm = require('../models/Firm');
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const NumberSequence = require('../models/NumberSequence');
+const {
+  NUMBERING_TOKENS,
+  DEFAULT_MATTER_NUMBERING,
+  DEFAULT_CLIENT_NUMBERING,
+  DEFAULT_CASE_TYPE_CODES,
+} = require('../config/numbering');
+
+// Automatic matter (case) and client numbers, built from each firm's numbering patterns.
+// Sequence numbers are allocated atomically (models/NumberSequence.js), so concurrent requests never
+// share one. A pattern with a year restarts its sequence every year, and a matter pattern with {TYPE}
+// counts each case type separately. A number that is already taken (e.g. entered by hand) is skipped.
+
+const DEFAULTS = { matter: DEFAULT_MATTER_NUMBERING, client: DEFAULT_CLIENT_NUMBERING };
+// Characters allowed in a pattern besides its tokens, and in prefixes and case type codes
+const LITERAL_PATTERN = /^[A-Za-z0-9\-_/.# ]*$/;
+const CASE_TYPE_CODE_PATTERN = /^[A-Za-z0-9]{1,10}$/;
+// How many taken numbers are skipped before giving up
+const MAX_ATTEMPTS = 20;
+
+// Check a numbering pattern for matter or client numbers.
+// Returns an error message, or null when it is valid.
+const checkNumberingPattern = (kind, pattern) => {
+  if (!pattern || typeof pattern !== 'string') return 'A numbering pattern is required.';
+
+  const tokens = pattern.match(/\{[A-Z]+\}/g) || [];
+  const unknown = tokens.find(token => !NUMBERING_TOKENS[token] || (token === '{TYPE}' && kind !== 'matter'));
+  if (unknown) {
+    return `${unknown} cannot be used in ${kind} numbers. Use: ${Object.keys(NUMBERING_TOKENS).filter(token => kind === 'matter' || token !== '{TYPE}').join(', ')}.`;
+  }
+  if (tokens.filter(token => token === '{SEQ}').length !== 1) {
+    return 'A numbering pattern must contain {SEQ} exactly once.';
+  }
+  if (!LITERAL_PATTERN.test(pattern.replace(/\{[A-Z]+\}/g, ''))) {
+    return 'Numbering patterns can only contain letters, digits, spaces and - _ / . #, besides the tokens.';
+  }
+  return null;
+};
+
+// Check a numbering prefix. Returns an error message, or null when it is valid.
+const checkNumberingPrefix = (prefix) => (
+  LITERAL_PATTERN.test(prefix || '') ? null : 'Numbering prefixes can only contain letters, digits, spaces and - _ / . #.'
+);
+
+// Check the codes a firm uses for {TYPE}, by case type. Returns an error message, or null when they are valid.
+const checkCaseTypeCodes = (codes) => {
+  if (typeof codes !== 'object' || codes === null || Array.isArray(codes)) {
+    return 'Case type codes must be an object of codes by case type.';
+  }
+  for (const [caseType, code] of Object.entries(codes)) {
+    if (!Case.CASE_TYPES.includes(caseType)) return `Unknown case type "${caseType}".`;
+    if (code && !CASE_TYPE_CODE_PATTERN.test(code)) {
+      return `The code for ${caseType} must be 1 to 10 letters or digits.`;
+    }
+  }
+  return null;
+};
+
+// A firm's numbering settings for matter or client numbers, with the defaults filled in
+const numberingSettings = (firm, kind) => {
+  const settings = firm && firm.settings.numbering ? firm.settings.numbering[kind] : null;
+  return {
+    pattern: (settings && settings.pattern) || DEFAULTS[kind].pattern,
+    prefix: settings && settings.prefix !== undefined ? settings.prefix : DEFAULTS[kind].prefix,
+    padding: (settings && settings.padding) || DEFAULTS[kind].padding,
+  };
+};
+
+// Code of a case type for {TYPE}: the firm's own, or the default
+const caseTypeCode = (firm, caseType) => {
+  const codes = firm && firm.settings.numbering ? firm.settings.numbering.caseTypeCodes : null;
+  const code = codes && codes.get(caseType);
+  return (code || DEFAULT_CASE_TYPE_CODES[caseType] || DEFAULT_CASE_TYPE_CODES.other).toUpperCase();
+};
+
+// Build a number from a pattern
+const formatNumber = ({ pattern, prefix, padding }, { date, typeCode, sequence }) => {
+  const year = String(date.getFullYear());
+  return pattern
+    .replaceAll('{PREFIX}', prefix || '')
+    .replaceAll('{YYYY}', year)
+    .replaceAll('{YY}', year.slice(-2))
+    .replaceAll('{TYPE}', typeCode || '')
+    .replace('{SEQ}', String(sequence).padStart(padding, '0'));
+};
+
+// Key of the sequence a number is drawn from: per year and/or case type when the pattern shows them
+const sequenceKey = (kind, { pattern }, { date, typeCode }) => {
+  const parts = [kind];
+  if (pattern.includes('{YYYY}') || pattern.includes('{YY}')) parts.push(date.getFullYear());
+  if (pattern.includes('{TYPE}')) parts.push(typeCode);
+  return parts.join(':');
+};
+
+// Atomically take the next value of a sequence, creating the sequence when it is first used
+const nextSequenceValue = async (firmId, key) => {
+  const increment = () => NumberSequence.findOneAndUpdate(
+    { firm: firmId, key },
+    { $inc: { value: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  try {
+    return (await increment()).value;
+  } catch (error) {
+    // Two requests creating the same sequence at once: one upsert wins, the other increments it
+    if (error.code === 11000) return (await increment()).value;
+    throw error;
+  }
+};
+
+// Allocate the next free number of a firm's matter or client sequence.
+// `isTaken(number)` reports numbers already in use; those are skipped.
+const allocateNumber = async (firmId, kind, { caseType, isTaken }) => {
+  const firm = await Firm.findById(firmId).select('settings');
+  const settings = numberingSettings(firm, kind);
+  const context = { date: new Date(), typeCode: kind === 'matter' ? caseTypeCode(firm, caseType) : undefined };
+  const key = sequenceKey(kind, settings, context);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const number = formatNumber(settings, { ...context, sequence: await nextSequenceValue(firmId, key) });
+    if (!(await isTaken(number))) return number;
+  }
+  const error = new Error(`Could not assign a free ${kind} number. Check the firm's numbering settings.`);
+  error.statusCode = 409;
+  throw error;
+};
+
+// Next matter number for a new case of the given type (cases in the trash keep their numbers)
+const allocateMatterNumber = (firmId, caseType) => allocateNumber(firmId, 'matter', {
+  caseType,
+  isTaken: number => Case.exists({ firm: firmId, caseNumber: number }).setOptions({ withDeleted: true }),
+});
+
+// Next client number for a new client (clients in the trash keep their numbers)
+const allocateClientNumber = (firmId) => allocateNumber(firmId, 'client', {
+  isTaken: number => Client.exists({ firm: firmId, clientNumber: number }).setOptions({ withDeleted: true }),
+});
+
+module.exports = {
+  checkNumberingPattern,
+  checkNumberingPrefix,
+  checkCaseTypeCodes,
+  allocateMatterNumber,
+  allocateClientNumber,
+};
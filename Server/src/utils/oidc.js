@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
+
+// Single sign-on with an OpenID Connect identity provider (authorization code flow with PKCE).
+// Configured through environment variables; SSO is available once issuer, client id and firm are set.
+
+// How long provider metadata and signing keys are cached
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+// Lifetime of the state kept in a cookie between leaving for the provider and coming back
+const LOGIN_STATE_EXPIRES_IN = '10m';
+// Algorithms accepted for ID token signatures
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Read the provider settings from the environment
+const getOidcConfig = () => {
+  const defaultRole = process.env.OIDC_DEFAULT_ROLE || DEFAULT_ROLE;
+  return {
+    issuer: (process.env.OIDC_ISSUER || '').replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI
+      || `${process.env.BASE_URL || 'http://localhost:5000'}/api/auth/sso/callback`,
+    scope: process.env.OIDC_SCOPE || 'openid email profile',
+    // Name shown on the login button
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    // Firm new SSO users are provisioned into, and the role they get.
+    // Client portal accounts are never created through SSO.
+    firmId: process.env.OIDC_FIRM_ID,
+    defaultRole: ROLES.includes(defaultRole) && defaultRole !== 'client' ? defaultRole : DEFAULT_ROLE,
+  };
+};
+
+// Whether single sign-on is configured
+const isOidcEnabled = (config = getOidcConfig()) => Boolean(config.issuer && config.clientId && config.firmId);
+
+// Build an error carrying the HTTP status for the response
+const oidcError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+let metadataCache = null;
+let jwksCache = null;
+
+// Provider metadata from its discovery document
+const getProviderMetadata = async (config) => {
+  if (metadataCache && metadataCache.issuer === config.issuer && metadataCache.expiresAt > Date.now()) {
+    return metadataCache.metadata;
+  }
+
+  const { data } = await axios.get(`${config.issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+  if (String(data.issuer).replace(/\/+$/, '') !== config.issuer) {
+    throw oidcError('Identity provider metadata does not match the configured issuer', 502);
+  }
+
+  metadataCache = { issuer: config.issuer, metadata: data, expiresAt: Date.now() + METADATA_CACHE_MS };
+  return data;
+};
+
+// Public key for the `kid` an ID token was signed with. Keys are refetched once when the kid is unknown,
+// so provider key rotation is picked up without a restart.
+const getSigningKey = async (metadata, kid) => {
+  const findKey = () => (jwksCache && jwksCache.uri === metadata.jwks_uri && jwksCache.expiresAt > Date.now()
+    ? jwksCache.keys.find(key => !kid || key.kid === kid)
+    : null);
+
+  let jwk = findKey();
+  if (!jwk) {
+    const { data } = await axios.get(metadata.jwks_uri, { timeout: 10000 });
+    jwksCache = { uri: metadata.jwks_uri, keys: data.keys || [], expiresAt: Date.now() + METADATA_CACHE_MS };
+    jwk = findKey();
+  }
+  if (!jwk) {
+    throw oidcError('ID token was signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// URL-safe random string
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Start a login: returns the provider URL to redirect to and the signed state to keep in a cookie.
+// The state holds the CSRF `state` value, the ID token `nonce` and the PKCE code verifier.
+const buildAuthorizationRequest = async (config = getOidcConfig()) => {
+  const metadata = await getProviderMetadata(config);
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  // The `purpose` claim keeps this token from ever being accepted as an access token
+  const loginState = jwt.sign(
+    { purpose: 'oidc_login', state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_STATE_EXPIRES_IN }
+  );
+
+  return { url: url.toString(), loginState };
+};
+
+// Check the provider's redirect against the saved login state, redeem the code and verify the ID token.
+// Returns the verified ID token claims. Throws an error with a `statusCode` on failure.
+const handleAuthorizationResponse = async ({ code, state, loginState }, config = getOidcConfig()) => {
+  let saved;
+  try {
+    saved = jwt.verify(String(loginState || ''), process.env.JWT_SECRET);
+  } catch (error) {
+    throw oidcError('Sign-in request has expired. Please try again.');
+  }
+  if (saved.purpose !== 'oidc_login' || !state || state !== saved.state) {
+    throw oidcError('Sign-in request is invalid. Please try again.');
+  }
+  if (!code) {
+    throw oidcError('Identity provider did not return an authorization code');
+  }
+
+  const metadata = await getProviderMetadata(config);
+
+  let tokens;
+  try {
+    const response = await axios.post(metadata.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: config.redirectUri,
+      code_verifier: saved.codeVerifier,
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      auth: { username: config.clientId, password: config.clientSecret || '' },
+      timeout: 10000,
+    });
+    tokens = response.data;
+  } catch (error) {
+    console.error('OIDC token exchange failed:', error.response ? error.response.data : error.message);
+    throw oidcError('Could not complete sign-in with the identity provider', 502);
+  }
+  if (!tokens || !tokens.id_token) {
+    throw oidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) {
+    throw oidcError('Identity provider returned an invalid ID token', 502);
+  }
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+    });
+  } catch (error) {
+    throw oidcError(`ID token verification failed: ${error.message}`, 401);
+  }
+  if (claims.nonce !== saved.nonce) {
+    throw oidcError('ID token nonce does not match the sign-in request', 401);
+  }
+  if (!claims.sub) {
+    throw oidcError('ID token has no subject', 401);
+  }
+
+  return claims;
+};
+
+module.exports = {
+  getOidcConfig,
+  isOidcEnabled,
+  buildAuthorizationRequest,
+  handleAuthorizationResponse,
+};
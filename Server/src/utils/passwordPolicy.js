@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const Firm = require('../models/Firm');
+const { PASSWORD_POLICY } = require('../config/passwordPolicy');
+const { generateChallengeToken } = require('./sessionTokens');
+
+const BREACHED_PASSWORDS_FILE = path.join(__dirname, '../config/breached-passwords.txt');
+
+// Breached passwords in lower case, loaded on first use
+let breachedPasswords = null;
+
+const isBreachedPassword = (password) => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs.readFileSync(BREACHED_PASSWORDS_FILE, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords.has(password.toLowerCase());
+};
+
+// Build an error carrying the HTTP status for the response
+const passwordError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Check a new password against the policy.
+// Returns a message describing the first rule it breaks, or null when it is acceptable.
+// Pass the account's username and email so passwords containing them are rejected.
+const validatePassword = (password, { username, email } = {}, policy = PASSWORD_POLICY) => {
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters`;
+  }
+  if (password.length > policy.maxLength) {
+    return `Password cannot be more than ${policy.maxLength} characters`;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    return 'Password must contain an uppercase letter';
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    return 'Password must contain a lowercase letter';
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    return 'Password must contain a number';
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    return 'Password must contain a symbol';
+  }
+
+  const lowerPassword = password.toLowerCase();
+  const personalWords = [username, email && email.split('@')[0]]
+    .filter(word => word && word.length >= 3)
+    .map(word => word.toLowerCase());
+  if (personalWords.some(word => lowerPassword.includes(word))) {
+    return 'Password cannot contain your username or email address';
+  }
+
+  if (policy.checkBreached && isBreachedPassword(password)) {
+    return 'This password is too common or has appeared in a data breach. Please choose another one.';
+  }
+
+  return null;
+};
+
+// Change a user's password after checking it against the policy and the password history.
+// The user must be loaded with `+password +passwordHistory`; the caller saves the document.
+// Throws an error with a `statusCode` when the password is rejected.
+const setPassword = async (user, newPassword, policy = PASSWORD_POLICY) => {
+  const message = validatePassword(newPassword, user, policy);
+  if (message) {
+    throw passwordError(message);
+  }
+
+  // The last `historyCount` passwords: the current one plus the previous ones kept as bcrypt hashes
+  const previousHashes = policy.historyCount > 0
+    ? [user.password, ...(user.passwordHistory || []).slice(0, policy.historyCount - 1)].filter(Boolean)
+    : [];
+  for (const hash of previousHashes) {
+    if (await bcrypt.compare(newPassword, hash)) {
+      throw passwordError(`You cannot reuse any of your last ${policy.historyCount} passwords`);
+    }
+  }
+
+  if (user.password) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, Math.max(policy.historyCount - 1, 0));
+  }
+  user.password = newPassword; // Hashed by the User pre-save hook
+  user.passwordChangedAt = new Date();
+};
+
+// Whether the user's password is older than their firm's expiry period
+const isPasswordExpired = async (user) => {
+  if (!user || !user.firm) return false;
+
+  const firm = await Firm.findById(user.firm).select('settings.passwordExpiryDays');
+  const expiryDays = firm ? firm.settings.passwordExpiryDays : 0;
+  if (!expiryDays) return false;
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  return Boolean(changedAt) && Date.now() - new Date(changedAt).getTime() > expiryDays * 24 * 60 * 60 * 1000;
+};
+
+// Login response data asking the user to choose a new password before a session is started,
+// or null when the password has not expired
+const getPasswordChangeChallenge = async (user) => {
+  if (!(await isPasswordExpired(user))) return null;
+  return { passwordChangeRequired: true, challengeToken: generateChallengeToken(user._id, 'password_change') };
+};
+
+module.exports = {
+  validatePassword,
+  setPassword,
+  isPasswordExpired,
+  getPasswordChangeChallenge,
+};
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { resetLoginFailures } = require('./loginThrottle');
+const { recordAudit } = require('./auditLog');
+
+// Lifetime of the short-lived access token (JWT sent as Bearer token)
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+// Lifetime of a refresh token / session in days
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30;
+
+// Hash a token before storing or looking it up, so a database leak does not expose usable tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens are "<sessionId>.<random secret>" so the session can be found without scanning
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+// Turn a User-Agent header into a short label such as "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+  ];
+  const systems = [
+    ['Windows', /Windows/],
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  return `${browser ? browser[0] : 'Unknown browser'} on ${system ? system[0] : 'unknown OS'}`;
+};
+
+// Generate a signed access token for a user, bound to the session it was issued for
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+};
+
+// Lifetime of the short-lived challenge tokens used between login steps
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+// Generate a challenge token proving the first login step succeeded.
+// It carries a `purpose` claim so `protect` never accepts it as an access token.
+const generateChallengeToken = (userId, purpose) => {
+  return jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN });
+};
+
+// Verify a challenge token issued for the given purpose. Returns the decoded payload or null.
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start a new session for a user who just authenticated and return both tokens
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = buildRefreshToken(sessionId);
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    deviceName: describeDevice(req.headers['user-agent']),
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    session,
+  };
+};
+
+// Exchange a refresh token for a new access token and a new refresh token.
+// Throws an error with a `statusCode` when the token cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    return error;
+  };
+
+  const [sessionId] = String(refreshToken).split('.');
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw fail('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw fail('Session has expired or been revoked');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+  if (presentedHash !== session.refreshTokenHash) {
+    // An already rotated token was replayed: assume it was stolen and end the session
+    if (presentedHash === session.previousRefreshTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = 'token_reuse';
+      await session.save();
+    }
+    throw fail('Invalid refresh token');
+  }
+
+  const newRefreshToken = buildRefreshToken(session._id);
+  session.previousRefreshTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(newRefreshToken);
+  session.lastUsedAt = new Date();
+  session.ipAddress = req.ip;
+  await session.save();
+
+  return {
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+    session,
+  };
+};
+
+// Finish a successful login: record the login time, start a session and build the response payload
+const completeLogin = async (user, req) => {
+  user.lastLogin = Date.now();
+  await user.save();
+  await resetLoginFailures(user._id);
+
+  const { token, refreshToken } = await createSession(user, req);
+  await recordAudit(req, 'login', 'User', user, { user });
+  return {
+    _id: user._id,
+    username: user.username,
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: user.role,
+    firm: user.firm,
+    token,
+    refreshToken,
+  };
+};
+
+module.exports = {
+  REFRESH_TOKEN_DAYS,
+  hashToken,
+  describeDevice,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  createSession,
+  rotateSession,
+  completeLogin,
+};
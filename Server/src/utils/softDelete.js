@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Soft delete: deleted records stay in their collection with `deletedAt` set until they are restored
+// or purged from the trash (see utils/trash.js). Reads leave them out unless the query filters on
+// `deletedAt` itself or is run with the `withDeleted` option:
+//   Task.find(filter).setOptions({ withDeleted: true })
+// Updates and hard deletes (erasure, purging) are not filtered.
+
+const READ_OPERATIONS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    // When the record was moved to the trash; null while it is in use
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // The record whose deletion took this one along (e.g. the case of a task); restored together with it
+    deletedWith: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+  });
+
+  schema.pre(READ_OPERATIONS, function excludeDeleted() {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+    if (withDeleted || Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeDeleted() {
+    const withDeleted = this.options.withDeleted;
+    delete this.options.withDeleted;
+    if (!withDeleted) this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+module.exports = { softDeletePlugin };
@@ -0,0 +1,359 @@
+const Case = require('../models/Case');
+const Client = require('../models/Client');
+const Task = require('../models/Task');
+const Appointment = require('../models/Appointment');
+const Document = require('../models/Document');
+const Note = require('../models/Note');
+const Draft = require('../models/Draft');
+const User = require('../models/User');
+const Firm = require('../models/Firm');
+const { hasPermission } = require('../config/permissions');
+const { accessibleCaseFilter, caseLinkedRecordFilter } = require('./caseAccess');
+const { recordAudit } = require('./auditLog');
+const { CLOSED_CASE_STATUSES, retainedUntil, removeStoredFile } = require('./clientErasure');
+const { isUnderLegalHold } = require('./legalHold');
+const { NOTE_ENTITY_MODELS, visibleNotesFilter } = require('./noteAccess');
+
+// The trash: deleted cases, clients, tasks, appointments, documents and notes are kept (see utils/softDelete.js)
+// until they are restored or purged. Deleting a record takes its dependents along:
+// - a case takes its documents, tasks, appointments and AI drafts,
+// - a client takes their documents, tasks, appointments and AI drafts that are not on a case,
+// - every record takes the notes on it (and on the tasks and appointments it takes along),
+// - a note takes its replies.
+// Dependents are marked with `deletedWith` and come back when their parent is restored.
+// Records in the trash are purged for good once they are older than the firm's trash retention period.
+// Nothing is moved to the trash or purged while its case or client is under a legal hold, or while its
+// case is closed but still inside the firm's retention period (see preservationBlocker).
+
+// Trash types as they appear in URLs (also the permission resources), and their models
+const TRASH_TYPES = {
+  cases: { entityType: 'Case', Model: Case },
+  clients: { entityType: 'Client', Model: Client },
+  tasks: { entityType: 'Task', Model: Task },
+  appointments: { entityType: 'Appointment', Model: Appointment },
+  documents: { entityType: 'Document', Model: Document },
+  notes: { entityType: 'Note', Model: Note },
+};
+// Every model a record can take along into the trash
+const DEPENDENT_MODELS = { Document, Task, Appointment, Draft, Note };
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often expired records are purged
+const PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const trashError = (message, statusCode) => Object.assign(new Error(message), { statusCode });
+
+// Name of a record in the trash list
+const describeRecord = (entityType, record) => {
+  switch (entityType) {
+    case 'Case': return `${record.caseNumber} – ${record.caseName}`;
+    case 'Client': return [record.firstName, record.lastName].filter(Boolean).join(' ');
+    case 'Document': return record.title || record.originalName;
+    case 'Note': return record.content.length > 80 ? `${record.content.slice(0, 80)}…` : record.content;
+    default: return record.title;
+  }
+};
+
+// Ids of the records that go to the trash along with a record, by model name
+const findDependents = async (entityType, record) => {
+  const dependents = { Document: [], Task: [], Appointment: [], Draft: [], Note: [] };
+  const linkedFilter = entityType === 'Case' ? { firm: record.firm, case: record._id }
+    : entityType === 'Client' ? { firm: record.firm, client: record._id, case: null }
+      : null;
+
+  if (linkedFilter) {
+    [dependents.Document, dependents.Task, dependents.Appointment, dependents.Draft] = await Promise.all([
+      Document.find(linkedFilter).distinct('_id'),
+      Task.find(linkedFilter).distinct('_id'),
+      Appointment.find(linkedFilter).distinct('_id'),
+      Draft.find(linkedFilter).distinct('_id'),
+    ]);
+  }
+  if (entityType === 'Note') {
+    dependents.Note = await Note.find({ firm: record.firm, parent: record._id }).distinct('_id');
+  } else if (entityType !== 'Document') {
+    dependents.Note = await Note.find({
+      firm: record.firm,
+      $or: [
+        { entityType, entity: record._id },
+        { entityType: 'Task', entity: { $in: dependents.Task } },
+        { entityType: 'Appointment', entity: { $in: dependents.Appointment } },
+      ],
+    }).distinct('_id');
+  }
+  return dependents;
+};
+
+// Reason a client cannot be moved to the trash, or null. Clients on cases (or with records on cases)
+// must have those cases deleted first; portal accounts would be left without a client.
+const clientTrashBlocker = async (client) => {
+  const onCaseFilter = { firm: client.firm, client: client._id, case: { $ne: null } };
+  const linked = await Promise.all([
+    Case.exists({ firm: client.firm, clients: client._id }),
+    Document.exists(onCaseFilter),
+    Task.exists(onCaseFilter),
+    Appointment.exists(onCaseFilter),
+    Draft.exists(onCaseFilter),
+    User.exists({ client: client._id }),
+  ]);
+  return linked.some(Boolean)
+    ? 'This client has linked cases or a portal account. Delete their cases first, or use erasure to remove their data.'
+    : null;
+};
+
+// Reason a record may not be moved to the trash or purged, or null: its case or client (a case's
+// clients, for a case) is under a legal hold, or its case is closed and still inside the firm's
+// retention period (Firm.settings.retentionYears).
+const preservationBlocker = async (entityType, record) => {
+  let owner = record;
+  if (entityType === 'Note') {
+    owner = record.entityType === 'Case' ? { case: record.entity }
+      : record.entityType === 'Client' ? { client: record.entity }
+        : await NOTE_ENTITY_MODELS[record.entityType].findById(record.entity).setOptions({ withDeleted: true }).select('case client');
+  }
+  const caseId = entityType === 'Case' ? record._id : owner && owner.case;
+  const caseDoc = caseId
+    ? await Case.findById(caseId).setOptions({ withDeleted: true }).select('caseNumber status endDate updatedAt clients legalHold')
+    : null;
+  const clientIds = entityType === 'Client' ? [record._id]
+    : [...(caseDoc ? caseDoc.clients : []), ...(owner && owner.client ? [owner.client] : [])];
+  const clients = clientIds.length > 0
+    ? await Client.find({ _id: { $in: clientIds } }).setOptions({ withDeleted: true }).select('firstName lastName legalHold')
+    : [];
+
+  const heldClient = clients.find(isUnderLegalHold);
+  if (heldClient) {
+    return `Client ${[heldClient.firstName, heldClient.lastName].filter(Boolean).join(' ')} is under a legal hold, so this record must be kept.`;
+  }
+  if (!caseDoc) return null;
+  if (isUnderLegalHold(caseDoc)) {
+    return `Case ${caseDoc.caseNumber} is under a legal hold, so this record must be kept.`;
+  }
+
+  const firm = await Firm.findById(record.firm).select('settings');
+  const retentionYears = firm ? firm.settings.retentionYears : 0;
+  if (retentionYears > 0 && CLOSED_CASE_STATUSES.includes(caseDoc.status)) {
+    const until = retainedUntil(caseDoc, retentionYears);
+    if (until > new Date()) {
+      return `Case ${caseDoc.caseNumber} must be retained until ${until.toISOString().slice(0, 10)}, so this record must be kept.`;
+    }
+  }
+  return null;
+};
+
+// Move a record and its dependents to the trash.
+// Returns the number of dependents taken along, by model name.
+const trashRecord = async (entityType, record, user) => {
+  const { Model } = Object.values(TRASH_TYPES).find(type => type.entityType === entityType);
+  const dependents = await findDependents(entityType, record);
+  const stamp = { deletedAt: new Date(), deletedBy: user._id };
+
+  await Model.updateOne({ _id: record._id }, { $set: stamp, $unset: { deletedWith: '' } });
+  const results = await Promise.all(Object.entries(dependents).map(([modelName, ids]) => (
+    DEPENDENT_MODELS[modelName].updateMany({ _id: { $in: ids } }, { $set: { ...stamp, deletedWith: record._id } })
+  )));
+
+  return Object.keys(dependents).reduce((counts, modelName, index) => (
+    { ...counts, [modelName]: results[index].modifiedCount }
+  ), {});
+};
+
+// Reason a record cannot be restored yet, or null: the case or clients it belongs to must be in use
+const restoreBlocker = async (entityType, record) => {
+  if (record.deletedWith) {
+    return 'This record was deleted together with another record. Restore that record instead.';
+  }
+  if (entityType === 'Case') {
+    const clientCount = await Client.countDocuments({ _id: { $in: record.clients }, firm: record.firm });
+    return clientCount < record.clients.length ? 'A client of this case is in the trash. Restore the client first.' : null;
+  }
+  if (entityType === 'Client') return null;
+  if (entityType === 'Note') {
+    if (record.parent && !(await Note.exists({ _id: record.parent, firm: record.firm }))) {
+      return 'The note this reply belongs to is in the trash. Restore that note first.';
+    }
+    const EntityModel = NOTE_ENTITY_MODELS[record.entityType];
+    return (await EntityModel.exists({ _id: record.entity, firm: record.firm }))
+      ? null
+      : `The ${record.entityType.toLowerCase()} of this note is in the trash or no longer exists. Restore it first.`;
+  }
+  if (record.case && !(await Case.exists({ _id: record.case, firm: record.firm }))) {
+    return 'The case of this record is in the trash or no longer exists. Restore the case first.';
+  }
+  if (record.client && !(await Client.exists({ _id: record.client, firm: record.firm }))) {
+    return 'The client of this record is in the trash or no longer exists. Restore the client first.';
+  }
+  return null;
+};
+
+// Restore a record from the trash together with everything deleted along with it.
+// Throws an error with a `statusCode` when it cannot be restored; returns the number of
+// dependents restored, by model name.
+const restoreRecord = async (entityType, record) => {
+  const blocker = await restoreBlocker(entityType, record);
+  if (blocker) throw trashError(blocker, 409);
+
+  const { Model } = Object.values(TRASH_TYPES).find(type => type.entityType === entityType);
+  const restore = { $set: { deletedAt: null }, $unset: { deletedBy: '', deletedWith: '' } };
+  await Model.updateOne({ _id: record._id }, restore);
+  const results = await Promise.all(Object.values(DEPENDENT_MODELS).map(DependentModel => (
+    DependentModel.updateMany({ firm: record.firm, deletedWith: record._id }, restore)
+  )));
+
+  return Object.keys(DEPENDENT_MODELS).reduce((counts, modelName, index) => (
+    { ...counts, [modelName]: results[index].modifiedCount }
+  ), {});
+};
+
+// Permanently remove a record in the trash and everything deleted along with it, stored files included.
+// Returns the number of records removed, by model name (the record itself included).
+const purgeRecord = async (entityType, record) => {
+  const { Model } = Object.values(TRASH_TYPES).find(type => type.entityType === entityType);
+  const dependentFilter = { firm: record.firm, deletedWith: record._id };
+
+  const documents = entityType === 'Document'
+    ? [record]
+    : await Document.find(dependentFilter).setOptions({ withDeleted: true }).select('filePath');
+  for (const document of documents) {
+    await removeStoredFile(document.filePath);
+  }
+
+  const counts = {};
+  for (const [modelName, DependentModel] of Object.entries(DEPENDENT_MODELS)) {
+    counts[modelName] = (await DependentModel.deleteMany(dependentFilter)).deletedCount;
+  }
+  await Model.deleteOne({ _id: record._id, deletedAt: { $ne: null } });
+  counts[entityType] = (counts[entityType] || 0) + 1;
+  return counts;
+};
+
+// Date a record in the trash will be purged
+const purgeDate = (deletedAt, retentionDays) => new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+// Query filter for the records of a trash type a user may see in the trash (directly deleted ones only)
+const trashFilter = async (user, type) => {
+  const inTrash = { deletedAt: { $ne: null }, deletedWith: null };
+  if (type === 'cases') return { ...accessibleCaseFilter(user), ...inTrash };
+  if (type === 'clients') return { firm: user.firm, ...inTrash };
+  if (type === 'notes') {
+    // Notes on records the user can see (client notes are open to all staff)
+    const linkedFilter = await caseLinkedRecordFilter(user);
+    const [caseIds, taskIds, appointmentIds] = await Promise.all([
+      Case.find(accessibleCaseFilter(user)).distinct('_id'),
+      Task.find(linkedFilter).distinct('_id'),
+      Appointment.find(linkedFilter).distinct('_id'),
+    ]);
+    return {
+      firm: user.firm,
+      ...inTrash,
+      ...visibleNotesFilter(user),
+      $or: [
+        { entityType: 'Client' },
+        { entityType: 'Case', entity: { $in: caseIds } },
+        { entityType: 'Task', entity: { $in: taskIds } },
+        { entityType: 'Appointment', entity: { $in: appointmentIds } },
+      ],
+    };
+  }
+
+  const filter = { ...(await caseLinkedRecordFilter(user)), ...inTrash };
+  if (type === 'documents' && !hasPermission(user.role, 'documents', 'accessRestricted')) {
+    filter.isRestricted = { $ne: true };
+  }
+  return filter;
+};
+
+// Records in the trash a user can see, newest first: of one type, or of every type they may read.
+// Each item has the record's name, who deleted it and when, when it will be purged, and how many
+// dependents went along with it.
+const listTrash = async (user, type) => {
+  const types = (type ? [type] : Object.keys(TRASH_TYPES)).filter(name => hasPermission(user.role, name, 'read'));
+  const firm = await Firm.findById(user.firm).select('settings');
+  const retentionDays = firm ? firm.settings.trashRetentionDays : 30;
+
+  const items = [];
+  for (const name of types) {
+    const { entityType, Model } = TRASH_TYPES[name];
+    const records = await Model.find(await trashFilter(user, name))
+      .populate('deletedBy', 'firstName lastName email')
+      .sort({ deletedAt: -1 })
+      .lean();
+
+    const ids = records.map(record => record._id);
+    const dependentCounts = {};
+    for (const DependentModel of Object.values(DEPENDENT_MODELS)) {
+      const groups = await DependentModel.aggregate([
+        { $match: { firm: user.firm, deletedWith: { $in: ids } } },
+        { $group: { _id: '$deletedWith', count: { $sum: 1 } } },
+      ]).option({ withDeleted: true });
+      groups.forEach(group => {
+        dependentCounts[group._id] = (dependentCounts[group._id] || 0) + group.count;
+      });
+    }
+
+    records.forEach(record => items.push({
+      _id: record._id,
+      type: name,
+      entityType,
+      name: describeRecord(entityType, record),
+      deletedAt: record.deletedAt,
+      deletedBy: record.deletedBy,
+      purgeAt: purgeDate(record.deletedAt, retentionDays),
+      dependents: dependentCounts[record._id] || 0,
+    }));
+  }
+
+  items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  return { retentionDays, items };
+};
+
+// Find a record of a trash type in the user's trash, or null
+const findTrashedRecord = async (user, type, id) => {
+  const { Model } = TRASH_TYPES[type];
+  return Model.findOne({ _id: id, ...(await trashFilter(user, type)) });
+};
+
+// Purge every record that has been in the trash for longer than its firm's retention period
+const purgeExpiredTrash = async () => {
+  const firms = await Firm.find().select('settings');
+  let purged = 0;
+
+  for (const firm of firms) {
+    const cutoff = new Date(Date.now() - firm.settings.trashRetentionDays * DAY_MS);
+    for (const { entityType, Model } of Object.values(TRASH_TYPES)) {
+      const expired = await Model.find({ firm: firm._id, deletedAt: { $ne: null, $lte: cutoff }, deletedWith: null });
+      for (const record of expired) {
+        // Kept in the trash until the hold is lifted or the retention period is over
+        if (await preservationBlocker(entityType, record)) continue;
+        const removed = await purgeRecord(entityType, record);
+        await recordAudit(null, 'purge', entityType, record, { details: { automatic: true, removed } });
+        purged++;
+      }
+    }
+  }
+  return purged;
+};
+
+// Purge expired trash now and then periodically, for as long as the server runs
+const startTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .then(purged => {
+      if (purged > 0) console.log(`Purged ${purged} expired record(s) from the trash`);
+    })
+    .catch(error => console.error('Error purging the trash:', error));
+
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+  TRASH_TYPES,
+  clientTrashBlocker,
+  preservationBlocker,
+  trashRecord,
+  restoreRecord,
+  purgeRecord,
+  listTrash,
+  findTrashedRecord,
+  purgeExpiredTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const Firm = require('../models/Firm');
+
+// Name shown next to the account in authenticator apps
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Advocy';
+// Number of one-time recovery codes handed out on enrollment
+const RECOVERY_CODE_COUNT = 10;
+// TOTP time step in seconds (authenticator apps use 30)
+const TOTP_STEP = 30;
+
+// Accept codes from the previous and next time step to tolerate clock drift
+authenticator.options = { window: 1, step: TOTP_STEP };
+
+// Whether a user must use two-factor authentication.
+// Required when the user's firm enforces it, or for everyone when REQUIRE_TWO_FACTOR=true.
+const isTwoFactorRequired = async (user) => {
+  if (process.env.REQUIRE_TWO_FACTOR === 'true') return true;
+  if (!user || !user.firm) return false;
+
+  const firm = await Firm.findById(user.firm).select('settings.requireTwoFactor');
+  return Boolean(firm && firm.settings.requireTwoFactor);
+};
+
+// Recovery codes are stored hashed, like reset tokens
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+// Generate a new base32 TOTP secret
+const generateSecret = () => authenticator.generateSecret();
+
+// Build the otpauth:// URL and a scannable QR code (as a data URL) for a secret
+const buildEnrollment = async (email, secret) => {
+  const otpauthUrl = authenticator.keyuri(email, TWO_FACTOR_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Verify a 6-digit TOTP code.
+// Returns the time step the code belongs to, or null when the code is invalid or was already used.
+const verifyTotp = (secret, code, lastUsedStep) => {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(token)) return null;
+
+  const delta = authenticator.checkDelta(token, secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / TOTP_STEP) + delta;
+  // Reject replays of a code that has already been accepted
+  if (lastUsedStep && step <= lastUsedStep) return null;
+
+  return step;
+};
+
+// Generate a fresh set of recovery codes, returned both in plain form (shown once) and hashed (stored)
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const hashed = codes.map(code => ({ codeHash: hashRecoveryCode(code) }));
+  return { codes, hashed };
+};
+
+// Mark a matching unused recovery code as used. Returns true when a code was consumed.
+// The caller is responsible for saving the user document.
+const consumeRecoveryCode = (user, code) => {
+  const codeHash = hashRecoveryCode(code);
+  const entry = (user.twoFactorRecoveryCodes || []).find(c => c.codeHash === codeHash && !c.usedAt);
+  if (!entry) return false;
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Count the recovery codes a user has left
+const countRemainingRecoveryCodes = (user) =>
+  (user.twoFactorRecoveryCodes || []).filter(c => !c.usedAt).length;
+
+module.exports = {
+  isTwoFactorRequired,
+  generateSecret,
+  buildEnrollment,
+  verifyTotp,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  countRemainingRecoveryCodes,
+};